@@ -0,0 +1,61 @@
+/**
+ * 內建提示範本
+ * 伺服器啟動時寫入 prompt_templates 資料表；{{idea}} 與 {{language}} 為保留變數，其餘變數須在 variables 中宣告
+ */
+
+export const BUILTIN_PROMPT_TEMPLATES = [
+  {
+    name: 'software-spec',
+    title: '軟體開發規格',
+    description: '涵蓋專案概述、功能需求、技術架構與開發階段的通用規格（預設範本）',
+    body: '請為「{{idea}}」製作一份軟體開發規格。包含：專案概述、功能需求、技術架構、開發階段。用Markdown格式，{{language}}回答。',
+    variables: []
+  },
+  {
+    name: 'prd',
+    title: '產品需求文件（PRD）',
+    description: '以產品經理視角撰寫目標、使用者、功能優先順序與成功指標',
+    body: '請為「{{idea}}」撰寫一份產品需求文件（PRD），目標讀者為{{audience}}。包含：背景與問題陳述、目標與非目標、目標使用者、功能需求與優先順序、成功指標、風險與待決問題。用Markdown格式，{{language}}回答。',
+    variables: [
+      { name: 'audience', description: '文件的目標讀者', default: '產品團隊與利害關係人', required: false }
+    ]
+  },
+  {
+    name: 'technical-design',
+    title: '技術設計文件',
+    description: '系統架構、資料模型、元件介面與部署考量',
+    body: '請為「{{idea}}」撰寫一份技術設計文件，技術棧以{{techStack}}為主。包含：系統架構、主要元件與職責、資料模型、介面設計、安全性與效能考量、部署與監控、替代方案比較。用Markdown格式，{{language}}回答。',
+    variables: [
+      { name: 'techStack', description: '偏好的技術棧', default: '團隊熟悉的主流技術', required: false }
+    ]
+  },
+  {
+    name: 'api-spec',
+    title: 'API 規格',
+    description: '端點、請求與回應格式、錯誤碼與認證方式',
+    body: '請為「{{idea}}」設計一份{{apiStyle}} API 規格。包含：資源與端點列表、請求與回應範例、錯誤碼定義、認證與授權、分頁與速率限制、版本策略。用Markdown格式，{{language}}回答。',
+    variables: [
+      { name: 'apiStyle', description: 'API 風格，例如 REST 或 GraphQL', default: 'REST', required: false }
+    ]
+  },
+  {
+    name: 'user-stories',
+    title: '使用者故事',
+    description: '以使用者故事與驗收條件拆解需求',
+    body: '請為「{{idea}}」撰寫使用者故事，主要角色為{{persona}}。依功能主題分組，每則故事使用「身為…我想要…以便…」格式並附上驗收條件與優先順序。用Markdown格式，{{language}}回答。',
+    variables: [
+      { name: 'persona', description: '主要使用者角色', default: '一般使用者', required: false }
+    ]
+  },
+  {
+    name: 'test-plan',
+    title: '測試計畫',
+    description: '測試範圍、策略、案例與驗收標準',
+    body: '請為「{{idea}}」撰寫一份測試計畫，涵蓋{{testLevels}}。包含：測試範圍、測試策略、主要測試案例、測試環境與資料、風險與緩解、驗收標準。用Markdown格式，{{language}}回答。',
+    variables: [
+      { name: 'testLevels', description: '要涵蓋的測試層級', default: '單元測試、整合測試與端對端測試', required: false }
+    ]
+  }
+];
+
+export default BUILTIN_PROMPT_TEMPLATES;
@@ -27,7 +27,577 @@ export const DATABASE_CONFIG = {
   url: process.env.TURSO_DATABASE_URL || `file:${path.join(__dirname, '..', '..', 'database', 'local.db')}`,
   authToken: process.env.TURSO_AUTH_TOKEN,
   connectionTimeout: 10000,
-  queryTimeout: 30000
+  queryTimeout: 30000,
+  // 啟動時自動套用資料庫遷移；設為 false 時需先執行 npm run migrate
+  autoMigrate: process.env.DB_AUTO_MIGRATE !== 'false'
+};
+
+// LLM 提供者配置
+export const LLM_PROVIDERS = {
+  GEMINI_CLI: 'gemini-cli',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  OLLAMA: 'ollama',
+  LLAMA_CPP: 'llama-cpp',
+  ECHO: 'echo'
+};
+
+export const LLM_CONFIG = {
+  provider: process.env.LLM_PROVIDER || LLM_PROVIDERS.GEMINI_CLI,
+  timeout: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 180000, // 3 分鐘
+  maxRetries: 2,
+  retryDelay: 2000,
+  providers: {
+    [LLM_PROVIDERS.GEMINI_CLI]: {
+      command: 'gemini'
+    },
+    [LLM_PROVIDERS.OPENAI_COMPATIBLE]: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
+      maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS, 10) || 4096
+    },
+    [LLM_PROVIDERS.OLLAMA]: {
+      baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      model: process.env.OLLAMA_MODEL || 'llama3.1'
+    },
+    [LLM_PROVIDERS.LLAMA_CPP]: {
+      baseUrl: process.env.LLAMA_CPP_BASE_URL || 'http://localhost:8080',
+      model: process.env.LLAMA_CPP_MODEL || 'default',
+      maxTokens: parseInt(process.env.LLAMA_CPP_MAX_TOKENS, 10) || 4096
+    },
+    [LLM_PROVIDERS.ECHO]: {
+      // 指定 fixture 檔案時直接回傳檔案內容，否則依 prompt 產生固定格式的規格
+      fixturePath: process.env.LLM_FIXTURE_PATH,
+      delayMs: parseInt(process.env.LLM_ECHO_DELAY_MS, 10) || 0
+    }
+  }
+};
+
+// 工作佇列配置
+export const JOB_QUEUE_CONFIG = {
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  maxQueueSize: parseInt(process.env.JOB_MAX_QUEUE_SIZE, 10) || 100,
+  recoverOnStartup: process.env.JOB_RECOVER_ON_STARTUP !== 'false',
+  stateRetention: 60 * 60 * 1000, // 完成後保留進度資訊 1 小時
+  streamHeartbeatInterval: 15000 // SSE 心跳間隔，避免代理伺服器關閉閒置連線
+};
+
+// 輸出語言
+// name 會代入提示範本的 {{language}} 變數；instruction 在輸出語言與範本語言不同時附加於 prompt 結尾；
+// labels 為規格文件外框（標題、中繼資料、頁尾）與匯出封面頁的在地化文字，{idea} 與 {provider} 會被替換
+export const OUTPUT_LANGUAGES = {
+  'zh-TW': {
+    name: '繁體中文',
+    englishName: 'Traditional Chinese',
+    instruction: '請全部以繁體中文撰寫。',
+    labels: {
+      title: '產品開發規格',
+      generated: '生成時間：',
+      originalIdea: '原始想法：',
+      status: '狀態：',
+      specHeading: '產品規格文件',
+      shortOutputIntro: '根據您的想法「{idea}」，以下是初步的分析和建議：',
+      shortOutputHint: '請提供更多詳細信息以生成完整的規格文件。',
+      fallbackNote: '使用備用格式（原始輸出處理）',
+      fallbackEmpty: '生成內容處理時發生問題，請重新嘗試。',
+      footer: '*使用 {provider} 整合生成*',
+      fallbackFooter: '*使用 {provider} 生成（錯誤恢復模式）*',
+      specId: '規格編號',
+      version: '版本',
+      template: '範本',
+      language: '語言',
+      lastEdited: '最後編輯',
+      processingTime: '生成耗時'
+    }
+  },
+  'zh-CN': {
+    name: '简体中文',
+    englishName: 'Simplified Chinese',
+    instruction: '请全部使用简体中文撰写。',
+    labels: {
+      title: '产品开发规格',
+      generated: '生成时间：',
+      originalIdea: '原始想法：',
+      status: '状态：',
+      specHeading: '产品规格文档',
+      shortOutputIntro: '根据您的想法「{idea}」，以下是初步的分析和建议：',
+      shortOutputHint: '请提供更多详细信息以生成完整的规格文档。',
+      fallbackNote: '使用备用格式（原始输出处理）',
+      fallbackEmpty: '生成内容处理时发生问题，请重新尝试。',
+      footer: '*使用 {provider} 集成生成*',
+      fallbackFooter: '*使用 {provider} 生成（错误恢复模式）*',
+      specId: '规格编号',
+      version: '版本',
+      template: '模板',
+      language: '语言',
+      lastEdited: '最后编辑',
+      processingTime: '生成耗时'
+    }
+  },
+  en: {
+    name: 'English',
+    englishName: 'English',
+    instruction: 'Write the entire document in English.',
+    labels: {
+      title: 'Product Development Specification',
+      generated: 'Generated:',
+      originalIdea: 'Original Idea:',
+      status: 'Status:',
+      specHeading: 'Product Specification',
+      shortOutputIntro: 'Based on your idea "{idea}", here is an initial analysis with suggestions:',
+      shortOutputHint: 'Please provide more details to generate a complete specification.',
+      fallbackNote: 'Fallback format (raw output)',
+      fallbackEmpty: 'There was a problem processing the generated content. Please try again.',
+      footer: '*Generated using {provider} integration*',
+      fallbackFooter: '*Generated using {provider} with error recovery*',
+      specId: 'Specification ID',
+      version: 'Version',
+      template: 'Template',
+      language: 'Language',
+      lastEdited: 'Last edited',
+      processingTime: 'Generation time'
+    }
+  },
+  ja: {
+    name: '日本語',
+    englishName: 'Japanese',
+    instruction: 'すべて日本語で記述してください。',
+    labels: {
+      title: '製品開発仕様書',
+      generated: '生成日時：',
+      originalIdea: '元のアイデア：',
+      status: 'ステータス：',
+      specHeading: '製品仕様書',
+      shortOutputIntro: 'アイデア「{idea}」に基づく初期分析と提案は以下のとおりです：',
+      shortOutputHint: '完全な仕様書を生成するには、より詳しい情報を入力してください。',
+      fallbackNote: 'フォールバック形式（生の出力を処理）',
+      fallbackEmpty: '生成内容の処理中に問題が発生しました。もう一度お試しください。',
+      footer: '*{provider} 連携により生成*',
+      fallbackFooter: '*{provider} により生成（エラー回復モード）*',
+      specId: '仕様書 ID',
+      version: 'バージョン',
+      template: 'テンプレート',
+      language: '言語',
+      lastEdited: '最終編集',
+      processingTime: '生成時間'
+    }
+  }
+};
+
+export const DEFAULT_OUTPUT_LANGUAGE = 'zh-TW';
+
+// 提示範本配置
+export const PROMPT_TEMPLATE_CONFIG = {
+  defaultTemplate: 'software-spec',
+  namePattern: /^[a-z0-9][a-z0-9-]{1,49}$/,
+  variablePattern: /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/,
+  reservedVariables: ['idea', 'language'],
+  maxBodyLength: 5000,
+  maxVariables: 10,
+  maxVariableValueLength: 500
+};
+
+// 規格編輯配置
+export const SPEC_EDIT_CONFIG = {
+  maxLength: 100000,
+  maxRequestSize: 512 * 1024,
+  // 章節改寫額外指示的長度上限
+  maxRefineInstructionsLength: 1000,
+  // 保留換行與縮排、不經過 sanitizeInput 空白合併的 Markdown 欄位
+  formattedFields: ['generatedSpec']
+};
+
+// 規格對話配置
+export const CHAT_CONFIG = {
+  maxMessageLength: 2000,
+  // 送給模型作為上下文的最近訊息數
+  contextMessages: 12,
+  // GET /api/spec/:id/chat 回傳的訊息上限
+  maxListedMessages: 200
+};
+
+// 專案與標籤配置
+export const ORGANIZATION_CONFIG = {
+  maxProjectNameLength: 100,
+  maxProjectDescriptionLength: 500,
+  maxTagLength: 40,
+  maxTagsPerSpec: 20,
+  colorPattern: /^#[0-9a-fA-F]{6}$/,
+  // 標籤不可包含逗號（前端以逗號分隔輸入）與控制字元
+  tagPattern: /^[^,\u0000-\u001f]+$/
+};
+
+// 規格擁有者與分享配置
+export const SPEC_ACCESS_CONFIG = {
+  // private 只有擁有者與被分享的使用者可見；team 所有登入的使用者可檢視
+  visibilities: ['private', 'team'],
+  // 使用者建立或匯入的規格預設可見度（本地預設使用者與 API 金鑰建立的規格沒有擁有者，一律為 team）
+  defaultVisibility: process.env.SPEC_DEFAULT_VISIBILITY === 'team' ? 'team' : 'private',
+  // view 只能檢視；edit 另可編輯、重新生成與整理規格（刪除與分享只限擁有者）
+  sharePermissions: ['view', 'edit']
+};
+
+// 規格匯出配置（GET /api/download/:id?format=）
+export const EXPORT_CONFIG = {
+  defaultFormat: 'markdown',
+  formats: {
+    markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' }
+  },
+  pdf: {
+    pageSize: 'A4',
+    margin: 56,
+    // 內建字型不含中日文字形，需指定 TrueType/OpenType 字型（.ttc 需同時指定字型名稱）
+    fontPath: process.env.EXPORT_PDF_FONT || null,
+    fontFamily: process.env.EXPORT_PDF_FONT_FAMILY || null,
+    boldFontPath: process.env.EXPORT_PDF_BOLD_FONT || null,
+    boldFontFamily: process.env.EXPORT_PDF_BOLD_FONT_FAMILY || null,
+    // 未指定字型時依序嘗試的系統字型
+    fontCandidates: [
+      { path: '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc', family: 'NotoSansCJKtc-Regular' },
+      { path: '/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc', family: 'NotoSansCJKtc-Regular' },
+      { path: '/usr/share/fonts/truetype/wqy/wqy-microhei.ttc', family: 'WenQuanYiMicroHei' },
+      { path: '/System/Library/Fonts/PingFang.ttc', family: 'PingFangTC-Regular' },
+      { path: 'C:\\Windows\\Fonts\\msjh.ttc', family: 'MicrosoftJhengHei' }
+    ]
+  }
+};
+
+// 規格庫封存配置（GET /api/export、POST /api/import）
+export const ARCHIVE_CONFIG = {
+  formatVersion: 1,
+  manifestName: 'manifest.json',
+  specsDirectory: 'specs',
+  // 上傳的 ZIP 以原始內容接收
+  importContentTypes: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+  // 與全域請求大小限制（10MB）一致
+  maxImportSize: '10mb',
+  maxImportEntries: 5000,
+  // 解壓後單一檔案與全部檔案合計的上限，避免壓縮炸彈
+  maxEntrySize: 10 * 1024 * 1024,
+  maxTotalUncompressedSize: 50 * 1024 * 1024,
+  duplicateModes: ['skip', 'import']
+};
+
+// 規格推送整合配置（POST /api/spec/:id/push）
+export const INTEGRATION_CONFIG = {
+  targets: ['github', 'gitlab', 'git'],
+  timeout: parseInt(process.env.INTEGRATION_TIMEOUT_MS, 10) || 15000,
+  // 單次推送最多建立的議題數
+  maxItems: parseInt(process.env.INTEGRATION_MAX_ITEMS, 10) || 100,
+  maxTitleLength: 200,
+  labels: (process.env.INTEGRATION_LABELS || 'spec').split(',').map(label => label.trim()).filter(Boolean),
+  epicLabel: 'epic',
+  // 依標題關鍵字辨識章節（不分大小寫，涵蓋各輸出語言）
+  sections: {
+    requirements: ['功能需求', 'functional requirements', '機能要件', '機能要求'],
+    phases: ['開發階段', '开发阶段', 'development phases', 'roadmap', 'milestones', '開発フェーズ', '開発段階']
+  },
+  github: {
+    apiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+    token: process.env.GITHUB_TOKEN || null,
+    // owner/name
+    repository: process.env.GITHUB_REPOSITORY || null
+  },
+  gitlab: {
+    apiUrl: process.env.GITLAB_API_URL || 'https://gitlab.com/api/v4',
+    token: process.env.GITLAB_TOKEN || null,
+    // 專案 ID 或 group/project 路徑
+    project: process.env.GITLAB_PROJECT || null,
+    // 設定後開發階段建立為群組 epic，否則建立為標記 epic 的議題
+    epicGroup: process.env.GITLAB_EPIC_GROUP || null
+  },
+  git: {
+    repoPath: process.env.SPEC_GIT_REPO_PATH || null,
+    directory: process.env.SPEC_GIT_DIRECTORY || 'specs',
+    authorName: process.env.SPEC_GIT_AUTHOR_NAME || 'Idea to Specs',
+    authorEmail: process.env.SPEC_GIT_AUTHOR_EMAIL || 'specs@localhost'
+  }
+};
+
+// 結構化規格配置（GET /api/spec/:id?format=json）
+export const STRUCTURED_SPEC_CONFIG = {
+  // 文件結構改變時遞增，並同步更新 config/specSchema.js
+  schemaVersion: 1,
+  formats: ['markdown', 'json'],
+  // 以標題關鍵字找出各章節（不分大小寫，取第一個符合的標題）
+  sections: {
+    overview: ['專案概述', '项目概述', '概述', '概要', '背景', 'overview', 'introduction', 'summary', 'プロジェクト概要'],
+    features: INTEGRATION_CONFIG.sections.requirements,
+    techStack: ['技術架構', '技术架构', '技術棧', '技术栈', '系統架構', '系统架构', 'technical architecture', 'tech stack',
+      'technology stack', 'architecture', '技術スタック', '技術アーキテクチャ', 'システム構成'],
+    phases: INTEGRATION_CONFIG.sections.phases,
+    risks: ['風險', '风险', 'risk', 'リスク']
+  },
+  // 優先順序的寫法；P0/P1 為 high，P2 為 medium，P3 為 low
+  priorities: {
+    high: ['high', 'must', 'critical', 'p0', 'p1', '高', '最高', '必要', '必須', '必须'],
+    medium: ['medium', 'normal', 'should', 'p2', '中', '普通'],
+    low: ['low', 'could', 'nice', 'optional', 'p3', '低', '可選', '可选', '任意']
+  },
+  // 工期換算為週
+  weeksPerUnit: {
+    week: 1,
+    month: 4.35,
+    day: 1 / 7
+  }
+};
+
+// 規格品質檢查配置：生成結果未通過檢查時重新要求模型補齊
+export const QUALITY_CONFIG = {
+  repair: process.env.SPEC_QUALITY_REPAIR !== 'false',
+  // 每次生成最多的修復次數；修復結果分數沒有提高時保留原本的輸出
+  maxRepairAttempts: parseInt(process.env.SPEC_QUALITY_MAX_REPAIRS, 10) || 1,
+  // 規格本文（不含外框）與每個章節本文的最少字元數（純文字）
+  minLength: 400,
+  minSectionLength: 60,
+  // 各項檢查佔品質分數的比重（合計 100）
+  weights: {
+    sections: 40,
+    depth: 30,
+    truncation: 20,
+    noise: 10
+  },
+  // prompt 以繁體中文列出章節；輸出為其他語言時，只有能對應到別名的章節會被檢查
+  sectionAliases: {
+    ...STRUCTURED_SPEC_CONFIG.sections,
+    dataModel: ['資料模型', '数据模型', 'data model', 'データモデル'],
+    security: ['安全性', 'security', 'セキュリティ'],
+    deployment: ['部署', 'deployment', 'デプロイ'],
+    metrics: ['成功指標', '成功指标', 'success metrics', 'kpi'],
+    testing: ['測試策略', '测试策略', 'test strategy', 'testing strategy', 'テスト戦略']
+  },
+  // CLI 執行時混入輸出的訊息（整行比對，程式碼區塊內不檢查）
+  noisePatterns: [
+    /^Loaded cached credentials\.?$/i,
+    /^Data collection is disabled\.?$/i,
+    /^(?:Error )?Flushing log events/i,
+    /^\[dotenv@[^\]]*\]/i,
+    /^\(node:\d+\) /,
+    /^\(Use `node --trace-/,
+    /^Attempt \d+ failed with status \d+/i,
+    /^[\u2800-\u28ff]\s/
+  ]
+};
+
+// Webhook 配置（/api/webhooks）
+export const WEBHOOK_CONFIG = {
+  events: ['job.completed', 'job.failed', 'spec.updated', 'spec.deleted'],
+  // 連線測試用事件，只會送給被測試的 webhook
+  pingEvent: 'ping',
+  maxWebhooks: 50,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  // 第一次投遞加上重試的總次數；重試間隔依次加倍，直到 maxRetryDelay
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 5000,
+  maxRetryDelay: 10 * 60 * 1000,
+  // 投遞記錄保存的回應內容長度
+  maxResponseBodyLength: 1000,
+  // 每日維護時刪除超過天數的已完成投遞記錄
+  deliveryRetentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30,
+  userAgent: 'idea-to-specs-webhooks/1.0',
+  deliveryStatuses: ['pending', 'succeeded', 'failed']
+};
+
+// 使用者帳號與 session 配置（/api/auth、/api/admin/users）
+const REGISTRATION_MODES = ['open', 'invite', 'closed'];
+
+export const AUTH_CONFIG = {
+  // 是否要求非本地請求提供 session 或 API 金鑰（未啟用時使用本地預設使用者，HTTP 與 WebSocket 相同）
+  enabled: process.env.AUTH_ENABLED === 'true',
+  // open：任何人都能註冊；invite：需要管理員建立的邀請；closed：只能由管理員建立帳號
+  registrationModes: REGISTRATION_MODES,
+  registration: REGISTRATION_MODES.includes(process.env.AUTH_REGISTRATION) ? process.env.AUTH_REGISTRATION : 'invite',
+  // 註冊、建立使用者與邀請未指定角色時使用的角色（角色保存在 roles 資料表，見 RBAC_CONFIG）
+  defaultRole: process.env.AUTH_DEFAULT_ROLE || 'editor',
+  // 資料庫沒有任何使用者時建立的管理員（未設定密碼雜湊時改用隨機產生的一次性密碼）
+  bootstrapAdmin: {
+    username: process.env.LOCAL_USERNAME || 'developer',
+    passwordHash: process.env.LOCAL_PASSWORD_HASH || null
+  },
+  sessionTtl: (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000,
+  // 最後存取時間的最短更新間隔，避免每個請求都寫入資料庫
+  sessionTouchInterval: 60 * 1000,
+  sessionCookie: 'sessionId',
+  inviteTtl: (parseInt(process.env.AUTH_INVITE_TTL_HOURS, 10) || 7 * 24) * 60 * 60 * 1000,
+  passwordResetTtl: (parseInt(process.env.AUTH_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000,
+  // 僅供開發：把自行申請的密碼重設權杖寫入伺服器日誌（production 永不啟用）
+  logResetTokens: process.env.AUTH_LOG_RESET_TOKENS === 'true' && process.env.NODE_ENV !== 'production',
+  bcryptRounds: 12,
+  usernamePattern: /^[a-zA-Z0-9][a-zA-Z0-9._-]{2,49}$/,
+  minPasswordLength: 8,
+  // bcrypt 只使用前 72 個位元組
+  maxPasswordLength: 72
+};
+
+// CSRF 防護配置（GET /api/auth/csrf-token）
+export const CSRF_CONFIG = {
+  enabled: process.env.CSRF_PROTECTION !== 'false',
+  // 簽署權杖的密鑰；未設定時每次啟動隨機產生（重啟後用戶端需重新取得權杖）
+  secret: process.env.CSRF_SECRET || null,
+  header: 'x-csrf-token',
+  // 尚未登入時綁定權杖的匿名識別 cookie
+  cookie: 'csrfId',
+  cookieMaxAge: 7 * 24 * 60 * 60 * 1000,
+  protectedMethods: ['POST', 'PUT', 'PATCH', 'DELETE']
+};
+
+// 受管理的 API 金鑰配置（/api/keys）
+export const API_KEY_CONFIG = {
+  // 金鑰可授予的範圍與對應的權限（見 RBAC_CONFIG）；金鑰不能授予 admin 權限
+  scopes: {
+    read: ['history'],
+    generate: ['history', 'generate'],
+    delete: ['delete'],
+    stats: ['stats'],
+    webhooks: ['webhooks']
+  },
+  keyPrefix: 'isk_',
+  // 列表中顯示的金鑰開頭長度（含 keyPrefix）
+  displayPrefixLength: 12,
+  // 未指定 expiresAt 時的有效天數
+  defaultTtlDays: parseInt(process.env.API_KEY_TTL_DAYS, 10) || 90,
+  // 每把金鑰每分鐘的請求數上限（未指定 rateLimit 時）
+  defaultRateLimit: parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60,
+  maxRateLimit: 10000,
+  rateLimitWindowMs: 60 * 1000,
+  maxNameLength: 100
+};
+
+// 角色與權限配置（/api/admin/roles）
+export const RBAC_CONFIG = {
+  // 可指派給角色的權限；* 代表所有權限，只屬於 admin 角色
+  permissions: {
+    history: 'View specifications, history, jobs, templates, projects and tags',
+    generate: 'Generate, edit, organize and import specifications; manage templates, projects and tags',
+    delete: 'Delete specifications, templates, projects and tags',
+    stats: 'View statistics, metrics and detailed health checks',
+    webhooks: 'Manage webhooks and view their deliveries',
+    admin: 'Manage users, roles and invites; server maintenance'
+  },
+  adminRole: 'admin',
+  namePattern: /^[a-z][a-z0-9-]{1,39}$/,
+  maxDescriptionLength: 200
+};
+
+// 每個 API 路由需要的權限，由 applyRoutePermissions 套用到 apiRoutes.js 的所有路由
+// public：不需驗證；authenticated：需要身份驗證但不需特定權限；其他值為 RBAC_CONFIG.permissions 中的權限
+export const ROUTE_PERMISSIONS = {
+  // 身份驗證與帳號
+  'POST /api/auth/login': 'public',
+  'POST /api/auth/logout': 'public',
+  'GET /api/auth/csrf-token': 'public',
+  'GET /api/auth/user': 'authenticated',
+  'POST /api/auth/register': 'public',
+  'POST /api/auth/password': 'authenticated',
+  'POST /api/auth/password-reset/request': 'public',
+  'POST /api/auth/password-reset': 'public',
+
+  // 使用者、角色與邀請管理
+  'GET /api/admin/users': 'admin',
+  'POST /api/admin/users': 'admin',
+  'GET /api/admin/users/:id': 'admin',
+  'PUT /api/admin/users/:id': 'admin',
+  'DELETE /api/admin/users/:id': 'admin',
+  'POST /api/admin/users/:id/password-reset': 'admin',
+  'GET /api/admin/roles': 'admin',
+  'POST /api/admin/roles': 'admin',
+  'GET /api/admin/roles/:name': 'admin',
+  'PUT /api/admin/roles/:name': 'admin',
+  'DELETE /api/admin/roles/:name': 'admin',
+  'GET /api/admin/invites': 'admin',
+  'POST /api/admin/invites': 'admin',
+  'DELETE /api/admin/invites/:id': 'admin',
+  'GET /api/keys': 'admin',
+  'POST /api/keys': 'admin',
+  'DELETE /api/keys/:id': 'admin',
+
+  // 規格
+  'POST /api/generate': 'generate',
+  'GET /api/schemas/specification.json': 'public',
+  'GET /api/spec/stats': 'stats',
+  'GET /api/spec/:id': 'history',
+  'PUT /api/spec/:id': 'generate',
+  'POST /api/spec/:id/regenerate': 'generate',
+  'GET /api/spec/:id/versions': 'history',
+  'GET /api/spec/:id/versions/:version': 'history',
+  'POST /api/spec/:id/versions/:version/restore': 'generate',
+  'GET /api/spec/:id/diff': 'history',
+  'GET /api/spec/:id/sections': 'history',
+  'POST /api/spec/:id/sections/:anchor/refine': 'generate',
+  'GET /api/spec/:id/chat': 'history',
+  'POST /api/spec/:id/chat': 'generate',
+  'POST /api/spec/:id/chat/:messageId/accept': 'generate',
+  'PUT /api/spec/:id/project': 'generate',
+  'PUT /api/spec/:id/tags': 'generate',
+  'POST /api/spec/:id/push': 'generate',
+  'GET /api/spec/:id/sharing': 'history',
+  'PUT /api/spec/:id/visibility': 'generate',
+  'POST /api/spec/:id/shares': 'generate',
+  'DELETE /api/spec/:id/shares/:userId': 'generate',
+  'GET /api/integrations': 'history',
+  'GET /api/download/:id': 'history',
+
+  // 生成工作
+  'GET /api/jobs/stats': 'stats',
+  'GET /api/jobs/:id': 'history',
+  'GET /api/jobs/:id/stream': 'history',
+  'DELETE /api/jobs/:id': 'generate',
+
+  // 提示範本、專案與標籤
+  'GET /api/templates': 'history',
+  'GET /api/templates/:id': 'history',
+  'POST /api/templates': 'generate',
+  'PUT /api/templates/:id': 'generate',
+  'DELETE /api/templates/:id': 'delete',
+  'GET /api/projects': 'history',
+  'GET /api/projects/:id': 'history',
+  'POST /api/projects': 'generate',
+  'PUT /api/projects/:id': 'generate',
+  'DELETE /api/projects/:id': 'delete',
+  'GET /api/tags': 'history',
+  'POST /api/tags': 'generate',
+  'PUT /api/tags/:id': 'generate',
+  'DELETE /api/tags/:id': 'delete',
+
+  // 歷史記錄
+  'GET /api/history': 'history',
+  'DELETE /api/history/:id': 'delete',
+  'GET /api/history/stats': 'history',
+  'GET /api/history/performance': 'admin',
+  'GET /api/history/search': 'history',
+  'DELETE /api/history/bulk': 'delete',
+
+  // 規格庫匯出與匯入
+  'GET /api/export': 'history',
+  'POST /api/import': 'generate',
+
+  // Webhook（會收到所有規格的事件，因此不與規格權限共用）
+  'GET /api/webhooks': 'webhooks',
+  'POST /api/webhooks': 'webhooks',
+  'GET /api/webhooks/:id': 'webhooks',
+  'PUT /api/webhooks/:id': 'webhooks',
+  'DELETE /api/webhooks/:id': 'webhooks',
+  'POST /api/webhooks/:id/ping': 'webhooks',
+  'GET /api/webhooks/:id/deliveries': 'webhooks',
+
+  // 健康檢查與監控（/health、/ready、/live 供負載平衡器與容器探測使用）
+  'GET /api/health': 'public',
+  'GET /api/gemini/health': 'stats',
+  'GET /api/gemini/auth-status': 'public',
+  'GET /api/database/health': 'stats',
+  'GET /api/websocket/health': 'stats',
+  'GET /api/ready': 'public',
+  'GET /api/live': 'public',
+  'GET /api/metrics': 'stats',
+  'POST /api/health/clear-cache': 'admin',
+
+  // 文件與開發環境測試
+  'GET /api/docs': 'public',
+  'GET /api/history-test': 'public'
 };
 
 // 安全配置
@@ -38,6 +608,8 @@ export const SECURITY_CONFIG = {
       ? ['http://localhost:3000', 'http://localhost:5173'] 
       : process.env.ALLOWED_ORIGINS?.split(',') || false,
     credentials: true,
+    // 讓跨來源的前端讀取輪換後的 CSRF 權杖
+    exposedHeaders: ['X-CSRF-Token'],
     optionsSuccessStatus: 200
   },
   
@@ -90,11 +662,24 @@ export const SECURITY_CONFIG = {
   // 生成端點專用速率限制
   generateRateLimit: {
     windowMs: 5 * 60 * 1000, // 5 分鐘
-    max: SERVER_CONFIG.nodeEnv === 'development' ? 100 : 10,
+    // 執行 test-api.js 等大量生成請求時可用 GENERATE_RATE_LIMIT_MAX 調高
+    max: parseInt(process.env.GENERATE_RATE_LIMIT_MAX, 10) || (SERVER_CONFIG.nodeEnv === 'development' ? 100 : 10),
     message: {
       error: 'Too many generation requests, please try again later.',
       retryAfter: '5 minutes'
     }
+  },
+
+  // 登入、註冊與密碼重設（防止暴力破解）
+  authRateLimit: {
+    windowMs: 15 * 60 * 1000, // 15 分鐘
+    max: SERVER_CONFIG.nodeEnv === 'development' ? 100 : 20,
+    message: {
+      error: 'Too many authentication attempts, please try again later.',
+      retryAfter: '15 minutes'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
   }
 };
 
@@ -167,6 +752,40 @@ export const MONITORING_CONFIG = {
   }]
 };
 
+// 提示範本變數定義
+const templateVariableSchema = Joi.object({
+  name: Joi.string().pattern(PROMPT_TEMPLATE_CONFIG.variablePattern).required(),
+  description: Joi.string().max(200).allow('').default(''),
+  default: Joi.string().max(PROMPT_TEMPLATE_CONFIG.maxVariableValueLength).allow('').default(''),
+  required: Joi.boolean().default(false)
+});
+
+// 生成時選擇的範本（ID 或名稱）與變數值
+const templateReferenceSchema = Joi.alternatives().try(
+  Joi.number().integer().min(1),
+  Joi.string().pattern(PROMPT_TEMPLATE_CONFIG.namePattern)
+);
+
+const templateValuesSchema = Joi.object()
+  .pattern(
+    Joi.string().pattern(PROMPT_TEMPLATE_CONFIG.variablePattern),
+    Joi.string().max(PROMPT_TEMPLATE_CONFIG.maxVariableValueLength).allow('')
+  )
+  .max(PROMPT_TEMPLATE_CONFIG.maxVariables);
+
+// 使用者帳號欄位
+const usernameSchema = Joi.string().pattern(AUTH_CONFIG.usernamePattern).messages({
+  'string.pattern.base': 'Username must be 3-50 letters, digits, dots, underscores or hyphens'
+});
+const passwordSchema = Joi.string().min(AUTH_CONFIG.minPasswordLength).max(AUTH_CONFIG.maxPasswordLength);
+// 角色保存在資料庫，是否存在由 roleService 檢查
+const roleSchema = Joi.string().pattern(RBAC_CONFIG.namePattern).messages({
+  'string.pattern.base': 'Role must be 2-40 lowercase letters, digits or hyphens, starting with a letter'
+});
+const permissionsSchema = Joi.array()
+  .items(Joi.string().valid(...Object.keys(RBAC_CONFIG.permissions)))
+  .unique();
+
 // Joi 驗證 schema
 export const VALIDATION_SCHEMAS = {
   generateIdea: {
@@ -174,7 +793,222 @@ export const VALIDATION_SCHEMAS = {
       'string.min': 'Idea must be at least 10 characters long',
       'string.max': 'Idea cannot exceed 5000 characters',
       'any.required': 'Idea is required'
-    })
+    }),
+    template: templateReferenceSchema.optional(),
+    variables: templateValuesSchema.optional(),
+    language: Joi.string().valid(...Object.keys(OUTPUT_LANGUAGES)).optional()
+  },
+  
+  regenerateSpec: {
+    template: templateReferenceSchema.optional(),
+    variables: templateValuesSchema.optional(),
+    language: Joi.string().valid(...Object.keys(OUTPUT_LANGUAGES)).optional()
+  },
+  
+  updateSpec: {
+    generatedSpec: Joi.string().trim().min(1).max(SPEC_EDIT_CONFIG.maxLength).required(),
+    baseVersion: Joi.number().integer().min(0).optional()
+  },
+  
+  refineSection: {
+    instructions: Joi.string().trim().max(SPEC_EDIT_CONFIG.maxRefineInstructionsLength).allow('').optional()
+  },
+  
+  chatMessage: {
+    message: Joi.string().trim().min(2).max(CHAT_CONFIG.maxMessageLength).required()
+  },
+  
+  createProject: {
+    name: Joi.string().trim().min(1).max(ORGANIZATION_CONFIG.maxProjectNameLength).required(),
+    description: Joi.string().trim().max(ORGANIZATION_CONFIG.maxProjectDescriptionLength).allow('').default(''),
+    color: Joi.string().pattern(ORGANIZATION_CONFIG.colorPattern).allow(null).default(null)
+  },
+  
+  updateProject: {
+    name: Joi.string().trim().min(1).max(ORGANIZATION_CONFIG.maxProjectNameLength),
+    description: Joi.string().trim().max(ORGANIZATION_CONFIG.maxProjectDescriptionLength).allow(''),
+    color: Joi.string().pattern(ORGANIZATION_CONFIG.colorPattern).allow(null)
+  },
+  
+  createTag: {
+    name: Joi.string().trim().min(1).max(ORGANIZATION_CONFIG.maxTagLength).pattern(ORGANIZATION_CONFIG.tagPattern).required(),
+    color: Joi.string().pattern(ORGANIZATION_CONFIG.colorPattern).allow(null).default(null)
+  },
+  
+  updateTag: {
+    name: Joi.string().trim().min(1).max(ORGANIZATION_CONFIG.maxTagLength).pattern(ORGANIZATION_CONFIG.tagPattern),
+    color: Joi.string().pattern(ORGANIZATION_CONFIG.colorPattern).allow(null)
+  },
+  
+  specProject: {
+    projectId: Joi.number().integer().min(1).allow(null).required()
+  },
+  
+  specTags: {
+    tags: Joi.array()
+      .items(Joi.string().trim().min(1).max(ORGANIZATION_CONFIG.maxTagLength).pattern(ORGANIZATION_CONFIG.tagPattern))
+      .max(ORGANIZATION_CONFIG.maxTagsPerSpec)
+      .required()
+  },
+
+  specVisibility: {
+    visibility: Joi.string().valid(...SPEC_ACCESS_CONFIG.visibilities).required()
+  },
+
+  shareSpec: {
+    username: Joi.string().trim().min(1).max(254).required(),
+    permission: Joi.string().valid(...SPEC_ACCESS_CONFIG.sharePermissions).default('view')
+  },
+
+  createWebhook: {
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).required(),
+    events: Joi.array().items(Joi.string().valid(...WEBHOOK_CONFIG.events)).min(1).unique().required(),
+    secret: Joi.string().min(16).max(200).optional(),
+    description: Joi.string().max(500).allow('').default(''),
+    active: Joi.boolean().default(true)
+  },
+
+  updateWebhook: {
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+    events: Joi.array().items(Joi.string().valid(...WEBHOOK_CONFIG.events)).min(1).unique(),
+    secret: Joi.string().min(16).max(200),
+    description: Joi.string().max(500).allow(''),
+    active: Joi.boolean()
+  },
+
+  webhookDeliveriesQuery: {
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid(...WEBHOOK_CONFIG.deliveryStatuses).optional()
+  },
+
+  register: {
+    username: usernameSchema.required(),
+    password: passwordSchema.required(),
+    email: Joi.string().email().max(254).allow(null).default(null),
+    displayName: Joi.string().max(100).allow('', null).default(null),
+    inviteToken: Joi.string().hex().length(64).optional()
+  },
+
+  changePassword: {
+    currentPassword: Joi.string().max(AUTH_CONFIG.maxPasswordLength).required(),
+    newPassword: passwordSchema.required()
+  },
+
+  passwordResetRequest: {
+    username: Joi.string().max(254).required()
+  },
+
+  passwordReset: {
+    token: Joi.string().hex().length(64).required(),
+    newPassword: passwordSchema.required()
+  },
+
+  createUser: {
+    username: usernameSchema.required(),
+    password: passwordSchema.required(),
+    email: Joi.string().email().max(254).allow(null).default(null),
+    displayName: Joi.string().max(100).allow('', null).default(null),
+    role: roleSchema.default(AUTH_CONFIG.defaultRole),
+    active: Joi.boolean().default(true)
+  },
+
+  updateUser: {
+    email: Joi.string().email().max(254).allow(null),
+    displayName: Joi.string().max(100).allow('', null),
+    role: roleSchema,
+    active: Joi.boolean()
+  },
+
+  createInvite: {
+    email: Joi.string().email().max(254).allow(null).default(null),
+    role: roleSchema.default(AUTH_CONFIG.defaultRole),
+    expiresInHours: Joi.number().integer().min(1).max(30 * 24).optional()
+  },
+
+  createApiKey: {
+    name: Joi.string().trim().min(1).max(API_KEY_CONFIG.maxNameLength).required(),
+    scopes: Joi.array()
+      .items(Joi.string().valid(...Object.keys(API_KEY_CONFIG.scopes)))
+      .min(1)
+      .unique()
+      .required(),
+    rateLimit: Joi.number().integer().min(1).max(API_KEY_CONFIG.maxRateLimit).default(API_KEY_CONFIG.defaultRateLimit),
+    // null 表示永不過期
+    expiresAt: Joi.date().iso().greater('now').allow(null).optional()
+  },
+
+  createRole: {
+    name: roleSchema.required(),
+    description: Joi.string().trim().max(RBAC_CONFIG.maxDescriptionLength).allow('').default(''),
+    permissions: permissionsSchema.required()
+  },
+
+  updateRole: {
+    description: Joi.string().trim().max(RBAC_CONFIG.maxDescriptionLength).allow(''),
+    permissions: permissionsSchema
+  },
+
+  pushSpec: {
+    target: Joi.string().valid(...INTEGRATION_CONFIG.targets).required(),
+    dryRun: Joi.boolean().default(false)
+  },
+
+  // 匯入封存檔的 manifest.json；specs 逐筆以 archiveSpec 驗證，單筆錯誤不影響其他規格
+  archiveManifest: {
+    formatVersion: Joi.number().integer().min(1).max(ARCHIVE_CONFIG.formatVersion).required(),
+    exportedAt: Joi.date().iso().optional(),
+    projects: Joi.array().items(Joi.object({
+      name: Joi.string().trim().min(1).max(ORGANIZATION_CONFIG.maxProjectNameLength).required(),
+      description: Joi.string().trim().max(ORGANIZATION_CONFIG.maxProjectDescriptionLength).allow('', null).default(''),
+      color: Joi.string().pattern(ORGANIZATION_CONFIG.colorPattern).allow(null).default(null)
+    }).unknown(true)).default([]),
+    tags: Joi.array().items(Joi.object({
+      name: Joi.string().trim().min(1).max(ORGANIZATION_CONFIG.maxTagLength).pattern(ORGANIZATION_CONFIG.tagPattern).required(),
+      color: Joi.string().pattern(ORGANIZATION_CONFIG.colorPattern).allow(null).default(null)
+    }).unknown(true)).default([]),
+    specs: Joi.array().items(Joi.object().unknown(true)).max(ARCHIVE_CONFIG.maxImportEntries).required()
+  },
+
+  archiveSpec: {
+    id: Joi.number().integer().min(1).required(),
+    file: Joi.string().max(255).required(),
+    sha256: Joi.string().hex().length(64).optional(),
+    userInput: Joi.string().min(1).required(),
+    status: Joi.string().required(),
+    language: Joi.string().valid(...Object.keys(OUTPUT_LANGUAGES)).allow(null).default(null),
+    template: Joi.string().max(100).allow(null).default(null),
+    templateVariables: templateValuesSchema.allow(null).default(null),
+    project: Joi.string().trim().min(1).max(ORGANIZATION_CONFIG.maxProjectNameLength).allow(null).default(null),
+    tags: Joi.array()
+      .items(Joi.string().trim().min(1).max(ORGANIZATION_CONFIG.maxTagLength).pattern(ORGANIZATION_CONFIG.tagPattern))
+      .max(ORGANIZATION_CONFIG.maxTagsPerSpec)
+      .default([]),
+    processingTimeMs: Joi.number().integer().min(0).allow(null).default(null),
+    lastEditedBy: Joi.string().max(100).allow(null).default(null),
+    lastEditedAt: Joi.date().iso().allow(null).default(null),
+    createdAt: Joi.date().iso().allow(null).default(null),
+    updatedAt: Joi.date().iso().allow(null).default(null),
+    currentVersion: Joi.number().integer().min(0).optional(),
+    versions: Joi.array().optional()
+  },
+
+  createTemplate: {
+    name: Joi.string().pattern(PROMPT_TEMPLATE_CONFIG.namePattern).required().messages({
+      'string.pattern.base': 'Name must be 2-50 lowercase letters, digits or hyphens'
+    }),
+    title: Joi.string().min(1).max(100).required(),
+    description: Joi.string().max(500).allow('').default(''),
+    body: Joi.string().min(10).max(PROMPT_TEMPLATE_CONFIG.maxBodyLength).required(),
+    variables: Joi.array().items(templateVariableSchema).max(PROMPT_TEMPLATE_CONFIG.maxVariables).default([]),
+    language: Joi.string().valid(...Object.keys(OUTPUT_LANGUAGES)).default(DEFAULT_OUTPUT_LANGUAGE)
+  },
+  
+  updateTemplate: {
+    title: Joi.string().min(1).max(100),
+    description: Joi.string().max(500).allow(''),
+    body: Joi.string().min(10).max(PROMPT_TEMPLATE_CONFIG.maxBodyLength),
+    variables: Joi.array().items(templateVariableSchema).max(PROMPT_TEMPLATE_CONFIG.maxVariables),
+    language: Joi.string().valid(...Object.keys(OUTPUT_LANGUAGES))
   },
   
   historyQuery: {
@@ -218,33 +1052,389 @@ export const SUCCESS_MESSAGES = {
 
 // API 端點資訊
 export const API_ENDPOINTS = {
+  'POST /api/auth/login': {
+    description: 'Sign in with a username or email; sets an HttpOnly session cookie and returns sessionId for the X-Session-ID header',
+    body: { username: 'string (username or email)', password: 'string' }
+  },
+  'POST /api/auth/logout': {
+    description: 'Revoke the current session; returns a new csrfToken for the signed-out browser'
+  },
+  'GET /api/auth/csrf-token': {
+    description: 'Get a CSRF token bound to the session cookie (or to an anonymous csrfId cookie before login), also sent as the X-CSRF-Token header. Browsers send it as X-CSRF-Token on POST, PUT, PATCH and DELETE; login and registration return a new one'
+  },
+  'GET /api/auth/user': {
+    description: 'Current user and session'
+  },
+  'POST /api/auth/register': {
+    description: 'Register an account and sign in; AUTH_REGISTRATION=invite (default) requires an invite token, closed disables registration',
+    body: {
+      username: 'string (3-50 letters, digits, dots, underscores, hyphens)',
+      password: `string (${AUTH_CONFIG.minPasswordLength}-${AUTH_CONFIG.maxPasswordLength} chars)`,
+      email: 'string (optional; must match the invitation when it names an email)',
+      displayName: 'string (optional)',
+      inviteToken: 'string (invite token from POST /api/admin/invites)'
+    }
+  },
+  'POST /api/auth/password': {
+    description: 'Change the signed-in user\'s password; other sessions of the user are revoked',
+    body: { currentPassword: 'string', newPassword: 'string' }
+  },
+  'POST /api/auth/password-reset/request': {
+    description: 'Request a password reset; the token is written to the server log. Always responds 202',
+    body: { username: 'string (username or email)' }
+  },
+  'POST /api/auth/password-reset': {
+    description: 'Set a new password with a reset token; all sessions of the user are revoked',
+    body: { token: 'string', newPassword: 'string' }
+  },
+  'GET /api/admin/users': {
+    description: 'List user accounts (admin)'
+  },
+  'POST /api/admin/users': {
+    description: 'Create a user account (admin)',
+    body: {
+      username: 'string',
+      password: 'string',
+      email: 'string (optional)',
+      displayName: 'string (optional)',
+      role: `string (optional, see GET /api/admin/roles; default ${AUTH_CONFIG.defaultRole})`,
+      active: 'boolean (optional, default true)'
+    }
+  },
+  'GET /api/admin/users/:id': {
+    description: 'Get a user account (admin)',
+    params: { id: 'integer' }
+  },
+  'PUT /api/admin/users/:id': {
+    description: 'Update role, active flag, email or display name (admin); deactivating revokes the user\'s sessions. The last active admin cannot be demoted or deactivated',
+    params: { id: 'integer' }
+  },
+  'DELETE /api/admin/users/:id': {
+    description: 'Delete a user account and its sessions (admin)',
+    params: { id: 'integer' }
+  },
+  'POST /api/admin/users/:id/password-reset': {
+    description: 'Create a password reset token for a user (admin); the token is returned once',
+    params: { id: 'integer' }
+  },
+  'GET /api/admin/roles': {
+    description: 'List roles with their permissions and user counts, and the permissions that can be assigned (admin)'
+  },
+  'POST /api/admin/roles': {
+    description: 'Create a custom role (admin)',
+    body: {
+      name: 'string (2-40 lowercase letters, digits or hyphens)',
+      description: 'string (optional)',
+      permissions: `array (${Object.keys(RBAC_CONFIG.permissions).join(', ')})`
+    }
+  },
+  'GET /api/admin/roles/:name': {
+    description: 'Get a role (admin)',
+    params: { name: 'string' }
+  },
+  'PUT /api/admin/roles/:name': {
+    description: 'Update the description or permissions of a role (admin); changes apply to existing sessions immediately. The admin role\'s permissions cannot be changed',
+    params: { name: 'string' },
+    body: {
+      description: 'string (optional)',
+      permissions: 'array (optional)'
+    }
+  },
+  'DELETE /api/admin/roles/:name': {
+    description: 'Delete a custom role that is not assigned to any user or pending invitation (admin)',
+    params: { name: 'string' }
+  },
+  'GET /api/admin/invites': {
+    description: 'List pending invitations (admin)'
+  },
+  'POST /api/admin/invites': {
+    description: 'Create an invitation (admin); the token is returned once',
+    body: {
+      email: 'string (optional, restricts the invitation to this address)',
+      role: `string (optional, see GET /api/admin/roles; default ${AUTH_CONFIG.defaultRole})`,
+      expiresInHours: 'integer (optional, 1-720; default AUTH_INVITE_TTL_HOURS)'
+    }
+  },
+  'DELETE /api/admin/invites/:id': {
+    description: 'Revoke an invitation (admin)',
+    params: { id: 'integer' }
+  },
+  'GET /api/keys': {
+    description: 'List API keys with their scopes, expiry and usage; the keys themselves are never returned (admin)'
+  },
+  'POST /api/keys': {
+    description: 'Create an API key (admin); the key is returned once. Send it as X-API-Key or Authorization: Bearer',
+    body: {
+      name: 'string',
+      scopes: `array (${Object.keys(API_KEY_CONFIG.scopes).join(', ')})`,
+      rateLimit: `integer (optional, requests per minute; default ${API_KEY_CONFIG.defaultRateLimit})`,
+      expiresAt: `ISO date (optional, default ${API_KEY_CONFIG.defaultTtlDays} days; null never expires)`
+    }
+  },
+  'DELETE /api/keys/:id': {
+    description: 'Revoke an API key (admin)',
+    params: { id: 'integer' }
+  },
   'POST /api/generate': {
-    description: 'Generate specification from idea using Gemini CLI',
-    body: { idea: 'string (10-5000 chars)' },
+    description: 'Queue specification generation using the configured LLM provider (LLM_PROVIDER); responds 202 with a jobId',
+    body: {
+      idea: 'string (10-5000 chars)',
+      template: 'string | integer (optional template name or ID, default: software-spec)',
+      variables: 'object (optional template variable values)',
+      language: `string (optional: ${Object.keys(OUTPUT_LANGUAGES).join(', ')}; default: template language)`
+    },
     rateLimit: '10 requests per 5 minutes'
   },
+  'GET /api/jobs/:id': {
+    description: 'Get generation job status, queue position and result',
+    params: { id: 'string (job-<recordId>)' }
+  },
+  'GET /api/jobs/:id/stream': {
+    description: 'Server-Sent Events stream of job-update and job-chunk events (raw model output as it is generated)',
+    params: { id: 'string (job-<recordId>)' }
+  },
+  'DELETE /api/jobs/:id': {
+    description: 'Cancel a queued or running generation job',
+    params: { id: 'string (job-<recordId>)' }
+  },
   'GET /api/history': {
-    description: 'Get paginated history with optional search',
+    description: 'Get paginated history of the specifications visible to the caller, with optional full-text search (ranked results with highlighted snippets)',
     query: {
       page: 'number (default: 1)',
       limit: 'number (1-100, default: 20)',
-      search: 'string (optional)'
+      search: 'string (optional, all words must match)'
     }
   },
   'GET /api/spec/:id': {
-    description: 'Get specific specification by ID',
+    description: 'Get specific specification by ID; format=json returns the structured specification (completed specs only)',
+    params: { id: 'integer' },
+    query: { format: `string (optional: ${STRUCTURED_SPEC_CONFIG.formats.join(', ')})` }
+  },
+  'GET /api/schemas/specification.json': {
+    description: 'JSON Schema of the structured specification'
+  },
+  'PUT /api/spec/:id': {
+    description: 'Save an edited specification as a new version (records the editor)',
+    params: { id: 'integer' },
+    body: {
+      generatedSpec: `string (required, markdown, max ${SPEC_EDIT_CONFIG.maxLength} chars)`,
+      baseVersion: 'integer (optional, version the edit is based on; 409 if the spec has changed since)'
+    }
+  },
+  'POST /api/spec/:id/regenerate': {
+    description: 'Queue regeneration of a specification; the result is saved as a new version (202 + jobId)',
+    params: { id: 'integer' },
+    body: {
+      template: 'integer | string (optional, default: template of the previous generation)',
+      variables: 'object (optional, default: previous values)',
+      language: `string (optional: ${Object.keys(OUTPUT_LANGUAGES).join(', ')}; default: previous language)`
+    }
+  },
+  'GET /api/spec/:id/versions': {
+    description: 'List versions of a specification (without content)',
     params: { id: 'integer' }
   },
-  'GET /api/download/:id': {
-    description: 'Download specification as Markdown file',
+  'GET /api/spec/:id/versions/:version': {
+    description: 'Get the content of a specific version',
+    params: { id: 'integer', version: 'integer' }
+  },
+  'POST /api/spec/:id/versions/:version/restore': {
+    description: 'Restore an older version as the current specification',
+    params: { id: 'integer', version: 'integer' }
+  },
+  'GET /api/spec/:id/diff': {
+    description: 'Line- and section-level diff between two versions of a specification',
+    params: { id: 'integer' },
+    query: {
+      from: 'integer (optional, default: version before "to")',
+      to: 'integer (optional, default: current version)'
+    }
+  },
+  'GET /api/spec/:id/sections': {
+    description: 'List the headings of the current version with their anchors',
     params: { id: 'integer' }
   },
+  'POST /api/spec/:id/sections/:anchor/refine': {
+    description: 'Queue regeneration of a single section; other sections are kept and the result is saved as a new version (202 + jobId)',
+    params: { id: 'integer', anchor: 'string (from GET /api/spec/:id/sections)' },
+    body: {
+      instructions: `string (optional, max ${SPEC_EDIT_CONFIG.maxRefineInstructionsLength} chars)`
+    }
+  },
+  'GET /api/spec/:id/chat': {
+    description: 'List the conversation attached to a specification (oldest first)',
+    params: { id: 'integer' }
+  },
+  'POST /api/spec/:id/chat': {
+    description: 'Ask about or request changes to a specification; the spec and recent messages are sent as context. The reply may include a proposed revision',
+    params: { id: 'integer' },
+    body: {
+      message: `string (required, 2-${CHAT_CONFIG.maxMessageLength} chars)`
+    }
+  },
+  'POST /api/spec/:id/chat/:messageId/accept': {
+    description: 'Save the revision proposed by an assistant message as a new version (409 if the spec changed since the proposal)',
+    params: { id: 'integer', messageId: 'integer' }
+  },
+  'GET /api/projects': {
+    description: 'List projects with the number of specifications in each'
+  },
+  'POST /api/projects': {
+    description: 'Create a project (names are unique, case-insensitive)',
+    body: { name: 'string (1-100 chars)', description: 'string (optional)', color: 'string (optional, #rrggbb)' }
+  },
+  'PUT /api/projects/:id': {
+    description: 'Rename or update a project',
+    params: { id: 'integer' },
+    body: { name: 'string (optional)', description: 'string (optional)', color: 'string|null (optional)' }
+  },
+  'DELETE /api/projects/:id': {
+    description: 'Delete a project; its specifications become unassigned',
+    params: { id: 'integer' }
+  },
+  'GET /api/tags': {
+    description: 'List tags with the number of specifications using each'
+  },
+  'POST /api/tags': {
+    description: 'Create a tag (names are unique, case-insensitive)',
+    body: { name: 'string (1-40 chars, no commas)', color: 'string (optional, #rrggbb)' }
+  },
+  'PUT /api/tags/:id': {
+    description: 'Rename or recolor a tag',
+    params: { id: 'integer' },
+    body: { name: 'string (optional)', color: 'string|null (optional)' }
+  },
+  'DELETE /api/tags/:id': {
+    description: 'Delete a tag and remove it from all specifications',
+    params: { id: 'integer' }
+  },
+  'PUT /api/spec/:id/project': {
+    description: 'Move a specification into a project (null removes it from its project)',
+    params: { id: 'integer' },
+    body: { projectId: 'integer|null' }
+  },
+  'PUT /api/spec/:id/tags': {
+    description: 'Replace the tags of a specification; unknown tag names are created',
+    params: { id: 'integer' },
+    body: { tags: 'string[] (max 20)' }
+  },
+  'GET /api/spec/:id/sharing': {
+    description: 'Get the owner, visibility and user shares of a specification (owner or admin)',
+    params: { id: 'integer' }
+  },
+  'PUT /api/spec/:id/visibility': {
+    description: 'Make a specification private or visible to all signed-in users (owner or admin)',
+    params: { id: 'integer' },
+    body: { visibility: `string (${SPEC_ACCESS_CONFIG.visibilities.join(', ')})` }
+  },
+  'POST /api/spec/:id/shares': {
+    description: 'Share a specification with a user or change their permission (owner or admin)',
+    params: { id: 'integer' },
+    body: {
+      username: 'string (username or email)',
+      permission: `string (optional: ${SPEC_ACCESS_CONFIG.sharePermissions.join(', ')}; default view)`
+    }
+  },
+  'DELETE /api/spec/:id/shares/:userId': {
+    description: 'Stop sharing a specification with a user (owner or admin)',
+    params: { id: 'integer', userId: 'integer' }
+  },
+  'GET /api/download/:id': {
+    description: 'Download specification as Markdown, HTML, PDF or Word file with a title page',
+    params: { id: 'integer' },
+    query: { format: 'string (optional: markdown, html, pdf, docx; default: markdown)' }
+  },
   'DELETE /api/history/:id': {
     description: 'Delete specific history entry',
     params: { id: 'integer' }
   },
+  'GET /api/export': {
+    description: 'Download the whole specification library as a ZIP archive (one Markdown file per spec plus manifest.json)'
+  },
+  'POST /api/import': {
+    description: 'Import a ZIP archive produced by GET /api/export; the request body is the raw archive (Content-Type: application/zip)',
+    query: {
+      onDuplicate: 'string (optional: skip, import; default: skip)',
+      dryRun: 'boolean (optional, report without writing)'
+    }
+  },
+  'GET /api/integrations': {
+    description: 'List push targets (github, gitlab, git) and whether each one is configured'
+  },
+  'POST /api/spec/:id/push': {
+    description: 'Push functional requirements as issues and development phases as epics to GitHub/GitLab, or commit the spec Markdown into a local git repository',
+    params: { id: 'integer' },
+    body: {
+      target: 'string (required: github, gitlab, git)',
+      dryRun: 'boolean (optional, preview the items without sending them)'
+    }
+  },
+  'GET /api/webhooks': {
+    description: 'List registered webhooks (secrets are not returned)'
+  },
+  'POST /api/webhooks': {
+    description: 'Register a webhook; the signing secret is returned once',
+    body: {
+      url: 'string (http or https URL)',
+      events: 'string[] (job.completed, job.failed, spec.updated, spec.deleted)',
+      secret: 'string (optional, 16-200 chars; generated when omitted)',
+      description: 'string (optional)',
+      active: 'boolean (optional, default true)'
+    }
+  },
+  'GET /api/webhooks/:id': {
+    description: 'Get a webhook',
+    params: { id: 'integer' }
+  },
+  'PUT /api/webhooks/:id': {
+    description: 'Update a webhook',
+    params: { id: 'integer' },
+    body: { url: 'string', events: 'string[]', secret: 'string', description: 'string', active: 'boolean' }
+  },
+  'DELETE /api/webhooks/:id': {
+    description: 'Delete a webhook and its delivery log',
+    params: { id: 'integer' }
+  },
+  'POST /api/webhooks/:id/ping': {
+    description: 'Send a signed ping event to the webhook',
+    params: { id: 'integer' }
+  },
+  'GET /api/webhooks/:id/deliveries': {
+    description: 'Delivery log of a webhook, newest first',
+    params: { id: 'integer' },
+    query: {
+      limit: 'integer (optional, 1-100, default 20)',
+      status: 'string (optional: pending, succeeded, failed)'
+    }
+  },
+  'GET /api/templates': {
+    description: 'List prompt templates (built-in and custom)'
+  },
+  'GET /api/templates/:id': {
+    description: 'Get a prompt template by ID or name',
+    params: { id: 'integer | string (template name)' }
+  },
+  'POST /api/templates': {
+    description: 'Create a custom prompt template; body must contain {{idea}} and may use {{language}} and declared variables',
+    body: {
+      name: 'string (unique, lowercase letters, digits, hyphens)',
+      title: 'string (1-100 chars)',
+      description: 'string (optional)',
+      body: 'string (10-5000 chars)',
+      variables: 'array of { name, description, default, required } (optional)',
+      language: `string (${Object.keys(OUTPUT_LANGUAGES).join(', ')})`
+    }
+  },
+  'PUT /api/templates/:id': {
+    description: 'Update a custom prompt template (built-in templates are read-only)',
+    params: { id: 'integer' }
+  },
+  'DELETE /api/templates/:id': {
+    description: 'Delete a custom prompt template',
+    params: { id: 'integer' }
+  },
   'GET /api/health': {
-    description: 'Health check and system status'
+    description: 'Health check and system status, including the active LLM provider'
   },
   'GET /api/gemini/health': {
     description: 'Gemini CLI service health check'
@@ -261,6 +1451,8 @@ export const WEBSOCKET_EVENTS = {
   SUBSCRIBE_JOB: 'subscribe-job',
   UNSUBSCRIBE_JOB: 'unsubscribe-job',
   JOB_UPDATE: 'job-update',
+  JOB_CHUNK: 'job-chunk',
+  CANCEL_JOB: 'cancel-job',
   ERROR: 'error'
 };
 
@@ -269,7 +1461,8 @@ export const JOB_STATUSES = {
   PENDING: 'pending',
   PROCESSING: 'processing', 
   COMPLETED: 'completed',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
 };
 
 // 環境檢測輔助函數
@@ -285,6 +1478,11 @@ export function validateConfig() {
     console.warn('Missing optional environment variables:', missingVars.join(', '));
   }
   
+  // 驗證 LLM 提供者
+  if (!Object.values(LLM_PROVIDERS).includes(LLM_CONFIG.provider)) {
+    throw new Error(`Invalid LLM_PROVIDER configuration: ${LLM_CONFIG.provider}`);
+  }
+  
   // 驗證端口號
   if (isNaN(SERVER_CONFIG.port) || SERVER_CONFIG.port < 1 || SERVER_CONFIG.port > 65535) {
     throw new Error('Invalid PORT configuration');
@@ -297,6 +1495,27 @@ export function validateConfig() {
 export default {
   SERVER_CONFIG,
   DATABASE_CONFIG,
+  LLM_PROVIDERS,
+  LLM_CONFIG,
+  JOB_QUEUE_CONFIG,
+  OUTPUT_LANGUAGES,
+  DEFAULT_OUTPUT_LANGUAGE,
+  PROMPT_TEMPLATE_CONFIG,
+  SPEC_EDIT_CONFIG,
+  CHAT_CONFIG,
+  ORGANIZATION_CONFIG,
+  SPEC_ACCESS_CONFIG,
+  EXPORT_CONFIG,
+  ARCHIVE_CONFIG,
+  INTEGRATION_CONFIG,
+  STRUCTURED_SPEC_CONFIG,
+  QUALITY_CONFIG,
+  WEBHOOK_CONFIG,
+  AUTH_CONFIG,
+  CSRF_CONFIG,
+  API_KEY_CONFIG,
+  RBAC_CONFIG,
+  ROUTE_PERMISSIONS,
   SECURITY_CONFIG,
   WEBSOCKET_CONFIG,
   LOGGING_CONFIG,
@@ -0,0 +1,115 @@
+/**
+ * 結構化規格的 JSON Schema（draft-07）
+ * 由 GET /api/schemas/specification.json 公開；伺服器保存結構化規格前以此驗證
+ */
+
+import { STRUCTURED_SPEC_CONFIG } from './serverConfig.js';
+
+const nullableString = { type: ['string', 'null'] };
+const priority = { enum: ['high', 'medium', 'low', null] };
+
+export const SPEC_JSON_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Structured specification',
+  description: 'Machine-readable data derived from the Markdown specification. Lists are empty when the specification has no matching section.',
+  type: 'object',
+  required: ['schemaVersion', 'title', 'overview', 'features', 'techStack', 'phases', 'risks', 'sources'],
+  additionalProperties: false,
+  properties: {
+    schemaVersion: { const: STRUCTURED_SPEC_CONFIG.schemaVersion },
+    specId: { type: 'integer', minimum: 1 },
+    version: { type: ['integer', 'null'], minimum: 1 },
+    language: nullableString,
+    idea: { type: 'string' },
+    updatedAt: { ...nullableString, description: 'ISO 8601 time of the last change' },
+    title: { ...nullableString, description: 'Document title, without the generated header' },
+    overview: {
+      type: 'object',
+      required: ['summary', 'markdown'],
+      additionalProperties: false,
+      properties: {
+        summary: { type: 'string', description: 'First paragraph of the overview as plain text' },
+        markdown: { type: 'string', description: 'The whole overview section' }
+      }
+    },
+    features: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'description', 'module', 'priority'],
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          module: { ...nullableString, description: 'Subsection the feature belongs to' },
+          priority: { ...priority, description: 'Only set when the specification states a priority' }
+        }
+      }
+    },
+    techStack: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'name', 'details'],
+        additionalProperties: false,
+        properties: {
+          category: { ...nullableString, description: 'For example Frontend or Database' },
+          name: { type: 'string', minLength: 1 },
+          details: { type: 'string' }
+        }
+      }
+    },
+    phases: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'duration', 'durationWeeks', 'tasks', 'deliverables'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          duration: { ...nullableString, description: 'Duration as written, for example "2-4 weeks"' },
+          durationWeeks: {
+            type: ['object', 'null'],
+            required: ['min', 'max'],
+            additionalProperties: false,
+            properties: {
+              min: { type: 'number', minimum: 0 },
+              max: { type: 'number', minimum: 0 }
+            }
+          },
+          tasks: { type: 'array', items: { type: 'string' } },
+          deliverables: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    risks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['risk', 'description', 'mitigation', 'severity'],
+        additionalProperties: false,
+        properties: {
+          risk: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          mitigation: nullableString,
+          severity: priority
+        }
+      }
+    },
+    sources: {
+      type: 'object',
+      description: 'Heading each part was read from, or null when the section was not found',
+      required: ['overview', 'features', 'techStack', 'phases', 'risks'],
+      additionalProperties: false,
+      properties: {
+        overview: nullableString,
+        features: nullableString,
+        techStack: nullableString,
+        phases: nullableString,
+        risks: nullableString
+      }
+    }
+  }
+};
+
+export default SPEC_JSON_SCHEMA;
@@ -0,0 +1,52 @@
+/**
+ * API 金鑰控制器
+ * 處理管理員的 API 金鑰建立、列表與撤銷
+ */
+
+import apiKeyService from '../services/apiKeyService.js';
+import { catchAsync } from '../middleware/errorMiddleware.js';
+
+class ApiKeyController {
+  /**
+   * 取得所有金鑰（不含金鑰本身）
+   */
+  listApiKeys = catchAsync(async (req, res) => {
+    const keys = await apiKeyService.listApiKeys();
+
+    res.json({
+      keys,
+      total: keys.length,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 建立金鑰（回應中的金鑰只會出現這一次）
+   */
+  createApiKey = catchAsync(async (req, res) => {
+    const createdBy = Number.isInteger(req.user?.id) ? req.user.id : null;
+    const apiKey = await apiKeyService.createApiKey(req.validatedData, createdBy);
+
+    res.status(201).json({
+      ...apiKey,
+      message: 'Store this key now; it cannot be shown again',
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 撤銷金鑰
+   */
+  deleteApiKey = catchAsync(async (req, res) => {
+    const id = Number(req.params.id);
+    await apiKeyService.deleteApiKey(id);
+
+    res.json({
+      message: 'API key revoked successfully',
+      id,
+      requestId: req.requestId
+    });
+  });
+}
+
+export default new ApiKeyController();
@@ -0,0 +1,47 @@
+/**
+ * 規格庫封存控制器
+ * 處理整個規格庫的 ZIP 匯出與匯入
+ */
+
+import archiveService from '../services/archiveService.js';
+import specAccessService from '../services/specAccessService.js';
+import { catchAsync } from '../middleware/errorMiddleware.js';
+
+class ArchiveController {
+  /**
+   * 匯出使用者可檢視的規格庫（串流回應 ZIP）
+   */
+  exportLibrary = catchAsync(async (req, res) => {
+    const timestamp = new Date().toISOString().split('T')[0];
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="spec-library-${timestamp}.zip"`);
+
+    await archiveService.exportLibrary(res, specAccessService.getScope(req.user));
+  });
+
+  /**
+   * 匯入規格庫封存檔（匯入的規格屬於執行匯入的使用者）
+   */
+  importLibrary = catchAsync(async (req, res) => {
+    const onDuplicate = req.query.onDuplicate || 'skip';
+    const dryRun = req.query.dryRun === true;
+
+    const result = await archiveService.importLibrary(req.body, {
+      onDuplicate,
+      dryRun,
+      ...specAccessService.getNewSpecOwnership(req.user),
+      scope: specAccessService.getScope(req.user)
+    });
+
+    res.status(result.summary.imported > 0 && !dryRun ? 201 : 200).json({
+      message: dryRun
+        ? `Dry run: ${result.summary.imported} of ${result.summary.total} specifications would be imported`
+        : `Imported ${result.summary.imported} of ${result.summary.total} specifications`,
+      ...result,
+      requestId: req.requestId
+    });
+  });
+}
+
+export default new ArchiveController();
@@ -6,6 +6,7 @@
 import databaseService from '../services/databaseService.js';
 import geminiService from '../services/geminiService.js';
 import webSocketService from '../services/websocketService.js';
+import jobQueueService from '../services/jobQueueService.js';
 import { SERVER_CONFIG, isDevelopment } from '../config/serverConfig.js';
 import { createError } from '../utils/errorHandler.js';
 import { healthCheckErrorHandler } from '../middleware/errorMiddleware.js';
@@ -28,7 +29,7 @@ class HealthController {
       throw healthCheckErrorHandler(error, 'database');
     }
     
-    // 測試 Gemini CLI
+    // 測試 LLM 提供者（預設為 Gemini CLI）
     let geminiHealth;
     try {
       geminiHealth = await geminiService.healthCheck();
@@ -63,6 +64,12 @@ class HealthController {
       requestId: req.requestId,
       services: {
         database: dbHealth.status,
+        llmProvider: {
+          ...geminiHealth.provider,
+          status: geminiHealth.status,
+          available: geminiHealth.available,
+          configured: geminiHealth.configured
+        },
         geminiCLI: {
           status: geminiHealth.status,
           available: geminiHealth.available,
@@ -74,7 +81,8 @@ class HealthController {
           status: wsHealth.status,
           activeConnections: wsHealth.activeConnections,
           processingJobs: wsHealth.processingJobs
-        }
+        },
+        jobQueue: jobQueueService.getStats()
       },
       version: SERVER_CONFIG.version,
       environment: SERVER_CONFIG.nodeEnv,
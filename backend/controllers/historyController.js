@@ -4,6 +4,8 @@
  */
 
 import databaseService from '../services/databaseService.js';
+import webhookService from '../services/webhookService.js';
+import specAccessService from '../services/specAccessService.js';
 import { ERROR_MESSAGES, SUCCESS_MESSAGES } from '../config/serverConfig.js';
 import { validateNumericParam, validateSearchInput, validateId } from '../utils/validators.js';
 import { createError } from '../utils/errorHandler.js';
@@ -43,8 +45,8 @@ class HistoryController {
       search: sanitizedSearch
     });
     
-    // 從資料庫服務取得歷史記錄
-    const result = await databaseService.getHistory(pageNum, limitNum, sanitizedSearch);
+    // 從資料庫服務取得歷史記錄（只包含使用者可檢視的規格）
+    const result = await databaseService.getHistory(pageNum, limitNum, sanitizedSearch, specAccessService.getScope(req.user));
     
     res.json({
       data: result.data,
@@ -78,6 +80,7 @@ class HistoryController {
     }
     
     logger.info(`Deleted specification entry ${validId}`);
+    webhookService.emit('spec.deleted', { specId: validId });
     res.json({ 
       message: SUCCESS_MESSAGES.ENTRY_DELETED,
       id: parseInt(id),
@@ -86,20 +89,21 @@ class HistoryController {
   });
 
   /**
-   * 取得歷史記錄統計
+   * 取得歷史記錄統計（只統計使用者可檢視的規格）
    */
   getHistoryStats = catchAsync(async (req, res) => {
+    const scope = specAccessService.getScope(req.user);
     const stats = await databaseService.getStats();
     const performanceStats = await databaseService.getPerformanceStats(24); // 最近 24 小時
     
     // 計算狀態分佈
-    const statusDistribution = await this.getStatusDistribution();
+    const statusDistribution = await this.getStatusDistribution(scope);
     
     // 計算每日生成統計
-    const dailyStats = await this.getDailyGenerationStats(7); // 最近 7 天
+    const dailyStats = await this.getDailyGenerationStats(7, scope); // 最近 7 天
     
     res.json({
-      total: stats.totalIdeas,
+      total: scope ? statusDistribution.reduce((sum, row) => sum + Number(row.count), 0) : stats.totalIdeas,
       statusDistribution,
       dailyStats,
       performanceStats,
@@ -110,15 +114,17 @@ class HistoryController {
 
   /**
    * 取得狀態分佈統計（優化版本）
+   * @param {object|null} scope - 存取條件（見 specAccessService.getScope）
    */
-  async getStatusDistribution() {
+  async getStatusDistribution(scope = null) {
     try {
       const result = await databaseService.executeWithMetrics(`
         SELECT status, COUNT(*) as count
         FROM ideas
+        ${scope ? `WHERE ${scope.where}` : ''}
         GROUP BY status
         ORDER BY count DESC
-      `, [], 'Get status distribution');
+      `, scope ? scope.params : [], 'Get status distribution');
       
       return result.rows.map(row => ({
         status: row.status,
@@ -132,8 +138,9 @@ class HistoryController {
 
   /**
    * 取得每日生成統計（優化版本）
+   * @param {object|null} scope - 存取條件（見 specAccessService.getScope）
    */
-  async getDailyGenerationStats(days = 7) {
+  async getDailyGenerationStats(days = 7, scope = null) {
     try {
       const result = await databaseService.executeWithMetrics(`
         SELECT 
@@ -146,10 +153,11 @@ class HistoryController {
           MAX(processing_time_ms) as max_processing_time
         FROM ideas
         WHERE created_at >= datetime('now', '-' || ? || ' days')
+        ${scope ? `AND ${scope.where}` : ''}
         GROUP BY DATE(created_at)
         ORDER BY date DESC
         LIMIT ?
-      `, [days, days], 'Get daily generation stats');
+      `, [days, ...(scope ? scope.params : []), days], 'Get daily generation stats');
       
       return result.rows.map(row => ({
         date: row.date,
@@ -168,7 +176,8 @@ class HistoryController {
   }
 
   /**
-   * 批量刪除歷史記錄（管理員功能）- 優化版本
+   * 批量刪除歷史記錄 - 優化版本
+   * 只刪除使用者擁有的規格（管理員可刪除所有規格），其餘 ID 列於 errors
    */
   bulkDeleteHistory = catchAsync(async (req, res) => {
     const { ids } = req.body;
@@ -188,10 +197,14 @@ class HistoryController {
       throw createError.invalidInput('ids', 'One or more IDs are invalid');
     }
     
+    const { allowed, denied } = await specAccessService.partitionDeletable(req.user, validIds);
+    
     // 使用優化的批量刪除
-    const result = await databaseService.batchDeleteSpecs(validIds);
+    const result = await databaseService.batchDeleteSpecs(allowed);
+    result.errors.push(...denied.map(id => ({ id, error: 'Specification not found or access denied' })));
     
     logger.info(`Bulk deleted ${result.deletedCount} entries from ${ids.length} requested, errors: ${result.errors.length}`);
+    result.deletedIds.forEach(specId => webhookService.emit('spec.deleted', { specId }));
     
     res.json({
       message: `Successfully deleted ${result.deletedCount} entries`,
@@ -213,9 +226,12 @@ class HistoryController {
       dateTo, 
       page = 1, 
       limit = 20,
-      sortBy = 'created_at',
-      sortOrder = 'DESC'
+      sortBy,
+      sortOrder = 'DESC',
+      project,
+      tag
     } = req.query;
+    const tags = tag ? [].concat(tag) : [];
     
     // 驗證參數
     let pageNum, limitNum, sanitizedQuery;
@@ -227,42 +243,72 @@ class HistoryController {
       throw createError.invalidInput('search parameters', validationError.message);
     }
     
-    // 驗證排序參數
-    const allowedSortFields = ['created_at', 'updated_at', 'processing_time_ms'];
+    const searchCondition = sanitizedQuery ? databaseService.buildSearchCondition(sanitizedQuery) : null;
+    
+    // 驗證排序參數（relevance 僅在使用全文索引時有效，有搜尋字詞時為預設值）
+    const allowedSortFields = ['created_at', 'updated_at', 'processing_time_ms', 'quality_score'];
+    if (searchCondition?.fullText) {
+      allowedSortFields.unshift('relevance');
+    }
     const allowedSortOrders = ['ASC', 'DESC'];
-    const validSortBy = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
+    const validSortBy = allowedSortFields.includes(sortBy) ? sortBy : allowedSortFields[0];
     const validSortOrder = allowedSortOrders.includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'DESC';
     
     // 建構搜尋條件
     let whereConditions = [];
     let queryParams = [];
     
-    if (sanitizedQuery) {
-      whereConditions.push('(user_input LIKE ? OR generated_spec LIKE ?)');
-      const searchParam = `%${sanitizedQuery}%`;
-      queryParams.push(searchParam, searchParam);
+    if (searchCondition) {
+      whereConditions.push(searchCondition.where);
+      queryParams.push(...searchCondition.params);
+    }
+    
+    // 只搜尋使用者可檢視的規格
+    const scope = specAccessService.getScope(req.user);
+    if (scope) {
+      whereConditions.push(scope.where);
+      queryParams.push(...scope.params);
     }
     
     if (status) {
-      whereConditions.push('status = ?');
+      whereConditions.push('ideas.status = ?');
       queryParams.push(status);
     }
     
     if (dateFrom) {
-      whereConditions.push('created_at >= ?');
+      whereConditions.push('ideas.created_at >= ?');
       queryParams.push(dateFrom);
     }
     
     if (dateTo) {
-      whereConditions.push('created_at <= ?');
+      whereConditions.push('ideas.created_at <= ?');
       queryParams.push(dateTo);
     }
     
+    // project=none 只取未分類的規格
+    if (project === 'none') {
+      whereConditions.push('ideas.project_id IS NULL');
+    } else if (project) {
+      whereConditions.push('ideas.project_id = ?');
+      queryParams.push(Number(project));
+    }
+    
+    // 多個標籤須同時符合
+    for (const tagName of tags) {
+      whereConditions.push(`EXISTS (
+        SELECT 1 FROM idea_tags it JOIN tags t ON t.id = it.tag_id 
+        WHERE it.idea_id = ideas.id AND t.name = ? COLLATE NOCASE
+      )`);
+      queryParams.push(tagName);
+    }
+    
+    const joinClause = searchCondition?.join || '';
+    
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
     
     // 取得總數 - 使用優化的查詢執行
     const countResult = await databaseService.executeWithMetrics(
-      `SELECT COUNT(*) as total FROM ideas ${whereClause}`,
+      `SELECT COUNT(*) as total FROM ideas ${joinClause} ${whereClause}`,
       queryParams,
       'Advanced search count'
     );
@@ -280,25 +326,34 @@ class HistoryController {
           hasNext: false,
           hasPrev: false
         },
-        searchCriteria: { query: sanitizedQuery, status, dateFrom, dateTo },
+        searchCriteria: { query: sanitizedQuery, status, dateFrom, dateTo, project, tags },
         requestId: req.requestId
       });
     }
     
     // 取得資料 - 使用優化的查詢執行
     const offset = (pageNum - 1) * limitNum;
+    // bm25 分數越小越相關，因此 DESC（最相關優先）對應分數遞增
+    const orderClause = validSortBy === 'relevance'
+      ? `search_rank ${validSortOrder === 'DESC' ? 'ASC' : 'DESC'}, ideas.created_at DESC`
+      : `ideas.${validSortBy} ${validSortOrder}`;
     const dataResult = await databaseService.executeWithMetrics(`
-      SELECT id, user_input, generated_spec, status, processing_time_ms, created_at, updated_at
-      FROM ideas 
+      SELECT ideas.id, ideas.user_input, ideas.generated_spec, ideas.status, ideas.processing_time_ms, 
+        ideas.created_at, ideas.updated_at, ideas.current_version, ideas.project_id, ideas.quality_score, 
+        ideas.owner_id, ideas.visibility, 
+        (SELECT COUNT(*) FROM spec_versions v WHERE v.idea_id = ideas.id) AS version_count
+        ${searchCondition ? `, ${searchCondition.rank} AS search_rank, ${searchCondition.snippet} AS search_snippet` : ''}
+      FROM ideas ${joinClause} 
       ${whereClause}
-      ORDER BY ${validSortBy} ${validSortOrder}
+      ORDER BY ${orderClause}
       LIMIT ? OFFSET ?
     `, [...queryParams, limitNum, offset], 'Advanced search data');
     
+    const rows = await databaseService.attachTags(dataResult.rows);
     const totalPages = Math.ceil(total / limitNum);
     
     res.json({
-      data: dataResult.rows.map(row => ({
+      data: rows.map(row => (searchCondition ? databaseService.formatSearchResult(row, searchCondition) : {
         ...row,
         preview: row.generated_spec ? row.generated_spec.substring(0, 200) : ''
       })),
@@ -315,8 +370,11 @@ class HistoryController {
         status, 
         dateFrom, 
         dateTo,
+        project,
+        tags,
         sortBy: validSortBy,
-        sortOrder: validSortOrder
+        sortOrder: validSortOrder,
+        fullText: Boolean(searchCondition?.fullText)
       },
       requestId: req.requestId
     });
@@ -0,0 +1,154 @@
+/**
+ * 生成工作控制器
+ * 處理非同步生成工作的狀態查詢、串流與取消
+ */
+
+import jobQueueService from '../services/jobQueueService.js';
+import { createError } from '../utils/errorHandler.js';
+import { JOB_QUEUE_CONFIG, WEBSOCKET_EVENTS } from '../config/serverConfig.js';
+import { catchAsync } from '../middleware/errorMiddleware.js';
+
+class JobController {
+  /**
+   * 取得工作狀態
+   */
+  getJob = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    if (!jobQueueService.parseJobId(id)) {
+      throw createError.invalidInput('id', id);
+    }
+
+    const job = await jobQueueService.getJob(id);
+
+    if (!job) {
+      throw createError.notFound('Job', id);
+    }
+
+    res.json({
+      ...job,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 以 Server-Sent Events 串流工作狀態與輸出片段
+   */
+  streamJob = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    if (!jobQueueService.parseJobId(id)) {
+      throw createError.invalidInput('id', id);
+    }
+
+    const job = await jobQueueService.getJob(id);
+
+    if (!job) {
+      throw createError.notFound('Job', id);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send(WEBSOCKET_EVENTS.JOB_UPDATE, job);
+
+    if (jobQueueService.isTerminalStatus(job.status)) {
+      res.end();
+      return;
+    }
+
+    // 補送連線前已產生的輸出
+    const snapshot = jobQueueService.getStreamSnapshot(job.jobId);
+    if (snapshot?.text) {
+      send(WEBSOCKET_EVENTS.JOB_CHUNK, { jobId: job.jobId, chunk: snapshot.text, attempt: snapshot.attempt, offset: 0 });
+    }
+
+    let isClosed = false;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), JOB_QUEUE_CONFIG.streamHeartbeatInterval);
+
+    const close = () => {
+      if (isClosed) {
+        return;
+      }
+      isClosed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    // 最終事件附帶完整結果，客戶端不需再查詢一次
+    const finish = async (update) => {
+      const finalJob = await jobQueueService.getJob(job.jobId).catch(() => null);
+      if (!isClosed) {
+        send(WEBSOCKET_EVENTS.JOB_UPDATE, { ...update, ...finalJob });
+        close();
+      }
+    };
+
+    const unsubscribe = jobQueueService.subscribe(job.jobId, {
+      onUpdate: (update) => {
+        if (jobQueueService.isTerminalStatus(update.status)) {
+          finish(update);
+        } else {
+          send(WEBSOCKET_EVENTS.JOB_UPDATE, update);
+        }
+      },
+      onChunk: (payload) => send(WEBSOCKET_EVENTS.JOB_CHUNK, payload)
+    });
+
+    req.on('close', close);
+
+    // 查詢與訂閱之間工作可能已結束
+    const latestStatus = jobQueueService.getLatestStatus(job.jobId);
+    if (jobQueueService.isTerminalStatus(latestStatus)) {
+      finish({ jobId: job.jobId, status: latestStatus });
+    }
+  });
+
+  /**
+   * 取消工作
+   */
+  cancelJob = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    if (!jobQueueService.parseJobId(id)) {
+      throw createError.invalidInput('id', id);
+    }
+
+    const job = await jobQueueService.cancel(id);
+
+    if (!job) {
+      throw createError.notFound('Job', id);
+    }
+
+    res.json({
+      jobId: job.jobId,
+      id: job.id,
+      status: job.status,
+      message: 'Job cancelled',
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取得佇列統計
+   */
+  getQueueStats = catchAsync(async (req, res) => {
+    res.json({
+      ...jobQueueService.getStats(),
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+export default new JobController();
@@ -0,0 +1,130 @@
+/**
+ * 專案與標籤控制器
+ * 處理專案與標籤的查詢、建立、更新與刪除
+ */
+
+import organizationService from '../services/organizationService.js';
+import { catchAsync } from '../middleware/errorMiddleware.js';
+
+class OrganizationController {
+  /**
+   * 取得所有專案
+   */
+  listProjects = catchAsync(async (req, res) => {
+    const projects = await organizationService.listProjects();
+
+    res.json({
+      projects,
+      total: projects.length,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取得特定專案
+   */
+  getProject = catchAsync(async (req, res) => {
+    const project = await organizationService.getProject(Number(req.params.id));
+
+    res.json({
+      ...project,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 建立專案
+   */
+  createProject = catchAsync(async (req, res) => {
+    const project = await organizationService.createProject(req.validatedData);
+
+    res.status(201)
+      .location(`/api/projects/${project.id}`)
+      .json({
+        ...project,
+        requestId: req.requestId
+      });
+  });
+
+  /**
+   * 更新專案
+   */
+  updateProject = catchAsync(async (req, res) => {
+    const project = await organizationService.updateProject(Number(req.params.id), req.validatedData);
+
+    res.json({
+      ...project,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 刪除專案（所屬規格改為未分類）
+   */
+  deleteProject = catchAsync(async (req, res) => {
+    const id = Number(req.params.id);
+    const { unassignedSpecs } = await organizationService.deleteProject(id);
+
+    res.json({
+      message: 'Project deleted successfully',
+      id,
+      unassignedSpecs,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取得所有標籤
+   */
+  listTags = catchAsync(async (req, res) => {
+    const tags = await organizationService.listTags();
+
+    res.json({
+      tags,
+      total: tags.length,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 建立標籤
+   */
+  createTag = catchAsync(async (req, res) => {
+    const tag = await organizationService.createTag(req.validatedData);
+
+    res.status(201)
+      .location(`/api/tags/${tag.id}`)
+      .json({
+        ...tag,
+        requestId: req.requestId
+      });
+  });
+
+  /**
+   * 更新標籤
+   */
+  updateTag = catchAsync(async (req, res) => {
+    const tag = await organizationService.updateTag(Number(req.params.id), req.validatedData);
+
+    res.json({
+      ...tag,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 刪除標籤
+   */
+  deleteTag = catchAsync(async (req, res) => {
+    const id = Number(req.params.id);
+    await organizationService.deleteTag(id);
+
+    res.json({
+      message: 'Tag deleted successfully',
+      id,
+      requestId: req.requestId
+    });
+  });
+}
+
+export default new OrganizationController();
@@ -0,0 +1,76 @@
+/**
+ * 角色控制器
+ * 處理管理員的角色與權限管理
+ */
+
+import roleService from '../services/roleService.js';
+import { catchAsync } from '../middleware/errorMiddleware.js';
+
+class RoleController {
+  /**
+   * 取得所有角色與可指派的權限
+   */
+  listRoles = catchAsync(async (req, res) => {
+    const { roles, permissions } = await roleService.listRoles();
+
+    res.json({
+      roles,
+      permissions,
+      total: roles.length,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取得特定角色
+   */
+  getRole = catchAsync(async (req, res) => {
+    const role = await roleService.getRole(req.params.name);
+
+    res.json({
+      ...role,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 建立角色
+   */
+  createRole = catchAsync(async (req, res) => {
+    const role = await roleService.createRole(req.validatedData);
+
+    res.status(201)
+      .location(`/api/admin/roles/${role.name}`)
+      .json({
+        ...role,
+        requestId: req.requestId
+      });
+  });
+
+  /**
+   * 更新角色的說明或權限
+   */
+  updateRole = catchAsync(async (req, res) => {
+    const role = await roleService.updateRole(req.params.name, req.validatedData);
+
+    res.json({
+      ...role,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 刪除自訂角色
+   */
+  deleteRole = catchAsync(async (req, res) => {
+    await roleService.deleteRole(req.params.name);
+
+    res.json({
+      message: 'Role deleted successfully',
+      name: req.params.name,
+      requestId: req.requestId
+    });
+  });
+}
+
+export default new RoleController();
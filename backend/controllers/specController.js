@@ -6,8 +6,18 @@
 import databaseService from '../services/databaseService.js';
 import geminiService from '../services/geminiService.js';
 import webSocketService from '../services/websocketService.js';
-import { JOB_STATUSES, ERROR_MESSAGES, SUCCESS_MESSAGES, isDevelopment } from '../config/serverConfig.js';
-import { validateId, validateFilename } from '../utils/validators.js';
+import jobQueueService from '../services/jobQueueService.js';
+import chatService from '../services/chatService.js';
+import organizationService from '../services/organizationService.js';
+import exportService from '../services/exportService.js';
+import integrationService from '../services/integrationService.js';
+import webhookService from '../services/webhookService.js';
+import specAccessService from '../services/specAccessService.js';
+import { JOB_STATUSES, ERROR_MESSAGES, SUCCESS_MESSAGES, EXPORT_CONFIG, isDevelopment } from '../config/serverConfig.js';
+import { SPEC_JSON_SCHEMA } from '../config/specSchema.js';
+import { validateId } from '../utils/validators.js';
+import { diffSpecifications } from '../utils/specDiff.js';
+import { listHeadings } from '../utils/markdownSections.js';
 import { createError } from '../utils/errorHandler.js';
 import { catchAsync } from '../middleware/errorMiddleware.js';
 import pino from 'pino';
@@ -16,31 +26,12 @@ const logger = pino();
 
 class SpecController {
   /**
-   * 取得 Gemini 錯誤訊息
-   */
-  getGeminiErrorMessage(error) {
-    if (error.message.includes('timeout')) {
-      return 'Gemini CLI 請求超時。這可能是因為：1) API 金鑰未配置 2) 網路連接問題 3) 請求過於複雜。請檢查 Gemini API 配置。';
-    } else if (error.message.includes('Failed to start')) {
-      return 'Gemini CLI 未安裝或不在系統 PATH 中。請確認已正確安裝 @google/gemini-cli。';
-    } else if (error.message.includes('failed with code')) {
-      return 'Gemini CLI 執行失敗。請檢查：1) API 金鑰是否配置 2) 網路連接 3) API 配額限制。';
-    } else if (error.message.includes('null')) {
-      return 'Gemini CLI 可能因 API 配置問題而終止。請確認已設置有效的 Google AI API 金鑰。';
-    }
-    return `Gemini CLI 錯誤: ${error.message}。請檢查 API 配置和網路連接。`;
-  }
-
-  /**
-   * 生成規格文檔
+   * 生成規格文檔（加入工作佇列，立即回傳 202）
    */
   generateSpec = catchAsync(async (req, res) => {
-    const startTime = Date.now();
-    let recordId = null;
+    const { idea, template, variables, language } = req.validatedData || req.body;
     
-    const { idea } = req.validatedData || req.body;
-    
-    logger.info(`Starting spec generation for idea: ${idea ? idea.substring(0, 100) + '...' : 'undefined'}`);
+    logger.info(`Queueing spec generation for idea: ${idea ? idea.substring(0, 100) + '...' : 'undefined'}`);
     
     if (!idea) {
       throw createError.missingField('idea');
@@ -50,113 +41,33 @@ class SpecController {
       throw createError.invalidInput('idea', 'Idea must be a non-empty string');
     }
     
-    try {
-      // 創建初始數據庫記錄
-      recordId = await databaseService.createIdea(idea, '', JOB_STATUSES.PROCESSING);
-      const jobId = `job-${recordId}-${Date.now()}`;
-      
-      logger.info(`Created database record ${recordId} for job ${jobId}`);
-      
-      // 發送 WebSocket 開始通知
-      webSocketService.emitJobUpdate(jobId, JOB_STATUSES.PROCESSING, { 
-        message: 'Starting specification generation...' 
-      });
-      
-      // 使用 Gemini 服務生成規格
-      const result = await geminiService.generateSpecification(idea, {
-        timeout: 180000,
-        maxRetries: 2,
-        retryDelay: 2000,
-        jobId: jobId,
-        emitJobUpdate: webSocketService.emitJobUpdate.bind(webSocketService)
-      });
-      
-      const totalDuration = Date.now() - startTime;
-      
-      if (result.success) {
-        // 更新數據庫記錄
-        await databaseService.updateIdea(recordId, {
-          generatedSpec: result.specification,
-          status: JOB_STATUSES.COMPLETED,
-          processingTime: totalDuration
-        });
-        
-        logger.info(`Spec generation completed in ${totalDuration}ms`);
-        
-        // 發送成功完成通知
-        webSocketService.emitJobUpdate(jobId, JOB_STATUSES.COMPLETED, { 
-          message: '🎉 規格文檔生成完成！',
-          totalDuration: Number(totalDuration),
-          outputLength: Number(result.specification.length)
-        });
-        
-        res.json({
-          id: Number(recordId),
-          userInput: idea,
-          generatedSpec: result.specification,
-          status: JOB_STATUSES.COMPLETED,
-          processingTime: Number(totalDuration),
-          outputLength: Number(result.specification.length),
-          createdAt: new Date().toISOString(),
-          metadata: result.metadata,
-          requestId: req.requestId
-        });
-        
-      } else {
-        // 更新數據庫記錄為失敗狀態
-        await databaseService.updateIdea(recordId, {
-          generatedSpec: '',
-          status: JOB_STATUSES.FAILED,
-          processingTime: totalDuration
-        });
-        
-        // 發送失敗通知
-        webSocketService.emitJobUpdate(jobId, JOB_STATUSES.FAILED, { 
-          message: result.error,
-          error: result.error 
-        });
-        
-        const geminiError = createError.geminiCliError('generation', new Error(result.error));
-        geminiError.setRequestId(req.requestId);
-        geminiError.addMetadata('jobId', jobId);
-        geminiError.addMetadata('processingTime', totalDuration);
-        geminiError.addMetadata('suggestions', [
-          '檢查 Gemini CLI 是否正確安裝和配置',
-          '確認網路連接正常',
-          '稍後再試或聯繫系統管理員'
-        ]);
-        throw geminiError;
-      }
-      
-    } catch (error) {
-      logger.error({ error, recordId }, 'Error in spec generation');
-      
-      // 發送 WebSocket 失敗通知
-      const jobId = recordId ? `job-${recordId}-${Date.now()}` : 'unknown';
-      webSocketService.emitJobUpdate(jobId, JOB_STATUSES.FAILED, { 
-        message: this.getGeminiErrorMessage(error),
-        error: error.message 
+    const { jobId, recordId, queuePosition, templateId, language: outputLanguage } = await jobQueueService.enqueue(idea, {
+      template,
+      variables,
+      language,
+      ...specAccessService.getNewSpecOwnership(req.user)
+    });
+    
+    logger.info(`Created database record ${recordId} for job ${jobId}`);
+    
+    res.status(202)
+      .location(`/api/jobs/${jobId}`)
+      .json({
+        jobId,
+        id: recordId,
+        userInput: idea,
+        status: JOB_STATUSES.PENDING,
+        queuePosition,
+        templateId,
+        language: outputLanguage,
+        statusUrl: `/api/jobs/${jobId}`,
+        createdAt: new Date().toISOString(),
+        requestId: req.requestId
       });
-      
-      // 更新數據庫記錄
-      if (recordId) {
-        try {
-          await databaseService.updateIdea(recordId, {
-            generatedSpec: '',
-            status: JOB_STATUSES.FAILED,
-            processingTime: Date.now() - startTime
-          });
-        } catch (dbError) {
-          logger.error({ error: dbError }, 'Error updating failed record');
-        }
-      }
-      
-      throw error;
-    }
   });
 
   /**
-   * 取得特定規格
+   * 取得特定規格（format=json 時回傳結構化規格）
    */
   getSpec = catchAsync(async (req, res) => {
     const { id } = req.params;
@@ -173,6 +84,15 @@ class SpecController {
     if (!spec) {
       throw createError.notFound('Specification', validId);
     }
+
+    if (req.query.format === 'json') {
+      if (spec.status !== JOB_STATUSES.COMPLETED || !spec.generated_spec) {
+        throw createError.conflict('Specification', 'Only completed specifications have structured data');
+      }
+
+      // 直接回傳文件本身，使回應符合公開的 JSON Schema
+      return res.json(await exportService.getStructuredSpec(spec));
+    }
     
     res.json({
       id: spec.id,
@@ -180,6 +100,14 @@ class SpecController {
       generatedSpec: spec.generated_spec,
       status: spec.status,
       processingTime: spec.processing_time_ms,
+      currentVersion: Number(spec.current_version || 0),
+      lastEditedBy: spec.last_edited_by || null,
+      lastEditedAt: spec.last_edited_at || null,
+      projectId: spec.project_id ?? null,
+      tags: await organizationService.getSpecTags(spec.id),
+      ownerId: spec.owner_id ?? null,
+      visibility: spec.visibility,
+      quality: this.parseQuality(spec.quality_report),
       createdAt: spec.created_at,
       updatedAt: spec.updated_at,
       requestId: req.requestId
@@ -187,7 +115,487 @@ class SpecController {
   });
 
   /**
-   * 下載規格為 Markdown 文件
+   * 取得結構化規格的 JSON Schema
+   */
+  getSpecSchema = (req, res) => {
+    res.type('application/schema+json').send(JSON.stringify(SPEC_JSON_SCHEMA, null, 2));
+  };
+
+  /**
+   * 保存手動編輯的規格（建立 edited 版本並記錄編輯者）
+   */
+  updateSpec = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+    const { generatedSpec, baseVersion } = req.validatedData;
+    const currentVersion = Number(spec.current_version || 0);
+
+    this.assertNotGenerating(spec);
+
+    if (baseVersion !== undefined && baseVersion !== currentVersion) {
+      throw createError.conflict('Specification', `Specification changed since version ${baseVersion} (current version is ${currentVersion})`);
+    }
+
+    // 內容未變更時不建立新版本
+    if (generatedSpec === spec.generated_spec) {
+      return res.json({
+        id: spec.id,
+        currentVersion,
+        generatedSpec,
+        changed: false,
+        lastEditedBy: spec.last_edited_by || null,
+        lastEditedAt: spec.last_edited_at || null,
+        requestId: req.requestId
+      });
+    }
+
+    const editedBy = req.user?.username || req.user?.id || 'anonymous';
+    const version = await databaseService.saveSpecVersion(spec.id, {
+      generatedSpec,
+      templateId: spec.template_id ?? null,
+      language: spec.language ?? null,
+      source: 'edited',
+      editedBy
+    });
+    const updated = await databaseService.getSpecById(spec.id);
+
+    logger.info(`Specification ${spec.id} edited by ${editedBy} (version ${version})`);
+    webhookService.emit('spec.updated', { specId: spec.id, version, source: 'edited', editedBy });
+
+    res.json({
+      id: spec.id,
+      currentVersion: version,
+      generatedSpec,
+      changed: true,
+      lastEditedBy: updated?.last_edited_by || editedBy,
+      lastEditedAt: updated?.last_edited_at || null,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 重新生成規格（加入工作佇列，完成後保存為新版本）
+   */
+  regenerateSpec = catchAsync(async (req, res) => {
+    const validId = this.parseSpecId(req.params.id);
+    const { template, variables, language } = req.validatedData || {};
+
+    const job = await jobQueueService.regenerate(validId, { template, variables, language });
+
+    if (!job) {
+      throw createError.notFound('Specification', validId);
+    }
+
+    logger.info(`Queued regeneration of specification ${validId} as job ${job.jobId}`);
+
+    res.status(202)
+      .location(`/api/jobs/${job.jobId}`)
+      .json({
+        jobId: job.jobId,
+        id: validId,
+        status: JOB_STATUSES.PENDING,
+        queuePosition: job.queuePosition,
+        currentVersion: job.currentVersion,
+        templateId: job.templateId,
+        language: job.language,
+        statusUrl: `/api/jobs/${job.jobId}`,
+        createdAt: new Date().toISOString(),
+        requestId: req.requestId
+      });
+  });
+
+  /**
+   * 取得規格的版本列表
+   */
+  getVersions = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+    const versions = await databaseService.getSpecVersions(spec.id);
+    const currentVersion = Number(spec.current_version || 0);
+
+    res.json({
+      id: spec.id,
+      currentVersion,
+      versions: versions.map(version => ({
+        version: version.version,
+        source: version.source,
+        templateId: version.template_id,
+        language: version.language,
+        processingTime: version.processing_time_ms,
+        outputLength: version.output_length,
+        qualityScore: version.quality_score ?? null,
+        editedBy: version.edited_by || null,
+        isCurrent: Number(version.version) === currentVersion,
+        createdAt: version.created_at
+      })),
+      total: versions.length,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取得特定版本內容
+   */
+  getVersion = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+    const version = await this.findVersion(spec.id, req.params.version);
+
+    res.json({
+      id: spec.id,
+      version: version.version,
+      source: version.source,
+      generatedSpec: version.generated_spec,
+      templateId: version.template_id,
+      language: version.language,
+      processingTime: version.processing_time_ms,
+      editedBy: version.edited_by || null,
+      quality: this.parseQuality(version.quality_report),
+      isCurrent: Number(version.version) === Number(spec.current_version || 0),
+      createdAt: version.created_at,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 將舊版本還原為目前版本
+   */
+  restoreVersion = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+    const version = await this.findVersion(spec.id, req.params.version);
+
+    this.assertNotGenerating(spec);
+
+    await databaseService.restoreSpecVersion(spec.id, version.version);
+    logger.info(`Restored specification ${spec.id} to version ${version.version}`);
+    webhookService.emit('spec.updated', { specId: spec.id, version: Number(version.version), source: 'restored' });
+
+    res.json({
+      id: spec.id,
+      currentVersion: version.version,
+      generatedSpec: version.generated_spec,
+      message: 'Version restored',
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 比對兩個版本的差異（預設比對目前版本與前一版本）
+   */
+  getDiff = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+    const toVersion = req.query.to !== undefined ? Number(req.query.to) : Number(spec.current_version || 0);
+    const fromVersion = req.query.from !== undefined ? Number(req.query.from) : toVersion - 1;
+
+    if (fromVersion < 1) {
+      throw createError.validation('Specification has no earlier version to compare', 'from');
+    }
+
+    const from = await this.findVersion(spec.id, fromVersion);
+    const to = await this.findVersion(spec.id, toVersion);
+    const diff = diffSpecifications(from.generated_spec, to.generated_spec);
+
+    res.json({
+      id: spec.id,
+      from: { version: from.version, source: from.source, createdAt: from.created_at },
+      to: { version: to.version, source: to.source, createdAt: to.created_at },
+      ...diff,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 列出目前版本的章節標題與錨點
+   */
+  getSections = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+    const sections = listHeadings(spec.generated_spec);
+
+    res.json({
+      id: spec.id,
+      currentVersion: Number(spec.current_version || 0),
+      sections,
+      total: sections.length,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 只重新生成單一章節（加入工作佇列，完成後保存為新版本）
+   */
+  refineSection = catchAsync(async (req, res) => {
+    const validId = this.parseSpecId(req.params.id);
+    const { anchor } = req.params;
+    const { instructions = '' } = req.validatedData || {};
+
+    const job = await jobQueueService.refineSection(validId, { anchor, instructions });
+
+    if (!job) {
+      throw createError.notFound('Specification', validId);
+    }
+
+    logger.info(`Queued refinement of section "${anchor}" in specification ${validId} as job ${job.jobId}`);
+
+    res.status(202)
+      .location(`/api/jobs/${job.jobId}`)
+      .json({
+        jobId: job.jobId,
+        id: validId,
+        anchor: job.anchor,
+        heading: job.heading,
+        status: JOB_STATUSES.PENDING,
+        queuePosition: job.queuePosition,
+        currentVersion: job.currentVersion,
+        statusUrl: `/api/jobs/${job.jobId}`,
+        createdAt: new Date().toISOString(),
+        requestId: req.requestId
+      });
+  });
+
+  /**
+   * 取得規格的對話
+   */
+  getChat = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+    const messages = await chatService.listMessages(spec.id);
+
+    res.json({
+      id: spec.id,
+      currentVersion: Number(spec.current_version || 0),
+      messages,
+      total: messages.length,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 送出對話訊息，等待模型回覆（客戶端中斷連線時停止生成）
+   */
+  sendChatMessage = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+    const { message } = req.validatedData;
+
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+
+    const result = await chatService.sendMessage(spec, message, { signal: abortController.signal });
+    if (!result) {
+      return;
+    }
+
+    res.status(201).json({
+      id: spec.id,
+      currentVersion: Number(spec.current_version || 0),
+      ...result,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 採納助理提出的修訂規格，保存為新版本
+   */
+  acceptChatProposal = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+
+    this.assertNotGenerating(spec);
+
+    const editedBy = req.user?.username || req.user?.id || 'anonymous';
+    const { version, message } = await chatService.acceptProposal(spec, Number(req.params.messageId), editedBy);
+    const updated = await databaseService.getSpecById(spec.id);
+    webhookService.emit('spec.updated', { specId: spec.id, version, source: 'chat', editedBy });
+
+    res.json({
+      id: spec.id,
+      currentVersion: version,
+      generatedSpec: message.proposedSpec,
+      message,
+      lastEditedBy: updated?.last_edited_by || editedBy,
+      lastEditedAt: updated?.last_edited_at || null,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 將規格移入專案（projectId 為 null 時移出專案）
+   */
+  setProject = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+    const project = await organizationService.setSpecProject(spec, req.validatedData.projectId);
+
+    res.json({
+      id: spec.id,
+      projectId: project ? project.id : null,
+      project,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取代規格的標籤
+   */
+  setTags = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+    const tags = await organizationService.setSpecTags(spec, req.validatedData.tags);
+
+    res.json({
+      id: spec.id,
+      tags,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取得規格的擁有者、可見度與分享對象
+   */
+  getSharing = catchAsync(async (req, res) => {
+    res.json({
+      ...await specAccessService.getSharing(req.spec),
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 設定規格可見度（private 或 team）
+   */
+  setVisibility = catchAsync(async (req, res) => {
+    const sharing = await specAccessService.setVisibility(req.spec, req.validatedData.visibility);
+
+    res.json({
+      ...sharing,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 分享規格給使用者（已分享時更新權限）
+   */
+  shareSpec = catchAsync(async (req, res) => {
+    const createdBy = Number.isInteger(req.user?.id) ? req.user.id : null;
+    const sharing = await specAccessService.shareSpec(req.spec, req.validatedData, createdBy);
+
+    res.json({
+      ...sharing,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取消分享規格給使用者
+   */
+  removeShare = catchAsync(async (req, res) => {
+    const sharing = await specAccessService.removeShare(req.spec, Number(req.params.userId));
+
+    res.json({
+      ...sharing,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 列出規格推送目標（GitHub、GitLab、git 儲存庫）與設定狀態
+   */
+  listIntegrations = catchAsync(async (req, res) => {
+    res.json({
+      targets: integrationService.listTargets(),
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 推送規格：功能需求建立為議題、開發階段建立為 epic，或提交到 git 儲存庫
+   */
+  pushSpec = catchAsync(async (req, res) => {
+    const spec = await this.findSpec(req.params.id);
+    const { target, dryRun } = req.validatedData;
+
+    this.assertNotGenerating(spec);
+
+    if (spec.status !== JOB_STATUSES.COMPLETED || !spec.generated_spec) {
+      throw createError.conflict('Specification', 'Only completed specifications can be pushed');
+    }
+
+    const result = await integrationService.push(spec, target, { dryRun });
+
+    res.status(result.summary.created > 0 ? 201 : 200).json({
+      id: spec.id,
+      message: dryRun
+        ? `Dry run: ${result.summary.total} items would be pushed to ${result.target.displayName}`
+        : `Pushed ${result.summary.created} of ${result.summary.total} items to ${result.target.displayName}`,
+      ...result,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 解析保存的品質檢查結果（品質檢查加入前保存的版本為 null）
+   */
+  parseQuality(report) {
+    if (!report) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(report);
+    } catch (parseError) {
+      logger.warn({ error: parseError.message }, 'Stored quality report is not valid JSON');
+      return null;
+    }
+  }
+
+  /**
+   * 生成進行中時拋出 conflict，避免覆蓋即將寫入的結果
+   */
+  assertNotGenerating(spec) {
+    if (jobQueueService.getQueuePosition(jobQueueService.getJobId(spec.id)) !== null
+      || [JOB_STATUSES.PENDING, JOB_STATUSES.PROCESSING].includes(spec.status)) {
+      throw createError.conflict('Specification', 'Generation in progress');
+    }
+  }
+
+  /**
+   * 解析規格 ID
+   */
+  parseSpecId(id) {
+    try {
+      return validateId(id);
+    } catch (validationError) {
+      throw createError.invalidInput('id', id);
+    }
+  }
+
+  /**
+   * 取得規格記錄，不存在時拋出 notFound
+   */
+  async findSpec(id) {
+    const validId = this.parseSpecId(id);
+    const spec = await databaseService.getSpecById(validId);
+
+    if (!spec) {
+      throw createError.notFound('Specification', validId);
+    }
+
+    return spec;
+  }
+
+  /**
+   * 取得規格的特定版本，不存在時拋出 notFound
+   */
+  async findVersion(specId, versionParam) {
+    const versionNumber = Number(versionParam);
+    const version = Number.isInteger(versionNumber) && versionNumber > 0
+      ? await databaseService.getSpecVersion(specId, versionNumber)
+      : null;
+
+    if (!version) {
+      throw createError.notFound('Version', versionParam);
+    }
+
+    return version;
+  }
+
+  /**
+   * 下載規格文件（Markdown、HTML、PDF 或 DOCX）
    */
   downloadSpec = catchAsync(async (req, res) => {
     const { id } = req.params;
@@ -205,42 +613,15 @@ class SpecController {
       throw createError.notFound('Specification', validId);
     }
     
-    // 確保規格有適當的格式
-    let formattedContent = spec.generated_spec;
-    if (!formattedContent.includes('# Product Development Specification')) {
-      try {
-        const { formatSpecification } = await import('../utils/geminiSafe.js');
-        formattedContent = formatSpecification(formattedContent, spec.user_input);
-      } catch (formatError) {
-        logger.warn({ error: formatError }, 'Failed to format specification, using original content');
-        // 使用原始內容
-      }
-    }
-    
-    // 生成描述性文件名
-    const ideaPreview = spec.user_input
-      .substring(0, 50)
-      .replace(/[^a-zA-Z0-9\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .toLowerCase();
-    
-    const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `spec-${ideaPreview}-${timestamp}-${id}.md`;
-    
-    // 驗證文件名安全性
-    let safeFilename;
-    try {
-      safeFilename = validateFilename(filename);
-    } catch (validationError) {
-      safeFilename = `spec-${timestamp}-${id}.md`;
-    }
+    const format = req.query.format || EXPORT_CONFIG.defaultFormat;
+    const { content, contentType, filename } = await exportService.exportSpec(spec, format);
     
-    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="${safeFilename}"`);
-    res.setHeader('Content-Length', Buffer.byteLength(formattedContent, 'utf8'));
-    res.send(formattedContent);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', content.length);
+    res.send(content);
     
-    logger.info(`Downloaded specification ${id} as ${safeFilename}`);
+    logger.info(`Downloaded specification ${id} as ${filename}`);
   });
 
   /**
@@ -250,11 +631,13 @@ class SpecController {
     const dbStats = await databaseService.getStats();
     const geminiStats = geminiService.getStats();
     const wsStats = webSocketService.getConnectionStats();
+    const queueStats = jobQueueService.getStats();
     
     res.json({
       database: dbStats,
       gemini: geminiStats,
       websocket: wsStats,
+      jobQueue: queueStats,
       requestId: req.requestId,
       timestamp: new Date().toISOString()
     });
@@ -0,0 +1,76 @@
+/**
+ * 提示範本控制器
+ * 處理提示範本的查詢、建立、更新與刪除
+ */
+
+import templateService from '../services/templateService.js';
+import { catchAsync } from '../middleware/errorMiddleware.js';
+
+class TemplateController {
+  /**
+   * 取得所有範本
+   */
+  listTemplates = catchAsync(async (req, res) => {
+    const templates = await templateService.list();
+
+    res.json({
+      templates,
+      total: templates.length,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 以 ID 或名稱取得範本
+   */
+  getTemplate = catchAsync(async (req, res) => {
+    const template = await templateService.get(req.params.id);
+
+    res.json({
+      ...template,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 建立自訂範本
+   */
+  createTemplate = catchAsync(async (req, res) => {
+    const template = await templateService.create(req.validatedData);
+
+    res.status(201)
+      .location(`/api/templates/${template.id}`)
+      .json({
+        ...template,
+        requestId: req.requestId
+      });
+  });
+
+  /**
+   * 更新自訂範本
+   */
+  updateTemplate = catchAsync(async (req, res) => {
+    const template = await templateService.update(Number(req.params.id), req.validatedData);
+
+    res.json({
+      ...template,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 刪除自訂範本
+   */
+  deleteTemplate = catchAsync(async (req, res) => {
+    const id = Number(req.params.id);
+    await templateService.delete(id);
+
+    res.json({
+      message: 'Template deleted successfully',
+      id,
+      requestId: req.requestId
+    });
+  });
+}
+
+export default new TemplateController();
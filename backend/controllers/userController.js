@@ -0,0 +1,189 @@
+/**
+ * 使用者控制器
+ * 處理註冊、密碼變更與重設，以及管理員的使用者與邀請管理
+ */
+
+import userService from '../services/userService.js';
+import { startSession } from '../middleware/auth.js';
+import { catchAsync } from '../middleware/errorMiddleware.js';
+
+/**
+ * 取得執行操作的使用者 ID（本地預設使用者與 API 金鑰沒有數字 ID）
+ */
+const getActorId = req => (Number.isInteger(req.user?.id) ? req.user.id : null);
+
+class UserController {
+  /**
+   * 註冊帳號並直接登入
+   */
+  register = catchAsync(async (req, res) => {
+    const user = await userService.register(req.validatedData);
+
+    res.status(201).json({
+      ...await startSession(req, res, user),
+      message: '註冊成功',
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 變更目前使用者的密碼（其他裝置的 session 會被登出）
+   */
+  changePassword = catchAsync(async (req, res) => {
+    const { currentPassword, newPassword } = req.validatedData;
+    await userService.changePassword(req.user.id, currentPassword, newPassword, req.session.id);
+
+    res.json({
+      success: true,
+      message: '密碼已變更',
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 申請密碼重設；無論帳號是否存在都回應 202
+   */
+  requestPasswordReset = catchAsync(async (req, res) => {
+    await userService.requestPasswordReset(req.validatedData.username);
+
+    res.status(202).json({
+      success: true,
+      message: 'If the account exists, a reset token has been written to the server log',
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 以重設權杖設定新密碼（該使用者的所有 session 會被登出）
+   */
+  resetPassword = catchAsync(async (req, res) => {
+    const { token, newPassword } = req.validatedData;
+    await userService.resetPassword(token, newPassword);
+
+    res.json({
+      success: true,
+      message: '密碼已重設，請重新登入',
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取得所有使用者
+   */
+  listUsers = catchAsync(async (req, res) => {
+    const users = await userService.listUsers();
+
+    res.json({
+      users,
+      total: users.length,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取得特定使用者
+   */
+  getUser = catchAsync(async (req, res) => {
+    const user = await userService.getUser(Number(req.params.id));
+
+    res.json({
+      ...user,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 建立使用者
+   */
+  createUser = catchAsync(async (req, res) => {
+    const user = await userService.createUser(req.validatedData);
+
+    res.status(201)
+      .location(`/api/admin/users/${user.id}`)
+      .json({
+        ...user,
+        requestId: req.requestId
+      });
+  });
+
+  /**
+   * 更新使用者的角色、狀態或個人資料
+   */
+  updateUser = catchAsync(async (req, res) => {
+    const user = await userService.updateUser(Number(req.params.id), req.validatedData);
+
+    res.json({
+      ...user,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 刪除使用者與其 session
+   */
+  deleteUser = catchAsync(async (req, res) => {
+    const id = Number(req.params.id);
+    await userService.deleteUser(id, req.user);
+
+    res.json({
+      message: 'User deleted successfully',
+      id,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 為使用者建立密碼重設權杖（回應中的權杖只會出現這一次）
+   */
+  createPasswordReset = catchAsync(async (req, res) => {
+    const id = Number(req.params.id);
+    const reset = await userService.createPasswordReset(id, getActorId(req));
+
+    res.status(201).json({
+      userId: id,
+      ...reset,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取得尚未使用的邀請
+   */
+  listInvites = catchAsync(async (req, res) => {
+    const invites = await userService.listInvites();
+
+    res.json({
+      invites,
+      total: invites.length,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 建立邀請（回應中的權杖只會出現這一次）
+   */
+  createInvite = catchAsync(async (req, res) => {
+    const invite = await userService.createInvite(req.validatedData, getActorId(req));
+
+    res.status(201).json({
+      ...invite,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 撤銷邀請
+   */
+  deleteInvite = catchAsync(async (req, res) => {
+    const id = Number(req.params.id);
+    await userService.deleteInvite(id);
+
+    res.json({
+      message: 'Invite deleted successfully',
+      id,
+      requestId: req.requestId
+    });
+  });
+}
+
+export default new UserController();
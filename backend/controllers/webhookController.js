@@ -0,0 +1,103 @@
+/**
+ * Webhook 控制器
+ * 處理 webhook 的註冊、更新、刪除、測試投遞與投遞記錄查詢
+ */
+
+import webhookService from '../services/webhookService.js';
+import { catchAsync } from '../middleware/errorMiddleware.js';
+
+class WebhookController {
+  /**
+   * 取得所有 webhook
+   */
+  listWebhooks = catchAsync(async (req, res) => {
+    const webhooks = await webhookService.listWebhooks();
+
+    res.json({
+      webhooks,
+      total: webhooks.length,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取得特定 webhook
+   */
+  getWebhook = catchAsync(async (req, res) => {
+    const webhook = await webhookService.getWebhook(Number(req.params.id));
+
+    res.json({
+      ...webhook,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 註冊 webhook（回應中的密鑰只會出現這一次）
+   */
+  createWebhook = catchAsync(async (req, res) => {
+    const webhook = await webhookService.createWebhook(req.validatedData);
+
+    res.status(201)
+      .location(`/api/webhooks/${webhook.id}`)
+      .json({
+        ...webhook,
+        requestId: req.requestId
+      });
+  });
+
+  /**
+   * 更新 webhook
+   */
+  updateWebhook = catchAsync(async (req, res) => {
+    const webhook = await webhookService.updateWebhook(Number(req.params.id), req.validatedData);
+
+    res.json({
+      ...webhook,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 刪除 webhook 與其投遞記錄
+   */
+  deleteWebhook = catchAsync(async (req, res) => {
+    const id = Number(req.params.id);
+    await webhookService.deleteWebhook(id);
+
+    res.json({
+      message: 'Webhook deleted successfully',
+      id,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 送出測試事件並回傳第一次投遞結果
+   */
+  pingWebhook = catchAsync(async (req, res) => {
+    const delivery = await webhookService.ping(Number(req.params.id));
+
+    res.json({
+      delivery,
+      requestId: req.requestId
+    });
+  });
+
+  /**
+   * 取得投遞記錄（最新的在前）
+   */
+  listDeliveries = catchAsync(async (req, res) => {
+    const id = Number(req.params.id);
+    const deliveries = await webhookService.listDeliveries(id, req.validatedData);
+
+    res.json({
+      webhookId: id,
+      deliveries,
+      total: deliveries.length,
+      requestId: req.requestId
+    });
+  });
+}
+
+export default new WebhookController();
@@ -1,58 +1,29 @@
 /**
  * 本地端身份驗證中間件
- * 為本地開發專案提供基本的身份驗證和 session 管理
+ * 以資料庫保存的使用者、session 與 API 金鑰驗證請求；未啟用驗證或來自本地 IP 時提供預設使用者
  */
 
-import crypto from 'crypto';
-import bcrypt from 'bcrypt';
-import { validateAndSanitizeInput } from '../utils/validators.js';
-
-// 簡單的記憶體 session 存儲（適用於本地開發）
-const sessions = new Map();
-const SESSION_TIMEOUT = 24 * 60 * 60 * 1000; // 24 小時
-
-/**
- * 生成安全的 session ID
- */
-function generateSessionId() {
-  return crypto.randomBytes(32).toString('hex');
-}
-
-/**
- * 生成簡單的 API 金鑰用於本地驗證
- */
-function generateApiKey() {
-  return crypto.randomBytes(16).toString('hex');
-}
+import { AUTH_CONFIG, RBAC_CONFIG, isProduction } from '../config/serverConfig.js';
+import userService from '../services/userService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import specAccessService from '../services/specAccessService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import { issueCsrfToken } from './csrf.js';
 
 /**
- * 本地端認證配置
+ * 本地端認證配置（使用者帳號保存在 users 資料表，見 AUTH_CONFIG；API 金鑰見 /api/keys）
  */
 const LOCAL_AUTH_CONFIG = {
-  // 預設的本地開發帳號（可通過環境變數覆蓋）
-  users: [
-    {
-      id: 'local-dev',
-      username: process.env.LOCAL_USERNAME || 'developer',
-      // 使用 bcrypt 哈希的密碼（預設為 'dev123'）
-      passwordHash: process.env.LOCAL_PASSWORD_HASH || '$2b$12$nOsAQyMo.vPCLIhYS2aj.uGdomacUq5zOWbsnozkxoL3R780CS54S',
-      role: 'admin',
-      permissions: ['generate', 'history', 'delete']
-    }
-  ],
-  
-  // API 金鑰管理
-  apiKeys: new Set([
-    process.env.LOCAL_API_KEY || generateApiKey()
-  ]),
-  
   // 是否啟用身份驗證（預設為開發環境不強制）
-  enabled: process.env.AUTH_ENABLED === 'true' || false,
+  enabled: AUTH_CONFIG.enabled,
   
   // 允許的本地 IP
   allowedIPs: ['127.0.0.1', '::1', 'localhost']
 };
 
+// 未登入時的本地預設使用者
+const LOCAL_USER = { id: 'local-dev', role: 'admin', permissions: ['*'] };
+
 /**
  * 檢查 IP 是否為本地地址
  */
@@ -65,73 +36,83 @@ function isLocalIP(ip) {
 }
 
 /**
- * 驗證使用者憑證（異步）
+ * 取得請求中的 session 權杖（X-Session-ID 標頭或 cookie）
  */
-async function validateUser(username, password) {
-  if (!username || !password) return null;
-  
-  const user = LOCAL_AUTH_CONFIG.users.find(u => u.username === username);
-  
-  if (user) {
-    // 使用 bcrypt 驗證密碼
-    const isValidPassword = await bcrypt.compare(password, user.passwordHash);
-    
-    if (isValidPassword) {
-      // 返回安全的使用者資訊（不包含密碼哈希）
-      const { passwordHash: _, ...safeUser } = user;
-      return safeUser;
-    }
-  }
-  
-  return null;
+function getSessionToken(req) {
+  return req.headers['x-session-id'] || req.cookies?.[AUTH_CONFIG.sessionCookie] || null;
 }
 
 /**
- * 創建新的 session
+ * 以 session 權杖設定 req.user 與 req.session
+ * @returns {Promise<boolean>} - 是否找到有效的 session
  */
-function createSession(user, req) {
-  const sessionId = generateSessionId();
-  const session = {
-    id: sessionId,
-    user,
-    createdAt: new Date(),
-    lastAccess: new Date(),
-    ip: req.ip || req.connection.remoteAddress,
-    userAgent: req.get('User-Agent')
-  };
-  
-  sessions.set(sessionId, session);
-  
-  // 設定過期清理
-  setTimeout(() => {
-    sessions.delete(sessionId);
-  }, SESSION_TIMEOUT);
+async function attachSession(req) {
+  const result = await userService.getSession(getSessionToken(req));
+  if (!result) return false;
   
-  return sessionId;
+  req.user = result.user;
+  req.session = result.session;
+  return true;
 }
 
 /**
- * 獲取 session
+ * 取得請求中的 API 金鑰（X-API-Key 標頭或 Authorization: Bearer）
  */
-function getSession(sessionId) {
-  if (!sessionId) return null;
+function getApiKey(req) {
+  return req.headers['x-api-key'] || req.headers['authorization']?.replace(/^Bearer\s+/i, '') || null;
+}
+
+/**
+ * 以 API 金鑰設定 req.user 與 req.apiKey，並套用金鑰的速率限制
+ * @returns {Promise<boolean>} - 是否已回應錯誤（金鑰無效或超過速率限制）
+ */
+async function attachApiKey(req, res) {
+  const result = await apiKeyService.authenticate(getApiKey(req), req.ip || req.connection.remoteAddress);
+  
+  if (!result) {
+    res.status(401).json({
+      error: 'Invalid API key',
+      message: 'API 金鑰無效、已過期或已撤銷',
+      timestamp: new Date().toISOString()
+    });
+    return true;
+  }
   
-  const session = sessions.get(sessionId);
-  if (!session) return null;
+  const limit = apiKeyService.consumeRateLimit(result.apiKey);
+  const resetSeconds = Math.ceil((limit.resetAt - Date.now()) / 1000);
+  res.set({
+    'RateLimit-Limit': String(limit.limit),
+    'RateLimit-Remaining': String(limit.remaining),
+    'RateLimit-Reset': String(resetSeconds)
+  });
   
-  // 檢查是否過期
-  if (Date.now() - session.createdAt.getTime() > SESSION_TIMEOUT) {
-    sessions.delete(sessionId);
-    return null;
+  if (!limit.allowed) {
+    res.set('Retry-After', String(resetSeconds));
+    res.status(429).json({
+      error: 'API key rate limit exceeded',
+      message: `此 API 金鑰每分鐘最多 ${limit.limit} 個請求`,
+      retryAfter: resetSeconds,
+      timestamp: new Date().toISOString()
+    });
+    return true;
   }
   
-  // 更新最後存取時間
-  session.lastAccess = new Date();
-  return session;
+  req.user = result.user;
+  req.apiKey = result.apiKey;
+  return false;
+}
+
+/**
+ * 檢查使用者是否具有權限
+ */
+function hasPermission(user, permission) {
+  return !permission || user.permissions.includes(permission) || user.permissions.includes('*');
 }
 
 /**
  * 身份驗證中間件
+ * 有效的 session 優先，其次是 API 金鑰（提供金鑰時一律以金鑰驗證，包括本地請求）；
+ * 兩者皆無時，未啟用驗證或來自本地 IP 的請求使用本地預設使用者
  */
 export function requireAuth(options = {}) {
   const { 
@@ -140,29 +121,22 @@ export function requireAuth(options = {}) {
     allowApiKey = true    // 是否允許 API 金鑰驗證
   } = options;
   
-  return (req, res, next) => {
-    // 如果身份驗證未啟用，直接通過
-    if (!LOCAL_AUTH_CONFIG.enabled) {
-      req.user = { id: 'local-dev', role: 'admin', permissions: ['*'] };
-      return next();
-    }
-    
-    // 檢查是否為本地 IP
-    if (skipLocal && isLocalIP(req.ip || req.connection.remoteAddress)) {
-      req.user = { id: 'local-dev', role: 'admin', permissions: ['*'] };
-      return next();
-    }
-    
-    // 方法 1: 檢查 session
-    const sessionId = req.headers['x-session-id'] || req.cookies?.sessionId;
-    if (sessionId) {
-      const session = getSession(sessionId);
-      if (session) {
-        req.user = session.user;
-        req.session = session;
-        
+  return async (req, res, next) => {
+    try {
+      // 方法 1: 檢查 session
+      let authenticated = await attachSession(req);
+      
+      // 方法 2: 檢查 API 金鑰
+      if (!authenticated && allowApiKey && getApiKey(req)) {
+        if (await attachApiKey(req, res)) {
+          return;
+        }
+        authenticated = true;
+      }
+      
+      if (authenticated) {
         // 檢查權限
-        if (requirePermission && !session.user.permissions.includes(requirePermission) && !session.user.permissions.includes('*')) {
+        if (!hasPermission(req.user, requirePermission)) {
           return res.status(403).json({
             error: 'Insufficient permissions',
             required: requirePermission
@@ -171,46 +145,196 @@ export function requireAuth(options = {}) {
         
         return next();
       }
-    }
-    
-    // 方法 2: 檢查 API 金鑰
-    if (allowApiKey) {
-      const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-      if (apiKey && LOCAL_AUTH_CONFIG.apiKeys.has(apiKey)) {
-        req.user = { id: 'api-user', role: 'api', permissions: ['*'] };
+      
+      // 如果身份驗證未啟用，直接通過
+      if (!LOCAL_AUTH_CONFIG.enabled) {
+        req.user = LOCAL_USER;
+        return next();
+      }
+      
+      // 檢查是否為本地 IP
+      if (skipLocal && isLocalIP(req.ip || req.connection.remoteAddress)) {
+        req.user = LOCAL_USER;
         return next();
       }
+      
+      // 未授權
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: '需要身份驗證。請提供有效的 session 或 API 金鑰',
+        methods: ['session', 'api-key'],
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
     }
+  };
+}
+
+// 路由權限表中不需特定權限的值
+const PUBLIC_ROUTE = 'public';
+const AUTHENTICATED_ROUTE = 'authenticated';
+
+/**
+ * 將路由權限表編譯為比對規則（:param 比對單一路徑區段）
+ * 同一路徑符合多條規則時（例如 /spec/stats 與 /spec/:id），參數較少的規則優先
+ */
+function compileRoutePermissions(routePermissions, basePath) {
+  const validValues = new Set([PUBLIC_ROUTE, AUTHENTICATED_ROUTE, ...Object.keys(RBAC_CONFIG.permissions)]);
+  
+  return Object.entries(routePermissions).map(([key, permission]) => {
+    const [method, fullPath] = key.split(' ');
     
-    // 未授權
+    if (!validValues.has(permission)) {
+      throw new Error(`Unknown permission "${permission}" for route ${key}`);
+    }
+    if (!fullPath?.startsWith(basePath)) {
+      throw new Error(`Route ${key} is outside ${basePath}`);
+    }
+    
+    const path = fullPath.slice(basePath.length);
+    const pattern = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:\w+/g, '[^/]+');
+    
+    return {
+      method,
+      path,
+      permission,
+      params: (path.match(/:\w+/g) || []).length,
+      regex: new RegExp(`^${pattern}/?$`, 'i')
+    };
+  }).sort((a, b) => a.params - b.params);
+}
+
+/**
+ * 路由權限中間件（以 router.use 掛載在所有路由之前）
+ * 依 ROUTE_PERMISSIONS 為每個路由套用身份驗證與權限檢查，並將需要的權限設為 req.routePermission
+ * @param {object} routePermissions - 「METHOD /api/path」對應 public、authenticated 或權限名稱
+ * @param {object} options - { basePath: router 掛載的路徑 }
+ */
+export function applyRoutePermissions(routePermissions, options = {}) {
+  const { basePath = '/api' } = options;
+  const rules = compileRoutePermissions(routePermissions, basePath);
+  const guards = new Map();
+  
+  const getGuard = (permission) => {
+    if (!guards.has(permission)) {
+      guards.set(permission, requireAuth({
+        requirePermission: permission === AUTHENTICATED_ROUTE ? null : permission
+      }));
+    }
+    return guards.get(permission);
+  };
+  
+  return (req, res, next) => {
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    const rule = rules.find(r => r.method === method && r.regex.test(req.path));
+    
+    // 未列出的路由交由後續的 404 處理
+    if (!rule || rule.permission === PUBLIC_ROUTE) {
+      return next();
+    }
+    
+    req.routePermission = rule.permission;
+    return getGuard(rule.permission)(req, res, next);
+  };
+}
+
+/**
+ * 確認 router 上的每個路由都列在路由權限表中，遺漏時拋出錯誤（於啟動時執行）
+ */
+export function assertRoutePermissions(router, routePermissions, options = {}) {
+  const { basePath = '/api' } = options;
+  const missing = router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .map(method => `${method.toUpperCase()} ${basePath}${layer.route.path}`))
+    .filter(key => !(key in routePermissions));
+  
+  if (missing.length > 0) {
+    throw new Error(`Routes without an entry in ROUTE_PERMISSIONS: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * 需要以使用者帳號登入（本地預設使用者與 API 金鑰不算）
+ */
+export function requireUserSession(req, res, next) {
+  if (!req.session) {
     return res.status(401).json({
-      error: 'Authentication required',
-      message: '需要身份驗證。請提供有效的 session 或 API 金鑰',
-      methods: ['session', 'api-key'],
+      error: 'User session required',
+      message: '請以使用者帳號登入',
       timestamp: new Date().toISOString()
     });
+  }
+  
+  next();
+}
+
+/**
+ * 規格存取中間件（需在 requireAuth 之後使用）
+ * 依擁有者、可見度與分享確認 req.user 可對 :id 指定的規格執行操作，並將規格記錄設為 req.spec
+ * @param {string} action - view、edit、delete 或 manage
+ * @param {object} options - { job: true 時 :id 為工作 ID（job-<recordId>） }
+ */
+export function requireSpecAccess(action = 'view', options = {}) {
+  const { job = false } = options;
+  
+  return async (req, res, next) => {
+    try {
+      const specId = job ? jobQueueService.parseJobId(req.params.id) : Number(req.params.id);
+      req.spec = await specAccessService.assertAccess(req.user, specId, action);
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 }
 
 /**
  * 可選的身份驗證中間件（不強制要求）
  */
-export function optionalAuth(req, res, next) {
-  const sessionId = req.headers['x-session-id'] || req.cookies?.sessionId;
-  if (sessionId) {
-    const session = getSession(sessionId);
-    if (session) {
-      req.user = session.user;
-      req.session = session;
+export async function optionalAuth(req, res, next) {
+  try {
+    await attachSession(req);
+    
+    // 如果是本地 IP，提供預設使用者
+    if (!req.user && isLocalIP(req.ip || req.connection.remoteAddress)) {
+      req.user = { ...LOCAL_USER, role: 'local' };
     }
+    
+    next();
+  } catch (error) {
+    next(error);
   }
+}
+
+/**
+ * 建立 session 並以 HttpOnly cookie 回傳（同時在回應中提供 sessionId 給使用 X-Session-ID 標頭的用戶端）
+ * 並簽發綁定新 session 的 CSRF 權杖（登入前的權杖隨之失效）
+ * @returns {Promise<object>} - 登入回應內容
+ */
+export async function startSession(req, res, row) {
+  const { token, expiresAt } = await userService.createSession(row, {
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+  });
   
-  // 如果是本地 IP，提供預設使用者
-  if (!req.user && isLocalIP(req.ip || req.connection.remoteAddress)) {
-    req.user = { id: 'local-dev', role: 'local', permissions: ['*'] };
-  }
+  res.cookie(AUTH_CONFIG.sessionCookie, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: isProduction(),
+    maxAge: AUTH_CONFIG.sessionTtl,
+    path: '/'
+  });
   
-  next();
+  return {
+    success: true,
+    sessionId: token,
+    user: userService.toUserResponse(row),
+    csrfToken: issueCsrfToken(req, res, { sessionToken: token }),
+    expiresIn: AUTH_CONFIG.sessionTtl,
+    expiresAt
+  };
 }
 
 /**
@@ -228,8 +352,8 @@ export async function handleLogin(req, res) {
       });
     }
     
-    // 驗證憑證（異步）
-    const user = await validateUser(username, password);
+    // 驗證憑證（使用者名稱或電子郵件）
+    const user = await userService.authenticate(username, password);
     if (!user) {
       return res.status(401).json({
         error: 'Invalid credentials',
@@ -237,20 +361,9 @@ export async function handleLogin(req, res) {
       });
     }
     
-    // 創建 session
-    const sessionId = createSession(user, req);
-    
     res.json({
-      success: true,
-      message: '登入成功',
-      sessionId,
-      user: {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        permissions: user.permissions
-      },
-      expiresIn: SESSION_TIMEOUT
+      ...await startSession(req, res, user),
+      message: '登入成功'
     });
     
   } catch (error) {
@@ -267,14 +380,13 @@ export async function handleLogin(req, res) {
  */
 export async function handleLogout(req, res) {
   try {
-    const sessionId = req.headers['x-session-id'] || req.cookies?.sessionId;
-    
-    if (sessionId && sessions.has(sessionId)) {
-      sessions.delete(sessionId);
-    }
+    await userService.revokeSession(getSessionToken(req));
+    res.clearCookie(AUTH_CONFIG.sessionCookie, { path: '/' });
     
     res.json({
       success: true,
+      // 登出後的瀏覽器使用匿名 CSRF 權杖
+      csrfToken: issueCsrfToken(req, res, { sessionToken: null }),
       message: '登出成功'
     });
     
@@ -302,34 +414,24 @@ export async function handleUserInfo(req, res) {
     success: true,
     user: req.user,
     session: req.session ? {
-      id: req.session.id,
       createdAt: req.session.createdAt,
-      lastAccess: req.session.lastAccess
+      lastAccess: req.session.lastAccess,
+      expiresAt: req.session.expiresAt
     } : null
   });
 }
 
-/**
- * session 清理工具
- */
-export function cleanupSessions() {
-  const now = Date.now();
-  for (const [sessionId, session] of sessions.entries()) {
-    if (now - session.createdAt.getTime() > SESSION_TIMEOUT) {
-      sessions.delete(sessionId);
-    }
-  }
-}
-
-// 定期清理過期 session
-setInterval(cleanupSessions, 60 * 60 * 1000); // 每小時清理一次
-
-export { LOCAL_AUTH_CONFIG, sessions };
+export { LOCAL_AUTH_CONFIG };
 export default {
   requireAuth,
+  applyRoutePermissions,
+  assertRoutePermissions,
+  requireUserSession,
+  requireSpecAccess,
   optionalAuth,
+  startSession,
   handleLogin,
   handleLogout,
   handleUserInfo,
   LOCAL_AUTH_CONFIG
-};
\ No newline at end of file
+};
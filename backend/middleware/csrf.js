@@ -0,0 +1,154 @@
+/**
+ * CSRF 防護中間件
+ * 權杖以 HMAC 綁定 session cookie（尚未登入時綁定匿名的 csrfId cookie），登入時隨新的 session 輪換
+ * 瀏覽器只會自動附帶 cookie，因此以標頭提供憑證（API 金鑰、X-Session-ID）的請求，
+ * 以及不含 cookie 且非跨站台的請求（命令列工具與腳本）不需要權杖
+ */
+
+import crypto from 'crypto';
+import { AUTH_CONFIG, CSRF_CONFIG, SECURITY_CONFIG, isProduction } from '../config/serverConfig.js';
+
+// 未設定 CSRF_SECRET 時，權杖在重啟後失效（前端收到 403 時會重新取得）
+const secret = CSRF_CONFIG.secret || crypto.randomBytes(32).toString('hex');
+
+/**
+ * 以密鑰簽署綁定值與隨機值
+ */
+function sign(binding, nonce) {
+  return crypto.createHmac('sha256', secret).update(`${binding}.${nonce}`).digest('base64url');
+}
+
+/**
+ * 取得請求的權杖綁定值（session cookie 優先，其次為匿名 csrfId cookie）
+ * @param {string|null|undefined} sessionToken - 指定 session 權杖；null 表示已登出，undefined 時讀取 cookie
+ */
+function getBinding(req, sessionToken = undefined) {
+  const session = sessionToken === undefined ? req.cookies?.[AUTH_CONFIG.sessionCookie] : sessionToken;
+  if (session) {
+    return `session:${session}`;
+  }
+
+  const anonymousId = req.cookies?.[CSRF_CONFIG.cookie];
+  return anonymousId ? `anonymous:${anonymousId}` : null;
+}
+
+/**
+ * 驗證權杖是否由此伺服器為該綁定值簽發
+ */
+function isValidToken(token, binding) {
+  const [nonce, signature] = String(token || '').split('.');
+  if (!nonce || !signature || !binding) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(binding, nonce));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * 請求是否以標頭提供憑證（瀏覽器不會自動附帶，跨站台請求也無法設定）
+ */
+function hasHeaderCredentials(req) {
+  return Boolean(req.headers['x-api-key'] || req.headers['authorization'] || req.headers['x-session-id']);
+}
+
+/**
+ * 是否為瀏覽器發出的跨站台請求（Sec-Fetch-Site；舊瀏覽器以 Origin 判斷）
+ */
+function isCrossSiteRequest(req) {
+  const site = req.get('sec-fetch-site');
+  if (site) {
+    return site === 'cross-site';
+  }
+
+  const origin = req.get('origin');
+  if (!origin) {
+    return false;
+  }
+
+  try {
+    if (new URL(origin).host === req.get('host')) {
+      return false;
+    }
+  } catch {
+    return true;
+  }
+
+  const allowed = SECURITY_CONFIG.cors.origin;
+  return !(Array.isArray(allowed) && allowed.includes(origin));
+}
+
+/**
+ * 簽發 CSRF 權杖並以 X-CSRF-Token 標頭回傳；尚未登入且沒有 csrfId cookie 時先建立
+ * @param {object} options - { sessionToken: 剛建立的 session 權杖（登入）或 null（登出） }
+ * @returns {string} - 權杖
+ */
+export function issueCsrfToken(req, res, options = {}) {
+  let binding = getBinding(req, options.sessionToken);
+
+  if (!binding) {
+    const anonymousId = crypto.randomBytes(16).toString('hex');
+    res.cookie(CSRF_CONFIG.cookie, anonymousId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: isProduction(),
+      maxAge: CSRF_CONFIG.cookieMaxAge,
+      path: '/'
+    });
+    binding = `anonymous:${anonymousId}`;
+  }
+
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const token = `${nonce}.${sign(binding, nonce)}`;
+  res.set('X-CSRF-Token', token);
+
+  return token;
+}
+
+/**
+ * CSRF 驗證中間件（以 router.use 掛載在所有路由之前）
+ * 狀態變更請求需要在 X-CSRF-Token 標頭提供與 cookie 綁定的權杖
+ */
+export function verifyCsrfToken(req, res, next) {
+  if (!CSRF_CONFIG.enabled || !CSRF_CONFIG.protectedMethods.includes(req.method)) {
+    return next();
+  }
+
+  if (hasHeaderCredentials(req)) {
+    return next();
+  }
+
+  const binding = getBinding(req);
+  if (!binding && !isCrossSiteRequest(req)) {
+    return next();
+  }
+
+  if (isValidToken(req.get(CSRF_CONFIG.header), binding)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    error: 'Invalid CSRF token',
+    message: 'CSRF 權杖無效或缺少，請以 GET /api/auth/csrf-token 重新取得',
+    header: 'X-CSRF-Token',
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * 取得 CSRF 權杖端點處理器
+ */
+export function handleCsrfToken(req, res) {
+  res.json({
+    success: true,
+    csrfToken: issueCsrfToken(req, res),
+    header: 'X-CSRF-Token'
+  });
+}
+
+export default {
+  issueCsrfToken,
+  verifyCsrfToken,
+  handleCsrfToken
+};
@@ -80,7 +80,8 @@ export const globalErrorHandler = (err, req, res, next) => {
     method: req.method,
     userAgent: req.get('User-Agent'),
     ip: req.ip,
-    body: req.body,
+    // 上傳的封存檔只記錄大小
+    body: Buffer.isBuffer(req.body) ? `<${req.body.length} bytes>` : req.body,
     query: req.query,
     params: req.params
   });
@@ -5,7 +5,7 @@
 
 import { validationResult, body, param, query, header } from 'express-validator';
 import Joi from 'joi';
-import { ERROR_MESSAGES, isDevelopment } from '../config/serverConfig.js';
+import { ERROR_MESSAGES, SPEC_EDIT_CONFIG, isDevelopment } from '../config/serverConfig.js';
 import { logger } from './logging.js';
 
 /**
@@ -289,7 +289,7 @@ export const customValidators = {
   
   // 檢查是否為有效的狀態值
   isValidStatus: (value) => {
-    const validStatuses = ['pending', 'processing', 'completed', 'failed'];
+    const validStatuses = ['pending', 'processing', 'completed', 'failed', 'cancelled'];
     return validStatuses.includes(value);
   },
   
@@ -332,6 +332,16 @@ export function sanitizeInput(req, res, next) {
       .substring(0, 10000); // 限制最大長度
   };
   
+  // Markdown 欄位保留換行與縮排，只統一換行符號並移除控制字元
+  const sanitizeFormattedString = (str) => {
+    if (typeof str !== 'string') return str;
+    
+    return str
+      .replace(/\r\n?/g, '\n')
+      .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/g, '')
+      .substring(0, SPEC_EDIT_CONFIG.maxLength + 1); // 保留超出一字元，讓驗證回報過長
+  };
+  
   // 遞歸清理對象
   const sanitizeObject = (obj) => {
     if (typeof obj !== 'object' || obj === null) {
@@ -344,7 +354,9 @@ export function sanitizeInput(req, res, next) {
     
     const sanitized = {};
     for (const [key, value] of Object.entries(obj)) {
-      sanitized[key] = sanitizeObject(value);
+      sanitized[key] = SPEC_EDIT_CONFIG.formattedFields.includes(key) && typeof value === 'string'
+        ? sanitizeFormattedString(value)
+        : sanitizeObject(value);
     }
     return sanitized;
   };
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * 資料庫遷移命令列工具
+ *
+ * 用法：
+ *   node migrate.js                     套用所有尚未執行的遷移
+ *   node migrate.js status              顯示每個遷移的狀態
+ *   node migrate.js rollback            回復最後一個遷移
+ *   node migrate.js rollback --steps=3  回復最後三個遷移
+ *   node migrate.js rollback --to=4     回復到第 4 版（保留第 4 版，0 表示全部回復）
+ */
+
+import databaseService from './services/databaseService.js';
+import migrationService from './services/migrationService.js';
+
+const [command = 'up', ...args] = process.argv.slice(2);
+
+/**
+ * 解析 --name=value 形式的非負整數參數
+ */
+function parseIntegerOption(name) {
+  const arg = args.find(item => item.startsWith(`--${name}=`));
+  if (!arg) return null;
+
+  const value = Number(arg.slice(name.length + 3));
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+const formatMigration = migration => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+async function showStatus(db) {
+  const status = await migrationService.getStatus(db);
+
+  console.log('📋 資料庫遷移狀態');
+  for (const migration of status) {
+    const icon = { applied: '✅', pending: '⏳', missing: '⚠️' }[migration.status];
+    const appliedAt = migration.appliedAt ? `  (${migration.appliedAt})` : '';
+    console.log(`   ${icon} ${formatMigration(migration)}  ${migration.status}${appliedAt}`);
+  }
+
+  const pending = status.filter(migration => migration.status === 'pending').length;
+  console.log(pending > 0 ? `\n${pending} 個遷移尚未套用，請執行 npm run migrate` : '\n資料庫結構已是最新版本');
+}
+
+async function runMigrations(db) {
+  const applied = await migrationService.migrate(db);
+
+  if (applied.length === 0) {
+    console.log('✅ 沒有需要套用的遷移');
+    return;
+  }
+
+  console.log(`✅ 已套用 ${applied.length} 個遷移：`);
+  applied.forEach(migration => console.log(`   ${formatMigration(migration)}`));
+}
+
+async function rollbackMigrations(db) {
+  const steps = parseIntegerOption('steps');
+  const to = parseIntegerOption('to');
+
+  const rolledBack = await migrationService.rollback(db, { steps: steps ?? 1, to });
+
+  if (rolledBack.length === 0) {
+    console.log('✅ 沒有需要回復的遷移');
+    return;
+  }
+
+  console.log(`↩️  已回復 ${rolledBack.length} 個遷移：`);
+  rolledBack.forEach(migration => console.log(`   ${formatMigration(migration)}`));
+}
+
+const commands = {
+  up: runMigrations,
+  status: showStatus,
+  rollback: rollbackMigrations
+};
+
+try {
+  if (!commands[command]) {
+    throw new Error(`Unknown command "${command}" (expected: ${Object.keys(commands).join(', ')})`);
+  }
+
+  await databaseService.connect();
+  await commands[command](databaseService.db);
+  await databaseService.close();
+  process.exit(0);
+} catch (error) {
+  console.error('❌ 資料庫遷移失敗:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,74 @@
+/**
+ * 建立 ideas 與 performance_metrics 資料表及基本索引
+ * 舊版 scripts/setup-database.js 建立的 ideas 缺少 status、processing_time_ms、updated_at，會重建為完整結構
+ */
+
+import { tableExists, getColumns, rebuildTable } from '../utils/schemaHelpers.js';
+
+const createIdeasSql = name => `
+  CREATE TABLE ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_input TEXT NOT NULL,
+    generated_spec TEXT NOT NULL,
+    status TEXT DEFAULT 'completed' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+    processing_time_ms INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_ideas_created_at ON ideas(created_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_ideas_status ON ideas(status)',
+  'CREATE INDEX IF NOT EXISTS idx_ideas_status_created ON ideas(status, created_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_ideas_search_created ON ideas(created_at DESC, user_input, generated_spec)',
+  'CREATE INDEX IF NOT EXISTS idx_ideas_processing_time ON ideas(processing_time_ms DESC) WHERE processing_time_ms IS NOT NULL',
+  'CREATE INDEX IF NOT EXISTS idx_ideas_date_stats ON ideas(date(created_at), status)',
+  'CREATE INDEX IF NOT EXISTS idx_ideas_updated_at ON ideas(updated_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_performance_created_at ON performance_metrics(created_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_performance_endpoint ON performance_metrics(endpoint)',
+  'CREATE INDEX IF NOT EXISTS idx_performance_endpoint_time ON performance_metrics(endpoint, created_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_performance_duration ON performance_metrics(duration_ms DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_performance_status_endpoint ON performance_metrics(status_code, endpoint)'
+];
+
+export async function up(db) {
+  if (!(await tableExists(db, 'ideas'))) {
+    await db.execute(createIdeasSql('ideas'));
+  } else {
+    const columns = await getColumns(db, 'ideas');
+
+    if (!columns.has('status') || !columns.has('processing_time_ms') || !columns.has('updated_at')) {
+      await rebuildTable(db, 'ideas', createIdeasSql, {
+        id: 'id',
+        user_input: 'user_input',
+        generated_spec: 'generated_spec',
+        status: columns.has('status') ? 'status' : "'completed'",
+        processing_time_ms: columns.has('processing_time_ms') ? 'processing_time_ms' : 'NULL',
+        created_at: 'created_at',
+        updated_at: columns.has('updated_at') ? 'updated_at' : 'created_at'
+      });
+    }
+  }
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS performance_metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      endpoint TEXT NOT NULL,
+      method TEXT NOT NULL,
+      duration_ms INTEGER NOT NULL,
+      status_code INTEGER NOT NULL,
+      error_message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const sql of INDEXES) {
+    await db.execute(sql);
+  }
+}
+
+export async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS performance_metrics');
+  await db.execute('DROP TABLE IF EXISTS ideas');
+}
@@ -0,0 +1,33 @@
+/**
+ * 讓 ideas.status 接受 cancelled（取消的生成工作）
+ * SQLite 無法修改 CHECK 約束，以原有結構重建資料表，保留所有欄位與索引
+ */
+
+import { getTableSql, getColumns, rebuildTable, sameColumns } from '../utils/schemaHelpers.js';
+
+const STATUS_CHECK = /CHECK\s*\(\s*status\s+IN\s*\([^)]*\)\s*\)/i;
+
+const withStatuses = (tableSql, statuses) => name => tableSql
+  .replace(/^CREATE TABLE\s+("?)ideas\1/i, `CREATE TABLE ${name}`)
+  .replace(STATUS_CHECK, `CHECK (status IN (${statuses.map(status => `'${status}'`).join(', ')}))`);
+
+async function rebuildWithStatuses(db, statuses) {
+  const tableSql = await getTableSql(db, 'ideas');
+  const columns = await getColumns(db, 'ideas');
+
+  await rebuildTable(db, 'ideas', withStatuses(tableSql, statuses), sameColumns(columns));
+}
+
+export async function up(db) {
+  const tableSql = await getTableSql(db, 'ideas');
+  if (tableSql.includes("'cancelled'")) {
+    return;
+  }
+
+  await rebuildWithStatuses(db, ['pending', 'processing', 'completed', 'failed', 'cancelled']);
+}
+
+export async function down(db) {
+  await db.execute("UPDATE ideas SET status = 'failed' WHERE status = 'cancelled'");
+  await rebuildWithStatuses(db, ['pending', 'processing', 'completed', 'failed']);
+}
@@ -0,0 +1,33 @@
+/**
+ * 建立提示範本資料表，並記錄每份規格使用的範本、語言與範本變數
+ */
+
+import { addColumns, dropColumns } from '../utils/schemaHelpers.js';
+
+export async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS prompt_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      title TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      body TEXT NOT NULL,
+      variables TEXT DEFAULT '[]',
+      language TEXT DEFAULT 'zh-TW',
+      is_builtin INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await addColumns(db, 'ideas', {
+    template_id: 'INTEGER',
+    language: 'TEXT',
+    template_variables: 'TEXT'
+  });
+}
+
+export async function down(db) {
+  await dropColumns(db, 'ideas', ['template_id', 'language', 'template_variables']);
+  await db.execute('DROP TABLE IF EXISTS prompt_templates');
+}
@@ -0,0 +1,49 @@
+/**
+ * 建立規格版本資料表並記錄最後編輯者
+ * 已完成但尚無版本記錄的規格會建立第 1 版
+ */
+
+import { addColumns, dropColumns } from '../utils/schemaHelpers.js';
+
+export async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS spec_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      idea_id INTEGER NOT NULL REFERENCES ideas(id) ON DELETE CASCADE,
+      version INTEGER NOT NULL,
+      generated_spec TEXT NOT NULL,
+      source TEXT DEFAULT 'generated',
+      template_id INTEGER,
+      language TEXT,
+      processing_time_ms INTEGER,
+      edited_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (idea_id, version)
+    )
+  `);
+
+  await addColumns(db, 'spec_versions', { edited_by: 'TEXT' });
+  await addColumns(db, 'ideas', {
+    current_version: 'INTEGER DEFAULT 0',
+    last_edited_by: 'TEXT',
+    last_edited_at: 'DATETIME'
+  });
+
+  await db.execute(`
+    INSERT INTO spec_versions (idea_id, version, generated_spec, source, template_id, language, processing_time_ms, created_at)
+    SELECT id, 1, generated_spec, 'generated', template_id, language, processing_time_ms, updated_at
+    FROM ideas
+    WHERE status = 'completed' AND generated_spec != ''
+      AND NOT EXISTS (SELECT 1 FROM spec_versions v WHERE v.idea_id = ideas.id)
+  `);
+  await db.execute(`
+    UPDATE ideas SET current_version = (SELECT MAX(version) FROM spec_versions v WHERE v.idea_id = ideas.id)
+    WHERE COALESCE(current_version, 0) = 0
+      AND EXISTS (SELECT 1 FROM spec_versions v WHERE v.idea_id = ideas.id)
+  `);
+}
+
+export async function down(db) {
+  await dropColumns(db, 'ideas', ['current_version', 'last_edited_by', 'last_edited_at']);
+  await db.execute('DROP TABLE IF EXISTS spec_versions');
+}
@@ -0,0 +1,13 @@
+/**
+ * 保存排隊中的章節修訂請求，讓重啟後能恢復工作
+ */
+
+import { addColumns, dropColumns } from '../utils/schemaHelpers.js';
+
+export async function up(db) {
+  await addColumns(db, 'ideas', { refine_request: 'TEXT' });
+}
+
+export async function down(db) {
+  await dropColumns(db, 'ideas', ['refine_request']);
+}
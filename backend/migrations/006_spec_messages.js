@@ -0,0 +1,23 @@
+/**
+ * 建立規格對話資料表（每份規格一個對話串，助理回覆可附帶修訂後的完整規格）
+ */
+
+export async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS spec_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      idea_id INTEGER NOT NULL REFERENCES ideas(id) ON DELETE CASCADE,
+      role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+      content TEXT NOT NULL,
+      proposed_spec TEXT,
+      base_version INTEGER,
+      accepted_version INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.execute('CREATE INDEX IF NOT EXISTS idx_spec_messages_idea ON spec_messages(idea_id, id)');
+}
+
+export async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS spec_messages');
+}
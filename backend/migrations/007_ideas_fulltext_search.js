@@ -0,0 +1,47 @@
+/**
+ * 建立 ideas 的 FTS5 全文索引，並以觸發器保持同步
+ * 索引為外部內容表（不重複儲存文字），trigram 分詞讓中文也能搜尋；同時移除舊版對長文字欄位建立的 B-tree 索引
+ */
+
+import { tableExists } from '../utils/schemaHelpers.js';
+
+export async function up(db) {
+  await db.execute('DROP INDEX IF EXISTS idx_ideas_user_input_fts');
+  await db.execute('DROP INDEX IF EXISTS idx_ideas_generated_spec_fts');
+
+  const exists = await tableExists(db, 'ideas_fts');
+
+  await db.execute(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS ideas_fts USING fts5(
+      user_input, generated_spec,
+      content = 'ideas', content_rowid = 'id', tokenize = 'trigram'
+    )
+  `);
+  await db.execute(`
+    CREATE TRIGGER IF NOT EXISTS ideas_fts_ai AFTER INSERT ON ideas BEGIN
+      INSERT INTO ideas_fts (rowid, user_input, generated_spec) VALUES (new.id, new.user_input, new.generated_spec);
+    END
+  `);
+  await db.execute(`
+    CREATE TRIGGER IF NOT EXISTS ideas_fts_ad AFTER DELETE ON ideas BEGIN
+      INSERT INTO ideas_fts (ideas_fts, rowid, user_input, generated_spec) VALUES ('delete', old.id, old.user_input, old.generated_spec);
+    END
+  `);
+  await db.execute(`
+    CREATE TRIGGER IF NOT EXISTS ideas_fts_au AFTER UPDATE OF user_input, generated_spec ON ideas BEGIN
+      INSERT INTO ideas_fts (ideas_fts, rowid, user_input, generated_spec) VALUES ('delete', old.id, old.user_input, old.generated_spec);
+      INSERT INTO ideas_fts (rowid, user_input, generated_spec) VALUES (new.id, new.user_input, new.generated_spec);
+    END
+  `);
+
+  if (!exists) {
+    await db.execute("INSERT INTO ideas_fts (ideas_fts) VALUES ('rebuild')");
+  }
+}
+
+export async function down(db) {
+  await db.execute('DROP TRIGGER IF EXISTS ideas_fts_ai');
+  await db.execute('DROP TRIGGER IF EXISTS ideas_fts_ad');
+  await db.execute('DROP TRIGGER IF EXISTS ideas_fts_au');
+  await db.execute('DROP TABLE IF EXISTS ideas_fts');
+}
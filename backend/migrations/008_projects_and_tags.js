@@ -0,0 +1,49 @@
+/**
+ * 建立專案與標籤：每份規格最多屬於一個專案，並可附加多個自由標籤
+ */
+
+import { addColumns, dropColumns } from '../utils/schemaHelpers.js';
+
+export async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      description TEXT DEFAULT '',
+      color TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      color TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS idea_tags (
+      idea_id INTEGER NOT NULL REFERENCES ideas(id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (idea_id, tag_id)
+    )
+  `);
+
+  await addColumns(db, 'ideas', { project_id: 'INTEGER REFERENCES projects(id) ON DELETE SET NULL' });
+
+  await db.execute('CREATE INDEX IF NOT EXISTS idx_ideas_project ON ideas(project_id, created_at DESC)');
+  await db.execute('CREATE INDEX IF NOT EXISTS idx_idea_tags_tag ON idea_tags(tag_id, idea_id)');
+}
+
+export async function down(db) {
+  await db.execute('DROP INDEX IF EXISTS idx_ideas_project');
+  await dropColumns(db, 'ideas', ['project_id']);
+  await db.execute('DROP TABLE IF EXISTS idea_tags');
+  await db.execute('DROP TABLE IF EXISTS tags');
+  await db.execute('DROP TABLE IF EXISTS projects');
+}
@@ -0,0 +1,15 @@
+/**
+ * 保存由 Markdown 推導的結構化規格（JSON），與 generated_spec 並存；舊記錄在第一次讀取時補上
+ */
+
+import { addColumns, dropColumns } from '../utils/schemaHelpers.js';
+
+export async function up(db) {
+  await addColumns(db, 'ideas', { structured_spec: 'TEXT' });
+  await addColumns(db, 'spec_versions', { structured_spec: 'TEXT' });
+}
+
+export async function down(db) {
+  await dropColumns(db, 'spec_versions', ['structured_spec']);
+  await dropColumns(db, 'ideas', ['structured_spec']);
+}
@@ -0,0 +1,15 @@
+/**
+ * 保存每個版本的品質分數與檢查結果（JSON）；ideas 上的欄位為目前版本的結果
+ */
+
+import { addColumns, dropColumns } from '../utils/schemaHelpers.js';
+
+export async function up(db) {
+  await addColumns(db, 'ideas', { quality_score: 'INTEGER', quality_report: 'TEXT' });
+  await addColumns(db, 'spec_versions', { quality_score: 'INTEGER', quality_report: 'TEXT' });
+}
+
+export async function down(db) {
+  await dropColumns(db, 'spec_versions', ['quality_score', 'quality_report']);
+  await dropColumns(db, 'ideas', ['quality_score', 'quality_report']);
+}
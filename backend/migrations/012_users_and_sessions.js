@@ -0,0 +1,59 @@
+/**
+ * 建立使用者帳號、登入 session 與一次性權杖（邀請、密碼重設）
+ * session 與權杖只保存 SHA-256 雜湊，資料庫外洩時無法直接使用
+ */
+
+export async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      email TEXT UNIQUE COLLATE NOCASE,
+      display_name TEXT,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'user',
+      active INTEGER NOT NULL DEFAULT 1,
+      last_login_at DATETIME,
+      password_changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      ip TEXT,
+      user_agent TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_access_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL
+    )
+  `);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL CHECK (type IN ('invite', 'password_reset')),
+      token_hash TEXT NOT NULL UNIQUE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      email TEXT,
+      role TEXT,
+      created_by INTEGER,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+  await db.execute('CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)');
+  await db.execute('CREATE INDEX IF NOT EXISTS idx_auth_tokens_type ON auth_tokens(type, expires_at)');
+}
+
+export async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS auth_tokens');
+  await db.execute('DROP TABLE IF EXISTS sessions');
+  await db.execute('DROP TABLE IF EXISTS users');
+}
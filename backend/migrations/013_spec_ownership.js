@@ -0,0 +1,35 @@
+/**
+ * 規格擁有者與可見度：owner_id 為建立者（既有規格沒有擁有者），visibility 為 private 或 team，
+ * spec_shares 記錄分享給個別使用者的規格與權限
+ * 既有規格維持所有人可見（team）
+ */
+
+import { addColumns, dropColumns } from '../utils/schemaHelpers.js';
+
+export async function up(db) {
+  await addColumns(db, 'ideas', {
+    owner_id: 'INTEGER REFERENCES users(id) ON DELETE SET NULL',
+    visibility: "TEXT NOT NULL DEFAULT 'team'"
+  });
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS spec_shares (
+      idea_id INTEGER NOT NULL REFERENCES ideas(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      permission TEXT NOT NULL DEFAULT 'view' CHECK (permission IN ('view', 'edit')),
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (idea_id, user_id)
+    )
+  `);
+
+  await db.execute('CREATE INDEX IF NOT EXISTS idx_ideas_owner ON ideas(owner_id, created_at DESC)');
+  await db.execute('CREATE INDEX IF NOT EXISTS idx_spec_shares_user ON spec_shares(user_id, idea_id)');
+}
+
+export async function down(db) {
+  await db.execute('DROP INDEX IF EXISTS idx_spec_shares_user');
+  await db.execute('DROP TABLE IF EXISTS spec_shares');
+  await db.execute('DROP INDEX IF EXISTS idx_ideas_owner');
+  await dropColumns(db, 'ideas', ['owner_id', 'visibility']);
+}
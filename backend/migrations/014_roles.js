@@ -0,0 +1,42 @@
+/**
+ * 角色與權限保存在資料庫：建立內建角色 viewer、editor、api-client 與 admin，
+ * 原本的 user 角色（generate、history、delete）改為 editor
+ */
+
+const BUILT_IN_ROLES = [
+  ['viewer', 'Read specifications, history and statistics', ['history', 'stats']],
+  ['editor', 'Generate, edit, organize and delete specifications', ['history', 'generate', 'delete', 'stats']],
+  ['api-client', 'Automation clients that generate and read specifications', ['history', 'generate']],
+  ['admin', 'Every permission, including users, roles and webhooks', ['*']]
+];
+
+export async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS roles (
+      name TEXT PRIMARY KEY COLLATE NOCASE,
+      description TEXT DEFAULT '',
+      permissions TEXT NOT NULL DEFAULT '[]',
+      is_builtin INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const [name, description, permissions] of BUILT_IN_ROLES) {
+    await db.execute({
+      sql: 'INSERT OR IGNORE INTO roles (name, description, permissions, is_builtin) VALUES (?, ?, ?, 1)',
+      args: [name, description, JSON.stringify(permissions)]
+    });
+  }
+
+  await db.execute("UPDATE users SET role = 'editor' WHERE role = 'user'");
+  await db.execute("UPDATE auth_tokens SET role = 'editor' WHERE role = 'user'");
+}
+
+// 舊版只認得 admin 與 user，其他角色名稱沒有任何權限；
+// 因此只把 editor 改回 user，viewer、api-client 與自訂角色保留原名，回復後不會取得 generate 或 delete
+export async function down(db) {
+  await db.execute("UPDATE users SET role = 'user' WHERE role = 'editor'");
+  await db.execute("UPDATE auth_tokens SET role = 'user' WHERE role = 'editor'");
+  await db.execute('DROP TABLE IF EXISTS roles');
+}
@@ -0,0 +1,30 @@
+/**
+ * 受管理的 API 金鑰：只保存金鑰的 SHA-256 雜湊與顯示用前綴，
+ * scopes 為 JSON 陣列，rate_limit 為每分鐘請求數（NULL 時使用預設值），created_by 為金鑰代表的使用者
+ */
+
+export async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT NOT NULL DEFAULT '[]',
+      rate_limit INTEGER,
+      created_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      expires_at DATETIME,
+      last_used_at DATETIME,
+      last_used_ip TEXT,
+      usage_count INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.execute('CREATE INDEX IF NOT EXISTS idx_api_keys_created_by ON api_keys(created_by)');
+}
+
+export async function down(db) {
+  await db.execute('DROP INDEX IF EXISTS idx_api_keys_created_by');
+  await db.execute('DROP TABLE IF EXISTS api_keys');
+}
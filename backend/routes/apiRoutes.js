@@ -12,15 +12,32 @@ import rateLimit from 'express-rate-limit';
 import specController from '../controllers/specController.js';
 import historyController from '../controllers/historyController.js';
 import healthController from '../controllers/healthController.js';
+import jobController from '../controllers/jobController.js';
+import templateController from '../controllers/templateController.js';
+import organizationController from '../controllers/organizationController.js';
+import archiveController from '../controllers/archiveController.js';
+import webhookController from '../controllers/webhookController.js';
+import userController from '../controllers/userController.js';
+import roleController from '../controllers/roleController.js';
+import apiKeyController from '../controllers/apiKeyController.js';
 
 // 導入中間件
-import { requireAuth, optionalAuth, handleLogin, handleLogout, handleUserInfo } from '../middleware/auth.js';
+import { applyRoutePermissions, assertRoutePermissions, requireUserSession, requireSpecAccess, optionalAuth, handleLogin, handleLogout, handleUserInfo } from '../middleware/auth.js';
+import { verifyCsrfToken, handleCsrfToken } from '../middleware/csrf.js';
+import { checkRequestSize } from '../middleware/validation.js';
 
 // 導入配置
 import { 
   SECURITY_CONFIG, 
+  SPEC_EDIT_CONFIG, 
+  EXPORT_CONFIG, 
+  ARCHIVE_CONFIG, 
+  STRUCTURED_SPEC_CONFIG, 
   VALIDATION_SCHEMAS, 
   API_ENDPOINTS, 
+  RBAC_CONFIG,
+  ROUTE_PERMISSIONS,
+  API_KEY_CONFIG,
   WEBSOCKET_EVENTS,
   JOB_STATUSES,
   isDevelopment 
@@ -30,6 +47,7 @@ const router = express.Router();
 
 // 創建速率限制器
 const generateLimiter = rateLimit(SECURITY_CONFIG.generateRateLimit);
+const authLimiter = rateLimit(SECURITY_CONFIG.authRateLimit);
 
 // 創建 Joi schema 驗證中間件
 const validateRequest = (schema) => {
@@ -58,41 +76,936 @@ const validateRequest = (schema) => {
   };
 };
 
+// ==================== CSRF 防護 ====================
+
+// 以 cookie 驗證或跨站台的狀態變更請求需要 X-CSRF-Token（見 middleware/csrf.js）
+router.use(verifyCsrfToken);
+
+// ==================== 路由權限 ====================
+
+// 依 ROUTE_PERMISSIONS 為所有路由套用身份驗證與權限檢查（新增路由時需同時加入權限表）
+router.use(applyRoutePermissions(ROUTE_PERMISSIONS));
+
 // ==================== 身份驗證路由 ====================
 
 /**
- * 用戶登入
+ * 用戶登入
+ */
+router.post('/auth/login', authLimiter, handleLogin);
+
+/**
+ * 用戶登出
+ */
+router.post('/auth/logout', optionalAuth, handleLogout);
+
+/**
+ * 取得 CSRF 權杖（同時以 X-CSRF-Token 標頭回傳）
+ * GET /api/auth/csrf-token
+ */
+router.get('/auth/csrf-token', handleCsrfToken);
+
+/**
+ * 取得用戶資訊
+ */
+router.get('/auth/user', handleUserInfo);
+
+/**
+ * 註冊帳號（依 AUTH_REGISTRATION 需要邀請權杖）
+ * POST /api/auth/register
+ */
+router.post('/auth/register',
+  authLimiter,
+  validateRequest(VALIDATION_SCHEMAS.register),
+  userController.register
+);
+
+/**
+ * 變更密碼（需以使用者帳號登入）
+ * POST /api/auth/password
+ */
+router.post('/auth/password',
+  authLimiter,
+  requireUserSession,
+  validateRequest(VALIDATION_SCHEMAS.changePassword),
+  userController.changePassword
+);
+
+/**
+ * 申請密碼重設權杖（權杖寫入伺服器日誌）
+ * POST /api/auth/password-reset/request
+ */
+router.post('/auth/password-reset/request',
+  authLimiter,
+  validateRequest(VALIDATION_SCHEMAS.passwordResetRequest),
+  userController.requestPasswordReset
+);
+
+/**
+ * 以重設權杖設定新密碼
+ * POST /api/auth/password-reset
+ */
+router.post('/auth/password-reset',
+  authLimiter,
+  validateRequest(VALIDATION_SCHEMAS.passwordReset),
+  userController.resetPassword
+);
+
+// ==================== 使用者管理路由 ====================
+
+/**
+ * 取得所有使用者
+ * GET /api/admin/users
+ */
+router.get('/admin/users', userController.listUsers);
+
+/**
+ * 建立使用者
+ * POST /api/admin/users
+ */
+router.post('/admin/users',
+  validateRequest(VALIDATION_SCHEMAS.createUser),
+  userController.createUser
+);
+
+/**
+ * 取得特定使用者
+ * GET /api/admin/users/:id
+ */
+router.get('/admin/users/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  userController.getUser
+);
+
+/**
+ * 更新使用者（角色、啟用狀態、電子郵件、顯示名稱）
+ * PUT /api/admin/users/:id
+ */
+router.put('/admin/users/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.updateUser),
+  userController.updateUser
+);
+
+/**
+ * 刪除使用者與其 session
+ * DELETE /api/admin/users/:id
+ */
+router.delete('/admin/users/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  userController.deleteUser
+);
+
+/**
+ * 為使用者建立密碼重設權杖
+ * POST /api/admin/users/:id/password-reset
+ */
+router.post('/admin/users/:id/password-reset',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  userController.createPasswordReset
+);
+
+/**
+ * 取得尚未使用的邀請
+ * GET /api/admin/invites
+ */
+router.get('/admin/invites', userController.listInvites);
+
+/**
+ * 建立邀請
+ * POST /api/admin/invites
+ */
+router.post('/admin/invites',
+  validateRequest(VALIDATION_SCHEMAS.createInvite),
+  userController.createInvite
+);
+
+/**
+ * 撤銷邀請
+ * DELETE /api/admin/invites/:id
+ */
+router.delete('/admin/invites/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  userController.deleteInvite
+);
+
+// ==================== API 金鑰管理路由 ====================
+
+/**
+ * 取得所有 API 金鑰
+ * GET /api/keys
+ */
+router.get('/keys', apiKeyController.listApiKeys);
+
+/**
+ * 建立 API 金鑰（金鑰只在回應中出現一次）
+ * POST /api/keys
+ */
+router.post('/keys',
+  validateRequest(VALIDATION_SCHEMAS.createApiKey),
+  apiKeyController.createApiKey
+);
+
+/**
+ * 撤銷 API 金鑰
+ * DELETE /api/keys/:id
+ */
+router.delete('/keys/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  apiKeyController.deleteApiKey
+);
+
+// ==================== 角色管理路由 ====================
+
+const roleNameParam = () => param('name').matches(RBAC_CONFIG.namePattern).withMessage('Invalid role name');
+
+/**
+ * 取得所有角色與可指派的權限
+ * GET /api/admin/roles
+ */
+router.get('/admin/roles', roleController.listRoles);
+
+/**
+ * 建立角色
+ * POST /api/admin/roles
+ */
+router.post('/admin/roles',
+  validateRequest(VALIDATION_SCHEMAS.createRole),
+  roleController.createRole
+);
+
+/**
+ * 取得特定角色
+ * GET /api/admin/roles/:name
+ */
+router.get('/admin/roles/:name',
+  roleNameParam(),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  roleController.getRole
+);
+
+/**
+ * 更新角色的說明或權限（admin 角色的權限不可變更）
+ * PUT /api/admin/roles/:name
+ */
+router.put('/admin/roles/:name',
+  roleNameParam(),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.updateRole),
+  roleController.updateRole
+);
+
+/**
+ * 刪除自訂角色（內建角色與仍在使用中的角色不可刪除）
+ * DELETE /api/admin/roles/:name
+ */
+router.delete('/admin/roles/:name',
+  roleNameParam(),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  roleController.deleteRole
+);
+
+// ==================== 規格生成路由 ====================
+
+/**
+ * 生成規格文檔
+ * POST /api/generate
+ */
+router.post('/generate', 
+  generateLimiter,
+  validateRequest(VALIDATION_SCHEMAS.generateIdea),
+  specController.generateSpec
+);
+
+/**
+ * 取得結構化規格的 JSON Schema
+ * GET /api/schemas/specification.json
+ */
+router.get('/schemas/specification.json', specController.getSpecSchema);
+
+/**
+ * 取得規格統計（需在 /spec/:id 之前註冊）
+ * GET /api/spec/stats
+ */
+router.get('/spec/stats', specController.getStats);
+
+/**
+ * 取得特定規格文檔（format=json 時回傳結構化規格）
+ * GET /api/spec/:id?format=json
+ */
+router.get('/spec/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  query('format').optional().isIn(STRUCTURED_SPEC_CONFIG.formats).withMessage(`Format must be one of: ${STRUCTURED_SPEC_CONFIG.formats.join(', ')}`),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('view'),
+  specController.getSpec
+);
+
+/**
+ * 保存編輯後的規格（保存為新版本）
+ * PUT /api/spec/:id
+ */
+router.put('/spec/:id',
+  checkRequestSize(SPEC_EDIT_CONFIG.maxRequestSize),
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.updateSpec),
+  requireSpecAccess('edit'),
+  specController.updateSpec
+);
+
+/**
+ * 重新生成規格（保存為新版本）
+ * POST /api/spec/:id/regenerate
+ */
+router.post('/spec/:id/regenerate',
+  generateLimiter,
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.regenerateSpec),
+  requireSpecAccess('edit'),
+  specController.regenerateSpec
+);
+
+/**
+ * 取得規格版本列表
+ * GET /api/spec/:id/versions
+ */
+router.get('/spec/:id/versions',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('view'),
+  specController.getVersions
+);
+
+/**
+ * 取得特定規格版本
+ * GET /api/spec/:id/versions/:version
+ */
+router.get('/spec/:id/versions/:version',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  param('version').isInt({ min: 1 }).withMessage('Invalid version'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('view'),
+  specController.getVersion
+);
+
+/**
+ * 還原規格版本為目前版本
+ * POST /api/spec/:id/versions/:version/restore
+ */
+router.post('/spec/:id/versions/:version/restore',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  param('version').isInt({ min: 1 }).withMessage('Invalid version'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('edit'),
+  specController.restoreVersion
+);
+
+/**
+ * 比對規格版本差異
+ * GET /api/spec/:id/diff?from=&to=
+ */
+router.get('/spec/:id/diff',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  query('from').optional().isInt({ min: 1 }).withMessage('Invalid from version'),
+  query('to').optional().isInt({ min: 1 }).withMessage('Invalid to version'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('view'),
+  specController.getDiff
+);
+
+/**
+ * 列出規格章節
+ * GET /api/spec/:id/sections
+ */
+router.get('/spec/:id/sections',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('view'),
+  specController.getSections
+);
+
+/**
+ * 只重新生成單一章節（保存為新版本）
+ * POST /api/spec/:id/sections/:anchor/refine
+ */
+router.post('/spec/:id/sections/:anchor/refine',
+  generateLimiter,
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  param('anchor').isLength({ min: 1, max: 200 }).withMessage('Invalid section anchor'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.refineSection),
+  requireSpecAccess('edit'),
+  specController.refineSection
+);
+
+/**
+ * 取得規格對話
+ * GET /api/spec/:id/chat
+ */
+router.get('/spec/:id/chat',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('view'),
+  specController.getChat
+);
+
+/**
+ * 送出規格對話訊息
+ * POST /api/spec/:id/chat
+ */
+router.post('/spec/:id/chat',
+  generateLimiter,
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.chatMessage),
+  requireSpecAccess('edit'),
+  specController.sendChatMessage
+);
+
+/**
+ * 採納對話中提出的修訂規格（保存為新版本）
+ * POST /api/spec/:id/chat/:messageId/accept
+ */
+router.post('/spec/:id/chat/:messageId/accept',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('edit'),
+  specController.acceptChatProposal
+);
+
+/**
+ * 將規格移入專案（projectId 為 null 時移出）
+ * PUT /api/spec/:id/project
+ */
+router.put('/spec/:id/project',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.specProject),
+  requireSpecAccess('edit'),
+  specController.setProject
+);
+
+/**
+ * 取代規格的標籤
+ * PUT /api/spec/:id/tags
+ */
+router.put('/spec/:id/tags',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.specTags),
+  requireSpecAccess('edit'),
+  specController.setTags
+);
+
+/**
+ * 推送規格到議題追蹤系統或 git 儲存庫（dryRun 只預覽將建立的項目）
+ * POST /api/spec/:id/push
+ */
+router.post('/spec/:id/push',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.pushSpec),
+  requireSpecAccess('edit'),
+  specController.pushSpec
+);
+
+/**
+ * 取得規格的擁有者、可見度與分享對象
+ * GET /api/spec/:id/sharing
+ */
+router.get('/spec/:id/sharing',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('manage'),
+  specController.getSharing
+);
+
+/**
+ * 設定規格可見度（private 或 team）
+ * PUT /api/spec/:id/visibility
+ */
+router.put('/spec/:id/visibility',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.specVisibility),
+  requireSpecAccess('manage'),
+  specController.setVisibility
+);
+
+/**
+ * 分享規格給使用者（已分享時更新權限）
+ * POST /api/spec/:id/shares
+ */
+router.post('/spec/:id/shares',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.shareSpec),
+  requireSpecAccess('manage'),
+  specController.shareSpec
+);
+
+/**
+ * 取消分享規格給使用者
+ * DELETE /api/spec/:id/shares/:userId
+ */
+router.delete('/spec/:id/shares/:userId',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  param('userId').isInt({ min: 1 }).withMessage('Invalid user ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('manage'),
+  specController.removeShare
+);
+
+/**
+ * 列出規格推送目標與設定狀態
+ * GET /api/integrations
+ */
+router.get('/integrations', specController.listIntegrations);
+
+/**
+ * 下載規格文檔（Markdown、HTML、PDF 或 DOCX）
+ * GET /api/download/:id?format=pdf
+ */
+router.get('/download/:id', 
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  query('format').optional().isIn(Object.keys(EXPORT_CONFIG.formats)).withMessage(`Format must be one of: ${Object.keys(EXPORT_CONFIG.formats).join(', ')}`),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('view'),
+  specController.downloadSpec
+);
+
+// ==================== 生成工作路由 ====================
+
+/**
+ * 取得工作佇列統計
+ * GET /api/jobs/stats
+ */
+router.get('/jobs/stats', jobController.getQueueStats);
+
+/**
+ * 取得生成工作狀態
+ * GET /api/jobs/:id
+ */
+router.get('/jobs/:id',
+  param('id').matches(/^job-\d+(-\d+)?$/).withMessage('Invalid job ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('view', { job: true }),
+  jobController.getJob
+);
+
+/**
+ * 串流生成工作狀態與輸出（Server-Sent Events）
+ * GET /api/jobs/:id/stream
+ */
+router.get('/jobs/:id/stream',
+  param('id').matches(/^job-\d+(-\d+)?$/).withMessage('Invalid job ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('view', { job: true }),
+  jobController.streamJob
+);
+
+/**
+ * 取消生成工作
+ * DELETE /api/jobs/:id
  */
-router.post('/auth/login', handleLogin);
+router.delete('/jobs/:id',
+  param('id').matches(/^job-\d+(-\d+)?$/).withMessage('Invalid job ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  requireSpecAccess('edit', { job: true }),
+  jobController.cancelJob
+);
+
+// ==================== 提示範本路由 ====================
 
 /**
- * 用戶登出
+ * 取得提示範本列表
+ * GET /api/templates
  */
-router.post('/auth/logout', optionalAuth, handleLogout);
+router.get('/templates', templateController.listTemplates);
 
 /**
- * 取得用戶資訊
+ * 取得特定提示範本（ID 或名稱）
+ * GET /api/templates/:id
  */
-router.get('/auth/user', requireAuth({ skipLocal: true }), handleUserInfo);
+router.get('/templates/:id',
+  param('id').matches(/^(\d+|[a-z0-9][a-z0-9-]{1,49})$/).withMessage('Invalid template ID or name'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  templateController.getTemplate
+);
 
-// ==================== 規格生成路由 ====================
+/**
+ * 建立自訂提示範本
+ * POST /api/templates
+ */
+router.post('/templates',
+  validateRequest(VALIDATION_SCHEMAS.createTemplate),
+  templateController.createTemplate
+);
 
 /**
- * 生成規格文檔
- * POST /api/generate
+ * 更新自訂提示範本
+ * PUT /api/templates/:id
  */
-router.post('/generate', 
-  generateLimiter,
-  optionalAuth,
-  validateRequest(VALIDATION_SCHEMAS.generateIdea),
-  specController.generateSpec
+router.put('/templates/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.updateTemplate),
+  templateController.updateTemplate
 );
 
 /**
- * 取得特定規格文檔
- * GET /api/spec/:id
+ * 刪除自訂提示範本
+ * DELETE /api/templates/:id
  */
-router.get('/spec/:id',
+router.delete('/templates/:id',
   param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
   (req, res, next) => {
     const errors = validationResult(req);
@@ -105,14 +1018,22 @@ router.get('/spec/:id',
     }
     next();
   },
-  specController.getSpec
+  templateController.deleteTemplate
 );
 
+// ==================== 專案與標籤路由 ====================
+
 /**
- * 下載規格文檔為 Markdown
- * GET /api/download/:id
+ * 取得專案列表
+ * GET /api/projects
  */
-router.get('/download/:id', 
+router.get('/projects', organizationController.listProjects);
+
+/**
+ * 取得特定專案
+ * GET /api/projects/:id
+ */
+router.get('/projects/:id',
   param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
   (req, res, next) => {
     const errors = validationResult(req);
@@ -125,33 +1046,152 @@ router.get('/download/:id',
     }
     next();
   },
-  specController.downloadSpec
+  organizationController.getProject
 );
 
 /**
- * 取得規格統計
- * GET /api/spec/stats
+ * 建立專案
+ * POST /api/projects
  */
-router.get('/spec/stats', specController.getStats);
+router.post('/projects',
+  validateRequest(VALIDATION_SCHEMAS.createProject),
+  organizationController.createProject
+);
+
+/**
+ * 更新專案
+ * PUT /api/projects/:id
+ */
+router.put('/projects/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.updateProject),
+  organizationController.updateProject
+);
+
+/**
+ * 刪除專案（規格保留並改為未分類）
+ * DELETE /api/projects/:id
+ */
+router.delete('/projects/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  organizationController.deleteProject
+);
+
+/**
+ * 取得標籤列表
+ * GET /api/tags
+ */
+router.get('/tags', organizationController.listTags);
+
+/**
+ * 建立標籤
+ * POST /api/tags
+ */
+router.post('/tags',
+  validateRequest(VALIDATION_SCHEMAS.createTag),
+  organizationController.createTag
+);
+
+/**
+ * 更新標籤（重新命名會套用到所有規格）
+ * PUT /api/tags/:id
+ */
+router.put('/tags/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.updateTag),
+  organizationController.updateTag
+);
+
+/**
+ * 刪除標籤
+ * DELETE /api/tags/:id
+ */
+router.delete('/tags/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  organizationController.deleteTag
+);
 
 // ==================== 歷史記錄路由 ====================
 
 /**
- * 取得歷史記錄（分頁）
+ * 取得歷史記錄（分頁，只包含使用者可檢視的規格）
  * GET /api/history
  */
 router.get('/history', 
-  optionalAuth,
   validateRequest(VALIDATION_SCHEMAS.historyQuery),
   historyController.getHistory
 );
 
 /**
- * 刪除歷史記錄
+ * 批量刪除歷史記錄（只刪除擁有者或管理員可刪除的記錄；需在 /history/:id 之前註冊）
+ * DELETE /api/history/bulk
+ */
+router.delete('/history/bulk',
+  body('ids').isArray({ min: 1, max: 100 }),
+  body('ids.*').isInt({ min: 1 }),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  historyController.bulkDeleteHistory
+);
+
+/**
+ * 刪除歷史記錄（只限擁有者或管理員）
  * DELETE /api/history/:id
  */
 router.delete('/history/:id', 
-  requireAuth({ skipLocal: true, requirePermission: 'delete' }),
   param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
   (req, res, next) => {
     const errors = validationResult(req);
@@ -164,6 +1204,7 @@ router.delete('/history/:id',
     }
     next();
   },
+  requireSpecAccess('delete'),
   historyController.deleteHistory
 );
 
@@ -177,10 +1218,7 @@ router.get('/history/stats', historyController.getHistoryStats);
  * 取得數據庫性能統計
  * GET /api/history/performance
  */
-router.get('/history/performance', 
-  requireAuth({ skipLocal: true, requirePermission: 'admin' }),
-  historyController.getDatabasePerformance
-);
+router.get('/history/performance', historyController.getDatabasePerformance);
 
 /**
  * 進階搜尋歷史記錄
@@ -188,13 +1226,17 @@ router.get('/history/performance',
  */
 router.get('/history/search', 
   query('query').optional().isLength({ max: 200 }),
-  query('status').optional().isIn(['pending', 'processing', 'completed', 'failed']),
+  query('status').optional().isIn(Object.values(JOB_STATUSES)),
   query('dateFrom').optional().isISO8601(),
   query('dateTo').optional().isISO8601(),
   query('page').optional().isInt({ min: 1, max: 1000 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('sortBy').optional().isIn(['created_at', 'updated_at', 'processing_time_ms']),
+  query('sortBy').optional().isIn(['relevance', 'created_at', 'updated_at', 'processing_time_ms', 'quality_score']),
   query('sortOrder').optional().isIn(['ASC', 'DESC']),
+  query('project').optional().matches(/^(\d+|none)$/).withMessage('Project must be an ID or "none"'),
+  query('tag').optional().toArray(),
+  query('tag').optional().isArray({ max: 10 }).withMessage('At most 10 tags'),
+  query('tag.*').isString().trim().isLength({ min: 1, max: 40 }).withMessage('Invalid tag'),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -209,14 +1251,23 @@ router.get('/history/search',
   historyController.searchHistory
 );
 
+// ==================== 規格庫匯出與匯入路由 ====================
+
 /**
- * 批量刪除歷史記錄（管理員功能）
- * DELETE /api/history/bulk
+ * 匯出整個規格庫（每份規格一個 Markdown 檔與 manifest.json）
+ * GET /api/export
  */
-router.delete('/history/bulk',
-  requireAuth({ skipLocal: true, requirePermission: 'delete' }),
-  body('ids').isArray({ min: 1, max: 100 }),
-  body('ids.*').isInt({ min: 1 }),
+router.get('/export', archiveController.exportLibrary);
+
+/**
+ * 匯入規格庫封存檔（請求內容為 ZIP 原始資料）
+ * POST /api/import?onDuplicate=skip|import&dryRun=true
+ */
+router.post('/import',
+  express.raw({ type: ARCHIVE_CONFIG.importContentTypes, limit: ARCHIVE_CONFIG.maxImportSize }),
+  query('onDuplicate').optional().isIn(ARCHIVE_CONFIG.duplicateModes)
+    .withMessage(`onDuplicate must be one of: ${ARCHIVE_CONFIG.duplicateModes.join(', ')}`),
+  query('dryRun').optional().isBoolean().toBoolean(),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -228,7 +1279,126 @@ router.delete('/history/bulk',
     }
     next();
   },
-  historyController.bulkDeleteHistory
+  archiveController.importLibrary
+);
+
+// ==================== Webhook 路由 ====================
+
+/**
+ * 取得 webhook 列表
+ * GET /api/webhooks
+ */
+router.get('/webhooks', webhookController.listWebhooks);
+
+/**
+ * 註冊 webhook
+ * POST /api/webhooks
+ */
+router.post('/webhooks',
+  validateRequest(VALIDATION_SCHEMAS.createWebhook),
+  webhookController.createWebhook
+);
+
+/**
+ * 取得特定 webhook
+ * GET /api/webhooks/:id
+ */
+router.get('/webhooks/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  webhookController.getWebhook
+);
+
+/**
+ * 更新 webhook
+ * PUT /api/webhooks/:id
+ */
+router.put('/webhooks/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.updateWebhook),
+  webhookController.updateWebhook
+);
+
+/**
+ * 刪除 webhook 與其投遞記錄
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/webhooks/:id',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  webhookController.deleteWebhook
+);
+
+/**
+ * 送出測試事件
+ * POST /api/webhooks/:id/ping
+ */
+router.post('/webhooks/:id/ping',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  webhookController.pingWebhook
+);
+
+/**
+ * 取得投遞記錄
+ * GET /api/webhooks/:id/deliveries?limit=20&status=failed
+ */
+router.get('/webhooks/:id/deliveries',
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        timestamp: new Date().toISOString(),
+        details: errors.array()
+      });
+    }
+    next();
+  },
+  validateRequest(VALIDATION_SCHEMAS.webhookDeliveriesQuery),
+  webhookController.listDeliveries
 );
 
 // ==================== 健康檢查路由 ====================
@@ -285,10 +1455,7 @@ router.get('/metrics', healthController.systemMetrics);
  * 清除健康檢查緩存
  * POST /api/health/clear-cache
  */
-router.post('/health/clear-cache', 
-  requireAuth({ skipLocal: true, requirePermission: 'admin' }),
-  healthController.clearHealthCache
-);
+router.post('/health/clear-cache', healthController.clearHealthCache);
 
 // ==================== API 文檔路由 ====================
 
@@ -302,12 +1469,15 @@ router.get('/docs', (req, res) => {
     version: '1.0.0',
     description: 'RESTful API for converting ideas into product development specifications',
     baseUrl: req.protocol + '://' + req.get('host') + '/api',
-    endpoints: API_ENDPOINTS,
+    endpoints: Object.fromEntries(Object.entries(API_ENDPOINTS)
+      .map(([route, doc]) => [route, { ...doc, permission: ROUTE_PERMISSIONS[route] || null }])),
     websocketEvents: {
       [WEBSOCKET_EVENTS.CONNECTION]: 'Client connects to WebSocket',
       [WEBSOCKET_EVENTS.SUBSCRIBE_JOB]: 'Subscribe to job updates',
       [WEBSOCKET_EVENTS.UNSUBSCRIBE_JOB]: 'Unsubscribe from job updates', 
       [WEBSOCKET_EVENTS.JOB_UPDATE]: 'Receive real-time job status updates',
+      [WEBSOCKET_EVENTS.JOB_CHUNK]: 'Receive generated output chunks as they stream in',
+      [WEBSOCKET_EVENTS.CANCEL_JOB]: 'Cancel a queued or running job',
       [WEBSOCKET_EVENTS.DISCONNECT]: 'Client disconnects'
     },
     jobStatuses: Object.values(JOB_STATUSES),
@@ -316,7 +1486,11 @@ router.get('/docs', (req, res) => {
       headers: {
         session: 'X-Session-ID',
         apiKey: ['X-API-Key', 'Authorization: Bearer <token>']
-      }
+      },
+      // API 金鑰由管理員以 POST /api/keys 建立，權限由 scopes 決定
+      apiKeyScopes: API_KEY_CONFIG.scopes,
+      // 每個端點需要的權限見 endpoints[*].permission；角色見 GET /api/admin/roles
+      permissions: RBAC_CONFIG.permissions
     },
     rateLimits: {
       general: '100 requests per 15 minutes',
@@ -336,4 +1510,7 @@ if (isDevelopment()) {
   router.get('/history-test', specController.testEndpoint);
 }
 
+// 啟動時確認每個路由都有權限設定
+assertRoutePermissions(router, ROUTE_PERMISSIONS);
+
 export default router;
\ No newline at end of file
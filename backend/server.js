@@ -5,6 +5,7 @@
 
 import express from 'express';
 import compression from 'compression';
+import cookieParser from 'cookie-parser';
 import { createServer } from 'http';
 import statusMonitor from 'express-status-monitor';
 
@@ -21,6 +22,12 @@ import {
 import databaseService from './services/databaseService.js';
 import webSocketService from './services/websocketService.js';
 import geminiService from './services/geminiService.js';
+import jobQueueService from './services/jobQueueService.js';
+import templateService from './services/templateService.js';
+import webhookService from './services/webhookService.js';
+import userService from './services/userService.js';
+import roleService from './services/roleService.js';
+import apiKeyService from './services/apiKeyService.js';
 
 // 導入中間件
 import { 
@@ -65,6 +72,12 @@ class IdeaToSpecsServer {
       // 驗證配置
       validateConfig();
       
+      // 創建 HTTP 伺服器
+      this.server = createServer(this.app);
+      
+      // 初始化 WebSocket（狀態監控共用同一個 Socket.IO 實例，需在中間件之前）
+      webSocketService.initialize(this.server);
+      
       // 設置基本中間件
       this.setupBasicMiddleware();
       
@@ -86,12 +99,6 @@ class IdeaToSpecsServer {
       // 初始化服務
       await this.initializeServices();
       
-      // 創建 HTTP 伺服器
-      this.server = createServer(this.app);
-      
-      // 初始化 WebSocket
-      webSocketService.initialize(this.server);
-      
       logger.info('Server initialized successfully');
       
     } catch (error) {
@@ -107,8 +114,8 @@ class IdeaToSpecsServer {
     // 請求 ID 中間件（必須在最前面）
     this.app.use(requestIdMiddleware);
     
-    // 狀態監控
-    this.app.use(statusMonitor(MONITORING_CONFIG));
+    // 狀態監控（共用應用程式的 Socket.IO，否則第一個請求後會另外接管 /socket.io 的升級請求）
+    this.app.use(statusMonitor({ ...MONITORING_CONFIG, websocket: webSocketService.io }));
     
     // 壓縮
     this.app.use(compression(MIDDLEWARE_CONFIG.compression));
@@ -116,6 +123,9 @@ class IdeaToSpecsServer {
     // 請求體解析
     this.app.use(express.json(MIDDLEWARE_CONFIG.json));
     this.app.use(express.urlencoded(MIDDLEWARE_CONFIG.urlencoded));
+    
+    // Cookie 解析（session cookie）
+    this.app.use(cookieParser());
   }
 
   /**
@@ -198,10 +208,34 @@ class IdeaToSpecsServer {
       await databaseService.initialize();
       logger.info('Database service initialized');
       
+      // 載入角色與權限（需在使用者與 session 之前）
+      const roles = await roleService.initialize();
+      logger.info({ roles }, 'Roles loaded');
+      
+      // 沒有任何使用者時建立第一個管理員
+      const bootstrappedAdmin = await userService.initialize();
+      logger.info({ bootstrappedAdmin }, 'User accounts initialized');
+      
+      // 將 LOCAL_API_KEY 匯入為受管理的 API 金鑰
+      const importedApiKey = await apiKeyService.initialize();
+      logger.info({ importedApiKey }, 'API keys initialized');
+      
+      // 同步內建提示範本
+      await templateService.initialize();
+      logger.info('Prompt templates initialized');
+      
       // 初始化 Gemini 服務
       await geminiService.initialize();
       logger.info('Gemini service initialized');
       
+      // 訂閱工作事件並恢復未完成的 webhook 投遞（需在恢復生成工作前訂閱）
+      const resumedDeliveries = await webhookService.initialize();
+      logger.info({ resumedDeliveries }, 'Webhook service initialized');
+      
+      // 恢復重啟前未完成的生成工作
+      const recoveredJobs = await jobQueueService.recoverPendingJobs();
+      logger.info({ recoveredJobs }, 'Job queue initialized');
+      
       // 設置資料庫維護排程
       this.scheduleDatabaseMaintenance();
       
@@ -281,6 +315,12 @@ class IdeaToSpecsServer {
       this.isShuttingDown = true;
       logger.info({ signal }, 'Received shutdown signal, starting graceful shutdown');
       
+      // 停止接受新的生成工作
+      jobQueueService.shutdown();
+      
+      // 停止排程 webhook 投遞（未完成的投遞於下次啟動時恢復）
+      webhookService.shutdown();
+      
       // 停止接受新連接
       this.server.close(() => {
         logger.info('HTTP server closed');
@@ -348,11 +388,39 @@ class IdeaToSpecsServer {
     console.log(`🌍 Environment: ${SERVER_CONFIG.nodeEnv}`);
     console.log(`🆔 Process ID: ${process.pid}`);
     console.log(`\n📋 Available API Endpoints:`);
-    console.log(`  POST   /api/generate          - Generate specification (with WebSocket updates)`);
+    console.log(`  POST   /api/auth/login        - Sign in (session cookie + sessionId)`);
+    console.log(`  POST   /api/auth/register     - Register an account`);
+    console.log(`  GET    /api/admin/users       - Manage user accounts`);
+    console.log(`  POST   /api/admin/invites     - Invite a user`);
+    console.log(`  POST   /api/generate          - Queue specification generation (202 + jobId)`);
+    console.log(`  GET    /api/jobs/:id          - Get generation job status`);
+    console.log(`  GET    /api/jobs/:id/stream   - Stream job output (SSE)`);
+    console.log(`  DELETE /api/jobs/:id          - Cancel generation job`);
     console.log(`  GET    /api/history           - Get paginated history`);
-    console.log(`  GET    /api/spec/:id          - Get specific specification`);
-    console.log(`  GET    /api/download/:id      - Download as Markdown`);
+    console.log(`  GET    /api/spec/:id          - Get specific specification (?format=json for structured data)`);
+    console.log(`  GET    /api/schemas/specification.json - JSON Schema of structured specifications`);
+    console.log(`  PUT    /api/spec/:id          - Save edited specification`);
+    console.log(`  POST   /api/spec/:id/regenerate - Regenerate as a new version`);
+    console.log(`  GET    /api/spec/:id/versions - List specification versions`);
+    console.log(`  GET    /api/spec/:id/diff     - Diff two specification versions`);
+    console.log(`  GET    /api/spec/:id/sections - List specification sections`);
+    console.log(`  POST   /api/spec/:id/sections/:anchor/refine - Regenerate one section`);
+    console.log(`  POST   /api/spec/:id/chat     - Chat about a specification`);
+    console.log(`  GET    /api/download/:id      - Download as Markdown, HTML, PDF or DOCX (?format=)`);
+    console.log(`  POST   /api/spec/:id/push     - Push to GitHub/GitLab issues or a git repo`);
+    console.log(`  GET    /api/integrations      - List push targets`);
     console.log(`  DELETE /api/history/:id       - Delete entry`);
+    console.log(`  GET    /api/export            - Export library as ZIP`);
+    console.log(`  POST   /api/import            - Import library ZIP`);
+    console.log(`  GET    /api/projects          - List projects`);
+    console.log(`  GET    /api/tags              - List tags`);
+    console.log(`  PUT    /api/spec/:id/project  - Move specification into a project`);
+    console.log(`  PUT    /api/spec/:id/tags     - Replace specification tags`);
+    console.log(`  GET    /api/webhooks          - List webhooks`);
+    console.log(`  POST   /api/webhooks          - Register webhook`);
+    console.log(`  GET    /api/webhooks/:id/deliveries - Webhook delivery log`);
+    console.log(`  GET    /api/templates         - List prompt templates`);
+    console.log(`  POST   /api/templates         - Create prompt template`);
     console.log(`  GET    /api/health            - Comprehensive health check`);
     console.log(`  GET    /api/gemini/health     - Gemini CLI health check`);
     console.log(`  GET    /api/docs              - API documentation`);
@@ -0,0 +1,219 @@
+/**
+ * API 金鑰服務模組
+ * 建立與撤銷受管理的 API 金鑰，驗證請求中的金鑰，並記錄使用情況與套用每把金鑰的速率限制
+ */
+
+import crypto from 'crypto';
+import { API_KEY_CONFIG } from '../config/serverConfig.js';
+import { createError } from '../utils/errorHandler.js';
+import databaseService from './databaseService.js';
+import roleService from './roleService.js';
+import pino from 'pino';
+
+const logger = pino();
+
+/**
+ * 產生交給用戶端的金鑰；資料庫只保存其雜湊
+ */
+const generateKey = () => `${API_KEY_CONFIG.keyPrefix}${crypto.randomBytes(24).toString('base64url')}`;
+const hashKey = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * 轉換為 SQLite 的 UTC 時間格式（與 datetime('now') 比較）
+ */
+const toSqliteTimestamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * 轉換資料庫時間（UTC，無時區）為 ISO 8601
+ */
+const toIsoTimestamp = (value) => {
+  if (!value) return null;
+  const date = new Date(String(value).includes('T') ? value : `${String(value).replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const parseScopes = (value) => {
+  try {
+    const scopes = JSON.parse(value || '[]');
+    return Array.isArray(scopes) ? scopes : [];
+  } catch {
+    return [];
+  }
+};
+
+class ApiKeyService {
+  constructor() {
+    // 金鑰 ID 對應目前速率限制視窗的請求數
+    this.usage = new Map();
+  }
+
+  /**
+   * 設定 LOCAL_API_KEY 時，將其匯入為受管理的金鑰（可在 /api/keys 查看與撤銷）
+   * @returns {Promise<boolean>} - 是否匯入了金鑰
+   */
+  async initialize() {
+    const key = process.env.LOCAL_API_KEY;
+    if (!key || await databaseService.getActiveApiKey(hashKey(key))) {
+      return false;
+    }
+
+    await databaseService.createApiKey({
+      name: 'LOCAL_API_KEY',
+      keyPrefix: key.slice(0, API_KEY_CONFIG.displayPrefixLength),
+      keyHash: hashKey(key),
+      scopes: Object.keys(API_KEY_CONFIG.scopes)
+    });
+
+    logger.warn('Imported LOCAL_API_KEY as an API key with every scope; replace it with a scoped key from POST /api/keys');
+    return true;
+  }
+
+  /**
+   * 取得範圍對應的權限
+   * @param {string[]} scopes - 金鑰的範圍
+   * @returns {string[]}
+   */
+  getScopePermissions(scopes) {
+    return [...new Set(scopes.flatMap(scope => API_KEY_CONFIG.scopes[scope] || []))];
+  }
+
+  /**
+   * 轉換金鑰資料列為 API 回應格式（不含金鑰與雜湊）
+   */
+  toApiKeyResponse(row) {
+    return {
+      id: Number(row.id),
+      name: row.name,
+      prefix: row.key_prefix,
+      scopes: parseScopes(row.scopes),
+      rateLimit: Number(row.rate_limit) || API_KEY_CONFIG.defaultRateLimit,
+      createdBy: row.created_by === null ? null : Number(row.created_by),
+      createdByUsername: row.username || null,
+      expiresAt: toIsoTimestamp(row.expires_at),
+      expired: Boolean(row.expires_at) && new Date(toIsoTimestamp(row.expires_at)) <= new Date(),
+      lastUsedAt: toIsoTimestamp(row.last_used_at),
+      lastUsedIp: row.last_used_ip || null,
+      usageCount: Number(row.usage_count || 0),
+      createdAt: toIsoTimestamp(row.created_at)
+    };
+  }
+
+  /**
+   * 取得所有金鑰
+   */
+  async listApiKeys() {
+    return (await databaseService.getApiKeys()).map(row => this.toApiKeyResponse(row));
+  }
+
+  /**
+   * 建立金鑰；金鑰代表建立者的帳號，權限不會超過建立者的角色
+   * @param {object} data - { name, scopes, rateLimit, expiresAt }
+   * @param {number|null} createdBy - 建立者的使用者 ID（本地預設使用者沒有帳號）
+   * @returns {Promise<object>} - 含金鑰的回應（金鑰只會出現這一次）
+   */
+  async createApiKey({ name, scopes, rateLimit, expiresAt }, createdBy = null) {
+    const key = generateKey();
+    const expiry = expiresAt === undefined
+      ? new Date(Date.now() + API_KEY_CONFIG.defaultTtlDays * 24 * 60 * 60 * 1000)
+      : expiresAt;
+
+    const id = await databaseService.createApiKey({
+      name,
+      keyPrefix: key.slice(0, API_KEY_CONFIG.displayPrefixLength),
+      keyHash: hashKey(key),
+      scopes,
+      rateLimit,
+      createdBy,
+      expiresAt: expiry ? toSqliteTimestamp(expiry) : null
+    });
+
+    logger.info({ id, name, scopes, createdBy }, 'API key created');
+    return {
+      ...this.toApiKeyResponse(await databaseService.getApiKeyById(id)),
+      key
+    };
+  }
+
+  /**
+   * 撤銷金鑰
+   */
+  async deleteApiKey(id) {
+    if (!await databaseService.deleteApiKey(id)) {
+      throw createError.notFound('API key', id);
+    }
+
+    this.usage.delete(id);
+    logger.info({ id }, 'API key revoked');
+  }
+
+  /**
+   * 驗證金鑰並記錄使用
+   * 有建立者時金鑰代表該使用者，權限為範圍與使用者角色權限的交集；建立者停用時金鑰失效
+   * @returns {Promise<{user: object, apiKey: object}|null>} - 金鑰無效、過期或建立者停用時為 null
+   */
+  async authenticate(key, ip = null) {
+    if (!key) return null;
+
+    const row = await databaseService.getActiveApiKey(hashKey(key));
+    if (!row || (row.created_by !== null && !row.user_active)) {
+      return null;
+    }
+
+    const id = Number(row.id);
+    databaseService.touchApiKey(id, ip).catch(error => {
+      logger.warn({ error: error.message, id }, 'Failed to record API key usage');
+    });
+
+    let permissions = this.getScopePermissions(parseScopes(row.scopes));
+    if (row.created_by !== null) {
+      const rolePermissions = roleService.getPermissions(row.user_role);
+      if (!rolePermissions.includes('*')) {
+        permissions = permissions.filter(permission => rolePermissions.includes(permission));
+      }
+    }
+
+    const apiKey = {
+      id,
+      name: row.name,
+      rateLimit: Number(row.rate_limit) || API_KEY_CONFIG.defaultRateLimit
+    };
+
+    return {
+      apiKey,
+      user: {
+        id: row.created_by === null ? `api-key-${id}` : Number(row.created_by),
+        username: row.username || null,
+        role: 'api-key',
+        permissions,
+        apiKey: { id, name: row.name }
+      }
+    };
+  }
+
+  /**
+   * 計入一次請求並檢查金鑰的速率限制（固定視窗）
+   * @returns {{allowed: boolean, limit: number, remaining: number, resetAt: number}}
+   */
+  consumeRateLimit(apiKey) {
+    const now = Date.now();
+    let window = this.usage.get(apiKey.id);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + API_KEY_CONFIG.rateLimitWindowMs };
+      this.usage.set(apiKey.id, window);
+    }
+
+    window.count++;
+    return {
+      allowed: window.count <= apiKey.rateLimit,
+      limit: apiKey.rateLimit,
+      remaining: Math.max(0, apiKey.rateLimit - window.count),
+      resetAt: window.resetAt
+    };
+  }
+}
+
+// 創建單例實例
+const apiKeyService = new ApiKeyService();
+
+export default apiKeyService;
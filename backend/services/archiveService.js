@@ -0,0 +1,418 @@
+/**
+ * 規格庫封存服務模組
+ * 將整個規格庫匯出為 ZIP（每份規格一個 Markdown 檔加上 manifest.json），並匯入同格式的封存檔
+ */
+
+import archiver from 'archiver';
+import yauzl from 'yauzl';
+import crypto from 'crypto';
+import Joi from 'joi';
+import { ARCHIVE_CONFIG, JOB_STATUSES, VALIDATION_SCHEMAS } from '../config/serverConfig.js';
+import { createError } from '../utils/errorHandler.js';
+import databaseService from './databaseService.js';
+import organizationService from './organizationService.js';
+import templateService from './templateService.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const MANIFEST_FORMAT = 'idea-to-specs-library';
+const manifestSchema = Joi.object(VALIDATION_SCHEMAS.archiveManifest).unknown(true);
+const specSchema = Joi.object(VALIDATION_SCHEMAS.archiveSpec).unknown(true);
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+// 以想法與規格內容判斷是否為同一份規格
+const fingerprint = (userInput, generatedSpec) => sha256(`${userInput}\u0000${generatedSpec}`);
+
+/**
+ * 轉換資料庫時間（SQLite 以 UTC 儲存，無時區）為 ISO 8601
+ */
+const toIsoTimestamp = (value) => {
+  if (!value) return null;
+  const date = new Date(String(value).includes('T') ? value : `${String(value).replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * 轉換 ISO 時間為 SQLite 的 CURRENT_TIMESTAMP 格式
+ */
+const toDatabaseTimestamp = date => (date ? date.toISOString().slice(0, 19).replace('T', ' ') : null);
+
+/**
+ * 產生封存檔內的規格檔名：ID 加上想法開頭（保留各語言文字）
+ */
+const buildSpecFilename = (spec) => {
+  const slug = String(spec.user_input)
+    .normalize('NFKC')
+    .slice(0, 40)
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+
+  return `${ARCHIVE_CONFIG.specsDirectory}/${spec.id}${slug ? `-${slug}` : ''}.md`;
+};
+
+class ArchiveService {
+  /**
+   * 以串流方式將規格庫寫入 ZIP
+   * @param {import('stream').Writable} output - 寫入目標（通常為 HTTP 回應）
+   * @param {object|null} scope - 存取條件（見 specAccessService.getScope），只匯出使用者可檢視的規格
+   * @returns {Promise<{specCount: number, bytes: number}>}
+   */
+  async exportLibrary(output, scope = null) {
+    const library = await databaseService.getLibraryForExport(scope);
+
+    const tagsByIdea = new Map();
+    for (const row of library.ideaTags) {
+      const ideaId = Number(row.idea_id);
+      tagsByIdea.set(ideaId, [...(tagsByIdea.get(ideaId) || []), row.name]);
+    }
+
+    const versionsByIdea = new Map();
+    for (const row of library.versions) {
+      const ideaId = Number(row.idea_id);
+      versionsByIdea.set(ideaId, [...(versionsByIdea.get(ideaId) || []), {
+        version: Number(row.version),
+        source: row.source,
+        language: row.language || null,
+        processingTimeMs: row.processing_time_ms ?? null,
+        editedBy: row.edited_by || null,
+        createdAt: toIsoTimestamp(row.created_at)
+      }]);
+    }
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('warning', warning => logger.warn({ warning }, 'Library archive warning'));
+    archive.pipe(output);
+
+    const specs = library.specs.map((spec) => {
+      const id = Number(spec.id);
+      const content = spec.generated_spec || '';
+      const file = buildSpecFilename(spec);
+      const createdAt = toIsoTimestamp(spec.created_at);
+
+      archive.append(content, { name: file, date: createdAt ? new Date(createdAt) : new Date() });
+
+      return {
+        id,
+        file,
+        sha256: sha256(content),
+        userInput: spec.user_input,
+        status: spec.status,
+        language: spec.language || null,
+        template: spec.template_name || null,
+        templateVariables: templateService.parseVariables(spec.template_variables, null),
+        project: spec.project_name || null,
+        tags: tagsByIdea.get(id) || [],
+        processingTimeMs: spec.processing_time_ms ?? null,
+        currentVersion: Number(spec.current_version || 0),
+        lastEditedBy: spec.last_edited_by || null,
+        lastEditedAt: toIsoTimestamp(spec.last_edited_at),
+        createdAt,
+        updatedAt: toIsoTimestamp(spec.updated_at),
+        versions: versionsByIdea.get(id) || []
+      };
+    });
+
+    const manifest = {
+      format: MANIFEST_FORMAT,
+      formatVersion: ARCHIVE_CONFIG.formatVersion,
+      exportedAt: new Date().toISOString(),
+      specCount: specs.length,
+      projects: library.projects.map(({ name, description, color }) => ({ name, description: description || '', color: color || null })),
+      tags: library.tags.map(({ name, color }) => ({ name, color: color || null })),
+      specs
+    };
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: ARCHIVE_CONFIG.manifestName });
+    await archive.finalize();
+
+    logger.info({ specCount: specs.length, bytes: archive.pointer() }, 'Specification library exported');
+    return { specCount: specs.length, bytes: archive.pointer() };
+  }
+
+  /**
+   * 讀取 ZIP 內的 manifest.json 與 Markdown 檔
+   * @param {Buffer} buffer - ZIP 內容
+   * @returns {Promise<Map<string, Buffer>>} - 檔名對應內容
+   * @throws {AppError} - 不是有效的 ZIP、項目過多、單一檔案或解壓後合計過大時拋出驗證錯誤
+   */
+  readArchive(buffer) {
+    return new Promise((resolve, reject) => {
+      yauzl.fromBuffer(buffer, { lazyEntries: true }, (openError, zipFile) => {
+        if (openError) {
+          reject(createError.validation(`Invalid ZIP archive: ${openError.message}`, 'archive'));
+          return;
+        }
+
+        if (zipFile.entryCount > ARCHIVE_CONFIG.maxImportEntries + 1) {
+          zipFile.close();
+          reject(createError.validation(`Archive contains more than ${ARCHIVE_CONFIG.maxImportEntries} specifications`, 'archive'));
+          return;
+        }
+
+        const files = new Map();
+        const totalTooLarge = () => createError.validation(
+          `Archive expands to more than ${ARCHIVE_CONFIG.maxTotalUncompressedSize / 1024 / 1024}MB`,
+          'archive'
+        );
+        let totalSize = 0;
+        let failed = false;
+        const fail = (error) => {
+          if (failed) return;
+          failed = true;
+          zipFile.close();
+          reject(error);
+        };
+
+        zipFile.on('error', error => fail(createError.validation(`Invalid ZIP archive: ${error.message}`, 'archive')));
+        zipFile.on('end', () => resolve(files));
+        zipFile.on('entry', (entry) => {
+          const wanted = entry.fileName === ARCHIVE_CONFIG.manifestName || entry.fileName.endsWith('.md');
+          if (!wanted || entry.fileName.endsWith('/')) {
+            zipFile.readEntry();
+            return;
+          }
+
+          if (entry.uncompressedSize > ARCHIVE_CONFIG.maxEntrySize) {
+            fail(createError.validation(`Archive entry ${entry.fileName} is too large`, 'archive'));
+            return;
+          }
+
+          if (totalSize + entry.uncompressedSize > ARCHIVE_CONFIG.maxTotalUncompressedSize) {
+            fail(totalTooLarge());
+            return;
+          }
+
+          zipFile.openReadStream(entry, (streamError, stream) => {
+            if (streamError) {
+              fail(createError.validation(`Invalid ZIP archive: ${streamError.message}`, 'archive'));
+              return;
+            }
+
+            // 以實際解壓的位元組計算合計，超過上限時立即中止
+            const chunks = [];
+            stream.on('data', (chunk) => {
+              totalSize += chunk.length;
+              if (totalSize > ARCHIVE_CONFIG.maxTotalUncompressedSize) {
+                stream.destroy();
+                fail(totalTooLarge());
+                return;
+              }
+              chunks.push(chunk);
+            });
+            stream.on('error', error => fail(createError.validation(`Invalid ZIP archive: ${error.message}`, 'archive')));
+            stream.on('end', () => {
+              files.set(entry.fileName, Buffer.concat(chunks));
+              zipFile.readEntry();
+            });
+          });
+        });
+
+        zipFile.readEntry();
+      });
+    });
+  }
+
+  /**
+   * 解析並驗證 manifest.json
+   * @throws {AppError} - 缺少或格式錯誤時拋出驗證錯誤
+   */
+  parseManifest(files) {
+    const raw = files.get(ARCHIVE_CONFIG.manifestName);
+    if (!raw) {
+      throw createError.validation(`Archive does not contain ${ARCHIVE_CONFIG.manifestName}`, 'archive');
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(raw.toString('utf8'));
+    } catch (parseError) {
+      throw createError.validation(`${ARCHIVE_CONFIG.manifestName} is not valid JSON`, 'manifest');
+    }
+
+    if (manifest?.format !== MANIFEST_FORMAT) {
+      throw createError.validation(`${ARCHIVE_CONFIG.manifestName} is not a specification library manifest`, 'manifest');
+    }
+
+    const { error, value } = manifestSchema.validate(manifest);
+    if (error) {
+      throw createError.validation(`Invalid ${ARCHIVE_CONFIG.manifestName}: ${error.message}`, 'manifest');
+    }
+
+    return value;
+  }
+
+  /**
+   * 匯入規格庫封存檔
+   * 與既有規格（或同一封存檔中較早的規格）想法及內容完全相同者視為重複
+   * @param {Buffer} buffer - ZIP 內容
+   * @param {object} options - { onDuplicate: 'skip' | 'import', dryRun: boolean, ownerId, visibility, scope }
+   *   （匯入的規格屬於 ownerId；只與 scope 內可檢視的規格比對重複）
+   * @returns {Promise<{dryRun: boolean, summary: object, results: Array}>}
+   */
+  async importLibrary(buffer, options = {}) {
+    const { onDuplicate = 'skip', dryRun = false, ownerId = null, visibility = 'team', scope = null } = options;
+
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw createError.validation('Request body must be a ZIP archive (Content-Type: application/zip)', 'archive');
+    }
+
+    const files = await this.readArchive(buffer);
+    const manifest = this.parseManifest(files);
+
+    const existing = new Map();
+    for (const row of await databaseService.getSpecContents(scope)) {
+      existing.set(fingerprint(row.user_input, row.generated_spec), Number(row.id));
+    }
+
+    const projectInfo = new Map(manifest.projects.map(project => [project.name.toLowerCase(), project]));
+    const tagInfo = new Map(manifest.tags.map(tag => [tag.name.toLowerCase(), tag]));
+    const context = { dryRun, ownerId, visibility, projectIds: new Map(), templateIds: new Map(), knownTags: new Set(), projectInfo, tagInfo };
+
+    const results = [];
+    for (const rawSpec of manifest.specs) {
+      results.push(await this.importEntry(rawSpec, files, existing, onDuplicate, context));
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = {
+      total: results.length,
+      imported: count('imported'),
+      duplicates: count('duplicate'),
+      skipped: count('skipped'),
+      failed: count('failed')
+    };
+
+    logger.info({ ...summary, dryRun, onDuplicate }, 'Specification library imported');
+    return { dryRun, summary, results };
+  }
+
+  /**
+   * 匯入單筆規格，回傳該筆結果（錯誤不會中斷整批匯入）
+   */
+  async importEntry(rawSpec, files, existing, onDuplicate, context) {
+    const sourceId = Number.isInteger(rawSpec?.id) ? rawSpec.id : null;
+    const { error, value: spec } = specSchema.validate(rawSpec);
+
+    if (error) {
+      return { sourceId, status: 'failed', reason: error.message };
+    }
+
+    if (!Object.values(JOB_STATUSES).includes(spec.status)) {
+      return { sourceId, status: 'failed', reason: `Unknown status: ${spec.status}` };
+    }
+
+    if (spec.status === JOB_STATUSES.PENDING || spec.status === JOB_STATUSES.PROCESSING) {
+      return { sourceId, status: 'skipped', reason: 'Specification was still being generated when exported' };
+    }
+
+    const content = files.get(spec.file);
+    if (!content) {
+      return { sourceId, status: 'failed', reason: `Missing file: ${spec.file}` };
+    }
+
+    if (spec.sha256 && sha256(content) !== spec.sha256) {
+      return { sourceId, status: 'failed', reason: `Checksum mismatch: ${spec.file}` };
+    }
+
+    const generatedSpec = content.toString('utf8');
+    const key = fingerprint(spec.userInput, generatedSpec);
+
+    if (existing.has(key) && onDuplicate === 'skip') {
+      return { sourceId, status: 'duplicate', existingId: existing.get(key) };
+    }
+
+    if (context.dryRun) {
+      existing.set(key, null);
+      return { sourceId, status: 'imported', id: null };
+    }
+
+    try {
+      const id = await databaseService.importSpec({
+        userInput: spec.userInput,
+        generatedSpec,
+        status: spec.status,
+        processingTime: spec.processingTimeMs,
+        templateId: await this.resolveTemplateId(spec.template, context),
+        language: spec.language,
+        templateVariables: spec.templateVariables,
+        projectId: await this.resolveProjectId(spec.project, context),
+        lastEditedBy: spec.lastEditedBy,
+        lastEditedAt: toDatabaseTimestamp(spec.lastEditedAt),
+        createdAt: toDatabaseTimestamp(spec.createdAt),
+        updatedAt: toDatabaseTimestamp(spec.updatedAt),
+        ownerId: context.ownerId,
+        visibility: context.visibility
+      });
+
+      const tags = organizationService.normalizeTagNames(spec.tags);
+      if (tags.length > 0) {
+        await this.ensureTags(tags, context);
+        await databaseService.setIdeaTags(id, tags);
+      }
+
+      existing.set(key, id);
+      return { sourceId, status: 'imported', id };
+    } catch (importError) {
+      logger.error({ error: importError, sourceId }, 'Failed to import specification');
+      return { sourceId, status: 'failed', reason: importError.message };
+    }
+  }
+
+  /**
+   * 以名稱取得範本 ID；本機沒有同名範本時不指定範本
+   */
+  async resolveTemplateId(name, context) {
+    if (!name) return null;
+
+    if (!context.templateIds.has(name)) {
+      const template = await databaseService.getPromptTemplateByName(name);
+      context.templateIds.set(name, template ? Number(template.id) : null);
+    }
+
+    return context.templateIds.get(name);
+  }
+
+  /**
+   * 以名稱取得專案 ID，不存在時依 manifest 的說明與顏色建立
+   */
+  async resolveProjectId(name, context) {
+    if (!name) return null;
+
+    const key = name.toLowerCase();
+    if (!context.projectIds.has(key)) {
+      const project = await databaseService.getProjectByName(name);
+      if (project) {
+        context.projectIds.set(key, Number(project.id));
+      } else {
+        const { description = '', color = null } = context.projectInfo.get(key) || {};
+        context.projectIds.set(key, Number(await databaseService.createProject({ name, description: description || '', color })));
+      }
+    }
+
+    return context.projectIds.get(key);
+  }
+
+  /**
+   * 先建立帶有 manifest 顏色的新標籤，其餘由 setIdeaTags 自動建立
+   */
+  async ensureTags(names, context) {
+    for (const name of names) {
+      const key = name.toLowerCase();
+      if (context.knownTags.has(key)) continue;
+
+      const color = context.tagInfo.get(key)?.color;
+      if (color && !(await databaseService.getTagByName(name))) {
+        await databaseService.createTag({ name, color });
+      }
+      context.knownTags.add(key);
+    }
+  }
+}
+
+// 創建單例實例
+const archiveService = new ArchiveService();
+
+export default archiveService;
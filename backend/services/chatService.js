@@ -0,0 +1,158 @@
+/**
+ * 規格對話服務模組
+ * 以目前規格與最近的對話作為上下文詢問模型，並保存訊息與助理提出的修訂規格
+ */
+
+import databaseService from './databaseService.js';
+import geminiService from './geminiService.js';
+import { CHAT_CONFIG, SPEC_EDIT_CONFIG } from '../config/serverConfig.js';
+import { buildChatPrompt, parseChatReply } from '../utils/geminiSafe.js';
+import { createError } from '../utils/errorHandler.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const PROPOSAL_ONLY_REPLY = '已提出修訂後的規格，可採納為新版本。';
+const PROPOSAL_TOO_LONG_NOTE = '（修訂後的規格超過長度上限，未保存為提案）';
+
+class ChatService {
+  /**
+   * 轉換為 API 回應格式
+   */
+  formatMessage(row) {
+    return {
+      id: Number(row.id),
+      role: row.role,
+      content: row.content,
+      proposedSpec: row.proposed_spec || null,
+      baseVersion: row.base_version ?? null,
+      acceptedVersion: row.accepted_version ?? null,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * 取得規格的對話（依時間先後排序）
+   */
+  async listMessages(specId) {
+    const rows = await databaseService.getSpecMessages(specId, CHAT_CONFIG.maxListedMessages);
+    return rows.map(row => this.formatMessage(row));
+  }
+
+  /**
+   * 送出使用者訊息並保存模型回覆
+   * @param {object} spec - ideas 記錄
+   * @param {string} message - 使用者訊息
+   * @param {object} options - { signal }，客戶端中斷連線時停止生成
+   * @returns {Promise<{userMessage: object, assistantMessage: object}|null>} - 客戶端中斷時回傳 null 且不保存訊息
+   * @throws {AppError} - 訊息不安全時拋出 validation，模型失敗時拋出 externalServiceError
+   */
+  async sendMessage(spec, message, { signal = null } = {}) {
+    if (!spec.generated_spec) {
+      throw createError.validation('Specification has no content to discuss yet', 'message');
+    }
+
+    const history = await databaseService.getSpecMessages(spec.id, CHAT_CONFIG.contextMessages);
+
+    let prompt;
+    try {
+      prompt = buildChatPrompt({
+        idea: spec.user_input,
+        specification: spec.generated_spec,
+        history,
+        message,
+        language: spec.language || undefined
+      });
+    } catch (error) {
+      throw createError.validation(error.message, 'message');
+    }
+
+    const result = await geminiService.generateSpecification(message, {
+      prompt,
+      language: spec.language || undefined,
+      formatOutput: false,
+      signal
+    });
+
+    if (result.cancelled) {
+      logger.info({ specId: spec.id }, 'Chat request cancelled by client');
+      return null;
+    }
+
+    if (!result.success) {
+      throw createError.externalServiceError(geminiService.provider.displayName, new Error(result.error));
+    }
+
+    let { reply, proposedSpec } = parseChatReply(result.specification);
+
+    if (proposedSpec && proposedSpec.length > SPEC_EDIT_CONFIG.maxLength) {
+      logger.warn({ specId: spec.id, length: proposedSpec.length }, 'Discarding oversized chat proposal');
+      reply = [reply, PROPOSAL_TOO_LONG_NOTE].filter(Boolean).join('\n\n');
+      proposedSpec = null;
+    }
+
+    const userMessage = await databaseService.addSpecMessage(spec.id, {
+      role: 'user',
+      content: message
+    });
+    const assistantMessage = await databaseService.addSpecMessage(spec.id, {
+      role: 'assistant',
+      content: reply || PROPOSAL_ONLY_REPLY,
+      proposedSpec,
+      baseVersion: proposedSpec ? Number(spec.current_version || 0) : null
+    });
+
+    logger.info({ specId: spec.id, proposal: Boolean(proposedSpec), duration: result.duration }, 'Chat reply saved');
+
+    return {
+      userMessage: this.formatMessage(userMessage),
+      assistantMessage: this.formatMessage(assistantMessage)
+    };
+  }
+
+  /**
+   * 將助理提出的修訂規格保存為新版本
+   * @param {object} spec - ideas 記錄
+   * @param {number} messageId - 助理訊息 ID
+   * @param {string} editedBy - 採納者
+   * @returns {Promise<{version: number, message: object}>}
+   * @throws {AppError} - 訊息不存在或沒有提案時拋出 notFound，已採納或規格已變更時拋出 conflict
+   */
+  async acceptProposal(spec, messageId, editedBy) {
+    const row = await databaseService.getSpecMessage(spec.id, messageId);
+
+    if (!row || row.role !== 'assistant' || !row.proposed_spec) {
+      throw createError.notFound('Proposal', messageId);
+    }
+
+    if (row.accepted_version !== null && row.accepted_version !== undefined) {
+      throw createError.conflict('Proposal', `Proposal already accepted as version ${row.accepted_version}`);
+    }
+
+    const currentVersion = Number(spec.current_version || 0);
+    if (Number(row.base_version) !== currentVersion) {
+      throw createError.conflict('Specification', `Specification changed since version ${row.base_version} (current version is ${currentVersion})`);
+    }
+
+    const version = await databaseService.saveSpecVersion(spec.id, {
+      generatedSpec: row.proposed_spec,
+      templateId: spec.template_id ?? null,
+      language: spec.language ?? null,
+      source: 'chat',
+      editedBy
+    });
+    await databaseService.markSpecMessageAccepted(row.id, version);
+
+    logger.info({ specId: spec.id, messageId, version, editedBy }, 'Chat proposal accepted');
+
+    return {
+      version,
+      message: this.formatMessage({ ...row, accepted_version: version })
+    };
+  }
+}
+
+// 創建單例實例
+const chatService = new ChatService();
+
+export default chatService;
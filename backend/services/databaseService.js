@@ -4,11 +4,32 @@
  */
 
 import { createClient } from '@libsql/client';
-import { DATABASE_CONFIG, JOB_STATUSES } from '../config/serverConfig.js';
+import { DATABASE_CONFIG, JOB_STATUSES, WEBHOOK_CONFIG } from '../config/serverConfig.js';
+import migrationService from './migrationService.js';
+import { FTS_CONFIG, splitSearchTerms, canUseFullTextIndex, buildMatchQuery, formatSnippet, buildFallbackSnippet } from '../utils/fullTextSearch.js';
+import { createStructuredSpec } from '../utils/specStructure.js';
+import { evaluateSpecQuality } from '../utils/specQuality.js';
 import pino from 'pino';
 
 const logger = pino();
 
+/**
+ * 推導結構化規格並序列化，與 generated_spec 一起保存
+ * 推導失敗時保存 null 而不影響規格本身，讀取時會再推導一次
+ */
+const serializeStructuredSpec = (markdown) => {
+  if (!markdown) {
+    return null;
+  }
+
+  try {
+    return JSON.stringify(createStructuredSpec(markdown));
+  } catch (error) {
+    logger.warn({ error: error.message, validationErrors: error.validationErrors }, 'Failed to derive structured specification');
+    return null;
+  }
+};
+
 // 性能监控配置
 const PERFORMANCE_CONFIG = {
   SLOW_QUERY_THRESHOLD: 1000, // 1秒
@@ -29,6 +50,7 @@ class DatabaseService {
     this.isInitialized = false;
     this.connectionPool = null;
     this.preparedStatements = new Map();
+    this.fullTextSearchEnabled = false;
     this.queryMetrics = {
       totalQueries: 0,
       slowQueries: 0,
@@ -37,28 +59,35 @@ class DatabaseService {
     };
   }
 
+  /**
+   * 建立資料庫連接（不套用遷移，供遷移命令列工具使用）
+   */
+  async connect() {
+    // 創建優化的資料庫連接 - 強制使用本地SQLite進行測試
+    const isLocalFile = DATABASE_CONFIG.url.startsWith('file:');
+    this.db = createClient({
+      url: isLocalFile ? DATABASE_CONFIG.url : 'file:../database/local.db',
+      authToken: isLocalFile ? undefined : DATABASE_CONFIG.authToken,
+      // 只有遠程數據庫才添加同步配置
+      ...(isLocalFile ? {} : {
+        syncUrl: DATABASE_CONFIG.syncUrl || DATABASE_CONFIG.url,
+        syncInterval: 60000, // 同步間隔1分鐘
+      })
+    });
+
+    // 測試連接
+    await this.testConnection();
+  }
+
   /**
    * 初始化資料庫連接
    */
   async initialize() {
     try {
-      // 創建優化的資料庫連接 - 強制使用本地SQLite進行測試
-      const isLocalFile = DATABASE_CONFIG.url.startsWith('file:');
-      this.db = createClient({
-        url: isLocalFile ? DATABASE_CONFIG.url : 'file:../database/local.db',
-        authToken: isLocalFile ? undefined : DATABASE_CONFIG.authToken,
-        // 只有遠程數據庫才添加同步配置
-        ...(isLocalFile ? {} : {
-          syncUrl: DATABASE_CONFIG.syncUrl || DATABASE_CONFIG.url,
-          syncInterval: 60000, // 同步間隔1分鐘
-        })
-      });
-
-      // 測試連接
-      await this.testConnection();
+      await this.connect();
       
-      await this.createTables();
-      await this.createOptimizedIndexes();
+      await this.runMigrations();
+      await this.detectSearchIndex();
       await this.prepareCriticalStatements();
       
       // 初始化性能監控
@@ -73,82 +102,91 @@ class DatabaseService {
   }
 
   /**
-   * 創建資料表
+   * 套用尚未執行的資料庫遷移
+   * 關閉自動遷移時（DB_AUTO_MIGRATE=false）只檢查，有待套用的遷移則拒絕啟動
    */
-  async createTables() {
-    // 主要的 ideas 資料表
-    await this.db.execute(`
-      CREATE TABLE IF NOT EXISTS ideas (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_input TEXT NOT NULL,
-        generated_spec TEXT NOT NULL,
-        status TEXT DEFAULT 'completed' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
-        processing_time_ms INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // 性能指標資料表
-    await this.db.execute(`
-      CREATE TABLE IF NOT EXISTS performance_metrics (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        endpoint TEXT NOT NULL,
-        method TEXT NOT NULL,
-        duration_ms INTEGER NOT NULL,
-        status_code INTEGER NOT NULL,
-        error_message TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+  async runMigrations() {
+    if (!DATABASE_CONFIG.autoMigrate) {
+      const pending = await migrationService.getPendingMigrations(this.db);
+      if (pending.length > 0) {
+        throw new Error(`Database schema is out of date (${pending.length} pending migrations). Run "npm run migrate" first.`);
+      }
+      return;
+    }
 
-    logger.info('Database tables created successfully');
+    const applied = await migrationService.migrate(this.db);
+    if (applied.length > 0) {
+      logger.info({ migrations: applied.map(migration => `${migration.version}_${migration.name}`) }, 'Database schema upgraded');
+    }
   }
 
   /**
-   * 創建優化索引以提升性能
+   * 檢查全文索引是否存在，不存在時（例如已回復該遷移）改用 LIKE 搜尋
    */
-  async createOptimizedIndexes() {
-    const indexes = [
-      // 基本索引
-      'CREATE INDEX IF NOT EXISTS idx_ideas_created_at ON ideas(created_at DESC)',
-      'CREATE INDEX IF NOT EXISTS idx_ideas_status ON ideas(status)',
-      'CREATE INDEX IF NOT EXISTS idx_performance_created_at ON performance_metrics(created_at DESC)',
-      'CREATE INDEX IF NOT EXISTS idx_performance_endpoint ON performance_metrics(endpoint)',
-      
-      // 複合索引優化查詢性能
-      'CREATE INDEX IF NOT EXISTS idx_ideas_status_created ON ideas(status, created_at DESC)',
-      'CREATE INDEX IF NOT EXISTS idx_ideas_search_created ON ideas(created_at DESC, user_input, generated_spec)',
-      'CREATE INDEX IF NOT EXISTS idx_ideas_processing_time ON ideas(processing_time_ms DESC) WHERE processing_time_ms IS NOT NULL',
-      
-      // 全文搜索索引（如果支持的話）
-      'CREATE INDEX IF NOT EXISTS idx_ideas_user_input_fts ON ideas(user_input)',
-      'CREATE INDEX IF NOT EXISTS idx_ideas_generated_spec_fts ON ideas(generated_spec)',
-      
-      // 性能指標優化索引
-      'CREATE INDEX IF NOT EXISTS idx_performance_endpoint_time ON performance_metrics(endpoint, created_at DESC)',
-      'CREATE INDEX IF NOT EXISTS idx_performance_duration ON performance_metrics(duration_ms DESC)',
-      'CREATE INDEX IF NOT EXISTS idx_performance_status_endpoint ON performance_metrics(status_code, endpoint)',
-      
-      // 統計查詢優化索引
-      'CREATE INDEX IF NOT EXISTS idx_ideas_date_stats ON ideas(date(created_at), status)',
-      'CREATE INDEX IF NOT EXISTS idx_ideas_updated_at ON ideas(updated_at DESC)'
-    ];
+  async detectSearchIndex() {
+    const result = await this.db.execute({
+      sql: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?",
+      args: [FTS_CONFIG.table]
+    });
 
-    const startTime = Date.now();
-    let createdCount = 0;
-    
-    for (const indexSql of indexes) {
-      try {
-        await this.db.execute(indexSql);
-        createdCount++;
-      } catch (error) {
-        logger.warn({ error, sql: indexSql }, 'Failed to create index, possibly already exists');
-      }
+    this.fullTextSearchEnabled = result.rows.length > 0;
+    if (!this.fullTextSearchEnabled) {
+      logger.warn({ table: FTS_CONFIG.table }, 'Full-text search index not found, falling back to LIKE search');
     }
-    
-    const duration = Date.now() - startTime;
-    logger.info({ createdCount, duration }, 'Database indexes created successfully');
+  }
+
+  /**
+   * 建立歷史記錄的搜尋條件
+   * 所有字詞都至少三個字元時使用全文索引並依相關度排序，否則以 LIKE 比對每個字詞
+   * @param {string} search - 已驗證的搜尋字串
+   * @returns {{terms: string[], fullText: boolean, join: string, where: string, params: Array, rank: string, snippet: string}}
+   */
+  buildSearchCondition(search) {
+    const terms = splitSearchTerms(search);
+    const table = FTS_CONFIG.table;
+
+    if (this.fullTextSearchEnabled && canUseFullTextIndex(terms)) {
+      const [start, end] = [FTS_CONFIG.highlightStart, FTS_CONFIG.highlightEnd].map(marker => `char(${marker.charCodeAt(0)})`);
+
+      return {
+        terms,
+        fullText: true,
+        join: `JOIN ${table} ON ${table}.rowid = ideas.id`,
+        where: `${table} MATCH ?`,
+        params: [buildMatchQuery(terms)],
+        rank: `bm25(${table}, ${FTS_CONFIG.rankWeights.join(', ')})`,
+        snippet: `snippet(${table}, -1, ${start}, ${end}, '${FTS_CONFIG.ellipsis}', ${FTS_CONFIG.snippetTokens})`
+      };
+    }
+
+    return {
+      terms,
+      fullText: false,
+      join: '',
+      where: terms.map(() => '(ideas.user_input LIKE ? OR ideas.generated_spec LIKE ?)').join(' AND '),
+      params: terms.flatMap(term => [`%${term}%`, `%${term}%`]),
+      rank: 'NULL',
+      snippet: 'NULL'
+    };
+  }
+
+  /**
+   * 轉換搜尋結果列：以命中摘要取代開頭預覽
+   * @param {object} row - 含 search_rank 與 search_snippet 欄位的查詢結果
+   * @param {object} condition - buildSearchCondition 的結果
+   */
+  formatSearchResult(row, condition) {
+    const { search_rank: rank, search_snippet: rawSnippet, ...rest } = row;
+    const { snippet, preview } = rawSnippet
+      ? formatSnippet(rawSnippet)
+      : buildFallbackSnippet([row.user_input, row.generated_spec], condition.terms);
+
+    return {
+      ...rest,
+      preview,
+      snippet,
+      rank: rank === null || rank === undefined ? null : Number(rank)
+    };
   }
 
   /**
@@ -185,13 +223,14 @@ class DatabaseService {
   async prepareCriticalStatements() {
     // 預備常用查詢語句以提升性能
     this.preparedStatements.set('create_idea', {
-      sql: 'INSERT INTO ideas (user_input, generated_spec, status) VALUES (?, ?, ?)',
+      sql: `INSERT INTO ideas (user_input, generated_spec, status, template_id, language, template_variables, owner_id, visibility) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
       description: 'Create new idea entry'
     });
     
     this.preparedStatements.set('update_idea', {
       sql: `UPDATE ideas SET 
-            generated_spec = ?, 
+            generated_spec = COALESCE(?, generated_spec), 
             status = ?, 
             processing_time_ms = ?, 
             updated_at = CURRENT_TIMESTAMP 
@@ -214,11 +253,6 @@ class DatabaseService {
       description: 'Get total ideas count'
     });
     
-    this.preparedStatements.set('get_history_count_search', {
-      sql: 'SELECT COUNT(*) as total FROM ideas WHERE user_input LIKE ? OR generated_spec LIKE ?',
-      description: 'Get total ideas count with search'
-    });
-    
     logger.info(`Prepared ${this.preparedStatements.size} critical statements`);
   }
 
@@ -283,12 +317,14 @@ class DatabaseService {
 
   /**
    * 創建新的 idea 記錄
+   * @param {object} options - 生成設定與擁有者 { templateId, language, variables, ownerId, visibility }
    */
-  async createIdea(userInput, generatedSpec = '', status = JOB_STATUSES.PROCESSING) {
+  async createIdea(userInput, generatedSpec = '', status = JOB_STATUSES.PROCESSING, options = {}) {
+    const { templateId = null, language = null, variables = null, ownerId = null, visibility = 'team' } = options;
     const stmt = this.preparedStatements.get('create_idea');
     const result = await this.executeWithMetrics(
       stmt.sql, 
-      [userInput, generatedSpec, status],
+      [userInput, generatedSpec, status, templateId, language, variables ? JSON.stringify(variables) : null, ownerId, visibility],
       stmt.description
     );
     
@@ -296,10 +332,10 @@ class DatabaseService {
   }
 
   /**
-   * 更新 idea 記錄
+   * 更新 idea 記錄（未提供 generatedSpec 時保留目前的規格內容）
    */
   async updateIdea(id, updates) {
-    const { generatedSpec, status, processingTime } = updates;
+    const { generatedSpec = null, status, processingTime = null } = updates;
     const stmt = this.preparedStatements.get('update_idea');
     
     await this.executeWithMetrics(
@@ -309,12 +345,29 @@ class DatabaseService {
     );
   }
 
+  /**
+   * 取得尚未完成的 idea 記錄與排隊中的重新生成、章節改寫請求（供重啟後重新排入佇列）
+   */
+  async getUnfinishedIdeas() {
+    const result = await this.executeWithMetrics(
+      `SELECT id, user_input, status, template_id, language, template_variables, refine_request, created_at 
+       FROM ideas 
+       WHERE status IN (?, ?) OR refine_request IS NOT NULL 
+       ORDER BY created_at ASC, id ASC`,
+      [JOB_STATUSES.PENDING, JOB_STATUSES.PROCESSING],
+      'Get unfinished ideas'
+    );
+    
+    return result.rows;
+  }
+
   /**
    * 取得分頁歷史記錄（優化版本）
+   * @param {object|null} scope - 存取條件 { key, where, params }（見 specAccessService.getScope），null 表示不限制
    */
-  async getHistory(page = 1, limit = 20, search = null) {
+  async getHistory(page = 1, limit = 20, search = null, scope = null) {
     // 使用緩存檢查是否有相同的查詢
-    const cacheKey = `history_${page}_${limit}_${search || 'all'}`;
+    const cacheKey = `history_${page}_${limit}_${search || 'all'}_${scope?.key || 'all'}`;
     const cachedResult = queryStatsCache.get(cacheKey);
     
     if (cachedResult && Date.now() - cachedResult.timestamp < STATS_CACHE_TTL) {
@@ -326,18 +379,23 @@ class DatabaseService {
     const effectiveLimit = Math.min(limit, PERFORMANCE_CONFIG.CURSOR_PAGINATION_LIMIT);
     
     // 使用預備語句和優化查詢
-    let countStmt, countParams;
-    if (search) {
-      countStmt = this.preparedStatements.get('get_history_count_search');
-      const searchParam = `%${search}%`;
-      countParams = [searchParam, searchParam];
+    const condition = search ? this.buildSearchCondition(search) : null;
+    const scopeClause = scope ? `AND ${scope.where}` : '';
+    const scopeParams = scope ? scope.params : [];
+    let countSql, countParams;
+    if (condition) {
+      countSql = `SELECT COUNT(*) as total FROM ideas ${condition.join} WHERE ${condition.where} ${scopeClause}`;
+      countParams = [...condition.params, ...scopeParams];
+    } else if (scope) {
+      countSql = `SELECT COUNT(*) as total FROM ideas WHERE ${scope.where}`;
+      countParams = scopeParams;
     } else {
-      countStmt = this.preparedStatements.get('get_history_count');
+      countSql = this.preparedStatements.get('get_history_count').sql;
       countParams = [];
     }
     
     const countResult = await this.executeWithMetrics(
-      countStmt.sql,
+      countSql,
       countParams,
       'Get history count'
     );
@@ -370,26 +428,32 @@ class DatabaseService {
     const offset = (page - 1) * effectiveLimit;
     let dataQuery, dataParams;
     
-    if (search) {
-      // 使用優化的搜索查詢，利用複合索引
+    if (condition) {
+      // 全文搜尋依相關度排序（bm25 越小越相關），相關度相同或使用 LIKE 時依建立時間排序
       dataQuery = `
-        SELECT id, user_input, generated_spec, status, processing_time_ms, created_at, updated_at 
-        FROM ideas 
-        WHERE user_input LIKE ? OR generated_spec LIKE ?
-        ORDER BY created_at DESC 
+        SELECT ideas.id, ideas.user_input, ideas.generated_spec, ideas.status, ideas.processing_time_ms, 
+          ideas.created_at, ideas.updated_at, ideas.current_version, ideas.project_id, ideas.quality_score, 
+          ideas.owner_id, ideas.visibility, 
+          (SELECT COUNT(*) FROM spec_versions v WHERE v.idea_id = ideas.id) AS version_count, 
+          ${condition.rank} AS search_rank, ${condition.snippet} AS search_snippet 
+        FROM ideas ${condition.join} 
+        WHERE ${condition.where} ${scopeClause}
+        ORDER BY ${condition.fullText ? 'search_rank ASC, ' : ''}ideas.created_at DESC 
         LIMIT ? OFFSET ?
       `;
-      const searchParam = `%${search}%`;
-      dataParams = [searchParam, searchParam, effectiveLimit, offset];
+      dataParams = [...condition.params, ...scopeParams, effectiveLimit, offset];
     } else {
       // 無搜索的快速查詢，利用創建時間索引
       dataQuery = `
-        SELECT id, user_input, generated_spec, status, processing_time_ms, created_at, updated_at 
+        SELECT id, user_input, generated_spec, status, processing_time_ms, created_at, updated_at, current_version, project_id, quality_score, 
+          owner_id, visibility, 
+          (SELECT COUNT(*) FROM spec_versions v WHERE v.idea_id = ideas.id) AS version_count 
         FROM ideas 
+        ${scope ? `WHERE ${scope.where}` : ''}
         ORDER BY created_at DESC 
         LIMIT ? OFFSET ?
       `;
-      dataParams = [effectiveLimit, offset];
+      dataParams = [...scopeParams, effectiveLimit, offset];
     }
     
     const dataResult = await this.executeWithMetrics(
@@ -399,9 +463,10 @@ class DatabaseService {
     );
 
     const totalPages = Math.ceil(total / effectiveLimit);
+    const rows = await this.attachTags(dataResult.rows);
     
     const result = {
-      data: dataResult.rows.map(row => ({
+      data: rows.map(row => (condition ? this.formatSearchResult(row, condition) : {
         ...row,
         preview: row.generated_spec ? row.generated_spec.substring(0, 200) : ''
       })),
@@ -450,6 +515,30 @@ class DatabaseService {
       throw new Error('Entry not found');
     }
     
+    await this.executeWithMetrics(
+      'DELETE FROM spec_versions WHERE idea_id = ?',
+      [id],
+      'Delete spec versions'
+    );
+
+    await this.executeWithMetrics(
+      'DELETE FROM spec_messages WHERE idea_id = ?',
+      [id],
+      'Delete spec messages'
+    );
+
+    await this.executeWithMetrics(
+      'DELETE FROM idea_tags WHERE idea_id = ?',
+      [id],
+      'Delete spec tags'
+    );
+
+    await this.executeWithMetrics(
+      'DELETE FROM spec_shares WHERE idea_id = ?',
+      [id],
+      'Delete spec shares'
+    );
+    
     const stmt = this.preparedStatements.get('delete_idea');
     await this.executeWithMetrics(
       stmt.sql,
@@ -457,192 +546,1639 @@ class DatabaseService {
       stmt.description
     );
     
+    this.invalidateHistoryCache();
     return true;
   }
 
   /**
-   * 記錄性能指標（批量優化版本）
+   * 清除歷史記錄查詢緩存
    */
-  async logPerformanceMetric(endpoint, method, duration, statusCode, error = null) {
-    try {
-      await this.executeWithMetrics(
-        `INSERT INTO performance_metrics (
-          endpoint, method, duration_ms, status_code, error_message
-        ) VALUES (?, ?, ?, ?, ?)`,
-        [endpoint, method, duration, statusCode, error ? JSON.stringify(error) : null],
-        'Log performance metric'
-      );
-    } catch (err) {
-      logger.debug({ error: err }, 'Failed to log performance metric');
+  invalidateHistoryCache() {
+    for (const key of queryStatsCache.keys()) {
+      if (key.startsWith('history_')) {
+        queryStatsCache.delete(key);
+      }
     }
   }
 
   /**
-   * 批量插入性能指標
+   * 保存新的規格版本並設為目前版本，同時將記錄標記為完成
+   * @param {number} ideaId - idea 記錄 ID
+   * @param {object} data - { generatedSpec, processingTime, templateId, language, source, editedBy, quality }
+   *   （editedBy 僅在手動編輯時提供；quality 為生成時的品質檢查結果，未提供時以目前的必要章節重新檢查）
+   * @returns {Promise<number>} - 新版本號
    */
-  async logBatchPerformanceMetrics(metrics) {
-    if (!Array.isArray(metrics) || metrics.length === 0) {
-      return;
-    }
+  async saveSpecVersion(ideaId, data) {
+    const { generatedSpec, processingTime = null, templateId = null, language = null, source = null, editedBy = null } = data;
+    const structuredSpec = serializeStructuredSpec(generatedSpec);
+    const quality = data.quality || await this.evaluateQuality(ideaId, generatedSpec);
+    const qualityReport = JSON.stringify(quality);
 
-    const batchSize = PERFORMANCE_CONFIG.BATCH_SIZE;
-    const batches = [];
-    
-    for (let i = 0; i < metrics.length; i += batchSize) {
-      batches.push(metrics.slice(i, i + batchSize));
-    }
+    const results = await this.db.batch([
+      {
+        // 未指定來源時，第一個版本為 generated，其後為 regenerated
+        sql: `INSERT INTO spec_versions (idea_id, version, generated_spec, structured_spec, quality_score, quality_report, 
+                source, template_id, language, processing_time_ms, edited_by)
+              SELECT ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ?, 
+                COALESCE(?, CASE WHEN COUNT(*) > 0 THEN 'regenerated' ELSE 'generated' END), ?, ?, ?, ?
+              FROM spec_versions WHERE idea_id = ?`,
+        args: [ideaId, generatedSpec, structuredSpec, quality.score, qualityReport, source, templateId, language, processingTime, editedBy, ideaId]
+      },
+      {
+        sql: `UPDATE ideas SET 
+              generated_spec = ?, 
+              structured_spec = ?, 
+              quality_score = ?, 
+              quality_report = ?, 
+              status = ?, 
+              processing_time_ms = ?, 
+              current_version = (SELECT MAX(version) FROM spec_versions WHERE idea_id = ?), 
+              last_edited_by = COALESCE(?, last_edited_by), 
+              last_edited_at = CASE WHEN ? IS NULL THEN last_edited_at ELSE CURRENT_TIMESTAMP END, 
+              refine_request = NULL, 
+              updated_at = CURRENT_TIMESTAMP 
+              WHERE id = ?`,
+        args: [generatedSpec, structuredSpec, quality.score, qualityReport, JOB_STATUSES.COMPLETED, processingTime, ideaId, editedBy, editedBy, ideaId]
+      },
+      {
+        sql: 'SELECT current_version FROM ideas WHERE id = ?',
+        args: [ideaId]
+      }
+    ], 'write');
 
-    try {
-      for (const batch of batches) {
-        const values = batch.map(() => '(?, ?, ?, ?, ?)').join(', ');
-        const args = batch.flatMap(metric => [
-          metric.endpoint,
-          metric.method,
-          metric.duration,
-          metric.statusCode,
-          metric.error ? JSON.stringify(metric.error) : null
-        ]);
+    this.invalidateHistoryCache();
+    return Number(results[2].rows[0]?.current_version || 0);
+  }
 
-        await this.executeWithMetrics(
-          `INSERT INTO performance_metrics (endpoint, method, duration_ms, status_code, error_message) VALUES ${values}`,
-          args,
-          `Batch insert ${batch.length} performance metrics`
-        );
-      }
-      
-      logger.debug(`Batch inserted ${metrics.length} performance metrics`);
-    } catch (error) {
-      logger.error({ error }, 'Failed to batch insert performance metrics');
+  /**
+   * 以記錄上一次品質檢查的必要章節檢查新內容（手動編輯、章節改寫等不經過生成流程的版本）
+   * @returns {Promise<object>} - evaluateSpecQuality 的結果
+   */
+  async evaluateQuality(ideaId, markdown) {
+    const result = await this.executeWithMetrics(
+      'SELECT quality_report FROM ideas WHERE id = ?',
+      [ideaId],
+      'Get quality report'
+    );
+
+    let requiredSections = [];
+    try {
+      requiredSections = JSON.parse(result.rows[0]?.quality_report || '{}').requiredSections || [];
+    } catch (parseError) {
+      logger.warn({ ideaId, error: parseError.message }, 'Stored quality report is not valid JSON');
     }
+
+    return evaluateSpecQuality(markdown, { requiredSections });
   }
 
   /**
-   * 取得性能統計（優化緩存版本）
+   * 取得記錄的版本列表（不含內容）
    */
-  async getPerformanceStats(hours = 24) {
-    const cacheKey = `performance_stats_${hours}h`;
-    const cachedResult = queryStatsCache.get(cacheKey);
-    
-    // 性能統計緩存時間較短（1分鐘）
-    const perfCacheTTL = 60000;
-    if (cachedResult && Date.now() - cachedResult.timestamp < perfCacheTTL) {
-      logger.debug('Returning cached performance stats');
-      return cachedResult.data;
-    }
-    
-    const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
-    
-    // 使用優化的統計查詢，利用復合索引
-    const result = await this.executeWithMetrics(`
-      SELECT 
-        endpoint,
-        method,
-        COUNT(*) as request_count,
-        ROUND(AVG(duration_ms), 2) as avg_duration,
-        MIN(duration_ms) as min_duration,
-        MAX(duration_ms) as max_duration,
-        COUNT(CASE WHEN status_code >= 400 THEN 1 END) as error_count,
-        COUNT(CASE WHEN duration_ms > ? THEN 1 END) as slow_request_count,
-        ROUND(AVG(CASE WHEN status_code < 400 THEN duration_ms END), 2) as avg_success_duration
-      FROM performance_metrics 
-      WHERE created_at > ?
-      GROUP BY endpoint, method
-      ORDER BY request_count DESC
-      LIMIT 50
-    `, [PERFORMANCE_CONFIG.SLOW_QUERY_THRESHOLD, cutoffTime], 'Get performance statistics');
+  async getSpecVersions(ideaId) {
+    const result = await this.executeWithMetrics(
+      `SELECT id, version, source, template_id, language, processing_time_ms, edited_by, quality_score, 
+         LENGTH(generated_spec) AS output_length, created_at 
+       FROM spec_versions 
+       WHERE idea_id = ? 
+       ORDER BY version DESC`,
+      [ideaId],
+      'Get spec versions'
+    );
     
-    const statsData = result.rows.map(row => ({
-      ...row,
-      error_rate: row.request_count > 0 ? (row.error_count / row.request_count * 100).toFixed(2) : '0.00',
-      slow_request_rate: row.request_count > 0 ? (row.slow_request_count / row.request_count * 100).toFixed(2) : '0.00'
-    }));
+    return result.rows;
+  }
+
+  /**
+   * 取得特定版本
+   */
+  async getSpecVersion(ideaId, version) {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM spec_versions WHERE idea_id = ? AND version = ?',
+      [ideaId, version],
+      'Get spec version'
+    );
     
-    // 緩存結果
-    queryStatsCache.set(cacheKey, {
-      data: statsData,
-      timestamp: Date.now()
-    });
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 將指定版本還原為目前版本
+   */
+  async restoreSpecVersion(ideaId, version) {
+    await this.executeWithMetrics(
+      `UPDATE ideas SET 
+         generated_spec = (SELECT generated_spec FROM spec_versions WHERE idea_id = ? AND version = ?), 
+         structured_spec = (SELECT structured_spec FROM spec_versions WHERE idea_id = ? AND version = ?), 
+         quality_score = (SELECT quality_score FROM spec_versions WHERE idea_id = ? AND version = ?), 
+         quality_report = (SELECT quality_report FROM spec_versions WHERE idea_id = ? AND version = ?), 
+         processing_time_ms = (SELECT processing_time_ms FROM spec_versions WHERE idea_id = ? AND version = ?), 
+         status = ?, 
+         current_version = ?, 
+         updated_at = CURRENT_TIMESTAMP 
+       WHERE id = ?`,
+      [ideaId, version, ideaId, version, ideaId, version, ideaId, version, ideaId, version, JOB_STATUSES.COMPLETED, version, ideaId],
+      'Restore spec version'
+    );
     
-    return statsData;
+    this.invalidateHistoryCache();
   }
 
   /**
-   * 資料庫維護
+   * 保存補推導的結構化規格（目前版本；不更新 updated_at）
    */
-  async performMaintenance() {
-    try {
-      // 執行 VACUUM 優化資料庫
-      await this.db.execute('VACUUM');
-      
-      // 清理舊的性能指標（保留 7 天）
-      const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
-      await this.db.execute({
-        sql: 'DELETE FROM performance_metrics WHERE created_at < ?',
-        args: [sevenDaysAgo]
-      });
-      
-      logger.info('Database maintenance completed');
-    } catch (error) {
-      logger.error({ error }, 'Database maintenance failed');
-      throw error;
-    }
+  async saveStructuredSpec(ideaId, version, structuredSpec) {
+    await this.db.batch([
+      { sql: 'UPDATE ideas SET structured_spec = ? WHERE id = ?', args: [structuredSpec, ideaId] },
+      { sql: 'UPDATE spec_versions SET structured_spec = ? WHERE idea_id = ? AND version = ?', args: [structuredSpec, ideaId, version] }
+    ], 'write');
   }
 
   /**
-   * 健康檢查
+   * 保存排隊中的重新生成或章節改寫請求供重啟後恢復（記錄的狀態與目前版本維持不變）
+   * @param {object} request - 重新生成為 { regenerate: true, templateId, language, variables }，章節改寫為 { anchor, instructions }
    */
-  async healthCheck() {
-    try {
-      await this.db.execute('SELECT 1');
-      return { status: 'healthy', message: 'Database connection is working' };
-    } catch (error) {
-      return { status: 'unhealthy', message: error.message };
-    }
+  async setIdeaRequest(id, request) {
+    await this.executeWithMetrics(
+      'UPDATE ideas SET refine_request = ? WHERE id = ?',
+      [JSON.stringify(request), id],
+      'Save queued idea request'
+    );
   }
 
   /**
-   * 取得資料庫統計資訊（優化版本）
+   * 重新生成或章節改寫失敗、取消時清除請求，並將記錄恢復為完成狀態
    */
-  async getStats() {
-    const cacheKey = 'database_stats';
-    const cachedResult = queryStatsCache.get(cacheKey);
-    
-    // 統計信息緩存5分鐘
-    if (cachedResult && Date.now() - cachedResult.timestamp < STATS_CACHE_TTL) {
-      logger.debug('Returning cached database stats');
-      return cachedResult.data;
-    }
-    
-    try {
-      // 並行執行多個統計查詢
-      const [ideasCount, metricsCount, recentIdeas, statusDistribution] = await Promise.all([
-        this.executeWithMetrics('SELECT COUNT(*) as count FROM ideas', [], 'Count all ideas'),
-        this.executeWithMetrics('SELECT COUNT(*) as count FROM performance_metrics', [], 'Count all metrics'),
-        this.executeWithMetrics(
-          "SELECT COUNT(*) as count FROM ideas WHERE created_at > datetime('now', '-24 hours')", 
-          [], 
-          'Count recent ideas'
-        ),
-        this.executeWithMetrics(
-          'SELECT status, COUNT(*) as count FROM ideas GROUP BY status', 
-          [], 
-          'Get status distribution'
-        )
-      ]);
-      
-      const stats = {
-        totalIdeas: ideasCount.rows[0]?.count || 0,
-        totalMetrics: metricsCount.rows[0]?.count || 0,
-        recentIdeas: recentIdeas.rows[0]?.count || 0,
-        statusDistribution: statusDistribution.rows.reduce((acc, row) => {
-          acc[row.status] = row.count;
-          return acc;
-        }, {}),
-        queryMetrics: this.queryMetrics,
-        cacheStats: {
-          cacheSize: queryStatsCache.size,
-          cacheHitRate: this.calculateCacheHitRate()
-        }
+  async clearIdeaRequest(id) {
+    await this.executeWithMetrics(
+      'UPDATE ideas SET refine_request = NULL, status = ? WHERE id = ?',
+      [JOB_STATUSES.COMPLETED, id],
+      'Clear queued idea request'
+    );
+  }
+
+  /**
+   * 重新生成成功後保存本次的生成設定，供下次重新生成沿用
+   * @param {object} options - { templateId, language, variables }
+   */
+  async updateGenerationSettings(id, options = {}) {
+    const { templateId = null, language = null, variables = null } = options;
+    await this.executeWithMetrics(
+      'UPDATE ideas SET template_id = ?, language = ?, template_variables = ? WHERE id = ?',
+      [templateId, language, variables ? JSON.stringify(variables) : null, id],
+      'Update idea generation settings'
+    );
+  }
+
+  /**
+   * 新增對話訊息
+   * @param {number} ideaId - idea 記錄 ID
+   * @param {object} message - { role, content, proposedSpec, baseVersion }
+   * @returns {Promise<object>} - 新增的訊息
+   */
+  async addSpecMessage(ideaId, message) {
+    const { role, content, proposedSpec = null, baseVersion = null } = message;
+
+    const result = await this.executeWithMetrics(
+      `INSERT INTO spec_messages (idea_id, role, content, proposed_spec, base_version) 
+       VALUES (?, ?, ?, ?, ?)`,
+      [ideaId, role, content, proposedSpec, baseVersion],
+      'Add spec message'
+    );
+
+    return this.getSpecMessage(ideaId, Number(result.lastInsertRowid));
+  }
+
+  /**
+   * 取得規格最近的對話訊息（依時間先後排序）
+   * @param {number} limit - 最多回傳的訊息數
+   */
+  async getSpecMessages(ideaId, limit = 100) {
+    const result = await this.executeWithMetrics(
+      `SELECT * FROM (
+         SELECT * FROM spec_messages WHERE idea_id = ? ORDER BY id DESC LIMIT ?
+       ) ORDER BY id ASC`,
+      [ideaId, limit],
+      'Get spec messages'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 取得特定對話訊息
+   */
+  async getSpecMessage(ideaId, messageId) {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM spec_messages WHERE idea_id = ? AND id = ?',
+      [ideaId, messageId],
+      'Get spec message'
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 記錄修訂提案已被採納為哪個版本
+   */
+  async markSpecMessageAccepted(messageId, version) {
+    await this.executeWithMetrics(
+      'UPDATE spec_messages SET accepted_version = ? WHERE id = ?',
+      [version, messageId],
+      'Mark spec message accepted'
+    );
+  }
+
+  /**
+   * 取得所有提示範本（內建範本優先）
+   */
+  async getPromptTemplates() {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM prompt_templates ORDER BY is_builtin DESC, name ASC',
+      [],
+      'Get prompt templates'
+    );
+    
+    return result.rows;
+  }
+
+  /**
+   * 以 ID 取得提示範本
+   */
+  async getPromptTemplateById(id) {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM prompt_templates WHERE id = ?',
+      [id],
+      'Get prompt template by ID'
+    );
+    
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 以名稱取得提示範本
+   */
+  async getPromptTemplateByName(name) {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM prompt_templates WHERE name = ?',
+      [name],
+      'Get prompt template by name'
+    );
+    
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 創建自訂提示範本
+   */
+  async createPromptTemplate(template) {
+    const { name, title, description = '', body, variables = [], language } = template;
+    const result = await this.executeWithMetrics(
+      `INSERT INTO prompt_templates (name, title, description, body, variables, language, is_builtin) 
+       VALUES (?, ?, ?, ?, ?, ?, 0)`,
+      [name, title, description, body, JSON.stringify(variables), language],
+      'Create prompt template'
+    );
+    
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * 更新提示範本（僅更新有提供的欄位）
+   */
+  async updatePromptTemplate(id, updates) {
+    const fields = { title: updates.title, description: updates.description, body: updates.body, language: updates.language };
+    if (updates.variables !== undefined) {
+      fields.variables = JSON.stringify(updates.variables);
+    }
+
+    const entries = Object.entries(fields).filter(([, value]) => value !== undefined);
+    if (entries.length === 0) {
+      return;
+    }
+
+    await this.executeWithMetrics(
+      `UPDATE prompt_templates SET ${entries.map(([column]) => `${column} = ?`).join(', ')}, 
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...entries.map(([, value]) => value), id],
+      'Update prompt template'
+    );
+  }
+
+  /**
+   * 刪除提示範本
+   */
+  async deletePromptTemplate(id) {
+    const result = await this.executeWithMetrics(
+      'DELETE FROM prompt_templates WHERE id = ?',
+      [id],
+      'Delete prompt template'
+    );
+    
+    return result.rowsAffected > 0;
+  }
+
+  /**
+   * 寫入或更新內建提示範本（不覆寫同名的自訂範本）
+   */
+  async upsertBuiltinPromptTemplate(template) {
+    const { name, title, description, body, variables, language } = template;
+    await this.executeWithMetrics(
+      `INSERT INTO prompt_templates (name, title, description, body, variables, language, is_builtin) 
+       VALUES (?, ?, ?, ?, ?, ?, 1)
+       ON CONFLICT(name) DO UPDATE SET 
+         title = excluded.title, 
+         description = excluded.description, 
+         body = excluded.body, 
+         variables = excluded.variables, 
+         language = excluded.language, 
+         updated_at = CURRENT_TIMESTAMP
+       WHERE prompt_templates.is_builtin = 1`,
+      [name, title, description, body, JSON.stringify(variables), language],
+      'Upsert builtin prompt template'
+    );
+  }
+
+  /**
+   * 取得所有專案（含規格數量）
+   */
+  async getProjects() {
+    const result = await this.executeWithMetrics(
+      `SELECT p.*, (SELECT COUNT(*) FROM ideas WHERE ideas.project_id = p.id) AS spec_count 
+       FROM projects p ORDER BY p.name COLLATE NOCASE ASC`,
+      [],
+      'Get projects'
+    );
+    
+    return result.rows;
+  }
+
+  /**
+   * 以 ID 取得專案
+   */
+  async getProjectById(id) {
+    const result = await this.executeWithMetrics(
+      `SELECT p.*, (SELECT COUNT(*) FROM ideas WHERE ideas.project_id = p.id) AS spec_count 
+       FROM projects p WHERE p.id = ?`,
+      [id],
+      'Get project by ID'
+    );
+    
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 以名稱取得專案（不分大小寫）
+   */
+  async getProjectByName(name) {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM projects WHERE name = ?',
+      [name],
+      'Get project by name'
+    );
+    
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 創建專案
+   */
+  async createProject({ name, description = '', color = null }) {
+    const result = await this.executeWithMetrics(
+      'INSERT INTO projects (name, description, color) VALUES (?, ?, ?)',
+      [name, description, color],
+      'Create project'
+    );
+    
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * 更新專案（僅更新有提供的欄位）
+   */
+  async updateProject(id, updates) {
+    const entries = Object.entries({ name: updates.name, description: updates.description, color: updates.color })
+      .filter(([, value]) => value !== undefined);
+    if (entries.length === 0) {
+      return;
+    }
+
+    await this.executeWithMetrics(
+      `UPDATE projects SET ${entries.map(([column]) => `${column} = ?`).join(', ')}, 
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...entries.map(([, value]) => value), id],
+      'Update project'
+    );
+  }
+
+  /**
+   * 刪除專案，所屬規格改為未分類
+   */
+  async deleteProject(id) {
+    const results = await this.db.batch([
+      { sql: 'UPDATE ideas SET project_id = NULL WHERE project_id = ?', args: [id] },
+      { sql: 'DELETE FROM projects WHERE id = ?', args: [id] }
+    ], 'write');
+
+    this.invalidateHistoryCache();
+    return {
+      deleted: results[1].rowsAffected > 0,
+      unassignedSpecs: results[0].rowsAffected
+    };
+  }
+
+  /**
+   * 設定規格所屬的專案（null 表示未分類）
+   */
+  async setIdeaProject(ideaId, projectId) {
+    await this.executeWithMetrics(
+      'UPDATE ideas SET project_id = ? WHERE id = ?',
+      [projectId, ideaId],
+      'Set idea project'
+    );
+    
+    this.invalidateHistoryCache();
+  }
+
+  /**
+   * 取得所有標籤（含使用次數）
+   */
+  async getTags() {
+    const result = await this.executeWithMetrics(
+      `SELECT t.*, (SELECT COUNT(*) FROM idea_tags it WHERE it.tag_id = t.id) AS spec_count 
+       FROM tags t ORDER BY t.name COLLATE NOCASE ASC`,
+      [],
+      'Get tags'
+    );
+    
+    return result.rows;
+  }
+
+  /**
+   * 以 ID 取得標籤
+   */
+  async getTagById(id) {
+    const result = await this.executeWithMetrics(
+      `SELECT t.*, (SELECT COUNT(*) FROM idea_tags it WHERE it.tag_id = t.id) AS spec_count 
+       FROM tags t WHERE t.id = ?`,
+      [id],
+      'Get tag by ID'
+    );
+    
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 以名稱取得標籤（不分大小寫）
+   */
+  async getTagByName(name) {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM tags WHERE name = ?',
+      [name],
+      'Get tag by name'
+    );
+    
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 創建標籤
+   */
+  async createTag({ name, color = null }) {
+    const result = await this.executeWithMetrics(
+      'INSERT INTO tags (name, color) VALUES (?, ?)',
+      [name, color],
+      'Create tag'
+    );
+    
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * 更新標籤（僅更新有提供的欄位）
+   */
+  async updateTag(id, updates) {
+    const entries = Object.entries({ name: updates.name, color: updates.color })
+      .filter(([, value]) => value !== undefined);
+    if (entries.length === 0) {
+      return;
+    }
+
+    await this.executeWithMetrics(
+      `UPDATE tags SET ${entries.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...entries.map(([, value]) => value), id],
+      'Update tag'
+    );
+    
+    this.invalidateHistoryCache();
+  }
+
+  /**
+   * 刪除標籤並從所有規格移除
+   */
+  async deleteTag(id) {
+    const results = await this.db.batch([
+      { sql: 'DELETE FROM idea_tags WHERE tag_id = ?', args: [id] },
+      { sql: 'DELETE FROM tags WHERE id = ?', args: [id] }
+    ], 'write');
+
+    this.invalidateHistoryCache();
+    return results[1].rowsAffected > 0;
+  }
+
+  /**
+   * 以名稱取代規格的標籤，不存在的標籤會自動建立
+   * @param {number} ideaId - idea 記錄 ID
+   * @param {string[]} names - 標籤名稱（已正規化、不分大小寫去重）
+   */
+  async setIdeaTags(ideaId, names) {
+    const statements = [
+      ...names.map(name => ({ sql: 'INSERT OR IGNORE INTO tags (name) VALUES (?)', args: [name] })),
+      { sql: 'DELETE FROM idea_tags WHERE idea_id = ?', args: [ideaId] },
+      ...names.map(name => ({
+        sql: 'INSERT INTO idea_tags (idea_id, tag_id) SELECT ?, id FROM tags WHERE name = ?',
+        args: [ideaId, name]
+      }))
+    ];
+
+    await this.db.batch(statements, 'write');
+    this.invalidateHistoryCache();
+  }
+
+  /**
+   * 取得多筆規格的標籤
+   * @param {number[]} ideaIds - idea 記錄 ID
+   * @returns {Promise<Map<number, Array<{id: number, name: string, color: string|null}>>>}
+   */
+  async getTagsForIdeas(ideaIds) {
+    const tagsByIdea = new Map();
+    if (ideaIds.length === 0) {
+      return tagsByIdea;
+    }
+
+    const result = await this.executeWithMetrics(
+      `SELECT it.idea_id, t.id, t.name, t.color FROM idea_tags it 
+       JOIN tags t ON t.id = it.tag_id 
+       WHERE it.idea_id IN (${ideaIds.map(() => '?').join(',')}) 
+       ORDER BY t.name COLLATE NOCASE ASC`,
+      ideaIds,
+      'Get tags for ideas'
+    );
+
+    for (const row of result.rows) {
+      const ideaId = Number(row.idea_id);
+      if (!tagsByIdea.has(ideaId)) {
+        tagsByIdea.set(ideaId, []);
+      }
+      tagsByIdea.get(ideaId).push({ id: Number(row.id), name: row.name, color: row.color || null });
+    }
+
+    return tagsByIdea;
+  }
+
+  /**
+   * 為查詢結果附加標籤
+   */
+  async attachTags(rows) {
+    const tagsByIdea = await this.getTagsForIdeas(rows.map(row => Number(row.id)));
+    return rows.map(row => ({ ...row, tags: tagsByIdea.get(Number(row.id)) || [] }));
+  }
+
+  /**
+   * 取得匯出整個規格庫所需的資料（不含排隊或生成中的記錄）
+   * @param {object|null} scope - 存取條件（見 specAccessService.getScope），null 表示匯出所有規格
+   * @returns {Promise<{specs: Array, versions: Array, ideaTags: Array, projects: Array, tags: Array}>}
+   */
+  async getLibraryForExport(scope = null) {
+    const finishedIdeas = `SELECT id FROM ideas WHERE status NOT IN (?, ?)${scope ? ` AND ${scope.where}` : ''}`;
+    const unfinishedStatuses = [JOB_STATUSES.PENDING, JOB_STATUSES.PROCESSING, ...(scope ? scope.params : [])];
+
+    const specs = await this.executeWithMetrics(
+      `SELECT ideas.id, ideas.user_input, ideas.generated_spec, ideas.status, ideas.processing_time_ms,
+         ideas.language, ideas.template_variables, ideas.current_version, ideas.last_edited_by, ideas.last_edited_at,
+         ideas.created_at, ideas.updated_at, projects.name AS project_name, prompt_templates.name AS template_name
+       FROM ideas
+       LEFT JOIN projects ON projects.id = ideas.project_id
+       LEFT JOIN prompt_templates ON prompt_templates.id = ideas.template_id
+       WHERE ideas.id IN (${finishedIdeas})
+       ORDER BY ideas.id ASC`,
+      unfinishedStatuses,
+      'Get library specs'
+    );
+    const versions = await this.executeWithMetrics(
+      `SELECT idea_id, version, source, language, processing_time_ms, edited_by, created_at
+       FROM spec_versions WHERE idea_id IN (${finishedIdeas})
+       ORDER BY idea_id ASC, version ASC`,
+      unfinishedStatuses,
+      'Get library versions'
+    );
+    const ideaTags = await this.executeWithMetrics(
+      `SELECT it.idea_id, t.name FROM idea_tags it JOIN tags t ON t.id = it.tag_id
+       WHERE it.idea_id IN (${finishedIdeas})
+       ORDER BY t.name COLLATE NOCASE ASC`,
+      unfinishedStatuses,
+      'Get library idea tags'
+    );
+    const projects = await this.executeWithMetrics(
+      'SELECT name, description, color FROM projects ORDER BY name COLLATE NOCASE ASC',
+      [],
+      'Get library projects'
+    );
+    const tags = await this.executeWithMetrics(
+      'SELECT name, color FROM tags ORDER BY name COLLATE NOCASE ASC',
+      [],
+      'Get library tags'
+    );
+
+    return {
+      specs: specs.rows,
+      versions: versions.rows,
+      ideaTags: ideaTags.rows,
+      projects: projects.rows,
+      tags: tags.rows
+    };
+  }
+
+  /**
+   * 取得規格的想法與內容（供匯入時比對重複）
+   * @param {object|null} scope - 存取條件（見 specAccessService.getScope），null 表示所有規格
+   */
+  async getSpecContents(scope = null) {
+    const result = await this.executeWithMetrics(
+      `SELECT id, user_input, generated_spec FROM ideas${scope ? ` WHERE ${scope.where}` : ''}`,
+      scope ? scope.params : [],
+      'Get spec contents'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 匯入一筆規格並保留原始時間；已完成的規格會建立來源為 imported 的第 1 版
+   * @param {object} spec - { userInput, generatedSpec, status, processingTime, templateId, language, templateVariables, projectId, lastEditedBy, lastEditedAt, createdAt, updatedAt, ownerId, visibility }
+   * @returns {Promise<number>} - 新記錄 ID
+   */
+  async importSpec(spec) {
+    const {
+      userInput, generatedSpec, status, processingTime = null, templateId = null, language = null,
+      templateVariables = null, projectId = null, lastEditedBy = null, lastEditedAt = null,
+      createdAt = null, updatedAt = null, ownerId = null, visibility = 'team'
+    } = spec;
+    const hasVersion = status === JOB_STATUSES.COMPLETED && generatedSpec !== '';
+    const structuredSpec = hasVersion ? serializeStructuredSpec(generatedSpec) : null;
+    const quality = hasVersion ? evaluateSpecQuality(generatedSpec) : null;
+    const qualityReport = quality && JSON.stringify(quality);
+
+    const statements = [{
+      sql: `INSERT INTO ideas (user_input, generated_spec, structured_spec, quality_score, quality_report, status, processing_time_ms,
+              template_id, language, template_variables, project_id, current_version, last_edited_by, last_edited_at, owner_id, visibility,
+              created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, CURRENT_TIMESTAMP))`,
+      args: [
+        userInput, generatedSpec, structuredSpec, quality?.score ?? null, qualityReport, status, processingTime, templateId, language,
+        templateVariables ? JSON.stringify(templateVariables) : null, projectId, hasVersion ? 1 : 0,
+        lastEditedBy, lastEditedAt, ownerId, visibility, createdAt, updatedAt ?? createdAt
+      ]
+    }];
+
+    if (hasVersion) {
+      statements.push({
+        sql: `INSERT INTO spec_versions (idea_id, version, generated_spec, structured_spec, quality_score, quality_report,
+                source, template_id, language, processing_time_ms, created_at)
+              VALUES (last_insert_rowid(), 1, ?, ?, ?, ?, 'imported', ?, ?, ?, CURRENT_TIMESTAMP)`,
+        args: [generatedSpec, structuredSpec, quality.score, qualityReport, templateId, language, processingTime]
+      });
+    }
+
+    const results = await this.db.batch(statements, 'write');
+    this.invalidateHistoryCache();
+    return Number(results[0].lastInsertRowid);
+  }
+
+  /**
+   * 取得所有 webhook
+   */
+  async getWebhooks() {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM webhooks ORDER BY id ASC',
+      [],
+      'Get webhooks'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 以 ID 取得 webhook
+   */
+  async getWebhookById(id) {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM webhooks WHERE id = ?',
+      [id],
+      'Get webhook by ID'
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 取得訂閱指定事件且啟用中的 webhook
+   */
+  async getActiveWebhooksForEvent(event) {
+    const result = await this.executeWithMetrics(
+      `SELECT * FROM webhooks 
+       WHERE active = 1 AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE json_each.value = ?)`,
+      [event],
+      'Get webhooks for event'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 創建 webhook
+   */
+  async createWebhook({ url, events, secret, description = '', active = true }) {
+    const result = await this.executeWithMetrics(
+      'INSERT INTO webhooks (url, events, secret, description, active) VALUES (?, ?, ?, ?, ?)',
+      [url, JSON.stringify(events), secret, description, active ? 1 : 0],
+      'Create webhook'
+    );
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * 更新 webhook（僅更新有提供的欄位）
+   */
+  async updateWebhook(id, updates) {
+    const entries = Object.entries({
+      url: updates.url,
+      events: updates.events === undefined ? undefined : JSON.stringify(updates.events),
+      secret: updates.secret,
+      description: updates.description,
+      active: updates.active === undefined ? undefined : (updates.active ? 1 : 0)
+    }).filter(([, value]) => value !== undefined);
+    if (entries.length === 0) {
+      return;
+    }
+
+    await this.executeWithMetrics(
+      `UPDATE webhooks SET ${entries.map(([column]) => `${column} = ?`).join(', ')}, 
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...entries.map(([, value]) => value), id],
+      'Update webhook'
+    );
+  }
+
+  /**
+   * 刪除 webhook 與其投遞記錄
+   * @returns {Promise<boolean>} - 是否有刪除
+   */
+  async deleteWebhook(id) {
+    const results = await this.db.batch([
+      { sql: 'DELETE FROM webhook_deliveries WHERE webhook_id = ?', args: [id] },
+      { sql: 'DELETE FROM webhooks WHERE id = ?', args: [id] }
+    ], 'write');
+
+    return results[1].rowsAffected > 0;
+  }
+
+  /**
+   * 建立待投遞記錄
+   * @returns {Promise<number>} - 投遞記錄 ID
+   */
+  async createWebhookDelivery(webhookId, event, payload) {
+    const result = await this.executeWithMetrics(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, status, next_attempt_at) 
+       VALUES (?, ?, ?, 'pending', CURRENT_TIMESTAMP)`,
+      [webhookId, event, payload],
+      'Create webhook delivery'
+    );
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * 記錄一次投遞嘗試的結果
+   * @param {number} id - 投遞記錄 ID
+   * @param {object} attempt - status、attempts、responseStatus、responseBody、error、durationMs、nextAttemptAt（Date 或 null）
+   */
+  async updateWebhookDelivery(id, attempt) {
+    const { status, attempts, responseStatus = null, responseBody = null, error = null, durationMs = null, nextAttemptAt = null } = attempt;
+
+    await this.executeWithMetrics(
+      `UPDATE webhook_deliveries 
+       SET status = ?, attempts = ?, response_status = ?, response_body = ?, error = ?, duration_ms = ?, 
+           next_attempt_at = ?, completed_at = CASE WHEN ? = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END 
+       WHERE id = ?`,
+      [
+        status, attempts, responseStatus, responseBody, error, durationMs,
+        nextAttemptAt ? nextAttemptAt.toISOString().slice(0, 19).replace('T', ' ') : null,
+        status, id
+      ],
+      'Update webhook delivery'
+    );
+  }
+
+  /**
+   * 取得投遞記錄（含 webhook 的網址與密鑰，供重新投遞）
+   */
+  async getWebhookDeliveryById(id) {
+    const result = await this.executeWithMetrics(
+      `SELECT d.*, w.url, w.secret, w.active 
+       FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id 
+       WHERE d.id = ?`,
+      [id],
+      'Get webhook delivery by ID'
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 取得 webhook 的投遞記錄（新到舊）
+   */
+  async getWebhookDeliveries(webhookId, { limit = 20, status = null } = {}) {
+    const result = await this.executeWithMetrics(
+      `SELECT * FROM webhook_deliveries 
+       WHERE webhook_id = ? ${status ? 'AND status = ?' : ''} 
+       ORDER BY id DESC LIMIT ?`,
+      status ? [webhookId, status, limit] : [webhookId, limit],
+      'Get webhook deliveries'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 取得尚未完成的投遞記錄（重啟後恢復重試）
+   */
+  async getPendingWebhookDeliveries() {
+    const result = await this.executeWithMetrics(
+      `SELECT id, next_attempt_at FROM webhook_deliveries 
+       WHERE status = 'pending' ORDER BY next_attempt_at ASC`,
+      [],
+      'Get pending webhook deliveries'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 取得所有使用者（依建立順序）
+   */
+  async getUsers() {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM users ORDER BY id ASC',
+      [],
+      'Get users'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 計算使用者數量
+   * @param {object} filters - { role, active }，未提供時不篩選
+   */
+  async countUsers({ role = null, active = null } = {}) {
+    const conditions = [];
+    const args = [];
+    if (role) {
+      conditions.push('role = ?');
+      args.push(role);
+    }
+    if (active !== null) {
+      conditions.push('active = ?');
+      args.push(active ? 1 : 0);
+    }
+
+    const result = await this.executeWithMetrics(
+      `SELECT COUNT(*) AS count FROM users ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+      args,
+      'Count users'
+    );
+
+    return Number(result.rows[0].count);
+  }
+
+  /**
+   * 以 ID 取得使用者
+   */
+  async getUserById(id) {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM users WHERE id = ?',
+      [id],
+      'Get user by ID'
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 以使用者名稱或電子郵件取得使用者（不分大小寫）
+   */
+  async getUserByLogin(login) {
+    const result = await this.executeWithMetrics(
+      'SELECT * FROM users WHERE username = ? OR email = ? LIMIT 1',
+      [login, login],
+      'Get user by login'
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 創建使用者
+   * @returns {Promise<number>} - 使用者 ID
+   */
+  async createUser({ username, passwordHash, email = null, displayName = null, role, active = true }) {
+    const result = await this.executeWithMetrics(
+      `INSERT INTO users (username, password_hash, email, display_name, role, active) 
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [username, passwordHash, email, displayName || null, role, active ? 1 : 0],
+      'Create user'
+    );
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * 更新使用者（僅更新有提供的欄位）
+   */
+  async updateUser(id, updates) {
+    const entries = Object.entries({
+      email: updates.email,
+      display_name: updates.displayName === undefined ? undefined : (updates.displayName || null),
+      role: updates.role,
+      active: updates.active === undefined ? undefined : (updates.active ? 1 : 0)
+    }).filter(([, value]) => value !== undefined);
+    if (entries.length === 0) {
+      return;
+    }
+
+    await this.executeWithMetrics(
+      `UPDATE users SET ${entries.map(([column]) => `${column} = ?`).join(', ')}, 
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...entries.map(([, value]) => value), id],
+      'Update user'
+    );
+  }
+
+  /**
+   * 更新密碼並撤銷 session
+   * @param {string|null} keepSessionId - 保留的 session（變更密碼的當前 session），null 時全部撤銷
+   */
+  async updateUserPassword(id, passwordHash, keepSessionId = null) {
+    await this.db.batch([
+      {
+        sql: `UPDATE users SET password_hash = ?, password_changed_at = CURRENT_TIMESTAMP, 
+              updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        args: [passwordHash, id]
+      },
+      keepSessionId
+        ? { sql: 'DELETE FROM sessions WHERE user_id = ? AND id != ?', args: [id, keepSessionId] }
+        : { sql: 'DELETE FROM sessions WHERE user_id = ?', args: [id] }
+    ], 'write');
+  }
+
+  /**
+   * 記錄登入時間
+   */
+  async touchUserLogin(id) {
+    await this.executeWithMetrics(
+      'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id],
+      'Touch user login'
+    );
+  }
+
+  /**
+   * 刪除使用者與其 session、權杖與收到的分享；其擁有的規格保留但不再有擁有者
+   * @returns {Promise<boolean>} - 是否有刪除
+   */
+  async deleteUser(id) {
+    const results = await this.db.batch([
+      { sql: 'DELETE FROM sessions WHERE user_id = ?', args: [id] },
+      { sql: 'DELETE FROM auth_tokens WHERE user_id = ?', args: [id] },
+      { sql: 'DELETE FROM spec_shares WHERE user_id = ?', args: [id] },
+      { sql: 'UPDATE ideas SET owner_id = NULL WHERE owner_id = ?', args: [id] },
+      { sql: 'DELETE FROM api_keys WHERE created_by = ?', args: [id] },
+      { sql: 'DELETE FROM users WHERE id = ?', args: [id] }
+    ], 'write');
+
+    this.invalidateHistoryCache();
+    return results[5].rowsAffected > 0;
+  }
+
+  /**
+   * 建立 session
+   * @param {string} id - session 權杖的雜湊
+   * @param {number} userId - 使用者 ID
+   * @param {object} options - { ttlSeconds, ip, userAgent }
+   */
+  async createSession(id, userId, { ttlSeconds, ip = null, userAgent = null }) {
+    await this.executeWithMetrics(
+      `INSERT INTO sessions (id, user_id, ip, user_agent, expires_at) 
+       VALUES (?, ?, ?, ?, datetime('now', ?))`,
+      [id, userId, ip, userAgent, `+${ttlSeconds} seconds`],
+      'Create session'
+    );
+  }
+
+  /**
+   * 取得未過期的 session 與其使用者
+   */
+  async getActiveSession(id) {
+    const result = await this.executeWithMetrics(
+      `SELECT s.id AS session_id, s.created_at AS session_created_at, s.last_access_at, s.expires_at, 
+              u.* 
+       FROM sessions s JOIN users u ON u.id = s.user_id 
+       WHERE s.id = ? AND s.expires_at > datetime('now')`,
+      [id],
+      'Get active session'
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 更新 session 的最後存取時間
+   */
+  async touchSession(id) {
+    await this.executeWithMetrics(
+      'UPDATE sessions SET last_access_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id],
+      'Touch session'
+    );
+  }
+
+  /**
+   * 刪除 session
+   */
+  async deleteSession(id) {
+    await this.executeWithMetrics(
+      'DELETE FROM sessions WHERE id = ?',
+      [id],
+      'Delete session'
+    );
+  }
+
+  /**
+   * 撤銷使用者的所有 session
+   */
+  async deleteUserSessions(userId) {
+    await this.executeWithMetrics(
+      'DELETE FROM sessions WHERE user_id = ?',
+      [userId],
+      'Delete user sessions'
+    );
+  }
+
+  /**
+   * 刪除過期的 session 與已使用或過期的權杖
+   * @returns {Promise<{sessions: number, tokens: number}>}
+   */
+  async deleteExpiredSessions() {
+    const results = await this.db.batch([
+      "DELETE FROM sessions WHERE expires_at <= datetime('now')",
+      "DELETE FROM auth_tokens WHERE used_at IS NOT NULL OR expires_at <= datetime('now')"
+    ], 'write');
+
+    return { sessions: results[0].rowsAffected, tokens: results[1].rowsAffected };
+  }
+
+  /**
+   * 建立一次性權杖（邀請或密碼重設）
+   * @param {object} token - { type, tokenHash, ttlSeconds, userId, email, role, createdBy }
+   * @returns {Promise<number>} - 權杖 ID
+   */
+  async createAuthToken({ type, tokenHash, ttlSeconds, userId = null, email = null, role = null, createdBy = null }) {
+    const result = await this.executeWithMetrics(
+      `INSERT INTO auth_tokens (type, token_hash, user_id, email, role, created_by, expires_at) 
+       VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?))`,
+      [type, tokenHash, userId, email, role, createdBy, `+${ttlSeconds} seconds`],
+      'Create auth token'
+    );
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * 取得尚未使用且未過期的權杖
+   */
+  async getValidAuthToken(type, tokenHash) {
+    const result = await this.executeWithMetrics(
+      `SELECT * FROM auth_tokens 
+       WHERE type = ? AND token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')`,
+      [type, tokenHash],
+      'Get auth token'
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 將權杖標記為已使用（只有第一次標記會成功，避免同一權杖被並行使用兩次）
+   * @returns {Promise<boolean>} - 是否由此次呼叫標記
+   */
+  async markAuthTokenUsed(id) {
+    const result = await this.executeWithMetrics(
+      'UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+      [id],
+      'Mark auth token used'
+    );
+
+    return result.rowsAffected > 0;
+  }
+
+  /**
+   * 取得尚未使用且未過期的邀請（新到舊）
+   */
+  async getPendingInvites() {
+    const result = await this.executeWithMetrics(
+      `SELECT id, email, role, created_by, expires_at, created_at FROM auth_tokens 
+       WHERE type = 'invite' AND used_at IS NULL AND expires_at > datetime('now') 
+       ORDER BY id DESC`,
+      [],
+      'Get pending invites'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 刪除邀請
+   * @returns {Promise<boolean>} - 是否有刪除
+   */
+  async deleteInvite(id) {
+    const result = await this.executeWithMetrics(
+      "DELETE FROM auth_tokens WHERE id = ? AND type = 'invite'",
+      [id],
+      'Delete invite'
+    );
+
+    return result.rowsAffected > 0;
+  }
+
+  /**
+   * 取得所有角色與使用該角色的使用者數量（內建角色在前）
+   */
+  async getRoles() {
+    const result = await this.executeWithMetrics(
+      `SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count 
+       FROM roles r ORDER BY r.is_builtin DESC, r.name ASC`,
+      [],
+      'Get roles'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 以名稱取得角色（不分大小寫）
+   */
+  async getRole(name) {
+    const result = await this.executeWithMetrics(
+      `SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count 
+       FROM roles r WHERE r.name = ?`,
+      [name],
+      'Get role'
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 建立角色
+   * @param {string[]} permissions - 權限名稱
+   */
+  async createRole({ name, description = '', permissions }) {
+    await this.executeWithMetrics(
+      'INSERT INTO roles (name, description, permissions) VALUES (?, ?, ?)',
+      [name, description, JSON.stringify(permissions)],
+      'Create role'
+    );
+  }
+
+  /**
+   * 更新角色（僅更新有提供的欄位）
+   */
+  async updateRole(name, updates) {
+    const entries = Object.entries({
+      description: updates.description,
+      permissions: updates.permissions === undefined ? undefined : JSON.stringify(updates.permissions)
+    }).filter(([, value]) => value !== undefined);
+    if (entries.length === 0) {
+      return;
+    }
+
+    await this.executeWithMetrics(
+      `UPDATE roles SET ${entries.map(([column]) => `${column} = ?`).join(', ')}, 
+       updated_at = CURRENT_TIMESTAMP WHERE name = ?`,
+      [...entries.map(([, value]) => value), name],
+      'Update role'
+    );
+  }
+
+  /**
+   * 計算使用角色的使用者與尚未使用的邀請數量
+   */
+  async countRoleAssignments(name) {
+    const result = await this.executeWithMetrics(
+      `SELECT (SELECT COUNT(*) FROM users WHERE role = ?) + 
+       (SELECT COUNT(*) FROM auth_tokens WHERE type = 'invite' AND used_at IS NULL 
+        AND expires_at > datetime('now') AND role = ?) AS count`,
+      [name, name],
+      'Count role assignments'
+    );
+
+    return Number(result.rows[0].count);
+  }
+
+  /**
+   * 刪除角色
+   * @returns {Promise<boolean>} - 是否有刪除
+   */
+  async deleteRole(name) {
+    const result = await this.executeWithMetrics(
+      'DELETE FROM roles WHERE name = ? AND is_builtin = 0',
+      [name],
+      'Delete role'
+    );
+
+    return result.rowsAffected > 0;
+  }
+
+  /**
+   * 建立 API 金鑰
+   * @param {object} apiKey - { name, keyPrefix, keyHash, scopes, rateLimit, createdBy, expiresAt }
+   * @returns {Promise<number>} - 金鑰 ID
+   */
+  async createApiKey({ name, keyPrefix, keyHash, scopes, rateLimit = null, createdBy = null, expiresAt = null }) {
+    const result = await this.executeWithMetrics(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit, created_by, expires_at) 
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name, keyPrefix, keyHash, JSON.stringify(scopes), rateLimit, createdBy, expiresAt],
+      'Create API key'
+    );
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * 取得所有 API 金鑰與建立者名稱（新到舊）
+   */
+  async getApiKeys() {
+    const result = await this.executeWithMetrics(
+      `SELECT k.id, k.name, k.key_prefix, k.scopes, k.rate_limit, k.created_by, k.expires_at, 
+              k.last_used_at, k.last_used_ip, k.usage_count, k.created_at, u.username 
+       FROM api_keys k LEFT JOIN users u ON u.id = k.created_by 
+       ORDER BY k.id DESC`,
+      [],
+      'Get API keys'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 以 ID 取得 API 金鑰
+   */
+  async getApiKeyById(id) {
+    const result = await this.executeWithMetrics(
+      `SELECT k.id, k.name, k.key_prefix, k.scopes, k.rate_limit, k.created_by, k.expires_at, 
+              k.last_used_at, k.last_used_ip, k.usage_count, k.created_at, u.username 
+       FROM api_keys k LEFT JOIN users u ON u.id = k.created_by 
+       WHERE k.id = ?`,
+      [id],
+      'Get API key by ID'
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 以雜湊取得未過期的 API 金鑰與其建立者
+   */
+  async getActiveApiKey(keyHash) {
+    const result = await this.executeWithMetrics(
+      `SELECT k.*, u.username, u.role AS user_role, u.active AS user_active 
+       FROM api_keys k LEFT JOIN users u ON u.id = k.created_by 
+       WHERE k.key_hash = ? AND (k.expires_at IS NULL OR k.expires_at > datetime('now'))`,
+      [keyHash],
+      'Get active API key'
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 記錄 API 金鑰的使用
+   */
+  async touchApiKey(id, ip = null) {
+    await this.executeWithMetrics(
+      `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?, usage_count = usage_count + 1 
+       WHERE id = ?`,
+      [ip, id],
+      'Touch API key'
+    );
+  }
+
+  /**
+   * 刪除 API 金鑰
+   * @returns {Promise<boolean>} - 是否有刪除
+   */
+  async deleteApiKey(id) {
+    const result = await this.executeWithMetrics(
+      'DELETE FROM api_keys WHERE id = ?',
+      [id],
+      'Delete API key'
+    );
+
+    return result.rowsAffected > 0;
+  }
+
+  /**
+   * 設定規格的可見度（private 或 team）
+   */
+  async setSpecVisibility(ideaId, visibility) {
+    await this.executeWithMetrics(
+      'UPDATE ideas SET visibility = ? WHERE id = ?',
+      [visibility, ideaId],
+      'Set spec visibility'
+    );
+
+    this.invalidateHistoryCache();
+  }
+
+  /**
+   * 取得規格分享給特定使用者的記錄
+   */
+  async getSpecShare(ideaId, userId) {
+    const result = await this.executeWithMetrics(
+      'SELECT idea_id, user_id, permission, created_by, created_at FROM spec_shares WHERE idea_id = ? AND user_id = ?',
+      [ideaId, userId],
+      'Get spec share'
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * 取得規格的所有分享（含使用者名稱）
+   */
+  async getSpecShares(ideaId) {
+    const result = await this.executeWithMetrics(
+      `SELECT s.user_id, s.permission, s.created_by, s.created_at, u.username, u.display_name 
+       FROM spec_shares s JOIN users u ON u.id = s.user_id 
+       WHERE s.idea_id = ? 
+       ORDER BY u.username COLLATE NOCASE ASC`,
+      [ideaId],
+      'Get spec shares'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * 分享規格給使用者；已分享時更新權限
+   */
+  async upsertSpecShare(ideaId, userId, permission, createdBy = null) {
+    await this.executeWithMetrics(
+      `INSERT INTO spec_shares (idea_id, user_id, permission, created_by) VALUES (?, ?, ?, ?) 
+       ON CONFLICT(idea_id, user_id) DO UPDATE SET permission = excluded.permission`,
+      [ideaId, userId, permission, createdBy],
+      'Upsert spec share'
+    );
+
+    this.invalidateHistoryCache();
+  }
+
+  /**
+   * 取消分享規格給使用者
+   * @returns {Promise<boolean>} - 是否有刪除
+   */
+  async deleteSpecShare(ideaId, userId) {
+    const result = await this.executeWithMetrics(
+      'DELETE FROM spec_shares WHERE idea_id = ? AND user_id = ?',
+      [ideaId, userId],
+      'Delete spec share'
+    );
+
+    this.invalidateHistoryCache();
+    return result.rowsAffected > 0;
+  }
+
+  /**
+   * 取得指定記錄中屬於該使用者的 ID
+   */
+  async getOwnedSpecIds(ids, ownerId) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const result = await this.executeWithMetrics(
+      `SELECT id FROM ideas WHERE owner_id = ? AND id IN (${ids.map(() => '?').join(',')})`,
+      [ownerId, ...ids],
+      'Get owned spec IDs'
+    );
+
+    return result.rows.map(row => Number(row.id));
+  }
+
+  /**
+   * 記錄性能指標（批量優化版本）
+   */
+  async logPerformanceMetric(endpoint, method, duration, statusCode, error = null) {
+    try {
+      await this.executeWithMetrics(
+        `INSERT INTO performance_metrics (
+          endpoint, method, duration_ms, status_code, error_message
+        ) VALUES (?, ?, ?, ?, ?)`,
+        [endpoint, method, duration, statusCode, error ? JSON.stringify(error) : null],
+        'Log performance metric'
+      );
+    } catch (err) {
+      logger.debug({ error: err }, 'Failed to log performance metric');
+    }
+  }
+
+  /**
+   * 批量插入性能指標
+   */
+  async logBatchPerformanceMetrics(metrics) {
+    if (!Array.isArray(metrics) || metrics.length === 0) {
+      return;
+    }
+
+    const batchSize = PERFORMANCE_CONFIG.BATCH_SIZE;
+    const batches = [];
+    
+    for (let i = 0; i < metrics.length; i += batchSize) {
+      batches.push(metrics.slice(i, i + batchSize));
+    }
+
+    try {
+      for (const batch of batches) {
+        const values = batch.map(() => '(?, ?, ?, ?, ?)').join(', ');
+        const args = batch.flatMap(metric => [
+          metric.endpoint,
+          metric.method,
+          metric.duration,
+          metric.statusCode,
+          metric.error ? JSON.stringify(metric.error) : null
+        ]);
+
+        await this.executeWithMetrics(
+          `INSERT INTO performance_metrics (endpoint, method, duration_ms, status_code, error_message) VALUES ${values}`,
+          args,
+          `Batch insert ${batch.length} performance metrics`
+        );
+      }
+      
+      logger.debug(`Batch inserted ${metrics.length} performance metrics`);
+    } catch (error) {
+      logger.error({ error }, 'Failed to batch insert performance metrics');
+    }
+  }
+
+  /**
+   * 取得性能統計（優化緩存版本）
+   */
+  async getPerformanceStats(hours = 24) {
+    const cacheKey = `performance_stats_${hours}h`;
+    const cachedResult = queryStatsCache.get(cacheKey);
+    
+    // 性能統計緩存時間較短（1分鐘）
+    const perfCacheTTL = 60000;
+    if (cachedResult && Date.now() - cachedResult.timestamp < perfCacheTTL) {
+      logger.debug('Returning cached performance stats');
+      return cachedResult.data;
+    }
+    
+    const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    
+    // 使用優化的統計查詢，利用復合索引
+    const result = await this.executeWithMetrics(`
+      SELECT 
+        endpoint,
+        method,
+        COUNT(*) as request_count,
+        ROUND(AVG(duration_ms), 2) as avg_duration,
+        MIN(duration_ms) as min_duration,
+        MAX(duration_ms) as max_duration,
+        COUNT(CASE WHEN status_code >= 400 THEN 1 END) as error_count,
+        COUNT(CASE WHEN duration_ms > ? THEN 1 END) as slow_request_count,
+        ROUND(AVG(CASE WHEN status_code < 400 THEN duration_ms END), 2) as avg_success_duration
+      FROM performance_metrics 
+      WHERE created_at > ?
+      GROUP BY endpoint, method
+      ORDER BY request_count DESC
+      LIMIT 50
+    `, [PERFORMANCE_CONFIG.SLOW_QUERY_THRESHOLD, cutoffTime], 'Get performance statistics');
+    
+    const statsData = result.rows.map(row => ({
+      ...row,
+      error_rate: row.request_count > 0 ? (row.error_count / row.request_count * 100).toFixed(2) : '0.00',
+      slow_request_rate: row.request_count > 0 ? (row.slow_request_count / row.request_count * 100).toFixed(2) : '0.00'
+    }));
+    
+    // 緩存結果
+    queryStatsCache.set(cacheKey, {
+      data: statsData,
+      timestamp: Date.now()
+    });
+    
+    return statsData;
+  }
+
+  /**
+   * 資料庫維護
+   */
+  async performMaintenance() {
+    try {
+      // 執行 VACUUM 優化資料庫
+      await this.db.execute('VACUUM');
+      
+      // 清理舊的性能指標（保留 7 天）
+      const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+      await this.db.execute({
+        sql: 'DELETE FROM performance_metrics WHERE created_at < ?',
+        args: [sevenDaysAgo]
+      });
+
+      // 清理已完成的 webhook 投遞記錄
+      await this.db.execute({
+        sql: `DELETE FROM webhook_deliveries WHERE status != 'pending' AND completed_at < datetime('now', ?)`,
+        args: [`-${WEBHOOK_CONFIG.deliveryRetentionDays} days`]
+      });
+
+      // 清理過期的 session 與已使用或過期的權杖
+      await this.deleteExpiredSessions();
+      
+      logger.info('Database maintenance completed');
+    } catch (error) {
+      logger.error({ error }, 'Database maintenance failed');
+      throw error;
+    }
+  }
+
+  /**
+   * 健康檢查
+   */
+  async healthCheck() {
+    try {
+      await this.db.execute('SELECT 1');
+      return { status: 'healthy', message: 'Database connection is working' };
+    } catch (error) {
+      return { status: 'unhealthy', message: error.message };
+    }
+  }
+
+  /**
+   * 取得資料庫統計資訊（優化版本）
+   */
+  async getStats() {
+    const cacheKey = 'database_stats';
+    const cachedResult = queryStatsCache.get(cacheKey);
+    
+    // 統計信息緩存5分鐘
+    if (cachedResult && Date.now() - cachedResult.timestamp < STATS_CACHE_TTL) {
+      logger.debug('Returning cached database stats');
+      return cachedResult.data;
+    }
+    
+    try {
+      // 並行執行多個統計查詢
+      const [ideasCount, metricsCount, recentIdeas, statusDistribution] = await Promise.all([
+        this.executeWithMetrics('SELECT COUNT(*) as count FROM ideas', [], 'Count all ideas'),
+        this.executeWithMetrics('SELECT COUNT(*) as count FROM performance_metrics', [], 'Count all metrics'),
+        this.executeWithMetrics(
+          "SELECT COUNT(*) as count FROM ideas WHERE created_at > datetime('now', '-24 hours')", 
+          [], 
+          'Count recent ideas'
+        ),
+        this.executeWithMetrics(
+          'SELECT status, COUNT(*) as count FROM ideas GROUP BY status', 
+          [], 
+          'Get status distribution'
+        )
+      ]);
+      
+      const stats = {
+        totalIdeas: ideasCount.rows[0]?.count || 0,
+        totalMetrics: metricsCount.rows[0]?.count || 0,
+        recentIdeas: recentIdeas.rows[0]?.count || 0,
+        statusDistribution: statusDistribution.rows.reduce((acc, row) => {
+          acc[row.status] = row.count;
+          return acc;
+        }, {}),
+        queryMetrics: this.queryMetrics,
+        cacheStats: {
+          cacheSize: queryStatsCache.size,
+          cacheHitRate: this.calculateCacheHitRate()
+        }
       };
       
       // 緩存結果
@@ -680,7 +2216,7 @@ class DatabaseService {
    */
   async batchDeleteSpecs(ids) {
     if (!Array.isArray(ids) || ids.length === 0) {
-      return { deletedCount: 0, errors: [] };
+      return { deletedCount: 0, deletedIds: [], errors: [] };
     }
 
     const batchSize = Math.min(PERFORMANCE_CONFIG.BATCH_SIZE, 50); // 限制批次大小
@@ -691,27 +2227,50 @@ class DatabaseService {
     }
 
     let deletedCount = 0;
+    const deletedIds = [];
     const errors = [];
 
     try {
       for (const batch of batches) {
         const placeholders = batch.map(() => '?').join(',');
+        await this.executeWithMetrics(
+          `DELETE FROM spec_versions WHERE idea_id IN (${placeholders})`,
+          batch,
+          `Batch delete versions of ${batch.length} ideas`
+        );
+        await this.executeWithMetrics(
+          `DELETE FROM spec_messages WHERE idea_id IN (${placeholders})`,
+          batch,
+          `Batch delete messages of ${batch.length} ideas`
+        );
+        await this.executeWithMetrics(
+          `DELETE FROM idea_tags WHERE idea_id IN (${placeholders})`,
+          batch,
+          `Batch delete tags of ${batch.length} ideas`
+        );
+        await this.executeWithMetrics(
+          `DELETE FROM spec_shares WHERE idea_id IN (${placeholders})`,
+          batch,
+          `Batch delete shares of ${batch.length} ideas`
+        );
         const result = await this.executeWithMetrics(
-          `DELETE FROM ideas WHERE id IN (${placeholders})`,
+          `DELETE FROM ideas WHERE id IN (${placeholders}) RETURNING id`,
           batch,
           `Batch delete ${batch.length} ideas`
         );
         
-        deletedCount += result.changes || 0;
+        deletedIds.push(...result.rows.map(row => Number(row.id)));
+        deletedCount += result.rows.length;
       }
       
       logger.info(`Batch deleted ${deletedCount} ideas from ${ids.length} requested`);
+      this.invalidateHistoryCache();
     } catch (error) {
       logger.error({ error }, 'Batch delete operation failed');
       errors.push({ operation: 'batch_delete', error: error.message });
     }
 
-    return { deletedCount, errors };
+    return { deletedCount, deletedIds, errors };
   }
 
   /**
@@ -0,0 +1,201 @@
+/**
+ * 規格匯出服務模組
+ * 將儲存的 Markdown 規格轉為 Markdown、HTML、PDF 或 DOCX 檔案；後三者附有以想法與生成資訊組成的封面頁
+ * 另提供符合 JSON Schema 的結構化規格
+ */
+
+import { marked } from 'marked';
+import { EXPORT_CONFIG, OUTPUT_LANGUAGES, STRUCTURED_SPEC_CONFIG } from '../config/serverConfig.js';
+import { formatSpecification, isFormattedSpecification, stripSpecificationFrame, getOutputLanguage } from '../utils/geminiSafe.js';
+import { validateFilename } from '../utils/validators.js';
+import { createStructuredSpec } from '../utils/specStructure.js';
+import { createError } from '../utils/errorHandler.js';
+import { renderHtml } from './exporters/htmlExporter.js';
+import { renderPdf } from './exporters/pdfExporter.js';
+import { renderDocx } from './exporters/docxExporter.js';
+import databaseService from './databaseService.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const RENDERERS = {
+  html: renderHtml,
+  pdf: renderPdf,
+  docx: renderDocx
+};
+
+// 沿用規格外框的標籤文字，去掉結尾的冒號
+const stripColon = label => label.replace(/[:：]\s*$/, '');
+
+/**
+ * 解析資料庫時間（SQLite 以 UTC 儲存，無時區）
+ */
+const parseTimestamp = value => new Date(String(value).includes('T') ? value : `${String(value).replace(' ', 'T')}Z`);
+
+/**
+ * 格式化資料庫時間
+ */
+const formatTimestamp = (value) => {
+  if (!value) return '';
+  const date = parseTimestamp(value);
+  return Number.isNaN(date.getTime()) ? String(value) : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+};
+
+class ExportService {
+  /**
+   * 取得支援的匯出格式
+   */
+  getSupportedFormats() {
+    return Object.keys(EXPORT_CONFIG.formats);
+  }
+
+  /**
+   * 取得規格的 Markdown 內容（舊資料未經格式化時補上標準外框）
+   */
+  getMarkdown(spec) {
+    let content = spec.generated_spec;
+
+    if (!isFormattedSpecification(content)) {
+      // 以建立時間作為生成時間，同一份規格每次匯出的內容相同
+      const createdAt = spec.created_at ? parseTimestamp(spec.created_at) : null;
+
+      try {
+        content = formatSpecification(content, spec.user_input, {
+          language: spec.language || undefined,
+          generatedAt: createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt : undefined
+        });
+      } catch (formatError) {
+        logger.warn({ error: formatError }, 'Failed to format specification, using original content');
+      }
+    }
+
+    return content;
+  }
+
+  /**
+   * 建立匯出文件模型：封面資訊與規格本文的 Markdown token
+   * @param {object} spec - ideas 記錄
+   * @returns {Promise<{title: string, idea: string, language: string, metadata: Array<{label: string, value: string}>, tokens: Array}>}
+   */
+  async buildDocument(spec) {
+    const language = spec.language || null;
+    const { labels } = getOutputLanguage(language);
+    const template = spec.template_id ? await databaseService.getPromptTemplateById(spec.template_id) : null;
+
+    const metadata = [
+      [labels.specId, `#${spec.id}`],
+      [stripColon(labels.generated), formatTimestamp(spec.created_at)],
+      [labels.version, spec.current_version ? `v${spec.current_version}` : ''],
+      [labels.lastEdited, spec.last_edited_at ? `${formatTimestamp(spec.last_edited_at)}${spec.last_edited_by ? ` (${spec.last_edited_by})` : ''}` : ''],
+      [stripColon(labels.status), spec.status],
+      [labels.template, template?.title || ''],
+      [labels.language, language ? OUTPUT_LANGUAGES[language]?.name || language : ''],
+      [labels.processingTime, spec.processing_time_ms ? `${(spec.processing_time_ms / 1000).toFixed(1)} s` : '']
+    ]
+      .filter(([, value]) => value)
+      .map(([label, value]) => ({ label, value: String(value) }));
+
+    return {
+      title: labels.title,
+      idea: spec.user_input,
+      language: language || 'zh-TW',
+      metadata,
+      tokens: marked.lexer(stripSpecificationFrame(this.getMarkdown(spec)), { gfm: true })
+    };
+  }
+
+  /**
+   * 取得結構化規格（JSON）
+   * 舊資料或 schema 版本過期時重新推導並保存
+   * @param {object} spec - 已完成的 ideas 記錄
+   * @returns {Promise<object>} - 符合 SPEC_JSON_SCHEMA 的文件
+   * @throws {AppError} - 推導結果未通過驗證時拋出 internalError
+   */
+  async getStructuredSpec(spec) {
+    let document = null;
+
+    if (spec.structured_spec) {
+      try {
+        document = JSON.parse(spec.structured_spec);
+      } catch (parseError) {
+        logger.warn({ specId: spec.id, error: parseError.message }, 'Stored structured specification is not valid JSON');
+      }
+    }
+
+    if (document?.schemaVersion !== STRUCTURED_SPEC_CONFIG.schemaVersion) {
+      try {
+        document = createStructuredSpec(spec.generated_spec);
+      } catch (deriveError) {
+        logger.error({ specId: spec.id, validationErrors: deriveError.validationErrors }, 'Failed to derive structured specification');
+        throw createError.internalError('Failed to derive structured specification', deriveError);
+      }
+
+      await databaseService.saveStructuredSpec(spec.id, spec.current_version, JSON.stringify(document));
+    }
+
+    const { schemaVersion, ...content } = document;
+    const updatedAt = spec.updated_at ? parseTimestamp(spec.updated_at) : null;
+
+    return {
+      schemaVersion,
+      specId: spec.id,
+      version: Number(spec.current_version) || null,
+      language: spec.language ?? null,
+      idea: spec.user_input,
+      updatedAt: updatedAt && !Number.isNaN(updatedAt.getTime()) ? updatedAt.toISOString() : null,
+      ...content
+    };
+  }
+
+  /**
+   * 產生下載檔名
+   */
+  buildFilename(spec, extension) {
+    const ideaPreview = spec.user_input
+      .substring(0, 50)
+      .replace(/[^a-zA-Z0-9\s-]/g, '')
+      .replace(/\s+/g, '-')
+      .toLowerCase();
+
+    const timestamp = new Date().toISOString().split('T')[0];
+
+    try {
+      return validateFilename(`spec-${ideaPreview}-${timestamp}-${spec.id}.${extension}`);
+    } catch (validationError) {
+      return `spec-${timestamp}-${spec.id}.${extension}`;
+    }
+  }
+
+  /**
+   * 匯出規格
+   * @param {object} spec - ideas 記錄
+   * @param {string} format - markdown、html、pdf 或 docx
+   * @returns {Promise<{content: Buffer, contentType: string, filename: string}>}
+   * @throws {AppError} - 不支援的格式時拋出 invalidFormat
+   */
+  async exportSpec(spec, format = EXPORT_CONFIG.defaultFormat) {
+    const formatConfig = EXPORT_CONFIG.formats[format];
+
+    if (!formatConfig) {
+      throw createError.invalidFormat('format', this.getSupportedFormats().join(', '));
+    }
+
+    const startTime = Date.now();
+    const content = format === 'markdown'
+      ? Buffer.from(this.getMarkdown(spec), 'utf8')
+      : await RENDERERS[format](await this.buildDocument(spec));
+
+    logger.info({ id: spec.id, format, bytes: content.length, duration: Date.now() - startTime }, 'Specification exported');
+
+    return {
+      content,
+      contentType: formatConfig.contentType,
+      filename: this.buildFilename(spec, formatConfig.extension)
+    };
+  }
+}
+
+// 創建單例實例
+const exportService = new ExportService();
+
+export default exportService;
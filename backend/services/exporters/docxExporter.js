@@ -0,0 +1,226 @@
+/**
+ * DOCX 匯出
+ * 以 docx 套件將 Markdown token 轉為 Word 文件：封面頁獨立成節，內文頁尾含頁碼（從 1 起算）
+ */
+
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  Footer,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  PageNumber,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} from 'docx';
+import { toRuns, decodeEntities } from './inlineRuns.js';
+
+const HEADING_LEVELS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6
+];
+
+const MONOSPACE_FONT = 'Consolas';
+const COLORS = { muted: '64748B', accent: '6366F1', border: 'CBD5E1', codeBackground: 'F1F5F9', tableHeader: 'F1F5F9' };
+const ALIGNMENTS = { left: AlignmentType.LEFT, center: AlignmentType.CENTER, right: AlignmentType.RIGHT };
+const MAX_LIST_LEVEL = 8;
+
+// 清單編號樣式，每一層縮排 360 twips
+const listLevels = format => Array.from({ length: MAX_LIST_LEVEL + 1 }, (_, level) => ({
+  level,
+  format,
+  text: format === LevelFormat.BULLET ? ['•', '◦', '▪'][level % 3] : `%${level + 1}.`,
+  alignment: AlignmentType.LEFT,
+  style: { paragraph: { indent: { left: 360 * (level + 1), hanging: 360 } } }
+}));
+
+/**
+ * 轉換文字片段為 docx 行內元素
+ */
+function toChildren(runs, overrides = {}) {
+  return runs.map((run) => {
+    if (run.lineBreak) {
+      return new TextRun({ text: '', break: 1 });
+    }
+
+    const textRun = new TextRun({
+      text: run.text,
+      bold: run.bold || overrides.bold,
+      italics: run.italic || overrides.italics,
+      strike: run.strike,
+      font: run.code ? MONOSPACE_FONT : undefined,
+      shading: run.code ? { type: ShadingType.CLEAR, fill: COLORS.codeBackground, color: 'auto' } : undefined,
+      color: overrides.color,
+      size: overrides.size,
+      style: run.link ? 'Hyperlink' : undefined
+    });
+
+    return run.link ? new ExternalHyperlink({ link: run.link, children: [textRun] }) : textRun;
+  });
+}
+
+class DocxBuilder {
+  constructor() {
+    // 每個有序清單使用獨立的編號實例，讓編號從 1 重新開始
+    this.orderedListInstance = 0;
+  }
+
+  blocks(tokens, context = {}) {
+    return tokens.flatMap(token => this.block(token, context));
+  }
+
+  block(token, context) {
+    switch (token.type) {
+      case 'heading':
+        return [new Paragraph({ heading: HEADING_LEVELS[token.depth - 1], children: toChildren(toRuns(token.tokens)) })];
+      case 'paragraph':
+      case 'text':
+        return [this.paragraph(toRuns(token.tokens || [{ type: 'text', text: token.text }]), context)];
+      case 'list':
+        return this.list(token, context);
+      case 'code':
+        return this.code(token.text);
+      case 'table':
+        return [this.table(token), new Paragraph({})];
+      case 'blockquote':
+        return this.blocks(token.tokens, { ...context, quote: true });
+      case 'hr':
+        return [new Paragraph({ border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: COLORS.border, space: 1 } } })];
+      case 'html':
+        return [this.paragraph([{ text: decodeEntities(token.text).trim() }], context)];
+      default:
+        return [];
+    }
+  }
+
+  paragraph(runs, { quote = false, listItem = null } = {}) {
+    return new Paragraph({
+      children: toChildren(runs, quote ? { italics: true, color: COLORS.muted } : {}),
+      indent: quote ? { left: 480 } : undefined,
+      border: quote ? { left: { style: BorderStyle.SINGLE, size: 18, color: COLORS.border, space: 8 } } : undefined,
+      ...(listItem || {})
+    });
+  }
+
+  list(list, context) {
+    const level = Math.min(context.listLevel ?? 0, MAX_LIST_LEVEL);
+    const instance = list.ordered ? ++this.orderedListInstance : undefined;
+    const numbering = list.ordered
+      ? { numbering: { reference: 'ordered', level, instance } }
+      : { numbering: { reference: 'bullets', level } };
+
+    return list.items.flatMap((item) => {
+      const [first, ...rest] = item.tokens.filter(child => child.type !== 'checkbox');
+      const taskPrefix = item.task ? [{ text: item.checked ? '☑ ' : '☐ ' }] : [];
+      const childContext = { ...context, listLevel: level + 1 };
+
+      if (!first || (first.type !== 'text' && first.type !== 'paragraph')) {
+        return [this.paragraph(taskPrefix, { ...context, listItem: numbering }), ...this.blocks(item.tokens, childContext)];
+      }
+
+      const runs = [...taskPrefix, ...toRuns(first.tokens || [{ type: 'text', text: first.text }])];
+      return [this.paragraph(runs, { ...context, listItem: numbering }), ...this.blocks(rest, childContext)];
+    });
+  }
+
+  code(text) {
+    const lines = text.split('\n');
+
+    return [new Paragraph({
+      shading: { type: ShadingType.CLEAR, fill: COLORS.codeBackground, color: 'auto' },
+      spacing: { before: 120, after: 120 },
+      children: lines.map((line, index) => new TextRun({
+        text: line,
+        font: MONOSPACE_FONT,
+        size: 18,
+        break: index > 0 ? 1 : undefined
+      }))
+    })];
+  }
+
+  table(table) {
+    const cell = (tokens, index, header) => new TableCell({
+      shading: header ? { type: ShadingType.CLEAR, fill: COLORS.tableHeader, color: 'auto' } : undefined,
+      margins: { top: 60, bottom: 60, left: 100, right: 100 },
+      children: [new Paragraph({
+        alignment: ALIGNMENTS[table.align[index]] || AlignmentType.LEFT,
+        children: toChildren(toRuns(tokens), header ? { bold: true } : {})
+      })]
+    });
+
+    return new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [
+        new TableRow({ tableHeader: true, children: table.header.map((headerCell, index) => cell(headerCell.tokens, index, true)) }),
+        ...table.rows.map(row => new TableRow({ children: row.map((rowCell, index) => cell(rowCell.tokens, index, false)) }))
+      ]
+    });
+  }
+
+  titlePage(document) {
+    return [
+      new Paragraph({ spacing: { before: 3600 }, children: [new TextRun({ text: document.title, bold: true, color: COLORS.accent, size: 24 })] }),
+      new Paragraph({ spacing: { before: 240, after: 600 }, children: [new TextRun({ text: document.idea, bold: true, size: 48 })] }),
+      ...document.metadata.map(({ label, value }) => new Paragraph({
+        spacing: { after: 80 },
+        children: [
+          new TextRun({ text: `${label}  `, bold: true, color: COLORS.muted }),
+          new TextRun({ text: value })
+        ]
+      }))
+    ];
+  }
+}
+
+/**
+ * 產生 DOCX 檔案
+ * @param {object} document - exportService.buildDocument 的結果
+ * @returns {Promise<Buffer>}
+ */
+export async function renderDocx(document) {
+  const builder = new DocxBuilder();
+
+  const docx = new Document({
+    title: document.idea.slice(0, 200),
+    subject: document.title,
+    numbering: {
+      config: [
+        { reference: 'bullets', levels: listLevels(LevelFormat.BULLET) },
+        { reference: 'ordered', levels: listLevels(LevelFormat.DECIMAL) }
+      ]
+    },
+    sections: [
+      { children: builder.titlePage(document) },
+      {
+        properties: { page: { pageNumbers: { start: 1 } } },
+        footers: {
+          default: new Footer({
+            children: [new Paragraph({
+              alignment: AlignmentType.CENTER,
+              children: [new TextRun({ children: [PageNumber.CURRENT], color: COLORS.muted, size: 18 })]
+            })]
+          })
+        },
+        children: builder.blocks(document.tokens)
+      }
+    ]
+  });
+
+  return Packer.toBuffer(docx);
+}
+
+export default {
+  renderDocx
+};
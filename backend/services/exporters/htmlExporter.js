@@ -0,0 +1,93 @@
+/**
+ * HTML 匯出
+ * 產生可直接開啟或列印的單一 HTML 檔案（內嵌樣式，含封面頁）
+ */
+
+import { Marked } from 'marked';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = text => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// 只保留一般網址與頁內錨點，避免 javascript: 等連結
+const SAFE_URL_PATTERN = /^(https?:|mailto:|#|\/(?!\/))/i;
+
+// 規格內容來自 LLM，原始 HTML 一律以文字呈現
+const markdown = new Marked({ gfm: true }).use({
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    link({ href, tokens }) {
+      return SAFE_URL_PATTERN.test(href) ? false : this.parser.parseInline(tokens);
+    },
+    image({ href, text }) {
+      return SAFE_URL_PATTERN.test(href) ? false : escapeHtml(text);
+    }
+  }
+});
+
+const STYLES = `
+  body { margin: 0; color: #1e293b; font: 15px/1.7 -apple-system, BlinkMacSystemFont, "Segoe UI", "Noto Sans TC", "PingFang TC", "Microsoft JhengHei", sans-serif; }
+  .title-page, main { max-width: 860px; margin: 0 auto; padding: 48px 40px; }
+  .title-page { min-height: 80vh; display: flex; flex-direction: column; justify-content: center; border-bottom: 1px solid #e2e8f0; }
+  .title-page__label { color: #6366f1; font-size: 14px; font-weight: 600; letter-spacing: 0.08em; text-transform: uppercase; }
+  .title-page h1 { margin: 12px 0 32px; font-size: 32px; line-height: 1.3; white-space: pre-wrap; }
+  .title-page dl { display: grid; grid-template-columns: max-content 1fr; gap: 8px 24px; margin: 0; }
+  .title-page dt { color: #64748b; }
+  .title-page dd { margin: 0; }
+  h1, h2, h3, h4 { line-height: 1.3; margin: 1.6em 0 0.6em; }
+  h2 { padding-bottom: 0.3em; border-bottom: 1px solid #e2e8f0; }
+  table { width: 100%; border-collapse: collapse; margin: 1em 0; }
+  th, td { padding: 6px 10px; border: 1px solid #cbd5e1; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; }
+  code { padding: 1px 4px; border-radius: 3px; background: #f1f5f9; font: 0.9em/1.5 "SFMono-Regular", Consolas, "Liberation Mono", monospace; }
+  pre { padding: 12px 16px; overflow-x: auto; border-radius: 6px; background: #0f172a; color: #e2e8f0; }
+  pre code { padding: 0; background: none; color: inherit; }
+  blockquote { margin: 1em 0; padding: 0 1em; border-left: 4px solid #cbd5e1; color: #475569; }
+  hr { border: none; border-top: 1px solid #e2e8f0; margin: 2em 0; }
+  @media print {
+    .title-page { min-height: auto; height: 90vh; border: none; page-break-after: always; }
+    pre { white-space: pre-wrap; }
+  }
+`;
+
+/**
+ * 產生 HTML 檔案
+ * @param {object} document - exportService.buildDocument 的結果
+ * @returns {Promise<Buffer>}
+ */
+export async function renderHtml(document) {
+  const metadata = document.metadata
+    .map(({ label, value }) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('\n        ');
+
+  const html = `<!DOCTYPE html>
+<html lang="${escapeHtml(document.language)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(document.idea)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <section class="title-page">
+    <div class="title-page__label">${escapeHtml(document.title)}</div>
+    <h1>${escapeHtml(document.idea)}</h1>
+    <dl>
+        ${metadata}
+    </dl>
+  </section>
+  <main>
+${markdown.parser(document.tokens)}
+  </main>
+</body>
+</html>
+`;
+
+  return Buffer.from(html, 'utf8');
+}
+
+export default {
+  renderHtml
+};
@@ -0,0 +1,77 @@
+/**
+ * Markdown 行內標記轉換
+ * 將 marked 的行內 token 攤平成帶樣式的文字片段，供 PDF 與 DOCX 匯出共用
+ */
+
+// PDF 與 DOCX 只保留一般網址的超連結，其他（例如 javascript:）只輸出文字
+const SAFE_LINK_PATTERN = /^(https?:|mailto:)/i;
+
+/**
+ * 解碼 marked 在 text/codespan token 中保留的 HTML 實體
+ */
+export function decodeEntities(text) {
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 轉換行內 token 為文字片段
+ * @param {Array} tokens - marked 行內 token
+ * @param {object} style - 繼承的樣式 { bold, italic, strike, code, link }
+ * @returns {Array<{text: string, bold?: boolean, italic?: boolean, strike?: boolean, code?: boolean, link?: string, lineBreak?: boolean}>}
+ */
+export function toRuns(tokens = [], style = {}) {
+  const runs = [];
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'strong':
+        runs.push(...toRuns(token.tokens, { ...style, bold: true }));
+        break;
+      case 'em':
+        runs.push(...toRuns(token.tokens, { ...style, italic: true }));
+        break;
+      case 'del':
+        runs.push(...toRuns(token.tokens, { ...style, strike: true }));
+        break;
+      case 'codespan':
+        runs.push({ ...style, code: true, text: decodeEntities(token.text) });
+        break;
+      case 'link':
+        runs.push(...toRuns(token.tokens, SAFE_LINK_PATTERN.test(token.href) ? { ...style, link: token.href } : style));
+        break;
+      case 'image':
+        runs.push({ ...style, italic: true, text: token.text || token.href });
+        break;
+      case 'br':
+        runs.push({ ...style, text: '', lineBreak: true });
+        break;
+      default:
+        // text、escape、html 等：有子 token 時遞迴，否則輸出原文（HTML 不解析，以文字呈現）
+        if (token.tokens?.length) {
+          runs.push(...toRuns(token.tokens, style));
+        } else {
+          runs.push({ ...style, text: decodeEntities(token.text ?? token.raw ?? '') });
+        }
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * 取得行內 token 的純文字
+ */
+export function plainText(tokens = []) {
+  return toRuns(tokens).map(run => (run.lineBreak ? '\n' : run.text)).join('');
+}
+
+export default {
+  decodeEntities,
+  toRuns,
+  plainText
+};
@@ -0,0 +1,405 @@
+/**
+ * PDF 匯出
+ * 以 pdfkit 依 Markdown token 排版：封面頁、標題、段落、清單、表格、程式碼區塊與引用
+ */
+
+import { existsSync } from 'fs';
+import PDFDocument from 'pdfkit';
+import { EXPORT_CONFIG } from '../../config/serverConfig.js';
+import { createError } from '../../utils/errorHandler.js';
+import { toRuns, plainText, decodeEntities } from './inlineRuns.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const FONT_SIZES = { body: 11, code: 9, table: 10, headings: [22, 17, 14, 12, 11, 11] };
+const COLORS = { text: '#1e293b', muted: '#64748b', accent: '#6366f1', border: '#cbd5e1', codeBackground: '#f1f5f9', tableHeader: '#f1f5f9' };
+const LIST_INDENT = 18;
+const CELL_PADDING = 5;
+// 非拉丁文字的字母（中日韓、西里爾、希臘、阿拉伯等），內建字型無法顯示
+const NON_LATIN_LETTER = /(?!\p{Script=Latin})\p{L}/u;
+
+let warnedMissingFont = false;
+
+/**
+ * 決定使用的字型
+ * 內建的 Helvetica 只支援西歐字元，找不到可用的中日文字型時會記錄警告，只能匯出拉丁文字的規格
+ * @returns {{regular: object, bold: object, italic: object, monospace: object, unicode: boolean}}
+ */
+function resolveFonts() {
+  const { fontPath, fontFamily, boldFontPath, boldFontFamily, fontCandidates } = EXPORT_CONFIG.pdf;
+  const configured = fontPath ? { path: fontPath, family: fontFamily } : fontCandidates.find(candidate => existsSync(candidate.path));
+
+  if (!configured) {
+    if (!warnedMissingFont) {
+      warnedMissingFont = true;
+      logger.warn('No CJK font found for PDF export; specifications with non-Latin text cannot be exported as PDF until EXPORT_PDF_FONT is set');
+    }
+    return {
+      regular: { src: 'Helvetica' },
+      bold: { src: 'Helvetica-Bold' },
+      italic: { src: 'Helvetica-Oblique' },
+      monospace: { src: 'Courier' },
+      unicode: false
+    };
+  }
+
+  const regular = { src: configured.path, family: configured.family || undefined };
+  const bold = boldFontPath ? { src: boldFontPath, family: boldFontFamily || undefined } : regular;
+
+  return { regular, bold, italic: regular, monospace: { src: 'Courier' }, unicode: true };
+}
+
+/**
+ * 文件是否含有內建字型無法顯示的文字（封面與內文）
+ * @param {object} document - exportService.buildDocument 的結果
+ * @returns {boolean}
+ */
+function hasNonLatinText(document) {
+  const texts = [
+    document.title,
+    document.idea,
+    ...document.metadata.flatMap(({ label, value }) => [label, value]),
+    ...document.tokens.map(token => token.raw)
+  ];
+
+  return texts.some(text => NON_LATIN_LETTER.test(text || ''));
+}
+
+class PdfWriter {
+  constructor(document, fonts) {
+    const { pageSize, margin } = EXPORT_CONFIG.pdf;
+
+    this.fonts = fonts;
+    this.doc = new PDFDocument({
+      size: pageSize,
+      margin,
+      bufferPages: true,
+      info: { Title: document.idea.slice(0, 200), Subject: document.title }
+    });
+
+    for (const [name, font] of Object.entries(this.fonts)) {
+      if (name !== 'unicode') {
+        this.doc.registerFont(name, font.src, font.family);
+      }
+    }
+  }
+
+  get left() {
+    return this.doc.page.margins.left;
+  }
+
+  get contentWidth() {
+    return this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+  }
+
+  get bottom() {
+    return this.doc.page.height - this.doc.page.margins.bottom;
+  }
+
+  /**
+   * 剩餘空間不足時換頁
+   */
+  ensureSpace(height) {
+    if (this.doc.y + height > this.bottom) {
+      this.doc.addPage();
+    }
+  }
+
+  /**
+   * 程式碼中有非 ASCII 字元（例如中文註解）時改用內文字型，避免缺字
+   */
+  monospaceFor(text) {
+    return this.fonts.unicode && /[^\x00-\x7f]/.test(text) ? 'regular' : 'monospace';
+  }
+
+  fontFor(run) {
+    if (run.code) return this.monospaceFor(run.text);
+    if (run.bold) return 'bold';
+    if (run.italic) return 'italic';
+    return 'regular';
+  }
+
+  /**
+   * 輸出行內文字片段
+   * pdfkit 的 continued 文字遇到換行字元會錯位，因此依硬換行分成多行各自輸出，軟換行視為空白
+   */
+  writeRuns(runs, { x = this.left, y, width = this.contentWidth, fontSize = FONT_SIZES.body, bold = false, color = COLORS.text } = {}) {
+    const { doc } = this;
+    const lines = [[]];
+
+    for (const run of runs) {
+      if (run.lineBreak) {
+        lines.push([]);
+      } else if (run.text) {
+        lines[lines.length - 1].push({ ...run, text: run.text.replace(/\s*\n\s*/g, ' ') });
+      }
+    }
+
+    doc.fillColor(color);
+    lines.forEach((parts, lineIndex) => {
+      const lineY = lineIndex === 0 ? (y ?? doc.y) : doc.y;
+
+      if (parts.length === 0) {
+        doc.font('regular').fontSize(fontSize).text(' ', x, lineY, { width });
+        return;
+      }
+
+      parts.forEach((run, index) => {
+        const options = {
+          width,
+          continued: index < parts.length - 1,
+          link: run.link || null,
+          underline: Boolean(run.link),
+          strike: Boolean(run.strike)
+        };
+
+        doc.font(this.fontFor(bold ? { ...run, bold: true } : run)).fontSize(run.code ? fontSize - 1 : fontSize);
+
+        if (index === 0) {
+          doc.text(run.text, x, lineY, options);
+        } else {
+          doc.text(run.text, options);
+        }
+      });
+    });
+  }
+
+  writeTitlePage(document) {
+    const { doc } = this;
+
+    doc.y = doc.page.height * 0.3;
+    doc.font('bold').fontSize(12).fillColor(COLORS.accent).text(document.title.toUpperCase(), this.left, doc.y, { width: this.contentWidth });
+    doc.moveDown(0.8);
+    doc.font('bold').fontSize(24).fillColor(COLORS.text).text(document.idea, { width: this.contentWidth });
+    doc.moveDown(1.5);
+
+    for (const { label, value } of document.metadata) {
+      doc.font('bold').fontSize(FONT_SIZES.body).fillColor(COLORS.muted).text(`${label}  `, { continued: true });
+      doc.font('regular').fillColor(COLORS.text).text(value);
+      doc.moveDown(0.3);
+    }
+  }
+
+  writeBlocks(tokens, { x = this.left, width = this.contentWidth, color = COLORS.text } = {}) {
+    for (const token of tokens) {
+      this.writeBlock(token, { x, width, color });
+    }
+  }
+
+  writeBlock(token, { x, width, color }) {
+    const { doc } = this;
+
+    switch (token.type) {
+      case 'heading': {
+        const fontSize = FONT_SIZES.headings[token.depth - 1];
+        this.ensureSpace(fontSize * 3);
+        doc.moveDown(token.depth <= 2 ? 0.8 : 0.5);
+        this.writeRuns(toRuns(token.tokens), { x, width, fontSize, bold: true, color });
+        if (token.depth <= 2) {
+          doc.moveTo(x, doc.y + 2).lineTo(x + width, doc.y + 2).strokeColor(COLORS.border).lineWidth(0.5).stroke();
+        }
+        doc.moveDown(0.5);
+        break;
+      }
+      case 'paragraph':
+      case 'text':
+        this.ensureSpace(FONT_SIZES.body * 1.5);
+        this.writeRuns(toRuns(token.tokens || [{ type: 'text', text: token.text }]), { x, width, color });
+        doc.moveDown(0.5);
+        break;
+      case 'list':
+        this.writeList(token, { x, width, color });
+        doc.moveDown(0.3);
+        break;
+      case 'code':
+        this.writeCode(token.text, { x, width });
+        doc.moveDown(0.5);
+        break;
+      case 'table':
+        this.writeTable(token, { x, width });
+        doc.moveDown(0.5);
+        break;
+      case 'blockquote': {
+        const startPage = doc.bufferedPageRange().count;
+        const startY = doc.y;
+        this.writeBlocks(token.tokens, { x: x + 12, width: width - 12, color: COLORS.muted });
+        // 跨頁的引用只畫最後一頁的邊線
+        const top = doc.bufferedPageRange().count === startPage ? startY : doc.page.margins.top;
+        doc.moveTo(x + 2, top).lineTo(x + 2, doc.y - 4).strokeColor(COLORS.border).lineWidth(3).stroke();
+        break;
+      }
+      case 'hr':
+        this.ensureSpace(20);
+        doc.moveDown(0.5);
+        doc.moveTo(x, doc.y).lineTo(x + width, doc.y).strokeColor(COLORS.border).lineWidth(0.5).stroke();
+        doc.moveDown(0.8);
+        break;
+      case 'html':
+        this.writeRuns([{ text: decodeEntities(token.text).trim() }], { x, width, color });
+        doc.moveDown(0.5);
+        break;
+      default:
+        // space 與其他不影響版面的 token
+        break;
+    }
+  }
+
+  writeList(list, { x, width, color }) {
+    const { doc } = this;
+    const start = Number(list.start) || 1;
+
+    list.items.forEach((item, index) => {
+      const marker = item.task ? (item.checked ? '[x]' : '[ ]') : list.ordered ? `${start + index}.` : '•';
+      const indent = item.task ? LIST_INDENT * 1.5 : LIST_INDENT;
+      this.ensureSpace(FONT_SIZES.body * 1.5);
+
+      const y = doc.y;
+      doc.font('regular').fontSize(FONT_SIZES.body).fillColor(color)
+        .text(marker, x, y, { width: indent, lineBreak: false });
+
+      const [first, ...rest] = item.tokens.filter(child => child.type !== 'checkbox');
+      if (first && (first.type === 'text' || first.type === 'paragraph')) {
+        this.writeRuns(toRuns(first.tokens || [{ type: 'text', text: first.text }]), { x: x + indent, y, width: width - indent, color });
+        this.writeBlocks(rest, { x: x + indent, width: width - indent, color });
+      } else {
+        doc.y = y;
+        this.writeBlocks(item.tokens, { x: x + indent, width: width - indent, color });
+      }
+
+      if (item.loose) {
+        doc.moveDown(0.3);
+      }
+    });
+  }
+
+  writeCode(code, { x, width }) {
+    const { doc } = this;
+    const font = this.monospaceFor(code);
+    const textWidth = width - 16;
+
+    doc.font(font).fontSize(FONT_SIZES.code);
+    doc.y += 4;
+
+    // 逐行輸出，長程式碼可跨頁且背景連續
+    for (const line of code.split('\n')) {
+      const text = line.length > 0 ? line : ' ';
+      const height = doc.heightOfString(text, { width: textWidth });
+      this.ensureSpace(height);
+
+      const y = doc.y;
+      doc.rect(x, y, width, height).fill(COLORS.codeBackground);
+      doc.font(font).fontSize(FONT_SIZES.code).fillColor(COLORS.text).text(text, x + 8, y, { width: textWidth });
+    }
+
+    doc.y += 4;
+  }
+
+  writeTable(table, { x, width }) {
+    const { doc } = this;
+    const columnCount = table.header.length;
+    const columnWidth = width / columnCount;
+    const header = table.header.map(cell => plainText(cell.tokens));
+    const rows = table.rows.map(row => row.map(cell => plainText(cell.tokens)));
+
+    const measure = (cells, font) => {
+      doc.font(font).fontSize(FONT_SIZES.table);
+      return Math.max(...cells.map(cell => doc.heightOfString(cell || ' ', { width: columnWidth - CELL_PADDING * 2 }))) + CELL_PADDING * 2;
+    };
+
+    const drawRow = (cells, font, background) => {
+      const height = measure(cells, font);
+      const y = doc.y;
+
+      cells.forEach((cell, index) => {
+        const cellX = x + index * columnWidth;
+        if (background) {
+          doc.rect(cellX, y, columnWidth, height).fill(background);
+        }
+        doc.rect(cellX, y, columnWidth, height).strokeColor(COLORS.border).lineWidth(0.5).stroke();
+        doc.font(font).fontSize(FONT_SIZES.table).fillColor(COLORS.text)
+          .text(cell, cellX + CELL_PADDING, y + CELL_PADDING, { width: columnWidth - CELL_PADDING * 2, align: table.align[index] || 'left' });
+      });
+
+      doc.y = y + height;
+      doc.x = x;
+    };
+
+    this.ensureSpace(measure(header, 'bold') + (rows[0] ? measure(rows[0], 'regular') : 0));
+    drawRow(header, 'bold', COLORS.tableHeader);
+
+    for (const row of rows) {
+      if (doc.y + measure(row, 'regular') > this.bottom) {
+        // 換頁後重複表頭
+        doc.addPage();
+        drawRow(header, 'bold', COLORS.tableHeader);
+      }
+      drawRow(row, 'regular', null);
+    }
+  }
+
+  /**
+   * 在內文頁（封面除外）的頁尾加上頁碼
+   */
+  writePageNumbers() {
+    const { doc } = this;
+    const { start, count } = doc.bufferedPageRange();
+
+    for (let index = start + 1; index < start + count; index++) {
+      doc.switchToPage(index);
+      const { bottom } = doc.page.margins;
+      // 暫時取消下邊界，避免在頁尾寫字時自動換頁
+      doc.page.margins.bottom = 0;
+      doc.font('regular').fontSize(9).fillColor(COLORS.muted)
+        .text(`${index} / ${count - 1}`, this.left, doc.page.height - bottom / 2, { width: this.contentWidth, align: 'center', lineBreak: false });
+      doc.page.margins.bottom = bottom;
+    }
+  }
+
+  /**
+   * 完成排版並取得 PDF 內容
+   * @returns {Promise<Buffer>}
+   */
+  finish() {
+    const { doc } = this;
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      this.writePageNumbers();
+      doc.end();
+    });
+  }
+}
+
+/**
+ * 產生 PDF 檔案
+ * @param {object} document - exportService.buildDocument 的結果
+ * @returns {Promise<Buffer>}
+ * @throws {AppError} - 沒有可用的中日文字型而文件含有非拉丁文字時拋出 serviceUnavailable，避免產生無法閱讀的 PDF
+ */
+export async function renderPdf(document) {
+  const fonts = resolveFonts();
+
+  if (!fonts.unicode && hasNonLatinText(document)) {
+    throw createError.serviceUnavailable(
+      'pdf-export',
+      'No installed font covers the non-Latin text of this specification; set EXPORT_PDF_FONT or export as HTML or DOCX'
+    );
+  }
+
+  const writer = new PdfWriter(document, fonts);
+
+  writer.writeTitlePage(document);
+  writer.doc.addPage();
+  writer.writeBlocks(document.tokens);
+
+  return writer.finish();
+}
+
+export default {
+  renderPdf
+};
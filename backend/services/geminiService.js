@@ -1,16 +1,22 @@
 /**
  * Gemini 服務模組
- * 整合並封裝 Gemini CLI 相關功能
+ * 整合並封裝規格生成功能，實際的模型呼叫交由可替換的 LLM 提供者處理
  */
 
-import { generateWithGeminiSafe, checkGeminiAvailability, testGeminiBasicFunction, formatSpecification } from '../utils/geminiSafe.js';
-import { JOB_STATUSES, ERROR_MESSAGES } from '../config/serverConfig.js';
+import { buildSpecificationPrompt, buildRepairPrompt, formatSpecification, getOutputLanguage, isAbortError } from '../utils/geminiSafe.js';
+import { getRequiredSections, removeCliNoise, evaluateSpecQuality, needsRepair } from '../utils/specQuality.js';
+import { JOB_STATUSES, ERROR_MESSAGES, LLM_CONFIG, LLM_PROVIDERS, DEFAULT_OUTPUT_LANGUAGE, QUALITY_CONFIG } from '../config/serverConfig.js';
+import { createProvider } from './providers/index.js';
 import pino from 'pino';
 
 const logger = pino();
 
+// 健康檢查回應的固定服務識別；實際使用的提供者另以 provider 欄位回報
+const LLM_SERVICE_NAME = 'Gemini CLI';
+
 class GeminiService {
   constructor() {
+    this.provider = createProvider(LLM_CONFIG.provider);
     this.isAvailable = false;
     this.isConfigured = false;
     this.lastHealthCheck = null;
@@ -23,12 +29,13 @@ class GeminiService {
    */
   async initialize() {
     try {
-      this.isAvailable = await checkGeminiAvailability();
-      if (this.isAvailable) {
-        this.isConfigured = await testGeminiBasicFunction();
-      }
+      const status = await this.provider.checkStatus();
+      this.isAvailable = status.available;
+      this.isConfigured = status.configured;
       
       logger.info({
+        provider: this.provider.name,
+        model: this.provider.model,
         available: this.isAvailable,
         configured: this.isConfigured
       }, 'Gemini service initialized');
@@ -44,42 +51,61 @@ class GeminiService {
 
   /**
    * 生成規格文檔
+   * @param {object} options - 生成選項，可帶入已由提示範本構建的 prompt 與輸出語言 language；
+   *   formatOutput 為 false 時回傳未包裝的模型輸出（用於章節改寫），且不做品質檢查
    */
   async generateSpecification(userInput, options = {}) {
     const startTime = Date.now();
+    const { language = DEFAULT_OUTPUT_LANGUAGE, formatOutput = true } = options;
     
     try {
       // 檢查服務可用性
       if (!this.isAvailable) {
-        throw new Error('Gemini CLI is not available');
+        throw new Error(`${this.provider.displayName} is not available`);
       }
 
       // 設置預設選項
       const generationOptions = {
-        timeout: 180000, // 3 分鐘
-        maxRetries: 2,
-        retryDelay: 2000,
+        timeout: LLM_CONFIG.timeout,
+        maxRetries: LLM_CONFIG.maxRetries,
+        retryDelay: LLM_CONFIG.retryDelay,
         ...options
       };
 
-      logger.info({ userInput: userInput.substring(0, 100) + '...', options: generationOptions }, 'Starting specification generation');
+      logger.info({
+        userInput: userInput.substring(0, 100) + '...',
+        provider: this.provider.name,
+        options: { ...generationOptions, emitJobUpdate: undefined, signal: undefined, onChunk: undefined, prompt: undefined }
+      }, 'Starting specification generation');
 
-      // 調用 Gemini CLI
-      const rawOutput = await generateWithGeminiSafe(userInput, generationOptions);
+      // 構建 prompt 並交由提供者生成
+      const prompt = options.prompt || buildSpecificationPrompt(userInput, language);
+      const rawOutput = await this.provider.generate(prompt, generationOptions);
       
       if (!rawOutput || rawOutput.trim().length === 0) {
-        throw new Error('Gemini CLI returned empty output');
+        throw new Error(`${this.provider.displayName} returned empty output`);
+      }
+
+      // 品質檢查與修復
+      let output = rawOutput;
+      let quality = null;
+      if (formatOutput) {
+        ({ output, quality } = await this.ensureQuality(rawOutput, { idea: userInput, prompt, language, generationOptions }));
       }
 
       // 格式化輸出
       let formattedSpec;
-      try {
-        formattedSpec = formatSpecification(rawOutput, userInput);
-      } catch (formatError) {
-        logger.warn({ error: formatError }, 'Formatting failed, using error recovery');
-        
-        // 錯誤恢復：使用基本格式
-        formattedSpec = this.createFallbackSpecification(rawOutput, userInput);
+      if (!formatOutput) {
+        formattedSpec = rawOutput.trim();
+      } else {
+        try {
+          formattedSpec = formatSpecification(output, userInput, { generatedBy: this.provider.displayName, language });
+        } catch (formatError) {
+          logger.warn({ error: formatError }, 'Formatting failed, using error recovery');
+          
+          // 錯誤恢復：使用基本格式
+          formattedSpec = this.createFallbackSpecification(output, userInput, language);
+        }
       }
 
       const totalDuration = Date.now() - startTime;
@@ -94,19 +120,42 @@ class GeminiService {
         specification: formattedSpec,
         duration: totalDuration,
         outputLength: formattedSpec.length,
+        quality,
         metadata: {
           generatedAt: new Date().toISOString(),
           userInput,
-          processingTime: totalDuration
+          processingTime: totalDuration,
+          provider: this.provider.name,
+          model: this.provider.model,
+          language
         }
       };
 
     } catch (error) {
       const duration = Date.now() - startTime;
+
+      if (isAbortError(error)) {
+        logger.info({ duration, provider: this.provider.name }, 'Specification generation cancelled');
+
+        return {
+          success: false,
+          cancelled: true,
+          error: error.message,
+          duration,
+          metadata: {
+            cancelledAt: new Date().toISOString(),
+            userInput,
+            processingTime: duration,
+            provider: this.provider.name
+          }
+        };
+      }
+
       const errorMessage = this.getGeminiErrorMessage(error);
       
       logger.error({
         error: error.message,
+        provider: this.provider.name,
         duration,
         userInput: userInput.substring(0, 100) + '...'
       }, 'Specification generation failed');
@@ -118,34 +167,97 @@ class GeminiService {
         metadata: {
           failedAt: new Date().toISOString(),
           userInput,
-          processingTime: duration
+          processingTime: duration,
+          provider: this.provider.name
         }
       };
     }
   }
 
+  /**
+   * 檢查生成結果的品質：移除 CLI 雜訊，未通過檢查時以修復 prompt 重新生成，保留分數較高的結果
+   * @param {string} rawOutput - 模型原始輸出
+   * @param {object} context - { idea, prompt, language, generationOptions }
+   * @returns {Promise<{output: string, quality: object}>} - quality 為 evaluateSpecQuality 的結果加上 repairs 修復記錄
+   * @throws {Error} - 取消時拋出 AbortError；修復失敗時保留原本的輸出
+   */
+  async ensureQuality(rawOutput, { idea, prompt, language, generationOptions }) {
+    const { jobId = null, emitJobUpdate = null, onChunk = null, maxRetries = 0 } = generationOptions;
+    const requiredSections = getRequiredSections(prompt, language);
+    const cleaned = removeCliNoise(rawOutput);
+    const repairs = cleaned.removed > 0 ? [{ type: 'noise', removedLines: cleaned.removed }] : [];
+    let output = cleaned.text;
+    let report = evaluateSpecQuality(output, { requiredSections });
+
+    for (let attempt = 1; QUALITY_CONFIG.repair && attempt <= QUALITY_CONFIG.maxRepairAttempts && needsRepair(report); attempt++) {
+      if (jobId && emitJobUpdate) {
+        emitJobUpdate(jobId, 'processing', {
+          message: `品質檢查未通過（${report.score} 分），正在要求 ${this.provider.displayName} 補齊...`,
+          qualityScore: report.score
+        });
+      }
+
+      // 修復的輸出接在原本的重試次數之後，串流客戶端會從頭顯示
+      const attemptOffset = attempt * (maxRetries + 1);
+
+      try {
+        const repaired = removeCliNoise(await this.provider.generate(
+          buildRepairPrompt({ idea, prompt, specification: output, report, language }),
+          { ...generationOptions, onChunk: onChunk && ((chunk, n) => onChunk(chunk, n + attemptOffset)) }
+        ));
+        const repairedReport = evaluateSpecQuality(repaired.text, { requiredSections });
+        const accepted = repairedReport.score > report.score;
+
+        repairs.push({ type: 'reprompt', attempt, scoreBefore: report.score, scoreAfter: repairedReport.score, accepted });
+
+        if (accepted) {
+          output = repaired.text;
+          report = repairedReport;
+        }
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+
+        logger.warn({ error: error.message, attempt }, 'Specification repair failed, keeping the original output');
+        repairs.push({ type: 'reprompt', attempt, scoreBefore: report.score, scoreAfter: null, accepted: false, error: error.message });
+        break;
+      }
+    }
+
+    logger.info({ score: report.score, passed: report.passed, repairs: repairs.length }, 'Specification quality checked');
+
+    return { output, quality: { ...report, repairs } };
+  }
+
   /**
    * 創建備用規格格式（當主要格式化失敗時使用）
    */
-  createFallbackSpecification(rawOutput, originalIdea) {
-    return `# ${originalIdea} - 產品規格文件
+  createFallbackSpecification(rawOutput, originalIdea, language = DEFAULT_OUTPUT_LANGUAGE) {
+    const { labels } = getOutputLanguage(language);
+
+    return `# ${originalIdea} - ${labels.specHeading}
 
-**Generated:** ${new Date().toISOString()}
-**Status:** 使用備用格式（原始輸出處理）
+**${labels.generated}** ${new Date().toISOString()}
+**${labels.status}** ${labels.fallbackNote}
 
 ---
 
-${rawOutput || '生成內容處理時發生問題，請重新嘗試。'}
+${rawOutput || labels.fallbackEmpty}
 
 ---
 
-*Generated using Gemini CLI with error recovery*`;
+${labels.fallbackFooter.replace('{provider}', this.provider.displayName)}`;
   }
 
   /**
    * 取得 Gemini 錯誤訊息
    */
   getGeminiErrorMessage(error) {
+    if (this.provider.name !== LLM_PROVIDERS.GEMINI_CLI) {
+      return `${this.provider.displayName} 錯誤: ${error.message}。請檢查 LLM 提供者配置和網路連接。`;
+    }
+
     if (error.message.includes('timeout')) {
       return 'Gemini CLI 請求超時。這可能是因為：1) API 金鑰未配置 2) 網路連接問題 3) 請求過於複雜。請檢查 Gemini API 配置。';
     } else if (error.message.includes('Failed to start')) {
@@ -172,31 +284,19 @@ ${rawOutput || '生成內容處理時發生問題，請重新嘗試。'}
     try {
       const startTime = Date.now();
       
-      // 檢查 CLI 可用性
-      const available = await checkGeminiAvailability();
-      let configured = false;
-      let version = null;
-      
-      if (available) {
-        try {
-          // 測試配置
-          configured = await testGeminiBasicFunction();
-          
-          // 嘗試取得版本資訊
-          version = await this.getVersion();
-        } catch (error) {
-          logger.warn({ error }, 'Failed to test Gemini configuration');
-        }
-      }
+      // 檢查提供者可用性
+      const { available, configured, version = null, error } = await this.provider.checkStatus();
       
       const latency = Date.now() - startTime;
       
       const healthStatus = {
-        service: 'Gemini CLI',
+        service: LLM_SERVICE_NAME,
+        provider: this.provider.describe(),
         status: available ? (configured ? 'ready' : 'installed_but_not_configured') : 'unavailable',
         available,
         configured,
         version,
+        error,
         latency: `${latency}ms`,
         timestamp: new Date().toISOString(),
         lastCheck: new Date().toISOString()
@@ -215,7 +315,8 @@ ${rawOutput || '生成內容處理時發生問題，請重新嘗試。'}
       
     } catch (error) {
       const errorStatus = {
-        service: 'Gemini CLI',
+        service: LLM_SERVICE_NAME,
+        provider: this.provider.describe(),
         status: 'error',
         available: false,
         configured: false,
@@ -235,43 +336,6 @@ ${rawOutput || '生成內容處理時發生問題，請重新嘗試。'}
     }
   }
 
-  /**
-   * 取得 Gemini CLI 版本
-   */
-  async getVersion() {
-    try {
-      const { spawn } = await import('child_process');
-      
-      return new Promise((resolve, reject) => {
-        const versionProcess = spawn('gemini', ['--version'], {
-          timeout: 5000,
-          stdio: ['ignore', 'pipe', 'pipe']
-        });
-        
-        let output = '';
-        
-        versionProcess.stdout.on('data', (data) => {
-          output += data.toString();
-        });
-        
-        versionProcess.on('close', (code) => {
-          if (code === 0) {
-            resolve(output.trim());
-          } else {
-            reject(new Error(`Version check failed with code ${code}`));
-          }
-        });
-        
-        versionProcess.on('error', (error) => {
-          reject(error);
-        });
-      });
-    } catch (error) {
-      logger.debug({ error }, 'Failed to get Gemini version');
-      return null;
-    }
-  }
-
   /**
    * 取得認證狀態
    */
@@ -353,6 +417,7 @@ ${rawOutput || '生成內容處理時發生問題，請重新嘗試。'}
    */
   getStats() {
     return {
+      provider: this.provider.describe(),
       available: this.isAvailable,
       configured: this.isConfigured,
       lastHealthCheck: this.lastHealthCheck,
@@ -0,0 +1,160 @@
+/**
+ * 規格推送服務模組
+ * 將規格的功能需求與開發階段推送為 GitHub/GitLab 議題，或提交到本機 git 儲存庫
+ */
+
+import { INTEGRATION_CONFIG } from '../config/serverConfig.js';
+import { createError } from '../utils/errorHandler.js';
+import { parseSpecIssues } from '../utils/specIssues.js';
+import { createIntegration, getSupportedIntegrations } from './integrations/index.js';
+import exportService from './exportService.js';
+import pino from 'pino';
+
+const logger = pino();
+
+/**
+ * 規格的簡短標題：想法的第一行
+ */
+const buildSpecTitle = (spec) => {
+  const firstLine = String(spec.user_input).split('\n')[0].trim();
+  return firstLine.length > 80 ? `${firstLine.slice(0, 79)}…` : firstLine;
+};
+
+/**
+ * 提交到儲存庫的檔名：ID 加上想法開頭（保留各語言文字）
+ */
+const buildSpecFilename = (spec) => {
+  const slug = String(spec.user_input)
+    .normalize('NFKC')
+    .slice(0, 40)
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+
+  return `${spec.id}${slug ? `-${slug}` : ''}.md`;
+};
+
+class IntegrationService {
+  /**
+   * 列出所有推送目標與設定狀態
+   */
+  listTargets() {
+    return getSupportedIntegrations().map(name => createIntegration(name).describe());
+  }
+
+  /**
+   * 準備推送內容：規格 Markdown 與議題草稿（附上模組與規格來源）
+   * @param {object} spec - ideas 記錄
+   * @returns {{title: string, markdown: string, filename: string, issues: Array<object>, truncated: boolean}}
+   */
+  buildContext(spec) {
+    const title = buildSpecTitle(spec);
+    const markdown = exportService.getMarkdown(spec);
+    const { items } = parseSpecIssues(markdown);
+
+    const issues = items.slice(0, INTEGRATION_CONFIG.maxItems).map(item => ({
+      kind: item.kind,
+      title: item.title,
+      body: [
+        item.body,
+        '---',
+        item.module ? `Module: ${item.module}` : null,
+        `Specification #${spec.id}: ${title}`
+      ].filter(Boolean).join('\n\n'),
+      labels: item.kind === 'epic'
+        ? [...INTEGRATION_CONFIG.labels, INTEGRATION_CONFIG.epicLabel]
+        : [...INTEGRATION_CONFIG.labels],
+      module: item.module
+    }));
+
+    return {
+      title,
+      markdown,
+      filename: buildSpecFilename(spec),
+      issues,
+      truncated: items.length > issues.length
+    };
+  }
+
+  /**
+   * 推送規格
+   * @param {object} spec - ideas 記錄
+   * @param {string} target - github、gitlab 或 git
+   * @param {object} options - dryRun：只回傳將建立的項目，不需完成目標設定
+   * @returns {Promise<{target: object, dryRun: boolean, truncated: boolean, summary: object, items: Array<object>}>}
+   * @throws {AppError} - 沒有可推送的項目、目標未設定，或第一個項目即推送失敗
+   */
+  async push(spec, target, { dryRun = false } = {}) {
+    const integration = createIntegration(target);
+    const context = this.buildContext(spec);
+    const planned = integration.planItems(spec, context);
+
+    if (planned.length === 0 && !dryRun) {
+      throw createError.validation('Specification has no functional requirements or development phases to push', 'generatedSpec');
+    }
+
+    if (dryRun) {
+      return this.buildResult(integration, context, planned.map(item => ({ ...item, status: 'planned' })), true);
+    }
+
+    if (!integration.isConfigured()) {
+      throw createError.serviceUnavailable(integration.displayName, `Missing settings: ${integration.getMissingSettings().join(', ')}`);
+    }
+
+    const results = [];
+    let failure = null;
+
+    // 依序建立，第一個失敗後其餘項目略過（通常為認證或權限問題）
+    for (const item of planned) {
+      if (failure) {
+        results.push({ ...item, status: 'skipped' });
+        continue;
+      }
+
+      try {
+        results.push({ ...item, ...(await integration.createItem(item)) });
+      } catch (error) {
+        failure = error;
+        results.push({ ...item, status: 'failed', error: error.message });
+        logger.warn({ specId: spec.id, target, title: item.title, error: error.message }, 'Failed to push specification item');
+      }
+    }
+
+    const result = this.buildResult(integration, context, results, false);
+
+    if (failure && result.summary.created === 0) {
+      throw createError.externalServiceError(integration.displayName, failure);
+    }
+
+    logger.info({ specId: spec.id, target, ...result.summary }, 'Specification pushed');
+
+    return result;
+  }
+
+  /**
+   * 組合推送結果與統計
+   */
+  buildResult(integration, context, items, dryRun) {
+    const count = status => items.filter(item => item.status === status).length;
+
+    return {
+      target: integration.describe(),
+      dryRun,
+      truncated: context.truncated,
+      summary: {
+        total: items.length,
+        planned: count('planned'),
+        created: count('created'),
+        unchanged: count('unchanged'),
+        failed: count('failed'),
+        skipped: count('skipped')
+      },
+      items
+    };
+  }
+}
+
+// 創建單例實例
+const integrationService = new IntegrationService();
+
+export default integrationService;
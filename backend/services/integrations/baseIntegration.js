@@ -0,0 +1,97 @@
+/**
+ * 推送整合基礎類別
+ * 定義所有推送目標共用的介面與 HTTP 呼叫邏輯
+ */
+
+import { requestJson } from '../../utils/httpClient.js';
+
+export class BaseIntegration {
+  /**
+   * @param {string} name - 目標識別名稱（對應 INTEGRATION_CONFIG.targets）
+   * @param {string} displayName - 顯示名稱
+   * @param {object} config - 目標設定
+   * @param {object} options - 共用選項（timeout）
+   */
+  constructor(name, displayName, config = {}, options = {}) {
+    this.name = name;
+    this.displayName = displayName;
+    this.config = config;
+    this.timeout = options.timeout || 15000;
+  }
+
+  /**
+   * 列出尚未設定的必要環境變數
+   * @returns {string[]}
+   */
+  getMissingSettings() {
+    return [];
+  }
+
+  /**
+   * 是否已完成設定
+   */
+  isConfigured() {
+    return this.getMissingSettings().length === 0;
+  }
+
+  /**
+   * 推送目的地描述（例如儲存庫名稱或路徑）
+   * @returns {string|null}
+   */
+  getDestination() {
+    return null;
+  }
+
+  /**
+   * 依規格建立要推送的項目，預設為功能需求議題與開發階段 epic
+   * @param {object} spec - ideas 記錄
+   * @param {{markdown: string, filename: string, issues: Array<object>}} context - integrationService 準備的推送內容
+   * @returns {Array<{kind: string, title: string, body: string, labels: string[]}>}
+   */
+  planItems(spec, context) {
+    return context.issues;
+  }
+
+  /**
+   * 建立單一項目，子類別必須實作
+   * @param {object} item - planItems 產生的項目
+   * @returns {Promise<{status: string, id: string|number|null, url: string|null}>}
+   */
+  async createItem(item) {
+    throw new Error(`${this.displayName} integration must implement createItem()`);
+  }
+
+  /**
+   * 發送 JSON 請求，非 2xx 回應時拋出錯誤（見 utils/httpClient.js），逾時使用目標的 timeout
+   * @param {string} url - 請求網址
+   * @param {object} options - fetch 選項，另支援 body（物件）
+   * @returns {Promise<object>} - 解析後的 JSON
+   */
+  async requestJson(url, options = {}) {
+    const { headers = {}, ...rest } = options;
+
+    return requestJson(url, {
+      timeout: this.timeout,
+      ...rest,
+      headers: {
+        Accept: 'application/json',
+        ...headers
+      }
+    });
+  }
+
+  /**
+   * 取得目標摘要資訊
+   */
+  describe() {
+    return {
+      name: this.name,
+      displayName: this.displayName,
+      configured: this.isConfigured(),
+      missing: this.getMissingSettings(),
+      destination: this.getDestination()
+    };
+  }
+}
+
+export default BaseIntegration;
@@ -0,0 +1,99 @@
+/**
+ * Git 儲存庫推送整合
+ * 將規格 Markdown 寫入本機 git 儲存庫並提交（不推送到遠端）
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import { BaseIntegration } from './baseIntegration.js';
+
+const execFileAsync = promisify(execFile);
+
+export class GitRepositoryIntegration extends BaseIntegration {
+  constructor(config = {}, options = {}) {
+    super('git', 'Git repository', config, options);
+  }
+
+  getMissingSettings() {
+    return this.config.repoPath ? [] : ['SPEC_GIT_REPO_PATH'];
+  }
+
+  getDestination() {
+    return this.config.repoPath
+      ? path.join(this.config.repoPath, this.config.directory || '')
+      : null;
+  }
+
+  /**
+   * 整份規格作為單一檔案提交
+   */
+  planItems(spec, context) {
+    const filePath = path.posix.join(this.config.directory || '', context.filename);
+
+    return [{
+      kind: 'file',
+      title: `Add specification #${spec.id}: ${context.title}`,
+      body: context.markdown,
+      labels: [],
+      path: filePath
+    }];
+  }
+
+  /**
+   * 在儲存庫內執行 git 指令
+   * @returns {Promise<string>} - 標準輸出（已去除首尾空白）
+   */
+  async git(args, cwd) {
+    const { stdout } = await execFileAsync('git', [
+      '-c', `user.name=${this.config.authorName}`,
+      '-c', `user.email=${this.config.authorEmail}`,
+      ...args
+    ], { cwd, timeout: this.timeout });
+
+    return stdout.trim();
+  }
+
+  /**
+   * 寫入並提交規格檔，內容未變更時不建立提交
+   */
+  async createItem(item) {
+    const repoRoot = await this.git(['rev-parse', '--show-toplevel'], path.resolve(this.config.repoPath))
+      .catch(() => {
+        throw new Error(`${this.config.repoPath} is not a git repository`);
+      });
+
+    const target = path.resolve(repoRoot, item.path);
+    const relativePath = path.relative(repoRoot, target);
+
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      throw new Error(`SPEC_GIT_DIRECTORY must stay inside the repository: ${item.path}`);
+    }
+
+    const existed = await fs.access(target).then(() => true, () => false);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, item.body, 'utf8');
+    await this.git(['add', '--', relativePath], repoRoot);
+
+    // diff --quiet 以結束代碼 1 表示有變更
+    const changed = await this.git(['diff', '--cached', '--quiet', '--', relativePath], repoRoot)
+      .then(() => false, () => true);
+
+    if (!changed) {
+      return { status: 'unchanged', id: null, url: null, path: relativePath };
+    }
+
+    const message = existed ? item.title.replace(/^Add /, 'Update ') : item.title;
+    await this.git(['commit', '--quiet', '-m', message, '--', relativePath], repoRoot);
+
+    return {
+      status: 'created',
+      id: (await this.git(['rev-parse', '--short=12', 'HEAD'], repoRoot)),
+      url: null,
+      path: relativePath
+    };
+  }
+}
+
+export default GitRepositoryIntegration;
@@ -0,0 +1,56 @@
+/**
+ * GitHub 推送整合
+ * 透過 GitHub REST API（或相容的服務）建立議題，epic 以標籤區分
+ */
+
+import { BaseIntegration } from './baseIntegration.js';
+
+export class GitHubIntegration extends BaseIntegration {
+  constructor(config = {}, options = {}) {
+    super('github', 'GitHub', config, options);
+    this.apiUrl = (config.apiUrl || 'https://api.github.com').replace(/\/+$/, '');
+  }
+
+  getMissingSettings() {
+    return [
+      !this.config.token && 'GITHUB_TOKEN',
+      !this.config.repository && 'GITHUB_REPOSITORY'
+    ].filter(Boolean);
+  }
+
+  getDestination() {
+    return this.config.repository || null;
+  }
+
+  /**
+   * 建立議題
+   * POST /repos/{owner}/{repo}/issues
+   */
+  async createItem(item) {
+    const [owner, repo] = String(this.config.repository).split('/');
+
+    const issue = await this.requestJson(
+      `${this.apiUrl}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/issues`,
+      {
+        headers: {
+          Authorization: `Bearer ${this.config.token}`,
+          Accept: 'application/vnd.github+json',
+          'X-GitHub-Api-Version': '2022-11-28'
+        },
+        body: {
+          title: item.title,
+          body: item.body,
+          labels: item.labels
+        }
+      }
+    );
+
+    return {
+      status: 'created',
+      id: issue.number ?? issue.id ?? null,
+      url: issue.html_url || issue.url || null
+    };
+  }
+}
+
+export default GitHubIntegration;
@@ -0,0 +1,53 @@
+/**
+ * GitLab 推送整合
+ * 透過 GitLab REST API v4 建立議題；設定 epic 群組時開發階段建立為群組 epic
+ */
+
+import { BaseIntegration } from './baseIntegration.js';
+
+export class GitLabIntegration extends BaseIntegration {
+  constructor(config = {}, options = {}) {
+    super('gitlab', 'GitLab', config, options);
+    this.apiUrl = (config.apiUrl || 'https://gitlab.com/api/v4').replace(/\/+$/, '');
+  }
+
+  getMissingSettings() {
+    return [
+      !this.config.token && 'GITLAB_TOKEN',
+      !this.config.project && 'GITLAB_PROJECT'
+    ].filter(Boolean);
+  }
+
+  getDestination() {
+    return this.config.project || null;
+  }
+
+  /**
+   * 建立議題或群組 epic
+   * POST /projects/:id/issues、POST /groups/:id/epics
+   */
+  async createItem(item) {
+    const path = item.kind === 'epic' && this.config.epicGroup
+      ? `/groups/${encodeURIComponent(this.config.epicGroup)}/epics`
+      : `/projects/${encodeURIComponent(this.config.project)}/issues`;
+
+    const created = await this.requestJson(`${this.apiUrl}${path}`, {
+      headers: {
+        'PRIVATE-TOKEN': this.config.token
+      },
+      body: {
+        title: item.title,
+        description: item.body,
+        labels: item.labels.join(',')
+      }
+    });
+
+    return {
+      status: 'created',
+      id: created.iid ?? created.id ?? null,
+      url: created.web_url || null
+    };
+  }
+}
+
+export default GitLabIntegration;
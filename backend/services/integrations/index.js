@@ -0,0 +1,42 @@
+/**
+ * 推送整合註冊表
+ * 依 serverConfig.js 的 INTEGRATION_CONFIG 建立對應的推送目標實例
+ */
+
+import { INTEGRATION_CONFIG } from '../../config/serverConfig.js';
+import { GitHubIntegration } from './githubIntegration.js';
+import { GitLabIntegration } from './gitlabIntegration.js';
+import { GitRepositoryIntegration } from './gitRepositoryIntegration.js';
+
+const INTEGRATION_CLASSES = {
+  github: GitHubIntegration,
+  gitlab: GitLabIntegration,
+  git: GitRepositoryIntegration
+};
+
+/**
+ * 建立推送目標
+ * @param {string} name - 目標名稱（github、gitlab、git）
+ * @returns {BaseIntegration} - 推送目標實例
+ * @throws {Error} - 未知的目標名稱
+ */
+export function createIntegration(name) {
+  const IntegrationClass = INTEGRATION_CLASSES[name];
+  if (!IntegrationClass) {
+    throw new Error(`Unknown integration target: ${name}`);
+  }
+
+  return new IntegrationClass(INTEGRATION_CONFIG[name] || {}, { timeout: INTEGRATION_CONFIG.timeout });
+}
+
+/**
+ * 取得所有支援的推送目標名稱
+ */
+export function getSupportedIntegrations() {
+  return Object.keys(INTEGRATION_CLASSES);
+}
+
+export default {
+  createIntegration,
+  getSupportedIntegrations
+};
@@ -0,0 +1,721 @@
+/**
+ * 工作佇列服務模組
+ * 以可設定並行數的 worker pool 非同步執行規格生成，並以 ideas 資料表作為持久化來源
+ */
+
+import { EventEmitter } from 'events';
+import databaseService from './databaseService.js';
+import geminiService from './geminiService.js';
+import webSocketService from './websocketService.js';
+import templateService from './templateService.js';
+import { JOB_QUEUE_CONFIG, JOB_STATUSES } from '../config/serverConfig.js';
+import { createError } from '../utils/errorHandler.js';
+import { buildSectionRefinePrompt } from '../utils/geminiSafe.js';
+import { findSection, replaceSection, extractSectionBody } from '../utils/markdownSections.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const JOB_ID_PATTERN = /^job-(\d+)(?:-\d+)?$/;
+const TERMINAL_STATUSES = [JOB_STATUSES.COMPLETED, JOB_STATUSES.FAILED, JOB_STATUSES.CANCELLED];
+
+class JobQueueService {
+  constructor() {
+    this.queue = [];
+    this.activeJobs = new Map();
+    this.jobStates = new Map();
+    this.concurrency = Math.max(1, JOB_QUEUE_CONFIG.concurrency);
+    this.isAcceptingJobs = true;
+    this.streamBuffers = new Map(); // 執行中工作已輸出的內容，供中途加入的串流客戶端補齊
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+
+    webSocketService.setJobCancelHandler(this.cancel.bind(this));
+    webSocketService.setJobIdParser(this.parseJobId.bind(this));
+  }
+
+  /**
+   * 由記錄 ID 取得工作 ID
+   */
+  getJobId(recordId) {
+    return `job-${recordId}`;
+  }
+
+  /**
+   * 解析工作 ID，相容舊版 job-<id>-<timestamp> 格式
+   * @returns {number|null} - 對應的 ideas 記錄 ID
+   */
+  parseJobId(jobId) {
+    const match = typeof jobId === 'string' ? jobId.match(JOB_ID_PATTERN) : null;
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * 建立記錄並加入佇列；想法與範本在建立記錄前驗證，錯誤直接回報給請求而不是成為失敗的工作
+   * @param {string} idea - 使用者想法
+   * @param {object} options - 範本選項與擁有者 { template, variables, language, ownerId, visibility }
+   * @throws {AppError} - 想法或範本變數無效時拋出 validation，範本不存在時拋出 notFound
+   */
+  async enqueue(idea, options = {}) {
+    if (!this.isAcceptingJobs) {
+      throw createError.serviceUnavailable('job-queue', 'Server is shutting down');
+    }
+
+    if (this.queue.length >= JOB_QUEUE_CONFIG.maxQueueSize) {
+      throw createError.serviceUnavailable('job-queue', 'Job queue is full, please try again later');
+    }
+
+    templateService.validateIdea(idea);
+    const generation = await templateService.prepareGeneration(options);
+    const { ownerId = null, visibility = 'team' } = options;
+    const recordId = Number(await databaseService.createIdea(idea, '', JOB_STATUSES.PENDING, { ...generation, ownerId, visibility }));
+    const job = this.addToQueue(recordId, idea, generation);
+
+    return {
+      jobId: job.jobId,
+      recordId,
+      queuePosition: this.getQueuePosition(job.jobId),
+      templateId: generation.templateId,
+      language: generation.language
+    };
+  }
+
+  /**
+   * 為既有記錄重新生成規格，完成後保存為新版本（未指定的範本、變數與語言沿用上次設定）
+   * 工作進行中記錄維持目前的狀態與版本，新的生成設定在成功後才寫入記錄
+   * @param {number} recordId - ideas 記錄 ID
+   * @param {object} options - 範本選項 { template, variables, language }
+   * @returns {Promise<object|null>} - 工作資訊，記錄不存在時回傳 null
+   * @throws {AppError} - 記錄仍在生成中時拋出 conflict
+   */
+  async regenerate(recordId, options = {}) {
+    if (!this.isAcceptingJobs) {
+      throw createError.serviceUnavailable('job-queue', 'Server is shutting down');
+    }
+
+    if (this.queue.length >= JOB_QUEUE_CONFIG.maxQueueSize) {
+      throw createError.serviceUnavailable('job-queue', 'Job queue is full, please try again later');
+    }
+
+    const record = await databaseService.getSpecById(recordId);
+    if (!record) {
+      return null;
+    }
+
+    const jobId = this.getJobId(recordId);
+    if (this.getQueuePosition(jobId) !== null || [JOB_STATUSES.PENDING, JOB_STATUSES.PROCESSING].includes(record.status)) {
+      throw createError.conflict('Specification', 'Generation already in progress');
+    }
+
+    // 沿用上次的範本與變數；範本已刪除時退回預設範本
+    const previousTemplate = record.template_id ? await templateService.findRow(record.template_id) : null;
+    let { template, variables } = options;
+
+    if (template === undefined && previousTemplate) {
+      template = Number(previousTemplate.id);
+
+      if (variables === undefined) {
+        const declared = templateService.parseVariables(previousTemplate.variables).map(variable => variable.name);
+        const previousValues = templateService.parseVariables(record.template_variables, {});
+        variables = Object.fromEntries(Object.entries(previousValues).filter(([name]) => declared.includes(name)));
+      }
+    }
+
+    const generation = await templateService.prepareGeneration({
+      template,
+      variables,
+      language: options.language ?? record.language ?? undefined
+    });
+
+    await databaseService.setIdeaRequest(recordId, { regenerate: true, ...generation });
+    const job = this.addToQueue(recordId, record.user_input, generation, { regenerate: true });
+
+    logger.info({ jobId, recordId }, 'Queued spec regeneration');
+
+    return {
+      jobId: job.jobId,
+      recordId,
+      queuePosition: this.getQueuePosition(job.jobId),
+      templateId: generation.templateId,
+      language: generation.language,
+      currentVersion: Number(record.current_version || 0)
+    };
+  }
+
+  /**
+   * 只重新生成目前版本中的單一章節，其他章節保持不變，完成後保存為新版本
+   * @param {number} recordId - ideas 記錄 ID
+   * @param {object} request - { anchor, instructions }
+   * @returns {Promise<object|null>} - 工作資訊，記錄不存在時回傳 null
+   * @throws {AppError} - 章節不存在時拋出 notFound，記錄仍在生成中時拋出 conflict
+   */
+  async refineSection(recordId, { anchor, instructions = '' }) {
+    if (!this.isAcceptingJobs) {
+      throw createError.serviceUnavailable('job-queue', 'Server is shutting down');
+    }
+
+    if (this.queue.length >= JOB_QUEUE_CONFIG.maxQueueSize) {
+      throw createError.serviceUnavailable('job-queue', 'Job queue is full, please try again later');
+    }
+
+    const record = await databaseService.getSpecById(recordId);
+    if (!record) {
+      return null;
+    }
+
+    const jobId = this.getJobId(recordId);
+    if (this.getQueuePosition(jobId) !== null || [JOB_STATUSES.PENDING, JOB_STATUSES.PROCESSING].includes(record.status)) {
+      throw createError.conflict('Specification', 'Generation already in progress');
+    }
+
+    const section = findSection(record.generated_spec, anchor);
+    if (!section) {
+      throw createError.notFound('Section', anchor);
+    }
+
+    // 先驗證 prompt，避免不安全的指示在排入佇列後才失敗
+    try {
+      buildSectionRefinePrompt({ idea: record.user_input, heading: section.heading, content: section.content, instructions });
+    } catch (error) {
+      throw createError.validation(error.message, 'instructions');
+    }
+
+    const generation = {
+      templateId: record.template_id ?? null,
+      language: record.language || undefined,
+      variables: templateService.parseVariables(record.template_variables, {})
+    };
+    const refine = { anchor, instructions };
+
+    await databaseService.setIdeaRequest(recordId, refine);
+    const job = this.addToQueue(recordId, record.user_input, generation, { refine });
+
+    logger.info({ jobId, recordId, anchor }, 'Queued section refinement');
+
+    return {
+      jobId: job.jobId,
+      recordId,
+      queuePosition: this.getQueuePosition(job.jobId),
+      anchor: section.anchor,
+      heading: section.heading,
+      currentVersion: Number(record.current_version || 0)
+    };
+  }
+
+  /**
+   * 將工作放入記憶體佇列並嘗試啟動 worker
+   * @param {object} options - { refine: 章節改寫請求 { anchor, instructions }, regenerate: 是否為既有規格的重新生成 }
+   */
+  addToQueue(recordId, idea, generation = {}, { refine = null, regenerate = false } = {}) {
+    const job = {
+      jobId: this.getJobId(recordId),
+      recordId,
+      idea,
+      generation,
+      refine,
+      regenerate,
+      enqueuedAt: Date.now()
+    };
+
+    this.queue.push(job);
+    this.emitUpdate(job.jobId, JOB_STATUSES.PENDING, {
+      message: '已加入生成佇列，等待處理...',
+      queuePosition: this.queue.length
+    });
+
+    setImmediate(() => this.processNext());
+    return job;
+  }
+
+  /**
+   * 在並行數限制內啟動等待中的工作
+   */
+  processNext() {
+    while (this.isAcceptingJobs && this.activeJobs.size < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      job.abortController = new AbortController();
+      this.activeJobs.set(job.jobId, job);
+
+      job.promise = this.runJob(job)
+        .catch((error) => {
+          logger.error({ error, jobId: job.jobId }, 'Unexpected job runner error');
+        })
+        .finally(() => {
+          this.activeJobs.delete(job.jobId);
+          this.processNext();
+        });
+    }
+  }
+
+  /**
+   * 執行單一生成工作
+   */
+  async runJob(job) {
+    const { jobId, recordId, idea, generation } = job;
+    const { signal } = job.abortController;
+    const startTime = Date.now();
+
+    logger.info({ jobId, recordId, waited: startTime - job.enqueuedAt }, 'Starting queued spec generation');
+
+    try {
+      // 重新生成與章節改寫的進度只記錄在工作上，記錄維持目前版本的完成狀態
+      if (!job.refine && !job.regenerate) {
+        await databaseService.updateIdea(recordId, {
+          status: JOB_STATUSES.PROCESSING,
+          processingTime: null
+        });
+      }
+
+      this.emitUpdate(jobId, JOB_STATUSES.PROCESSING, {
+        message: job.refine ? 'Starting section refinement...' : 'Starting specification generation...'
+      });
+
+      const prompt = job.refine
+        ? await this.buildRefinePrompt(recordId, idea, job.refine, generation)
+        : await templateService.buildPrompt(idea, generation);
+
+      const result = await geminiService.generateSpecification(idea, {
+        prompt,
+        language: generation.language,
+        formatOutput: !job.refine,
+        jobId,
+        emitJobUpdate: this.emitUpdate.bind(this),
+        onChunk: (chunk, attempt) => this.emitChunk(jobId, chunk, attempt),
+        signal
+      });
+
+      const totalDuration = Date.now() - startTime;
+
+      if (result.cancelled || signal.aborted) {
+        await this.markCancelled(recordId, totalDuration);
+      } else if (result.success && job.refine) {
+        await this.saveRefinedSection(job, result.specification, totalDuration);
+      } else if (result.success) {
+        const version = await databaseService.saveSpecVersion(recordId, {
+          generatedSpec: result.specification,
+          processingTime: totalDuration,
+          templateId: generation.templateId,
+          language: generation.language,
+          quality: result.quality
+        });
+
+        if (job.regenerate) {
+          await databaseService.updateGenerationSettings(recordId, generation);
+        }
+
+        logger.info({ jobId, version, duration: totalDuration, qualityScore: result.quality?.score }, 'Spec generation completed');
+
+        this.emitUpdate(jobId, JOB_STATUSES.COMPLETED, {
+          message: '🎉 規格文檔生成完成！',
+          id: recordId,
+          version,
+          totalDuration: Number(totalDuration),
+          outputLength: Number(result.specification.length),
+          qualityScore: result.quality?.score ?? null
+        });
+      } else {
+        await this.settleRecord(recordId, JOB_STATUSES.FAILED, totalDuration);
+
+        this.emitUpdate(jobId, JOB_STATUSES.FAILED, {
+          message: result.error,
+          error: result.error
+        });
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        await this.markCancelled(recordId, Date.now() - startTime);
+        return;
+      }
+
+      logger.error({ error, jobId, recordId }, 'Error in queued spec generation');
+
+      try {
+        await this.settleRecord(recordId, JOB_STATUSES.FAILED, Date.now() - startTime);
+      } catch (dbError) {
+        logger.error({ error: dbError }, 'Error updating failed record');
+      }
+
+      this.emitUpdate(jobId, JOB_STATUSES.FAILED, {
+        message: geminiService.getGeminiErrorMessage(error),
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * 以目前版本的章節內容構建章節改寫 prompt
+   * @throws {Error} - 章節已不存在時拋出錯誤
+   */
+  async buildRefinePrompt(recordId, idea, refine, generation) {
+    const record = await databaseService.getSpecById(recordId);
+    const section = record ? findSection(record.generated_spec, refine.anchor) : null;
+
+    if (!section) {
+      throw new Error(`Section "${refine.anchor}" no longer exists`);
+    }
+
+    return buildSectionRefinePrompt({
+      idea,
+      heading: section.heading,
+      content: section.content,
+      instructions: refine.instructions,
+      language: generation.language
+    });
+  }
+
+  /**
+   * 將改寫後的章節合併回目前版本並保存為新版本；輸出沒有可用內容時標記為失敗
+   */
+  async saveRefinedSection(job, output, totalDuration) {
+    const { jobId, recordId, generation, refine } = job;
+    const record = await databaseService.getSpecById(recordId);
+    const section = record ? findSection(record.generated_spec, refine.anchor) : null;
+    const body = section ? extractSectionBody(output, section.level) : '';
+
+    if (!body) {
+      const error = section ? 'Model returned no content for the section' : `Section "${refine.anchor}" no longer exists`;
+
+      await this.settleRecord(recordId, JOB_STATUSES.FAILED, totalDuration);
+
+      this.emitUpdate(jobId, JOB_STATUSES.FAILED, {
+        message: error,
+        error
+      });
+      return;
+    }
+
+    const generatedSpec = replaceSection(record.generated_spec, refine.anchor, body);
+    const version = await databaseService.saveSpecVersion(recordId, {
+      generatedSpec,
+      processingTime: totalDuration,
+      templateId: generation.templateId,
+      language: generation.language,
+      source: 'refined'
+    });
+
+    logger.info({ jobId, version, anchor: refine.anchor, duration: totalDuration }, 'Section refinement completed');
+
+    this.emitUpdate(jobId, JOB_STATUSES.COMPLETED, {
+      message: `✅ 已改寫「${section.heading}」章節`,
+      id: recordId,
+      version,
+      section: { anchor: refine.anchor, heading: section.heading },
+      totalDuration: Number(totalDuration),
+      outputLength: Number(generatedSpec.length)
+    });
+  }
+
+  /**
+   * 取消工作：等待中的工作直接移出佇列，執行中的工作中止子進程或 HTTP 請求並略過剩餘重試
+   * @returns {Promise<object|null>} - 取消後的工作狀態，工作不存在時回傳 null
+   * @throws {AppError} - 工作已結束時拋出 conflict
+   */
+  async cancel(jobId) {
+    const recordId = this.parseJobId(jobId);
+    if (!recordId) {
+      return null;
+    }
+
+    const canonicalJobId = this.getJobId(recordId);
+    const queueIndex = this.queue.findIndex(job => job.jobId === canonicalJobId);
+
+    if (queueIndex !== -1) {
+      this.queue.splice(queueIndex, 1);
+      await this.markCancelled(recordId, null);
+      return this.getJob(canonicalJobId);
+    }
+
+    const activeJob = this.activeJobs.get(canonicalJobId);
+    if (activeJob) {
+      logger.info({ jobId: canonicalJobId }, 'Cancelling running spec generation');
+      activeJob.abortController.abort();
+      await activeJob.promise;
+
+      const job = await this.getJob(canonicalJobId);
+      if (job && job.status !== JOB_STATUSES.CANCELLED) {
+        throw createError.conflict('Job', `Job already ${job.status}`);
+      }
+      return job;
+    }
+
+    const record = await databaseService.getSpecById(recordId);
+    if (!record) {
+      return null;
+    }
+
+    if (TERMINAL_STATUSES.includes(record.status)) {
+      throw createError.conflict('Job', `Job already ${record.status}`);
+    }
+
+    // 尚未被恢復進佇列的未完成記錄
+    await this.markCancelled(recordId, null);
+    return this.getJob(canonicalJobId);
+  }
+
+  /**
+   * 將記錄標記為已取消並推送最終狀態
+   */
+  async markCancelled(recordId, processingTime) {
+    const jobId = this.getJobId(recordId);
+
+    await this.settleRecord(recordId, JOB_STATUSES.CANCELLED, processingTime);
+
+    logger.info({ jobId }, 'Spec generation cancelled');
+
+    this.emitUpdate(jobId, JOB_STATUSES.CANCELLED, {
+      message: '已取消生成工作',
+      id: recordId
+    });
+  }
+
+  /**
+   * 工作失敗或取消時更新記錄：已有版本的規格（重新生成、章節改寫）只清除排隊中的請求並維持完成狀態，
+   * 首次生成的記錄才標記為失敗或已取消
+   */
+  async settleRecord(recordId, status, processingTime) {
+    const record = await databaseService.getSpecById(recordId);
+
+    if (Number(record?.current_version || 0) > 0) {
+      await databaseService.clearIdeaRequest(recordId);
+      return;
+    }
+
+    await databaseService.updateIdea(recordId, { status, processingTime });
+  }
+
+  /**
+   * 記錄最新進度並透過 WebSocket 推送
+   */
+  emitUpdate(jobId, status, data = {}) {
+    this.jobStates.set(jobId, {
+      status,
+      ...data,
+      updatedAt: new Date().toISOString()
+    });
+
+    if (TERMINAL_STATUSES.includes(status)) {
+      this.streamBuffers.delete(jobId);
+      setTimeout(() => {
+        const state = this.jobStates.get(jobId);
+        if (state && TERMINAL_STATUSES.includes(state.status)) {
+          this.jobStates.delete(jobId);
+        }
+      }, JOB_QUEUE_CONFIG.stateRetention).unref();
+    }
+
+    webSocketService.emitJobUpdate(jobId, status, data);
+    this.events.emit('job-update', { jobId, status, ...data });
+  }
+
+  /**
+   * 轉發模型輸出片段；重試時以新的 attempt 重新累積
+   */
+  emitChunk(jobId, chunk, attempt = 1) {
+    let buffer = this.streamBuffers.get(jobId);
+    if (!buffer || buffer.attempt !== attempt) {
+      buffer = { attempt, text: '' };
+      this.streamBuffers.set(jobId, buffer);
+    }
+
+    const payload = { chunk, attempt, offset: buffer.text.length };
+    buffer.text += chunk;
+
+    webSocketService.emitJobChunk(jobId, payload);
+    this.events.emit('job-chunk', { jobId, ...payload });
+  }
+
+  /**
+   * 取得執行中工作目前已輸出的內容
+   * @returns {{attempt: number, text: string}|null}
+   */
+  getStreamSnapshot(jobId) {
+    return this.streamBuffers.get(jobId) || null;
+  }
+
+  /**
+   * 訂閱單一工作的狀態更新與輸出片段
+   * @returns {Function} - 取消訂閱函數
+   */
+  subscribe(jobId, { onUpdate = null, onChunk = null } = {}) {
+    const updateListener = (update) => {
+      if (update.jobId === jobId && onUpdate) {
+        onUpdate(update);
+      }
+    };
+    const chunkListener = (payload) => {
+      if (payload.jobId === jobId && onChunk) {
+        onChunk(payload);
+      }
+    };
+
+    this.events.on('job-update', updateListener);
+    this.events.on('job-chunk', chunkListener);
+
+    return () => {
+      this.events.off('job-update', updateListener);
+      this.events.off('job-chunk', chunkListener);
+    };
+  }
+
+  /**
+   * 判斷狀態是否為最終狀態
+   */
+  isTerminalStatus(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * 取得記憶體中最新的工作狀態
+   */
+  getLatestStatus(jobId) {
+    return this.jobStates.get(jobId)?.status || null;
+  }
+
+  /**
+   * 取得工作於佇列中的位置（1 起算，執行中為 0，不在佇列為 null）
+   */
+  getQueuePosition(jobId) {
+    if (this.activeJobs.has(jobId)) {
+      return 0;
+    }
+
+    const index = this.queue.findIndex(job => job.jobId === jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * 取得工作狀態（重新生成與章節改寫的狀態以工作進度為準，記錄在工作期間維持完成狀態）
+   * @returns {Promise<object|null>} - 工作不存在時回傳 null
+   */
+  async getJob(jobId) {
+    const recordId = this.parseJobId(jobId);
+    if (!recordId) {
+      return null;
+    }
+
+    const record = await databaseService.getSpecById(recordId);
+    if (!record) {
+      return null;
+    }
+
+    const canonicalJobId = this.getJobId(recordId);
+    const state = this.jobStates.get(canonicalJobId) || {};
+    const queuePosition = this.getQueuePosition(canonicalJobId);
+
+    let status = record.status;
+    if (queuePosition !== null) {
+      status = queuePosition === 0 ? JOB_STATUSES.PROCESSING : JOB_STATUSES.PENDING;
+    } else if (TERMINAL_STATUSES.includes(state.status)) {
+      status = state.status;
+    }
+    const isCompleted = status === JOB_STATUSES.COMPLETED;
+
+    return {
+      jobId: canonicalJobId,
+      id: record.id,
+      status,
+      queuePosition,
+      message: state.message || null,
+      error: status === JOB_STATUSES.FAILED ? (state.error || null) : null,
+      result: isCompleted ? {
+        generatedSpec: record.generated_spec,
+        processingTime: record.processing_time_ms,
+        outputLength: record.generated_spec ? record.generated_spec.length : 0,
+        version: Number(record.current_version || 0)
+      } : null,
+      templateId: record.template_id ?? null,
+      language: record.language ?? null,
+      createdAt: record.created_at,
+      updatedAt: record.updated_at
+    };
+  }
+
+  /**
+   * 伺服器重啟後將未完成的記錄重新排入佇列
+   */
+  async recoverPendingJobs() {
+    if (!JOB_QUEUE_CONFIG.recoverOnStartup) {
+      return 0;
+    }
+
+    const rows = await databaseService.getUnfinishedIdeas();
+
+    for (const row of rows) {
+      const recordId = Number(row.id);
+      if (this.activeJobs.has(this.getJobId(recordId)) || this.getQueuePosition(this.getJobId(recordId))) {
+        continue;
+      }
+
+      const request = this.parseIdeaRequest(row.refine_request);
+
+      if (row.status === JOB_STATUSES.PROCESSING && !request) {
+        await databaseService.updateIdea(recordId, {
+          status: JOB_STATUSES.PENDING,
+          processingTime: null
+        });
+      }
+
+      if (request?.regenerate) {
+        const { templateId = null, language, variables = {} } = request;
+        this.addToQueue(recordId, row.user_input, { templateId, language, variables }, { regenerate: true });
+        continue;
+      }
+
+      this.addToQueue(recordId, row.user_input, {
+        templateId: row.template_id ?? null,
+        language: row.language || undefined,
+        variables: templateService.parseVariables(row.template_variables, {})
+      }, { refine: request });
+    }
+
+    if (rows.length > 0) {
+      logger.info({ recovered: rows.length }, 'Re-queued unfinished generation jobs');
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * 解析保存的重新生成或章節改寫請求，格式錯誤時視為整份規格生成
+   * @returns {object|null} - { regenerate: true, templateId, language, variables } 或 { anchor, instructions }
+   */
+  parseIdeaRequest(raw) {
+    if (!raw) {
+      return null;
+    }
+
+    try {
+      const request = JSON.parse(raw);
+      return request && (request.regenerate === true || typeof request.anchor === 'string') ? request : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 取得佇列統計
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      queued: this.queue.length,
+      active: this.activeJobs.size,
+      trackedJobs: this.jobStates.size,
+      acceptingJobs: this.isAcceptingJobs
+    };
+  }
+
+  /**
+   * 停止接受新工作（未完成的記錄會在下次啟動時恢復）
+   */
+  shutdown() {
+    this.isAcceptingJobs = false;
+    this.queue = [];
+    logger.info({ active: this.activeJobs.size }, 'Job queue stopped accepting jobs');
+  }
+}
+
+// 創建單例實例
+const jobQueueService = new JobQueueService();
+
+export default jobQueueService;
@@ -0,0 +1,253 @@
+/**
+ * 資料庫遷移服務模組
+ * 依序執行 migrations/ 目錄中的版本化遷移腳本，並在 schema_migrations 記錄已套用的版本
+ */
+
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import pino from 'pino';
+
+const logger = pino();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// 檔名格式：<版本>_<名稱>.js，例如 001_create_ideas_and_metrics.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationService {
+  constructor() {
+    this.migrations = null;
+  }
+
+  /**
+   * 載入遷移腳本（依版本排序）
+   * @returns {Promise<Array<{version: number, name: string, up: Function, down: Function}>>}
+   */
+  async loadMigrations() {
+    if (this.migrations) {
+      return this.migrations;
+    }
+
+    const files = (await readdir(MIGRATIONS_DIR)).filter(file => MIGRATION_FILE_PATTERN.test(file));
+    const migrations = [];
+
+    for (const file of files) {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      migrations.push({ version: Number(version), name, up: module.up, down: module.down });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    const duplicate = migrations.find((migration, index) => index > 0 && migration.version === migrations[index - 1].version);
+    if (duplicate) {
+      throw new Error(`Duplicate migration version ${duplicate.version}`);
+    }
+
+    this.migrations = migrations;
+    return migrations;
+  }
+
+  /**
+   * 建立遷移記錄資料表
+   */
+  async ensureMigrationsTable(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * 取得已套用的遷移記錄
+   * @returns {Promise<Map<number, {version: number, name: string, applied_at: string}>>}
+   */
+  async getAppliedMigrations(db) {
+    await this.ensureMigrationsTable(db);
+    const result = await db.execute('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [Number(row.version), { ...row, version: Number(row.version) }]));
+  }
+
+  /**
+   * 取得遷移狀態
+   * @returns {Promise<Array<{version: number, name: string, status: string, appliedAt: string|null}>>}
+   *   status 為 applied、pending，或 missing（資料庫已套用但找不到腳本）
+   */
+  async getStatus(db) {
+    const migrations = await this.loadMigrations();
+    const applied = await this.getAppliedMigrations(db);
+    const known = new Set(migrations.map(migration => migration.version));
+
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      status: applied.has(migration.version) ? 'applied' : 'pending',
+      appliedAt: applied.get(migration.version)?.applied_at || null
+    }));
+
+    for (const row of applied.values()) {
+      if (!known.has(row.version)) {
+        status.push({ version: row.version, name: row.name, status: 'missing', appliedAt: row.applied_at });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * 取得尚未套用的遷移
+   */
+  async getPendingMigrations(db) {
+    const migrations = await this.loadMigrations();
+    const applied = await this.getAppliedMigrations(db);
+    return migrations.filter(migration => !applied.has(migration.version));
+  }
+
+  /**
+   * 套用所有尚未執行的遷移
+   * @param {object} db - libsql client
+   * @returns {Promise<Array<{version: number, name: string}>>} - 本次套用的遷移
+   */
+  async migrate(db) {
+    const pending = await this.getPendingMigrations(db);
+    const applied = [];
+
+    if (pending.length === 0) {
+      return applied;
+    }
+
+    await this.withForeignKeysDisabled(db, async () => {
+      for (const migration of pending) {
+        const ran = await this.runInTransaction(db, migration, 'up');
+        if (ran) {
+          applied.push({ version: migration.version, name: migration.name });
+        }
+      }
+    });
+
+    logger.info({ applied: applied.map(migration => migration.version) }, 'Database migrations applied');
+    return applied;
+  }
+
+  /**
+   * 回復已套用的遷移（由新到舊）
+   * @param {object} db - libsql client
+   * @param {object} options - { steps } 回復的數量，或 { to } 回復到指定版本（保留該版本，0 表示全部回復）
+   * @returns {Promise<Array<{version: number, name: string}>>} - 本次回復的遷移
+   * @throws {Error} - 需要回復的版本找不到遷移腳本時
+   */
+  async rollback(db, { steps = 1, to = null } = {}) {
+    const migrations = await this.loadMigrations();
+    const applied = await this.getAppliedMigrations(db);
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+    const appliedVersions = [...applied.keys()].sort((a, b) => b - a);
+    const targets = to === null
+      ? appliedVersions.slice(0, steps)
+      : appliedVersions.filter(version => version > to);
+
+    const missing = targets.find(version => !byVersion.has(version));
+    if (missing !== undefined) {
+      throw new Error(`Cannot roll back migration ${missing}: script not found`);
+    }
+
+    const rolledBack = [];
+
+    await this.withForeignKeysDisabled(db, async () => {
+      for (const version of targets) {
+        const migration = byVersion.get(version);
+        const ran = await this.runInTransaction(db, migration, 'down');
+        if (ran) {
+          rolledBack.push({ version: migration.version, name: migration.name });
+        }
+      }
+    });
+
+    logger.info({ rolledBack: rolledBack.map(migration => migration.version) }, 'Database migrations rolled back');
+    return rolledBack;
+  }
+
+  /**
+   * 在交易中執行單一遷移並更新記錄
+   * 取得寫入鎖後會重新檢查記錄，另一個程序已完成同一遷移時略過
+   * @returns {Promise<boolean>} - 是否實際執行
+   */
+  async runInTransaction(db, migration, direction) {
+    const tx = await db.transaction('write');
+
+    try {
+      const existing = await tx.execute({
+        sql: 'SELECT 1 FROM schema_migrations WHERE version = ?',
+        args: [migration.version]
+      });
+      const isApplied = existing.rows.length > 0;
+
+      if (isApplied === (direction === 'up')) {
+        await tx.rollback();
+        return false;
+      }
+
+      await migration[direction](tx);
+
+      if (direction === 'up') {
+        await tx.execute({
+          sql: 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          args: [migration.version, migration.name]
+        });
+      } else {
+        await tx.execute({
+          sql: 'DELETE FROM schema_migrations WHERE version = ?',
+          args: [migration.version]
+        });
+      }
+
+      await tx.commit();
+      logger.info({ version: migration.version, name: migration.name, direction }, 'Migration completed');
+      return true;
+    } catch (error) {
+      await tx.rollback();
+      logger.error({ error, version: migration.version, name: migration.name, direction }, 'Migration failed');
+      throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+    } finally {
+      tx.close();
+    }
+  }
+
+  /**
+   * 暫時停用外鍵約束
+   * 重建資料表時會刪除舊表，外鍵啟用時會連帶刪除 spec_versions 等子表資料；PRAGMA 無法在交易中切換
+   */
+  async withForeignKeysDisabled(db, callback) {
+    const result = await db.execute('PRAGMA foreign_keys');
+    const enabled = Number(result.rows[0]?.foreign_keys) === 1;
+
+    if (enabled) {
+      await db.execute('PRAGMA foreign_keys = OFF');
+    }
+
+    try {
+      return await callback();
+    } finally {
+      if (enabled) {
+        await db.execute('PRAGMA foreign_keys = ON');
+      }
+    }
+  }
+}
+
+// 創建單例實例
+const migrationService = new MigrationService();
+
+export default migrationService;
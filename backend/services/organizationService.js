@@ -0,0 +1,246 @@
+/**
+ * 專案與標籤服務模組
+ * 管理用來整理規格的專案（每份規格最多一個）與自由標籤
+ */
+
+import databaseService from './databaseService.js';
+import { createError } from '../utils/errorHandler.js';
+import pino from 'pino';
+
+const logger = pino();
+
+class OrganizationService {
+  /**
+   * 轉換專案資料列為 API 回應格式
+   */
+  toProjectResponse(row) {
+    return {
+      id: Number(row.id),
+      name: row.name,
+      description: row.description || '',
+      color: row.color || null,
+      specCount: Number(row.spec_count || 0),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * 轉換標籤資料列為 API 回應格式
+   */
+  toTagResponse(row) {
+    return {
+      id: Number(row.id),
+      name: row.name,
+      color: row.color || null,
+      specCount: Number(row.spec_count || 0),
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * 正規化標籤名稱：合併空白，並以不分大小寫的方式去除重複（保留第一次出現的寫法）
+   */
+  normalizeTagNames(names) {
+    const seen = new Set();
+    const result = [];
+
+    for (const name of names) {
+      const normalized = String(name).replace(/\s+/g, ' ').trim();
+      const key = normalized.toLowerCase();
+
+      if (normalized && !seen.has(key)) {
+        seen.add(key);
+        result.push(normalized);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 取得所有專案
+   */
+  async listProjects() {
+    const rows = await databaseService.getProjects();
+    return rows.map(row => this.toProjectResponse(row));
+  }
+
+  /**
+   * 取得單一專案
+   * @throws {AppError} - 專案不存在時拋出 notFound
+   */
+  async getProject(id) {
+    const row = await databaseService.getProjectById(id);
+
+    if (!row) {
+      throw createError.notFound('Project', id);
+    }
+
+    return this.toProjectResponse(row);
+  }
+
+  /**
+   * 創建專案
+   * @throws {AppError} - 名稱重複時拋出 duplicateEntry
+   */
+  async createProject(data) {
+    if (await databaseService.getProjectByName(data.name)) {
+      throw createError.duplicateEntry('name', data.name);
+    }
+
+    const id = Number(await databaseService.createProject(data));
+    logger.info({ id, name: data.name }, 'Project created');
+
+    return this.getProject(id);
+  }
+
+  /**
+   * 更新專案
+   * @throws {AppError} - 專案不存在時拋出 notFound，名稱與其他專案重複時拋出 duplicateEntry
+   */
+  async updateProject(id, updates) {
+    await this.getProject(id);
+
+    if (updates.name !== undefined) {
+      const existing = await databaseService.getProjectByName(updates.name);
+      if (existing && Number(existing.id) !== id) {
+        throw createError.duplicateEntry('name', updates.name);
+      }
+    }
+
+    await databaseService.updateProject(id, updates);
+    logger.info({ id }, 'Project updated');
+
+    return this.getProject(id);
+  }
+
+  /**
+   * 刪除專案（所屬規格改為未分類，不會被刪除）
+   * @returns {Promise<{unassignedSpecs: number}>}
+   */
+  async deleteProject(id) {
+    const project = await this.getProject(id);
+    const { unassignedSpecs } = await databaseService.deleteProject(id);
+    logger.info({ id, name: project.name, unassignedSpecs }, 'Project deleted');
+
+    return { unassignedSpecs };
+  }
+
+  /**
+   * 取得所有標籤
+   */
+  async listTags() {
+    const rows = await databaseService.getTags();
+    return rows.map(row => this.toTagResponse(row));
+  }
+
+  /**
+   * 取得單一標籤
+   * @throws {AppError} - 標籤不存在時拋出 notFound
+   */
+  async getTag(id) {
+    const row = await databaseService.getTagById(id);
+
+    if (!row) {
+      throw createError.notFound('Tag', id);
+    }
+
+    return this.toTagResponse(row);
+  }
+
+  /**
+   * 創建標籤
+   * @throws {AppError} - 名稱重複時拋出 duplicateEntry
+   */
+  async createTag(data) {
+    const [name] = this.normalizeTagNames([data.name]);
+
+    if (await databaseService.getTagByName(name)) {
+      throw createError.duplicateEntry('name', name);
+    }
+
+    const id = Number(await databaseService.createTag({ ...data, name }));
+    logger.info({ id, name }, 'Tag created');
+
+    return this.getTag(id);
+  }
+
+  /**
+   * 更新標籤（重新命名會套用到所有使用該標籤的規格）
+   * @throws {AppError} - 標籤不存在時拋出 notFound，名稱與其他標籤重複時拋出 duplicateEntry
+   */
+  async updateTag(id, updates) {
+    await this.getTag(id);
+
+    const changes = { ...updates };
+    if (updates.name !== undefined) {
+      [changes.name] = this.normalizeTagNames([updates.name]);
+
+      const existing = await databaseService.getTagByName(changes.name);
+      if (existing && Number(existing.id) !== id) {
+        throw createError.duplicateEntry('name', changes.name);
+      }
+    }
+
+    await databaseService.updateTag(id, changes);
+    logger.info({ id }, 'Tag updated');
+
+    return this.getTag(id);
+  }
+
+  /**
+   * 刪除標籤並從所有規格移除
+   */
+  async deleteTag(id) {
+    const tag = await this.getTag(id);
+    await databaseService.deleteTag(id);
+    logger.info({ id, name: tag.name, specCount: tag.specCount }, 'Tag deleted');
+
+    return true;
+  }
+
+  /**
+   * 設定規格所屬的專案
+   * @param {object} spec - ideas 記錄
+   * @param {number|null} projectId - 專案 ID，null 表示移出專案
+   * @returns {Promise<object|null>} - 專案，移出專案時為 null
+   * @throws {AppError} - 專案不存在時拋出 notFound
+   */
+  async setSpecProject(spec, projectId) {
+    const project = projectId === null ? null : await this.getProject(projectId);
+
+    await databaseService.setIdeaProject(spec.id, projectId);
+    logger.info({ specId: spec.id, projectId }, 'Specification project changed');
+
+    return project;
+  }
+
+  /**
+   * 以名稱取代規格的標籤
+   * @param {object} spec - ideas 記錄
+   * @param {string[]} names - 標籤名稱，不存在的標籤會自動建立
+   * @returns {Promise<Array<{id: number, name: string, color: string|null}>>} - 規格目前的標籤
+   */
+  async setSpecTags(spec, names) {
+    const tags = this.normalizeTagNames(names);
+
+    await databaseService.setIdeaTags(spec.id, tags);
+    logger.info({ specId: spec.id, tags }, 'Specification tags changed');
+
+    return this.getSpecTags(spec.id);
+  }
+
+  /**
+   * 取得規格的標籤
+   */
+  async getSpecTags(specId) {
+    const tagsByIdea = await databaseService.getTagsForIdeas([Number(specId)]);
+    return tagsByIdea.get(Number(specId)) || [];
+  }
+}
+
+// 創建單例實例
+const organizationService = new OrganizationService();
+
+export default organizationService;
@@ -0,0 +1,141 @@
+/**
+ * LLM 提供者基礎類別
+ * 定義所有提供者共用的介面、重試與 HTTP 呼叫邏輯
+ */
+
+import { createAbortError, isAbortError, waitWithSignal } from '../../utils/geminiSafe.js';
+import { requestJson, sendRequest } from '../../utils/httpClient.js';
+import pino from 'pino';
+
+const logger = pino();
+
+export class BaseProvider {
+  /**
+   * @param {string} name - 提供者識別名稱（對應 LLM_PROVIDERS）
+   * @param {string} displayName - 顯示名稱
+   * @param {object} config - 提供者設定
+   */
+  constructor(name, displayName, config = {}) {
+    this.name = name;
+    this.displayName = displayName;
+    this.config = config;
+    this.model = config.model || null;
+  }
+
+  /**
+   * 檢查提供者狀態，子類別必須實作
+   * @returns {Promise<{available: boolean, configured: boolean, version?: string|null, error?: string}>}
+   */
+  async checkStatus() {
+    throw new Error(`${this.displayName} provider must implement checkStatus()`);
+  }
+
+  /**
+   * 執行單次生成，子類別必須實作
+   * @param {string} prompt - 要送出的 prompt
+   * @param {object} options - 執行選項（timeout, jobId, emitJobUpdate, signal, onChunk, attempt）
+   * @returns {Promise<string>} - 模型原始輸出
+   */
+  async execute(prompt, options = {}) {
+    throw new Error(`${this.displayName} provider must implement execute()`);
+  }
+
+  /**
+   * 以重試機制生成內容
+   * @param {string} prompt - 要送出的 prompt
+   * @param {object} options - 選項設定（timeout, maxRetries, retryDelay, jobId, emitJobUpdate, signal, onChunk）
+   * @returns {Promise<string>} - 模型原始輸出
+   * @throws {Error} - 當所有嘗試皆失敗時拋出錯誤；取消時拋出 AbortError
+   */
+  async generate(prompt, options = {}) {
+    const { maxRetries = 2, retryDelay = 1000, jobId = null, emitJobUpdate = null, signal = null } = options;
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+
+      try {
+        if (jobId && emitJobUpdate) {
+          emitJobUpdate(jobId, 'processing', {
+            message: `嘗試 ${attempt}: 正在調用 ${this.displayName}...`,
+            attempt
+          });
+        }
+
+        return await this.execute(prompt, { ...options, attempt });
+      } catch (error) {
+        // 已取消的工作不再重試
+        if (signal?.aborted || isAbortError(error)) {
+          throw createAbortError();
+        }
+
+        logger.warn({
+          provider: this.name,
+          attempt,
+          error: error.message
+        }, 'LLM provider execution failed');
+
+        if (attempt <= maxRetries) {
+          await waitWithSignal(retryDelay * attempt, signal);
+          continue;
+        }
+
+        throw new Error(`${this.displayName} 執行失敗: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 發送 JSON 請求並解析回應（見 utils/httpClient.js）
+   * @param {string} url - 請求網址
+   * @param {object} options - fetch 選項，另支援 body（物件）、timeout 與 signal（取消訊號）
+   * @returns {Promise<object>} - 解析後的 JSON
+   */
+  async requestJson(url, options = {}) {
+    return requestJson(url, options);
+  }
+
+  /**
+   * 發送請求並逐行讀取串流回應（NDJSON 或 text/event-stream）
+   * @param {string} url - 請求網址
+   * @param {object} options - 與 requestJson 相同的選項
+   * @param {Function} onLine - 每收到一個非空白行時呼叫
+   * @returns {Promise<void>}
+   */
+  async requestStream(url, options, onLine) {
+    const response = await sendRequest(url, options);
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) {
+          onLine(line.trim());
+        }
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      onLine(buffer.trim());
+    }
+  }
+
+  /**
+   * 取得提供者摘要資訊
+   */
+  describe() {
+    return {
+      name: this.name,
+      displayName: this.displayName,
+      model: this.model
+    };
+  }
+}
+
+export default BaseProvider;
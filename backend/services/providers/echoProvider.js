@@ -0,0 +1,101 @@
+/**
+ * Echo / Fixture 提供者
+ * 不連網、輸出固定的提供者，用於離線開發與自動化測試
+ */
+
+import { promises as fs } from 'fs';
+import { LLM_PROVIDERS } from '../../config/serverConfig.js';
+import { BaseProvider } from './baseProvider.js';
+import { waitWithSignal } from '../../utils/geminiSafe.js';
+
+export class EchoProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(LLM_PROVIDERS.ECHO, 'Echo fixture', config);
+    this.model = config.fixturePath ? 'fixture' : 'echo';
+  }
+
+  /**
+   * fixture 檔案可讀取即視為可用
+   */
+  async checkStatus() {
+    if (!this.config.fixturePath) {
+      return { available: true, configured: true, version: null };
+    }
+
+    try {
+      await fs.access(this.config.fixturePath);
+      return { available: true, configured: true, version: null };
+    } catch (error) {
+      return { available: false, configured: false, version: null, error: `Fixture not readable: ${error.message}` };
+    }
+  }
+
+  /**
+   * 回傳 fixture 內容或依 prompt 產生的固定規格；提供 onChunk 時逐行送出並平均分配延遲
+   */
+  async execute(prompt, options = {}) {
+    const { signal = null, onChunk = null, attempt = 1 } = options;
+
+    const output = this.config.fixturePath
+      ? (await fs.readFile(this.config.fixturePath, 'utf8')).trim()
+      : this.buildEchoSpecification(prompt);
+
+    if (!onChunk) {
+      if (this.config.delayMs > 0) {
+        await waitWithSignal(this.config.delayMs, signal);
+      }
+      return output;
+    }
+
+    const chunks = output.match(/[^\n]*\n|[^\n]+$/g) || [];
+    const chunkDelay = this.config.delayMs > 0 ? this.config.delayMs / Math.max(chunks.length, 1) : 0;
+
+    for (const chunk of chunks) {
+      await waitWithSignal(chunkDelay, signal);
+      onChunk(chunk, attempt);
+    }
+
+    return output;
+  }
+
+  /**
+   * 依 prompt 產生固定格式的 Markdown 規格
+   * @param {string} prompt - 原始 prompt
+   * @returns {string} - 與輸入一一對應的輸出
+   */
+  buildEchoSpecification(prompt) {
+    const subject = prompt.match(/「([\s\S]+?)」/)?.[1] || prompt;
+
+    return [
+      `# ${subject.substring(0, 80)}`,
+      '',
+      '## 專案概述',
+      '',
+      subject,
+      '',
+      '## 功能需求',
+      '',
+      '- 核心功能一',
+      '- 核心功能二',
+      '',
+      '## 技術架構',
+      '',
+      '- 前端：React',
+      '- 後端：Node.js / Express',
+      '',
+      '## 開發階段',
+      '',
+      '1. 需求分析',
+      '2. 開發與測試',
+      '3. 部署上線',
+      '',
+      '## Prompt',
+      '',
+      '```text',
+      prompt,
+      '```'
+    ].join('\n');
+  }
+}
+
+export default EchoProvider;
@@ -0,0 +1,82 @@
+/**
+ * Gemini CLI 提供者
+ * 透過 utils/geminiSafe.js 安全地呼叫本機 gemini 指令
+ */
+
+import { spawn } from 'child_process';
+import { checkGeminiAvailability, testGeminiBasicFunction, runGeminiPrompt } from '../../utils/geminiSafe.js';
+import { LLM_PROVIDERS } from '../../config/serverConfig.js';
+import { BaseProvider } from './baseProvider.js';
+import pino from 'pino';
+
+const logger = pino();
+
+export class GeminiCliProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(LLM_PROVIDERS.GEMINI_CLI, 'Gemini CLI', config);
+  }
+
+  /**
+   * 檢查 CLI 是否安裝及可正常回應
+   */
+  async checkStatus() {
+    const available = await checkGeminiAvailability();
+    let configured = false;
+    let version = null;
+
+    if (available) {
+      try {
+        configured = await testGeminiBasicFunction();
+        version = await this.getVersion();
+      } catch (error) {
+        logger.warn({ error }, 'Failed to test Gemini configuration');
+      }
+    }
+
+    return { available, configured, version };
+  }
+
+  /**
+   * 生成內容（沿用 geminiSafe 內建的重試機制）
+   */
+  async generate(prompt, options = {}) {
+    return runGeminiPrompt(prompt, options);
+  }
+
+  /**
+   * 取得 Gemini CLI 版本
+   */
+  async getVersion() {
+    try {
+      return await new Promise((resolve, reject) => {
+        const versionProcess = spawn(this.config.command || 'gemini', ['--version'], {
+          timeout: 5000,
+          stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        let output = '';
+
+        versionProcess.stdout.on('data', (data) => {
+          output += data.toString();
+        });
+
+        versionProcess.on('close', (code) => {
+          if (code === 0) {
+            resolve(output.trim());
+          } else {
+            reject(new Error(`Version check failed with code ${code}`));
+          }
+        });
+
+        versionProcess.on('error', (error) => {
+          reject(error);
+        });
+      });
+    } catch (error) {
+      logger.debug({ error }, 'Failed to get Gemini version');
+      return null;
+    }
+  }
+}
+
+export default GeminiCliProvider;
@@ -0,0 +1,46 @@
+/**
+ * LLM 提供者註冊表
+ * 依 serverConfig.js 的 LLM_CONFIG 建立對應的提供者實例
+ */
+
+import { LLM_CONFIG, LLM_PROVIDERS } from '../../config/serverConfig.js';
+import { GeminiCliProvider } from './geminiCliProvider.js';
+import { OpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+import { OllamaProvider } from './ollamaProvider.js';
+import { LlamaCppProvider } from './llamaCppProvider.js';
+import { EchoProvider } from './echoProvider.js';
+
+const PROVIDER_CLASSES = {
+  [LLM_PROVIDERS.GEMINI_CLI]: GeminiCliProvider,
+  [LLM_PROVIDERS.OPENAI_COMPATIBLE]: OpenAICompatibleProvider,
+  [LLM_PROVIDERS.OLLAMA]: OllamaProvider,
+  [LLM_PROVIDERS.LLAMA_CPP]: LlamaCppProvider,
+  [LLM_PROVIDERS.ECHO]: EchoProvider
+};
+
+/**
+ * 建立 LLM 提供者
+ * @param {string} name - 提供者名稱，預設為 LLM_CONFIG.provider
+ * @returns {BaseProvider} - 提供者實例
+ * @throws {Error} - 未知的提供者名稱
+ */
+export function createProvider(name = LLM_CONFIG.provider) {
+  const ProviderClass = PROVIDER_CLASSES[name];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  return new ProviderClass(LLM_CONFIG.providers[name] || {});
+}
+
+/**
+ * 取得所有支援的提供者名稱
+ */
+export function getSupportedProviders() {
+  return Object.keys(PROVIDER_CLASSES);
+}
+
+export default {
+  createProvider,
+  getSupportedProviders
+};
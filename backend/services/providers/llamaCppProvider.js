@@ -0,0 +1,70 @@
+/**
+ * llama.cpp 伺服器提供者
+ * 使用 llama-server 的 /health 與 /completion 端點
+ */
+
+import { LLM_PROVIDERS } from '../../config/serverConfig.js';
+import { BaseProvider } from './baseProvider.js';
+
+export class LlamaCppProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(LLM_PROVIDERS.LLAMA_CPP, 'llama.cpp server', config);
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+  }
+
+  /**
+   * 確認 llama-server 已載入模型
+   */
+  async checkStatus() {
+    try {
+      const health = await this.requestJson(`${this.baseUrl}/health`, { timeout: 5000 });
+
+      return {
+        available: true,
+        configured: health.status === 'ok',
+        version: null
+      };
+    } catch (error) {
+      return { available: false, configured: false, version: null, error: error.message };
+    }
+  }
+
+  /**
+   * 呼叫 /completion（提供 onChunk 時改用串流模式）
+   */
+  async execute(prompt, options = {}) {
+    const { timeout = 180000, signal = null, onChunk = null, attempt = 1 } = options;
+    const body = {
+      prompt,
+      n_predict: this.config.maxTokens,
+      stream: Boolean(onChunk)
+    };
+
+    let content = '';
+
+    if (onChunk) {
+      await this.requestStream(`${this.baseUrl}/completion`, { timeout, signal, body }, (line) => {
+        if (!line.startsWith('data:')) {
+          return;
+        }
+
+        const result = JSON.parse(line.replace(/^data:\s*/, ''));
+        if (result.content) {
+          content += result.content;
+          onChunk(result.content, attempt);
+        }
+      });
+    } else {
+      const result = await this.requestJson(`${this.baseUrl}/completion`, { timeout, signal, body });
+      content = result.content;
+    }
+
+    if (!content || typeof content !== 'string') {
+      throw new Error('Empty completion returned');
+    }
+
+    return content.trim();
+  }
+}
+
+export default LlamaCppProvider;
@@ -0,0 +1,76 @@
+/**
+ * Ollama 本機模型提供者
+ * 使用 Ollama 原生 /api/generate 與 /api/tags 端點
+ */
+
+import { LLM_PROVIDERS } from '../../config/serverConfig.js';
+import { BaseProvider } from './baseProvider.js';
+
+export class OllamaProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(LLM_PROVIDERS.OLLAMA, 'Ollama', config);
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+  }
+
+  /**
+   * 確認 Ollama 伺服器可連線且已下載指定模型
+   */
+  async checkStatus() {
+    try {
+      const [tags, version] = await Promise.all([
+        this.requestJson(`${this.baseUrl}/api/tags`, { timeout: 5000 }),
+        this.requestJson(`${this.baseUrl}/api/version`, { timeout: 5000 }).catch(() => ({}))
+      ]);
+      const models = (tags.models || []).map(model => model.name);
+      const configured = models.some(name => name === this.model || name.split(':')[0] === this.model);
+
+      return {
+        available: true,
+        configured,
+        version: version.version || null,
+        models: models.slice(0, 20),
+        error: configured ? undefined : `Model ${this.model} is not pulled`
+      };
+    } catch (error) {
+      return { available: false, configured: false, version: null, error: error.message };
+    }
+  }
+
+  /**
+   * 呼叫 /api/generate（提供 onChunk 時改用 NDJSON 串流模式）
+   */
+  async execute(prompt, options = {}) {
+    const { timeout = 180000, signal = null, onChunk = null, attempt = 1 } = options;
+    const body = {
+      model: this.model,
+      prompt,
+      stream: Boolean(onChunk)
+    };
+
+    let content = '';
+
+    if (onChunk) {
+      await this.requestStream(`${this.baseUrl}/api/generate`, { timeout, signal, body }, (line) => {
+        const result = JSON.parse(line);
+        if (result.error) {
+          throw new Error(result.error);
+        }
+        if (result.response) {
+          content += result.response;
+          onChunk(result.response, attempt);
+        }
+      });
+    } else {
+      const result = await this.requestJson(`${this.baseUrl}/api/generate`, { timeout, signal, body });
+      content = result.response;
+    }
+
+    if (!content || typeof content !== 'string') {
+      throw new Error('Empty response returned');
+    }
+
+    return content.trim();
+  }
+}
+
+export default OllamaProvider;
@@ -0,0 +1,94 @@
+/**
+ * OpenAI 相容 HTTP 提供者
+ * 支援任何實作 /chat/completions 的端點（OpenAI、Azure 代理、vLLM、LM Studio 等）
+ */
+
+import { LLM_PROVIDERS } from '../../config/serverConfig.js';
+import { BaseProvider } from './baseProvider.js';
+
+export class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(LLM_PROVIDERS.OPENAI_COMPATIBLE, 'OpenAI-compatible API', config);
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+  }
+
+  /**
+   * 組合請求標頭
+   */
+  getHeaders() {
+    return this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {};
+  }
+
+  /**
+   * 透過 /models 端點確認服務可用
+   */
+  async checkStatus() {
+    try {
+      const result = await this.requestJson(`${this.baseUrl}/models`, {
+        headers: this.getHeaders(),
+        timeout: 5000
+      });
+      const models = Array.isArray(result.data) ? result.data.map(model => model.id) : [];
+
+      return {
+        available: true,
+        configured: models.length === 0 || models.includes(this.model),
+        version: null,
+        models: models.slice(0, 20)
+      };
+    } catch (error) {
+      return { available: false, configured: false, version: null, error: error.message };
+    }
+  }
+
+  /**
+   * 呼叫 chat completions 端點（提供 onChunk 時改用串流模式）
+   */
+  async execute(prompt, options = {}) {
+    const { timeout = 180000, signal = null, onChunk = null, attempt = 1 } = options;
+    const body = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: this.config.temperature,
+      max_tokens: this.config.maxTokens
+    };
+
+    let content = '';
+
+    if (onChunk) {
+      await this.requestStream(`${this.baseUrl}/chat/completions`, {
+        headers: this.getHeaders(),
+        timeout,
+        signal,
+        body: { ...body, stream: true }
+      }, (line) => {
+        const data = line.replace(/^data:\s*/, '');
+        if (!line.startsWith('data:') || data === '[DONE]') {
+          return;
+        }
+
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onChunk(delta, attempt);
+        }
+      });
+    } else {
+      const result = await this.requestJson(`${this.baseUrl}/chat/completions`, {
+        headers: this.getHeaders(),
+        timeout,
+        signal,
+        body
+      });
+      content = result.choices?.[0]?.message?.content;
+    }
+
+    if (!content || typeof content !== 'string') {
+      throw new Error('Empty completion returned');
+    }
+
+    return content.trim();
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,175 @@
+/**
+ * 角色服務模組
+ * 管理保存在 roles 資料表的角色與權限；權限保存在記憶體快取中，供每個請求同步查詢
+ */
+
+import { RBAC_CONFIG } from '../config/serverConfig.js';
+import { createError } from '../utils/errorHandler.js';
+import databaseService from './databaseService.js';
+import pino from 'pino';
+
+const logger = pino();
+
+/**
+ * 解析以 JSON 保存的權限清單
+ */
+const parsePermissions = (value) => {
+  try {
+    const permissions = JSON.parse(value || '[]');
+    return Array.isArray(permissions) ? permissions : [];
+  } catch {
+    return [];
+  }
+};
+
+class RoleService {
+  constructor() {
+    // 角色名稱（小寫）對應權限
+    this.permissions = new Map();
+  }
+
+  /**
+   * 從資料庫載入角色權限
+   * @returns {Promise<string[]>} - 角色名稱
+   */
+  async initialize() {
+    await this.refresh();
+    return [...this.permissions.keys()];
+  }
+
+  /**
+   * 重新載入角色權限快取
+   */
+  async refresh() {
+    const rows = await databaseService.getRoles();
+    this.permissions = new Map(rows.map(row => [row.name.toLowerCase(), parsePermissions(row.permissions)]));
+  }
+
+  /**
+   * 取得角色的權限（未知角色沒有任何權限）
+   * @returns {string[]}
+   */
+  getPermissions(role) {
+    return this.permissions.get(String(role || '').toLowerCase()) || [];
+  }
+
+  /**
+   * 轉換角色資料列為 API 回應格式
+   */
+  toRoleResponse(row) {
+    return {
+      name: row.name,
+      description: row.description || '',
+      permissions: parsePermissions(row.permissions),
+      builtin: Boolean(row.is_builtin),
+      userCount: Number(row.user_count || 0),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * 取得所有角色與可指派的權限
+   */
+  async listRoles() {
+    const rows = await databaseService.getRoles();
+
+    return {
+      roles: rows.map(row => this.toRoleResponse(row)),
+      permissions: RBAC_CONFIG.permissions
+    };
+  }
+
+  /**
+   * 取得角色資料列，不存在時拋出 notFound
+   */
+  async findRole(name) {
+    const row = await databaseService.getRole(name);
+
+    if (!row) {
+      throw createError.notFound('Role', name);
+    }
+
+    return row;
+  }
+
+  /**
+   * 取得特定角色
+   */
+  async getRole(name) {
+    return this.toRoleResponse(await this.findRole(name));
+  }
+
+  /**
+   * 確認角色存在（指派給使用者或邀請前）
+   * @returns {Promise<string>} - 資料庫中的角色名稱
+   */
+  async assertRole(name) {
+    const row = await databaseService.getRole(name);
+
+    if (!row) {
+      throw createError.validation(`Unknown role: ${name}`, 'role');
+    }
+
+    return row.name;
+  }
+
+  /**
+   * 建立角色
+   * @param {object} data - { name, description, permissions }
+   */
+  async createRole(data) {
+    if (await databaseService.getRole(data.name)) {
+      throw createError.duplicateEntry('role', data.name);
+    }
+
+    await databaseService.createRole(data);
+    await this.refresh();
+
+    logger.info({ role: data.name, permissions: data.permissions }, 'Role created');
+    return this.getRole(data.name);
+  }
+
+  /**
+   * 更新角色的說明或權限（admin 角色的權限不可變更）
+   */
+  async updateRole(name, updates) {
+    const row = await this.findRole(name);
+
+    if (updates.permissions !== undefined && row.name === RBAC_CONFIG.adminRole) {
+      throw createError.conflict('Role', 'The permissions of the admin role cannot be changed');
+    }
+
+    await databaseService.updateRole(row.name, updates);
+    await this.refresh();
+
+    logger.info({ role: row.name, updates: Object.keys(updates) }, 'Role updated');
+    return this.getRole(row.name);
+  }
+
+  /**
+   * 刪除角色（內建角色與仍有使用者或邀請的角色不可刪除）
+   */
+  async deleteRole(name) {
+    const row = await this.findRole(name);
+
+    if (row.is_builtin) {
+      throw createError.conflict('Role', 'Built-in roles cannot be deleted');
+    }
+
+    const assignments = await databaseService.countRoleAssignments(row.name);
+    if (assignments > 0) {
+      throw createError.conflict('Role', `The role is still assigned to ${assignments} user(s) or invitation(s)`);
+    }
+
+    await databaseService.deleteRole(row.name);
+    await this.refresh();
+
+    logger.info({ role: row.name }, 'Role deleted');
+  }
+}
+
+// 創建單例實例
+const roleService = new RoleService();
+
+export default roleService;
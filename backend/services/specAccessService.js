@@ -0,0 +1,213 @@
+/**
+ * 規格存取控制服務模組
+ * 依擁有者、可見度與個別分享決定使用者對規格的權限，並提供列表查詢用的存取條件
+ */
+
+import databaseService from './databaseService.js';
+import { SPEC_ACCESS_CONFIG } from '../config/serverConfig.js';
+import { createError } from '../utils/errorHandler.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const FULL_ACCESS = { view: true, edit: true, delete: true, manage: true };
+const NO_ACCESS = { view: false, edit: false, delete: false, manage: false };
+
+class SpecAccessService {
+  /**
+   * 取得使用者帳號 ID（本地預設使用者與沒有建立者的 API 金鑰沒有帳號）
+   */
+  getUserId(user) {
+    return Number.isInteger(user?.id) ? user.id : null;
+  }
+
+  /**
+   * 是否可存取所有規格（具有 * 權限：管理員與本地預設使用者）
+   */
+  canAccessAll(user) {
+    return Boolean(user?.permissions?.includes('*'));
+  }
+
+  /**
+   * 取得新規格的擁有者與可見度；沒有帳號的呼叫者建立的規格沒有擁有者，對所有人可見
+   * @returns {{ownerId: number|null, visibility: string}}
+   */
+  getNewSpecOwnership(user) {
+    const ownerId = this.getUserId(user);
+    return { ownerId, visibility: ownerId === null ? 'team' : SPEC_ACCESS_CONFIG.defaultVisibility };
+  }
+
+  /**
+   * 取得規格列表的存取條件（以 ideas 資料表欄位表示，可直接加入 WHERE）
+   * 沒有帳號的呼叫者只能看到 team 規格
+   * @returns {{key: string, where: string, params: Array}|null} - 可存取所有規格時回傳 null
+   */
+  getScope(user) {
+    if (this.canAccessAll(user)) {
+      return null;
+    }
+
+    const userId = this.getUserId(user);
+    if (userId === null) {
+      return { key: 'team', where: "ideas.visibility = 'team'", params: [] };
+    }
+
+    return {
+      key: `user-${userId}`,
+      where: `(ideas.owner_id = ? OR ideas.visibility = 'team'
+        OR EXISTS (SELECT 1 FROM spec_shares s WHERE s.idea_id = ideas.id AND s.user_id = ?))`,
+      params: [userId, userId]
+    };
+  }
+
+  /**
+   * 計算使用者對規格的權限
+   * 擁有者具有所有權限；edit 分享可檢視與編輯；view 分享或 team 可見度只能檢視
+   * @param {string|null} sharePermission - 分享給該使用者的權限
+   * @returns {{view: boolean, edit: boolean, delete: boolean, manage: boolean}}
+   */
+  getAccess(user, spec, sharePermission = null) {
+    if (this.canAccessAll(user)) {
+      return FULL_ACCESS;
+    }
+
+    const userId = this.getUserId(user);
+    if (userId === null) {
+      return { ...NO_ACCESS, view: spec.visibility === 'team' };
+    }
+
+    if (spec.owner_id !== null && Number(spec.owner_id) === userId) {
+      return FULL_ACCESS;
+    }
+
+    const canEdit = sharePermission === 'edit';
+    return {
+      view: canEdit || sharePermission === 'view' || spec.visibility === 'team',
+      edit: canEdit,
+      delete: false,
+      manage: false
+    };
+  }
+
+  /**
+   * 確認使用者可對規格執行操作
+   * 無法檢視時視為不存在（不透露規格是否存在），可檢視但不可執行該操作時拋出 accessDenied
+   * @param {string} action - view、edit、delete 或 manage
+   * @returns {Promise<object>} - 規格記錄
+   */
+  async assertAccess(user, id, action = 'view') {
+    const spec = await databaseService.getSpecById(id);
+
+    if (!spec) {
+      throw createError.notFound('Specification', id);
+    }
+
+    const userId = this.getUserId(user);
+    const share = userId !== null && !this.canAccessAll(user) ? await databaseService.getSpecShare(id, userId) : null;
+    const access = this.getAccess(user, spec, share?.permission);
+
+    if (!access.view) {
+      throw createError.notFound('Specification', id);
+    }
+
+    if (!access[action]) {
+      throw createError.accessDenied('Specification');
+    }
+
+    return spec;
+  }
+
+  /**
+   * 將指定的規格 ID 分為可刪除與不可刪除（不存在或不屬於該使用者）
+   * @returns {Promise<{allowed: number[], denied: number[]}>}
+   */
+  async partitionDeletable(user, ids) {
+    if (this.canAccessAll(user)) {
+      return { allowed: ids, denied: [] };
+    }
+
+    const userId = this.getUserId(user);
+    const owned = new Set(userId === null ? [] : await databaseService.getOwnedSpecIds(ids, userId));
+
+    return {
+      allowed: ids.filter(id => owned.has(id)),
+      denied: ids.filter(id => !owned.has(id))
+    };
+  }
+
+  /**
+   * 轉換分享資料列為 API 回應格式
+   */
+  toShareResponse(row) {
+    return {
+      userId: Number(row.user_id),
+      username: row.username,
+      displayName: row.display_name || null,
+      permission: row.permission,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * 取得規格的擁有者、可見度與分享
+   */
+  async getSharing(spec) {
+    const ownerId = spec.owner_id === null ? null : Number(spec.owner_id);
+    const owner = ownerId === null ? null : await databaseService.getUserById(ownerId);
+
+    return {
+      id: Number(spec.id),
+      ownerId,
+      owner: owner ? { id: ownerId, username: owner.username, displayName: owner.display_name || null } : null,
+      visibility: spec.visibility,
+      shares: (await databaseService.getSpecShares(spec.id)).map(row => this.toShareResponse(row))
+    };
+  }
+
+  /**
+   * 設定規格可見度
+   */
+  async setVisibility(spec, visibility) {
+    await databaseService.setSpecVisibility(spec.id, visibility);
+    logger.info({ specId: Number(spec.id), visibility }, 'Specification visibility changed');
+
+    return this.getSharing({ ...spec, visibility });
+  }
+
+  /**
+   * 分享規格給使用者（以使用者名稱或電子郵件指定）；已分享時更新權限
+   */
+  async shareSpec(spec, { username, permission }, createdBy = null) {
+    const row = await databaseService.getUserByLogin(username);
+
+    if (!row || !row.active) {
+      throw createError.notFound('User', username);
+    }
+
+    if (spec.owner_id !== null && Number(spec.owner_id) === Number(row.id)) {
+      throw createError.validation('The owner already has full access to the specification', 'username');
+    }
+
+    await databaseService.upsertSpecShare(spec.id, row.id, permission, createdBy);
+    logger.info({ specId: Number(spec.id), userId: Number(row.id), permission }, 'Specification shared');
+
+    return this.getSharing(spec);
+  }
+
+  /**
+   * 取消分享規格給使用者
+   */
+  async removeShare(spec, userId) {
+    if (!await databaseService.deleteSpecShare(spec.id, userId)) {
+      throw createError.notFound('Share', userId);
+    }
+
+    logger.info({ specId: Number(spec.id), userId }, 'Specification share removed');
+    return this.getSharing(spec);
+  }
+}
+
+// 創建單例實例
+const specAccessService = new SpecAccessService();
+
+export default specAccessService;
@@ -0,0 +1,298 @@
+/**
+ * 提示範本服務模組
+ * 管理內建與自訂提示範本，並在生成時將範本、變數與輸出語言組合成最終 prompt
+ */
+
+import databaseService from './databaseService.js';
+import { BUILTIN_PROMPT_TEMPLATES } from '../config/promptTemplates.js';
+import { PROMPT_TEMPLATE_CONFIG, DEFAULT_OUTPUT_LANGUAGE } from '../config/serverConfig.js';
+import { buildSpecificationPrompt, getOutputLanguage } from '../utils/geminiSafe.js';
+import { validateAndSanitizeInput } from '../utils/validators.js';
+import { createError } from '../utils/errorHandler.js';
+import pino from 'pino';
+
+const logger = pino();
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+class TemplateService {
+  /**
+   * 寫入內建範本（每次啟動同步最新內容）
+   */
+  async initialize() {
+    for (const template of BUILTIN_PROMPT_TEMPLATES) {
+      await databaseService.upsertBuiltinPromptTemplate({
+        language: DEFAULT_OUTPUT_LANGUAGE,
+        ...template
+      });
+    }
+
+    logger.info({ count: BUILTIN_PROMPT_TEMPLATES.length }, 'Built-in prompt templates synchronized');
+  }
+
+  /**
+   * 轉換資料列為 API 回應格式
+   */
+  toResponse(row) {
+    return {
+      id: Number(row.id),
+      name: row.name,
+      title: row.title,
+      description: row.description || '',
+      body: row.body,
+      variables: this.parseVariables(row.variables),
+      language: row.language || DEFAULT_OUTPUT_LANGUAGE,
+      isBuiltin: Boolean(row.is_builtin),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * 解析以 JSON 儲存的欄位，格式錯誤時回傳預設值
+   */
+  parseVariables(value, fallback = []) {
+    if (!value) {
+      return fallback;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch {
+      return fallback;
+    }
+  }
+
+  /**
+   * 取得所有範本
+   */
+  async list() {
+    const rows = await databaseService.getPromptTemplates();
+    return rows.map(row => this.toResponse(row));
+  }
+
+  /**
+   * 以 ID 或名稱查找範本資料列
+   * @returns {Promise<object|null>}
+   */
+  async findRow(idOrName) {
+    if (typeof idOrName === 'number' || /^\d+$/.test(String(idOrName))) {
+      return databaseService.getPromptTemplateById(Number(idOrName));
+    }
+
+    return databaseService.getPromptTemplateByName(String(idOrName));
+  }
+
+  /**
+   * 取得單一範本
+   * @throws {AppError} - 範本不存在時拋出 notFound
+   */
+  async get(idOrName) {
+    const row = await this.findRow(idOrName);
+
+    if (!row) {
+      throw createError.notFound('Template', idOrName);
+    }
+
+    return this.toResponse(row);
+  }
+
+  /**
+   * 驗證範本內容：必須包含 {{idea}}，且只能引用保留變數或已宣告的變數
+   * @throws {AppError} - 驗證失敗時拋出 validation 錯誤
+   */
+  validateDefinition({ body, variables = [] }) {
+    const declared = new Set();
+
+    for (const variable of variables) {
+      if (PROMPT_TEMPLATE_CONFIG.reservedVariables.includes(variable.name)) {
+        throw createError.validation(`Variable name "${variable.name}" is reserved`, 'variables');
+      }
+      if (declared.has(variable.name)) {
+        throw createError.validation(`Variable "${variable.name}" is declared more than once`, 'variables');
+      }
+      declared.add(variable.name);
+    }
+
+    const placeholders = [...body.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+
+    if (!placeholders.includes('idea')) {
+      throw createError.validation('Template body must contain the {{idea}} placeholder', 'body');
+    }
+
+    const undeclared = placeholders.filter(name =>
+      !PROMPT_TEMPLATE_CONFIG.reservedVariables.includes(name) && !declared.has(name)
+    );
+
+    if (undeclared.length > 0) {
+      throw createError.validation(`Template body uses undeclared variables: ${[...new Set(undeclared)].join(', ')}`, 'body');
+    }
+  }
+
+  /**
+   * 創建自訂範本
+   */
+  async create(data) {
+    this.validateDefinition(data);
+
+    if (await databaseService.getPromptTemplateByName(data.name)) {
+      throw createError.duplicateEntry('name', data.name);
+    }
+
+    const id = Number(await databaseService.createPromptTemplate(data));
+    logger.info({ id, name: data.name }, 'Prompt template created');
+
+    return this.get(id);
+  }
+
+  /**
+   * 更新自訂範本
+   * @throws {AppError} - 範本不存在或為內建範本時拋出錯誤
+   */
+  async update(id, updates) {
+    const row = await this.getEditableRow(id);
+
+    this.validateDefinition({
+      body: updates.body ?? row.body,
+      variables: updates.variables ?? this.parseVariables(row.variables)
+    });
+
+    await databaseService.updatePromptTemplate(row.id, updates);
+    logger.info({ id: row.id }, 'Prompt template updated');
+
+    return this.get(row.id);
+  }
+
+  /**
+   * 刪除自訂範本（已使用該範本的記錄保留原本的 template_id）
+   */
+  async delete(id) {
+    const row = await this.getEditableRow(id);
+    await databaseService.deletePromptTemplate(row.id);
+    logger.info({ id: row.id, name: row.name }, 'Prompt template deleted');
+
+    return true;
+  }
+
+  /**
+   * 取得可修改的範本資料列
+   */
+  async getEditableRow(id) {
+    const row = await databaseService.getPromptTemplateById(id);
+
+    if (!row) {
+      throw createError.notFound('Template', id);
+    }
+
+    if (row.is_builtin) {
+      throw createError.conflict('Template', 'Built-in templates are read-only');
+    }
+
+    return row;
+  }
+
+  /**
+   * 排入佇列前解析範本、變數與輸出語言
+   * @param {object} params - { template, variables, language }
+   * @returns {Promise<{templateId: number|null, language: string, variables: object}>}
+   * @throws {AppError} - 範本不存在或變數不符合定義時拋出錯誤
+   */
+  async prepareGeneration({ template = null, variables = {}, language = null } = {}) {
+    const row = await this.findRow(template ?? PROMPT_TEMPLATE_CONFIG.defaultTemplate);
+
+    if (!row) {
+      if (template !== null && template !== undefined) {
+        throw createError.notFound('Template', template);
+      }
+
+      // 尚未寫入內建範本時退回內建 prompt
+      return { templateId: null, language: language || DEFAULT_OUTPUT_LANGUAGE, variables: {} };
+    }
+
+    const definitions = this.parseVariables(row.variables);
+    const declared = new Set(definitions.map(variable => variable.name));
+    const unknown = Object.keys(variables).filter(name => !declared.has(name));
+
+    if (unknown.length > 0) {
+      throw createError.validation(`Unknown template variables: ${unknown.join(', ')}`, 'variables');
+    }
+
+    const values = {};
+    for (const definition of definitions) {
+      const value = this.sanitizeValue(variables[definition.name] ?? definition.default ?? '');
+
+      if (definition.required && !value) {
+        throw createError.validation(`Template variable "${definition.name}" is required`, 'variables');
+      }
+      values[definition.name] = value;
+    }
+
+    return {
+      templateId: Number(row.id),
+      language: language || row.language || DEFAULT_OUTPUT_LANGUAGE,
+      variables: values
+    };
+  }
+
+  /**
+   * 以 buildPrompt 相同的安全檢查驗證想法，讓排入佇列前就能回報 400
+   * @param {string} idea - 使用者想法
+   * @throws {AppError} - 未通過檢查時拋出 validation
+   */
+  validateIdea(idea) {
+    try {
+      validateAndSanitizeInput(idea);
+    } catch (error) {
+      throw createError.validation(error.message, 'idea');
+    }
+  }
+
+  /**
+   * 構建最終 prompt；輸出語言與範本撰寫語言不同時，附加該語言的撰寫指示
+   * @param {string} idea - 使用者想法（在此進行安全驗證）
+   * @param {object} generation - prepareGeneration 的結果
+   * @returns {Promise<string>}
+   * @throws {Error} - 想法輸入不安全時拋出錯誤
+   */
+  async buildPrompt(idea, { templateId = null, language = DEFAULT_OUTPUT_LANGUAGE, variables = {} } = {}) {
+    const sanitizedIdea = validateAndSanitizeInput(idea);
+
+    // 範本在排入佇列後被刪除時改用預設範本
+    const row = (templateId && await databaseService.getPromptTemplateById(templateId))
+      || await databaseService.getPromptTemplateByName(PROMPT_TEMPLATE_CONFIG.defaultTemplate);
+
+    if (!row) {
+      return buildSpecificationPrompt(idea, language);
+    }
+
+    const defaults = Object.fromEntries(
+      this.parseVariables(row.variables).map(variable => [variable.name, variable.default || ''])
+    );
+    const outputLanguage = getOutputLanguage(language);
+    const values = {
+      ...defaults,
+      ...variables,
+      idea: sanitizedIdea,
+      language: outputLanguage.name
+    };
+
+    const prompt = row.body.replace(PLACEHOLDER_PATTERN, (placeholder, name) => values[name] ?? '');
+    return outputLanguage === getOutputLanguage(row.language) ? prompt : `${prompt} ${outputLanguage.instruction}`;
+  }
+
+  /**
+   * 消毒變數值，移除可能干擾範本或 shell 的字元
+   */
+  sanitizeValue(value) {
+    return String(value)
+      .replace(/[`${}\\]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, PROMPT_TEMPLATE_CONFIG.maxVariableValueLength);
+  }
+}
+
+// 創建單例實例
+const templateService = new TemplateService();
+
+export default templateService;
@@ -0,0 +1,458 @@
+/**
+ * 使用者服務模組
+ * 管理使用者帳號、保存在資料庫的登入 session，以及邀請與密碼重設的一次性權杖
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { AUTH_CONFIG } from '../config/serverConfig.js';
+import { createError } from '../utils/errorHandler.js';
+import databaseService from './databaseService.js';
+import roleService from './roleService.js';
+import pino from 'pino';
+
+const logger = pino();
+
+/**
+ * 轉換資料庫時間（SQLite 以 UTC 儲存，無時區）為 ISO 8601
+ */
+const toIsoTimestamp = (value) => {
+  if (!value) return null;
+  const date = new Date(String(value).includes('T') ? value : `${String(value).replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * 產生交給使用者的權杖；資料庫只保存其雜湊
+ */
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * 帳號不存在時用來比對的雜湊（隨機字串，沒有任何密碼能通過）
+ */
+const UNKNOWN_USER_HASH = '$2b$12$lXVwqEpx2Yk1SUnwwgg0xO4CDfJ4G170V/j5GBKadOP1heGwIqOzu';
+
+class UserService {
+  /**
+   * 資料庫沒有任何使用者時，以 LOCAL_USERNAME 與 LOCAL_PASSWORD_HASH 建立第一個管理員
+   * 未設定 LOCAL_PASSWORD_HASH 時產生隨機密碼，只在建立時寫入日誌一次
+   * @returns {Promise<boolean>} - 是否建立了管理員
+   */
+  async initialize() {
+    if (await databaseService.countUsers() > 0) {
+      return false;
+    }
+
+    const { username } = AUTH_CONFIG.bootstrapAdmin;
+    const generatedPassword = AUTH_CONFIG.bootstrapAdmin.passwordHash ? null : crypto.randomBytes(12).toString('base64url');
+    const passwordHash = generatedPassword
+      ? await bcrypt.hash(generatedPassword, AUTH_CONFIG.bcryptRounds)
+      : AUTH_CONFIG.bootstrapAdmin.passwordHash;
+
+    await databaseService.createUser({ username, passwordHash, role: 'admin' });
+
+    if (generatedPassword) {
+      logger.warn(
+        { username, password: generatedPassword },
+        'Created the initial admin with a generated password; it is not shown again, change it with POST /api/auth/password'
+      );
+    } else {
+      logger.info({ username }, 'Created the initial admin account');
+    }
+
+    return true;
+  }
+
+  /**
+   * 取得角色的權限（見 roleService）
+   */
+  getPermissions(role) {
+    return roleService.getPermissions(role);
+  }
+
+  /**
+   * 轉換使用者資料列為 API 回應格式（不含密碼雜湊）
+   */
+  toUserResponse(row) {
+    return {
+      id: Number(row.id),
+      username: row.username,
+      email: row.email || null,
+      displayName: row.display_name || null,
+      role: row.role,
+      permissions: this.getPermissions(row.role),
+      active: Boolean(row.active),
+      lastLoginAt: toIsoTimestamp(row.last_login_at),
+      createdAt: toIsoTimestamp(row.created_at),
+      updatedAt: toIsoTimestamp(row.updated_at)
+    };
+  }
+
+  /**
+   * 取得所有使用者
+   */
+  async listUsers() {
+    const rows = await databaseService.getUsers();
+    return rows.map(row => this.toUserResponse(row));
+  }
+
+  /**
+   * 取得使用者資料列
+   * @throws {AppError} - 使用者不存在時拋出 notFound
+   */
+  async findUser(id) {
+    const row = await databaseService.getUserById(id);
+
+    if (!row) {
+      throw createError.notFound('User', id);
+    }
+
+    return row;
+  }
+
+  /**
+   * 取得單一使用者
+   */
+  async getUser(id) {
+    return this.toUserResponse(await this.findUser(id));
+  }
+
+  /**
+   * 確認使用者名稱與電子郵件尚未被使用
+   * @throws {AppError} - 已被使用時拋出 duplicateEntry
+   */
+  async assertAvailable({ username, email }) {
+    if (username && await databaseService.getUserByLogin(username)) {
+      throw createError.duplicateEntry('username', username);
+    }
+
+    if (email && await databaseService.getUserByLogin(email)) {
+      throw createError.duplicateEntry('email', email);
+    }
+  }
+
+  /**
+   * 建立使用者
+   * @param {object} data - { username, password, email, displayName, role, active }
+   * @returns {Promise<object>}
+   */
+  async createUser(data) {
+    await this.assertAvailable(data);
+    const role = await roleService.assertRole(data.role || AUTH_CONFIG.defaultRole);
+
+    const passwordHash = await bcrypt.hash(data.password, AUTH_CONFIG.bcryptRounds);
+    const id = await databaseService.createUser({
+      ...data,
+      role,
+      passwordHash
+    });
+
+    logger.info({ id, username: data.username, role }, 'User created');
+    return this.getUser(id);
+  }
+
+  /**
+   * 確認操作後仍至少有一位啟用中的管理員
+   * @throws {AppError} - 會移除最後一位管理員時拋出 conflict
+   */
+  async assertKeepsAdmin(row, { role = row.role, active = Boolean(row.active) } = {}) {
+    const isActiveAdmin = row.role === 'admin' && Boolean(row.active);
+    const staysActiveAdmin = role === 'admin' && active;
+
+    if (isActiveAdmin && !staysActiveAdmin && await databaseService.countUsers({ role: 'admin', active: true }) <= 1) {
+      throw createError.conflict('User', 'At least one active admin is required');
+    }
+  }
+
+  /**
+   * 更新使用者；停用帳號時同時撤銷其 session
+   * @param {number} id - 使用者 ID
+   * @param {object} updates - { email, displayName, role, active }
+   */
+  async updateUser(id, updates) {
+    const row = await this.findUser(id);
+    if (updates.role !== undefined) {
+      updates = { ...updates, role: await roleService.assertRole(updates.role) };
+    }
+    await this.assertKeepsAdmin(row, {
+      role: updates.role ?? row.role,
+      active: updates.active ?? Boolean(row.active)
+    });
+
+    if (updates.email && updates.email.toLowerCase() !== String(row.email || '').toLowerCase()) {
+      await this.assertAvailable({ email: updates.email });
+    }
+
+    await databaseService.updateUser(id, updates);
+    if (updates.active === false) {
+      await databaseService.deleteUserSessions(id);
+    }
+
+    logger.info({ id, updates: Object.keys(updates) }, 'User updated');
+    return this.getUser(id);
+  }
+
+  /**
+   * 刪除使用者與其 session
+   * @param {number} id - 使用者 ID
+   * @param {object} actor - 執行刪除的使用者（req.user），不能刪除自己
+   */
+  async deleteUser(id, actor = null) {
+    if (actor && Number(actor.id) === id) {
+      throw createError.conflict('User', 'You cannot delete your own account');
+    }
+
+    const row = await this.findUser(id);
+    await this.assertKeepsAdmin(row, { role: null, active: false });
+    await databaseService.deleteUser(id);
+
+    logger.info({ id, username: row.username }, 'User deleted');
+  }
+
+  /**
+   * 以使用者名稱或電子郵件與密碼驗證
+   * @returns {Promise<object|null>} - 使用者資料列；帳號不存在、停用或密碼錯誤時為 null
+   */
+  async authenticate(login, password) {
+    if (!login || !password) return null;
+
+    const row = await databaseService.getUserByLogin(login);
+    // 帳號不存在時仍比對一次雜湊，避免以回應時間判斷帳號是否存在
+    const isValidPassword = await bcrypt.compare(password, row?.password_hash || UNKNOWN_USER_HASH);
+
+    return row && isValidPassword && row.active ? row : null;
+  }
+
+  /**
+   * 建立登入 session
+   * @param {object} row - 使用者資料列
+   * @param {object} client - { ip, userAgent }
+   * @returns {Promise<{token: string, expiresAt: string}>} - token 只會出現這一次
+   */
+  async createSession(row, { ip = null, userAgent = null } = {}) {
+    const token = generateToken();
+    const ttlSeconds = Math.round(AUTH_CONFIG.sessionTtl / 1000);
+
+    await databaseService.createSession(hashToken(token), Number(row.id), { ttlSeconds, ip, userAgent });
+    await databaseService.touchUserLogin(Number(row.id));
+
+    return { token, expiresAt: new Date(Date.now() + AUTH_CONFIG.sessionTtl).toISOString() };
+  }
+
+  /**
+   * 以 session 權杖取得使用者
+   * @returns {Promise<{user: object, session: object}|null>} - session 不存在、過期或帳號停用時為 null
+   */
+  async getSession(token) {
+    if (!token) return null;
+
+    const row = await databaseService.getActiveSession(hashToken(token));
+    if (!row || !row.active) return null;
+
+    const lastAccess = new Date(toIsoTimestamp(row.last_access_at) || 0);
+    if (Date.now() - lastAccess.getTime() > AUTH_CONFIG.sessionTouchInterval) {
+      await databaseService.touchSession(row.session_id);
+    }
+
+    return {
+      user: this.toUserResponse(row),
+      session: {
+        id: row.session_id,
+        createdAt: toIsoTimestamp(row.session_created_at),
+        lastAccess: toIsoTimestamp(row.last_access_at),
+        expiresAt: toIsoTimestamp(row.expires_at)
+      }
+    };
+  }
+
+  /**
+   * 撤銷 session（登出）
+   */
+  async revokeSession(token) {
+    if (token) {
+      await databaseService.deleteSession(hashToken(token));
+    }
+  }
+
+  /**
+   * 註冊帳號
+   * 有邀請時以邀請的角色建立；沒有邀請時只有 AUTH_REGISTRATION=open 才允許
+   * @param {object} data - { username, password, email, displayName, inviteToken }
+   * @returns {Promise<object>} - 使用者資料列
+   */
+  async register({ inviteToken, ...data }) {
+    let invite = null;
+
+    if (inviteToken) {
+      invite = await databaseService.getValidAuthToken('invite', hashToken(inviteToken));
+      if (!invite) {
+        throw createError.tokenInvalid('invite');
+      }
+      if (invite.email && invite.email.toLowerCase() !== String(data.email || '').toLowerCase()) {
+        throw createError.validation('The email address must match the invitation', 'email');
+      }
+    } else if (AUTH_CONFIG.registration !== 'open') {
+      throw createError.accessDenied(AUTH_CONFIG.registration === 'invite' ? 'registration requires an invitation' : 'registration is closed');
+    }
+
+    await this.assertAvailable(data);
+
+    if (invite && !await databaseService.markAuthTokenUsed(invite.id)) {
+      throw createError.tokenInvalid('invite');
+    }
+
+    const user = await this.createUser({ ...data, role: invite?.role || AUTH_CONFIG.defaultRole });
+    return this.findUser(user.id);
+  }
+
+  /**
+   * 變更密碼，並撤銷目前 session 以外的所有 session
+   * @param {number} id - 使用者 ID
+   * @param {string} currentPassword - 目前密碼
+   * @param {string} newPassword - 新密碼
+   * @param {string|null} sessionId - 目前 session 的 ID（雜湊）
+   */
+  async changePassword(id, currentPassword, newPassword, sessionId = null) {
+    const row = await this.findUser(id);
+
+    if (!await bcrypt.compare(currentPassword, row.password_hash)) {
+      throw createError.authenticationFailed('Current password is incorrect');
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, AUTH_CONFIG.bcryptRounds);
+    await databaseService.updateUserPassword(id, passwordHash, sessionId);
+
+    logger.info({ id }, 'Password changed');
+  }
+
+  /**
+   * 為使用者建立密碼重設權杖
+   * @param {number} id - 使用者 ID
+   * @param {number|null} createdBy - 建立權杖的管理員
+   * @returns {Promise<{token: string, expiresAt: string}>}
+   */
+  async createPasswordReset(id, createdBy = null) {
+    const row = await this.findUser(id);
+    const token = generateToken();
+
+    await databaseService.createAuthToken({
+      type: 'password_reset',
+      tokenHash: hashToken(token),
+      ttlSeconds: Math.round(AUTH_CONFIG.passwordResetTtl / 1000),
+      userId: Number(row.id),
+      createdBy
+    });
+
+    return { token, expiresAt: new Date(Date.now() + AUTH_CONFIG.passwordResetTtl).toISOString() };
+  }
+
+  /**
+   * 使用者自行申請密碼重設
+   * 沒有寄信服務：只有開發環境設定 AUTH_LOG_RESET_TOKENS 時才建立權杖並寫入伺服器日誌，
+   * 其他情況只記錄申請，由管理員另行發放權杖；帳號不存在時不回報，避免洩漏帳號是否存在
+   * @param {string} login - 使用者名稱或電子郵件
+   */
+  async requestPasswordReset(login) {
+    const row = await databaseService.getUserByLogin(login);
+    if (!row || !row.active) {
+      logger.info({ login }, 'Password reset requested for an unknown or inactive account');
+      return;
+    }
+
+    if (!AUTH_CONFIG.logResetTokens) {
+      logger.info({ username: row.username }, 'Password reset requested; an admin can issue a token with POST /api/admin/users/:id/password-reset');
+      return;
+    }
+
+    const { token, expiresAt } = await this.createPasswordReset(Number(row.id));
+    logger.warn({ username: row.username, token, expiresAt }, 'Password reset token created; submit it to POST /api/auth/password-reset');
+  }
+
+  /**
+   * 以重設權杖設定新密碼，並撤銷該使用者的所有 session
+   */
+  async resetPassword(token, newPassword) {
+    const record = await databaseService.getValidAuthToken('password_reset', hashToken(token));
+
+    if (!record || !await databaseService.markAuthTokenUsed(record.id)) {
+      throw createError.tokenInvalid('password_reset');
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, AUTH_CONFIG.bcryptRounds);
+    await databaseService.updateUserPassword(Number(record.user_id), passwordHash);
+
+    logger.info({ id: Number(record.user_id) }, 'Password reset');
+  }
+
+  /**
+   * 轉換邀請資料列為 API 回應格式
+   */
+  toInviteResponse(row) {
+    return {
+      id: Number(row.id),
+      email: row.email || null,
+      role: row.role,
+      createdBy: row.created_by === null ? null : Number(row.created_by),
+      expiresAt: toIsoTimestamp(row.expires_at),
+      createdAt: toIsoTimestamp(row.created_at)
+    };
+  }
+
+  /**
+   * 建立邀請
+   * @param {object} data - { email, role, expiresInHours }
+   * @param {number|null} createdBy - 建立邀請的管理員
+   * @returns {Promise<object>} - 含邀請權杖的邀請（權杖只會出現這一次）
+   */
+  async createInvite({ email = null, role = AUTH_CONFIG.defaultRole, expiresInHours }, createdBy = null) {
+    if (email) {
+      await this.assertAvailable({ email });
+    }
+    role = await roleService.assertRole(role);
+
+    const token = generateToken();
+    const ttl = expiresInHours ? expiresInHours * 60 * 60 * 1000 : AUTH_CONFIG.inviteTtl;
+    const id = await databaseService.createAuthToken({
+      type: 'invite',
+      tokenHash: hashToken(token),
+      ttlSeconds: Math.round(ttl / 1000),
+      email,
+      role,
+      createdBy
+    });
+
+    logger.info({ id, email, role }, 'Invite created');
+    return {
+      id,
+      token,
+      email,
+      role,
+      createdBy,
+      expiresAt: new Date(Date.now() + ttl).toISOString()
+    };
+  }
+
+  /**
+   * 取得尚未使用的邀請
+   */
+  async listInvites() {
+    const rows = await databaseService.getPendingInvites();
+    return rows.map(row => this.toInviteResponse(row));
+  }
+
+  /**
+   * 撤銷邀請
+   * @throws {AppError} - 邀請不存在時拋出 notFound
+   */
+  async deleteInvite(id) {
+    if (!await databaseService.deleteInvite(id)) {
+      throw createError.notFound('Invite', id);
+    }
+  }
+}
+
+// 創建單例實例
+const userService = new UserService();
+
+export default userService;
@@ -0,0 +1,415 @@
+/**
+ * Webhook 服務模組
+ * 將工作與規格事件以 HMAC 簽章的 JSON 投遞到註冊的網址，失敗時以指數退避重試，並保存投遞記錄
+ */
+
+import crypto from 'crypto';
+import { WEBHOOK_CONFIG, JOB_STATUSES } from '../config/serverConfig.js';
+import { createError } from '../utils/errorHandler.js';
+import databaseService from './databaseService.js';
+import jobQueueService from './jobQueueService.js';
+import pino from 'pino';
+
+const logger = pino();
+
+/**
+ * 轉換資料庫時間（SQLite 以 UTC 儲存，無時區）為 ISO 8601
+ */
+const toIsoTimestamp = (value) => {
+  if (!value) return null;
+  const date = new Date(String(value).includes('T') ? value : `${String(value).replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * 計算簽章：以密鑰對「時間戳.內容」做 HMAC-SHA256
+ * @param {string} secret - webhook 密鑰
+ * @param {number} timestamp - Unix 時間（秒），同時放在 X-Webhook-Timestamp 標頭
+ * @param {string} body - 請求內容（JSON 字串）
+ * @returns {string} - X-Webhook-Signature 標頭值，例如 sha256=<hex>
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+class WebhookService {
+  constructor() {
+    this.timers = new Map(); // 投遞記錄 ID → 重試計時器
+    this.isInitialized = false;
+    this.isShuttingDown = false;
+  }
+
+  /**
+   * 訂閱工作事件並恢復重啟前尚未完成的投遞
+   * @returns {Promise<number>} - 恢復排程的投遞數
+   */
+  async initialize() {
+    if (!this.isInitialized) {
+      jobQueueService.events.on('job-update', update => this.handleJobUpdate(update));
+      this.isInitialized = true;
+    }
+
+    const pending = await databaseService.getPendingWebhookDeliveries();
+    const now = Date.now();
+
+    for (const row of pending) {
+      const dueAt = toIsoTimestamp(row.next_attempt_at);
+      this.schedule(Number(row.id), dueAt ? Math.max(0, new Date(dueAt).getTime() - now) : 0);
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * 停止排程新的投遞（未完成的投遞保留為 pending，下次啟動時恢復）
+   */
+  shutdown() {
+    this.isShuttingDown = true;
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * 將工作完成與失敗轉為 webhook 事件；重新生成與章節改寫另外發送 spec.updated
+   */
+  handleJobUpdate({ jobId, status, ...data }) {
+    const specId = data.id ?? jobQueueService.parseJobId(jobId);
+
+    if (status === JOB_STATUSES.COMPLETED) {
+      this.emit('job.completed', {
+        jobId,
+        specId,
+        version: data.version ?? null,
+        section: data.section ?? null,
+        totalDuration: data.totalDuration ?? null,
+        outputLength: data.outputLength ?? null
+      });
+
+      if (data.version > 1) {
+        this.emit('spec.updated', {
+          specId,
+          version: data.version,
+          source: data.section ? 'refined' : 'regenerated'
+        });
+      }
+    } else if (status === JOB_STATUSES.FAILED) {
+      this.emit('job.failed', {
+        jobId,
+        specId,
+        error: data.error || data.message || null
+      });
+    }
+  }
+
+  /**
+   * 發送事件但不等待投遞，錯誤只記錄不拋出（呼叫端不受 webhook 影響）
+   */
+  emit(event, data) {
+    this.dispatch(event, data).catch((error) => {
+      logger.error({ error, event }, 'Failed to dispatch webhook event');
+    });
+  }
+
+  /**
+   * 為每個訂閱事件的 webhook 建立投遞記錄並排程投遞
+   * @returns {Promise<number[]>} - 投遞記錄 ID
+   */
+  async dispatch(event, data) {
+    const webhooks = await databaseService.getActiveWebhooksForEvent(event);
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const payload = this.buildPayload(event, data);
+    const deliveryIds = [];
+
+    for (const webhook of webhooks) {
+      const deliveryId = await databaseService.createWebhookDelivery(Number(webhook.id), event, payload);
+      deliveryIds.push(deliveryId);
+      this.schedule(deliveryId, 0);
+    }
+
+    logger.info({ event, deliveries: deliveryIds.length }, 'Webhook event dispatched');
+    return deliveryIds;
+  }
+
+  /**
+   * 建立事件內容；同一事件送到不同 webhook 時 id 相同，可供接收端去除重複
+   */
+  buildPayload(event, data) {
+    return JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    });
+  }
+
+  /**
+   * 排程投遞
+   */
+  schedule(deliveryId, delay) {
+    if (this.isShuttingDown) {
+      return;
+    }
+
+    clearTimeout(this.timers.get(deliveryId));
+
+    const timer = setTimeout(() => {
+      this.timers.delete(deliveryId);
+      this.deliver(deliveryId).catch((error) => {
+        logger.error({ error, deliveryId }, 'Webhook delivery crashed');
+      });
+    }, delay);
+    timer.unref();
+
+    this.timers.set(deliveryId, timer);
+  }
+
+  /**
+   * 第 attempts 次失敗後的重試間隔：retryBaseDelay × 2^(attempts-1)，最多 maxRetryDelay
+   */
+  getRetryDelay(attempts) {
+    return Math.min(WEBHOOK_CONFIG.retryBaseDelay * 2 ** (attempts - 1), WEBHOOK_CONFIG.maxRetryDelay);
+  }
+
+  /**
+   * 執行一次投遞嘗試並記錄結果；失敗且未達次數上限時排程重試
+   * @param {number} deliveryId - 投遞記錄 ID
+   * @param {Object} options - { ignoreInactive: 停用中的 webhook 仍然送出（ping 使用） }
+   */
+  async deliver(deliveryId, { ignoreInactive = false } = {}) {
+    const delivery = await databaseService.getWebhookDeliveryById(deliveryId);
+
+    if (!delivery || delivery.status !== 'pending') {
+      return;
+    }
+
+    const attempts = Number(delivery.attempts) + 1;
+
+    if (!delivery.active && !ignoreInactive) {
+      await databaseService.updateWebhookDelivery(deliveryId, {
+        status: 'failed',
+        attempts: Number(delivery.attempts),
+        error: 'Webhook is disabled'
+      });
+      return;
+    }
+
+    const result = await this.send(delivery);
+    const retry = !result.ok && attempts < WEBHOOK_CONFIG.maxAttempts;
+    const nextAttemptAt = retry ? new Date(Date.now() + this.getRetryDelay(attempts)) : null;
+
+    await databaseService.updateWebhookDelivery(deliveryId, {
+      status: result.ok ? 'succeeded' : (retry ? 'pending' : 'failed'),
+      attempts,
+      responseStatus: result.responseStatus,
+      responseBody: result.responseBody,
+      error: result.error,
+      durationMs: result.durationMs,
+      nextAttemptAt
+    });
+
+    if (retry) {
+      this.schedule(deliveryId, nextAttemptAt.getTime() - Date.now());
+    }
+
+    if (!result.ok) {
+      logger.warn({
+        deliveryId,
+        webhookId: Number(delivery.webhook_id),
+        event: delivery.event,
+        attempts,
+        responseStatus: result.responseStatus,
+        error: result.error,
+        retry
+      }, 'Webhook delivery failed');
+    }
+  }
+
+  /**
+   * 送出簽章請求；2xx 視為成功，重新導向與其他狀態碼視為失敗
+   * @returns {Promise<{ok: boolean, responseStatus: number|null, responseBody: string|null, error: string|null, durationMs: number}>}
+   */
+  async send(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        redirect: 'manual',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': WEBHOOK_CONFIG.userAgent,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(WEBHOOK_CONFIG.timeout)
+      });
+
+      const responseBody = (await response.text().catch(() => '')).substring(0, WEBHOOK_CONFIG.maxResponseBodyLength);
+
+      return {
+        ok: response.ok,
+        responseStatus: response.status,
+        responseBody,
+        error: response.ok ? null : `HTTP ${response.status}`,
+        durationMs: Date.now() - startTime
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        responseStatus: null,
+        responseBody: null,
+        error: error.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_CONFIG.timeout}ms` : (error.cause?.message || error.message),
+        durationMs: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * 轉換 webhook 資料列為 API 回應格式（密鑰只在建立時回傳）
+   */
+  toWebhookResponse(row, { includeSecret = false } = {}) {
+    return {
+      id: Number(row.id),
+      url: row.url,
+      events: JSON.parse(row.events || '[]'),
+      description: row.description || '',
+      active: Boolean(row.active),
+      ...(includeSecret ? { secret: row.secret } : { secretPreview: `…${String(row.secret).slice(-4)}` }),
+      createdAt: toIsoTimestamp(row.created_at),
+      updatedAt: toIsoTimestamp(row.updated_at)
+    };
+  }
+
+  /**
+   * 轉換投遞記錄資料列為 API 回應格式
+   */
+  toDeliveryResponse(row) {
+    return {
+      id: Number(row.id),
+      webhookId: Number(row.webhook_id),
+      event: row.event,
+      status: row.status,
+      attempts: Number(row.attempts),
+      responseStatus: row.response_status === null ? null : Number(row.response_status),
+      responseBody: row.response_body,
+      error: row.error,
+      durationMs: row.duration_ms === null ? null : Number(row.duration_ms),
+      nextAttemptAt: row.status === 'pending' ? toIsoTimestamp(row.next_attempt_at) : null,
+      payload: JSON.parse(row.payload),
+      createdAt: toIsoTimestamp(row.created_at),
+      completedAt: toIsoTimestamp(row.completed_at)
+    };
+  }
+
+  /**
+   * 取得所有 webhook
+   */
+  async listWebhooks() {
+    const rows = await databaseService.getWebhooks();
+    return rows.map(row => this.toWebhookResponse(row));
+  }
+
+  /**
+   * 取得 webhook 資料列
+   * @throws {AppError} - webhook 不存在時拋出 notFound
+   */
+  async findWebhook(id) {
+    const row = await databaseService.getWebhookById(id);
+
+    if (!row) {
+      throw createError.notFound('Webhook', id);
+    }
+
+    return row;
+  }
+
+  /**
+   * 取得單一 webhook
+   */
+  async getWebhook(id) {
+    return this.toWebhookResponse(await this.findWebhook(id));
+  }
+
+  /**
+   * 註冊 webhook，未提供密鑰時自動產生
+   * @returns {Promise<object>} - 含完整密鑰的 webhook
+   * @throws {AppError} - 超過 webhook 數量上限時拋出 validation
+   */
+  async createWebhook(data) {
+    const existing = await databaseService.getWebhooks();
+
+    if (existing.length >= WEBHOOK_CONFIG.maxWebhooks) {
+      throw createError.validation(`At most ${WEBHOOK_CONFIG.maxWebhooks} webhooks can be registered`, 'url');
+    }
+
+    const id = await databaseService.createWebhook({
+      ...data,
+      secret: data.secret || `whsec_${crypto.randomBytes(24).toString('hex')}`
+    });
+
+    logger.info({ id, url: data.url, events: data.events }, 'Webhook created');
+    return this.toWebhookResponse(await databaseService.getWebhookById(id), { includeSecret: true });
+  }
+
+  /**
+   * 更新 webhook
+   */
+  async updateWebhook(id, updates) {
+    await this.findWebhook(id);
+    await databaseService.updateWebhook(id, updates);
+
+    logger.info({ id, fields: Object.keys(updates) }, 'Webhook updated');
+    return this.getWebhook(id);
+  }
+
+  /**
+   * 刪除 webhook 與其投遞記錄（排程中的重試會在執行時略過）
+   */
+  async deleteWebhook(id) {
+    await this.findWebhook(id);
+    await databaseService.deleteWebhook(id);
+
+    logger.info({ id }, 'Webhook deleted');
+  }
+
+  /**
+   * 取得投遞記錄
+   */
+  async listDeliveries(id, options = {}) {
+    await this.findWebhook(id);
+    const rows = await databaseService.getWebhookDeliveries(id, options);
+    return rows.map(row => this.toDeliveryResponse(row));
+  }
+
+  /**
+   * 送出 ping 事件並等待第一次投遞結果（停用中的 webhook 也會送出）
+   * @returns {Promise<object>} - 投遞記錄；失敗時狀態仍為 pending 並照常重試
+   */
+  async ping(id) {
+    const webhook = await this.findWebhook(id);
+    const payload = this.buildPayload(WEBHOOK_CONFIG.pingEvent, {
+      webhookId: Number(webhook.id),
+      events: JSON.parse(webhook.events || '[]')
+    });
+    const deliveryId = await databaseService.createWebhookDelivery(Number(webhook.id), WEBHOOK_CONFIG.pingEvent, payload);
+
+    await this.deliver(deliveryId, { ignoreInactive: true });
+
+    return this.toDeliveryResponse(await databaseService.getWebhookDeliveryById(deliveryId));
+  }
+}
+
+// 創建單例實例
+const webhookService = new WebhookService();
+
+export default webhookService;
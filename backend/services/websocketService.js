@@ -4,11 +4,23 @@
  */
 
 import { Server as SocketIOServer } from 'socket.io';
-import { WEBSOCKET_CONFIG, WEBSOCKET_EVENTS, ERROR_MESSAGES, APP_CONSTANTS, SERVER_CONFIG } from '../config/serverConfig.js';
+import { WEBSOCKET_CONFIG, WEBSOCKET_EVENTS, ERROR_MESSAGES, APP_CONSTANTS, AUTH_CONFIG, ROUTE_PERMISSIONS } from '../config/serverConfig.js';
+import userService from './userService.js';
+import apiKeyService from './apiKeyService.js';
+import specAccessService from './specAccessService.js';
 import pino from 'pino';
 
 const logger = pino();
 
+// 未登入時的本地預設使用者（與 HTTP 的 requireAuth 相同）
+const LOCAL_USER = { id: 'local-dev', role: 'admin', permissions: ['*'] };
+
+// 訂閱與取消工作所需的權限與對規格的操作，與 GET / DELETE /api/jobs/:id 相同
+const JOB_ACCESS = {
+  subscribe: { permission: ROUTE_PERMISSIONS['GET /api/jobs/:id'], action: 'view' },
+  cancel: { permission: ROUTE_PERMISSIONS['DELETE /api/jobs/:id'], action: 'edit' }
+};
+
 class WebSocketService {
   constructor() {
     this.io = null;
@@ -18,6 +30,8 @@ class WebSocketService {
     this.connectionMetadata = new Map(); // 連線元數據追蹤
     this.cleanupIntervals = new Map(); // 清理定時器追蹤
     this.isInitialized = false;
+    this.jobCancelHandler = null; // 由工作佇列註冊，避免循環依賴
+    this.jobIdParser = null; // 由工作佇列註冊，將工作 ID 轉換為規格 ID
     
     // 啟動定期清理程序
     this.startCleanupTimer();
@@ -44,38 +58,19 @@ class WebSocketService {
    * 設置 WebSocket 中間件
    */
   setupMiddleware() {
-    // 身份驗證中間件
+    // 身份驗證中間件（與 HTTP 的 requireAuth 相同：session 優先，其次是 API 金鑰，最後是本地預設使用者）
     this.io.use(async (socket, next) => {
       try {
-        const sessionId = socket.handshake.auth.sessionId || socket.handshake.headers['x-session-id'];
         const clientIP = socket.handshake.address;
+        const user = await this.authenticateHandshake(socket.handshake);
         
-        logger.debug({ clientIP, sessionId, nodeEnv: SERVER_CONFIG.nodeEnv }, 'WebSocket authentication attempt');
-        
-        // 檢查是否為本地 IP（允許無身份驗證）
-        if (this.isLocalIP(clientIP)) {
-          socket.user = { id: 'local-dev', role: 'local', permissions: ['*'] };
-          logger.debug({ clientIP }, 'Local IP detected, allowing connection');
-          return next();
-        }
-        
-        // 驗證 session（在實際應用中應該與 auth 中間件整合）
-        if (sessionId && this.validateSession(sessionId)) {
-          const session = this.getSession(sessionId);
-          socket.user = session.user;
-          socket.sessionId = sessionId;
-          logger.debug({ sessionId }, 'Session validated successfully');
-        } else {
-          // 開發環境允許無認證訪問
-          if (SERVER_CONFIG.nodeEnv === 'development') {
-            socket.user = { id: 'dev-user', role: 'developer', permissions: ['*'] };
-            logger.debug('Development mode, allowing connection without authentication');
-          } else {
-            logger.warn({ clientIP, sessionId }, 'WebSocket authentication failed');
-            return next(new Error(ERROR_MESSAGES.WEBSOCKET_AUTH_FAILED));
-          }
+        if (!user) {
+          logger.warn({ clientIP }, 'WebSocket authentication failed');
+          return next(new Error(ERROR_MESSAGES.WEBSOCKET_AUTH_FAILED));
         }
         
+        socket.user = user;
+        logger.debug({ clientIP, user: user.id }, 'WebSocket client authenticated');
         next();
       } catch (error) {
         next(new Error(ERROR_MESSAGES.WEBSOCKET_AUTH_FAILED));
@@ -144,8 +139,8 @@ class WebSocketService {
       // 為每個 socket 創建事件速率限制
       const eventRateLimit = connectionMetadata.eventRateLimit;
       
-      // 處理工作訂閱
-      socket.on(WEBSOCKET_EVENTS.SUBSCRIBE_JOB, (jobId) => {
+      // 處理工作訂閱（需可檢視該工作的規格）
+      socket.on(WEBSOCKET_EVENTS.SUBSCRIBE_JOB, async (jobId) => {
         this.updateLastActivity(socket.id);
         
         if (!this.checkEventRateLimit(socket, eventRateLimit, WEBSOCKET_EVENTS.SUBSCRIBE_JOB, 10, 60000)) {
@@ -153,6 +148,14 @@ class WebSocketService {
         }
         
         if (typeof jobId === 'string' && jobId.length > 0) {
+          try {
+            await this.assertJobAccess(socket.user, jobId, JOB_ACCESS.subscribe);
+          } catch (error) {
+            logger.warn({ socketId: socket.id, jobId, user: socket.user?.id }, 'Job subscription denied');
+            socket.emit(WEBSOCKET_EVENTS.ERROR, { jobId, error: error.metadata?.reason || error.message });
+            return;
+          }
+          
           socket.join(`job-${jobId}`);
           
           // 追蹤訂閱
@@ -194,6 +197,38 @@ class WebSocketService {
         }
       });
       
+      // 處理工作取消
+      socket.on(WEBSOCKET_EVENTS.CANCEL_JOB, async (jobId, ack) => {
+        this.updateLastActivity(socket.id);
+        const reply = typeof ack === 'function'
+          ? ack
+          : (payload) => { if (payload.error) socket.emit(WEBSOCKET_EVENTS.ERROR, payload); };
+        
+        if (!this.checkEventRateLimit(socket, eventRateLimit, WEBSOCKET_EVENTS.CANCEL_JOB, 10, 60000)) {
+          reply({ jobId, error: ERROR_MESSAGES.WEBSOCKET_RATE_LIMIT });
+          return;
+        }
+        
+        if (typeof jobId !== 'string' || jobId.length === 0 || !this.jobCancelHandler) {
+          reply({ jobId, error: 'Invalid job ID' });
+          return;
+        }
+        
+        try {
+          await this.assertJobAccess(socket.user, jobId, JOB_ACCESS.cancel);
+          const job = await this.jobCancelHandler(jobId);
+          if (!job) {
+            reply({ jobId, error: 'Job not found' });
+            return;
+          }
+          
+          logger.info({ socketId: socket.id, jobId, user: socket.user?.id }, 'Job cancelled via WebSocket');
+          reply({ jobId: job.jobId, status: job.status });
+        } catch (error) {
+          reply({ jobId, error: error.metadata?.reason || error.message });
+        }
+      });
+      
       // 處理心跳響應
       socket.on('pong', () => {
         this.updateLastActivity(socket.id);
@@ -399,6 +434,77 @@ class WebSocketService {
     return true;
   }
 
+  /**
+   * 註冊工作取消處理函數
+   * @param {Function} handler - 接收 jobId，回傳取消後的工作狀態或 null
+   */
+  setJobCancelHandler(handler) {
+    this.jobCancelHandler = handler;
+  }
+
+  /**
+   * 註冊工作 ID 解析函數
+   * @param {Function} parser - 接收 jobId，回傳規格 ID，格式錯誤時回傳 null
+   */
+  setJobIdParser(parser) {
+    this.jobIdParser = parser;
+  }
+
+  /**
+   * 以握手中的 session（auth.sessionId、X-Session-ID 標頭或 cookie）或 API 金鑰
+   * （auth.apiKey、X-API-Key 或 Authorization 標頭）驗證連線
+   * @returns {Promise<object|null>} - 使用者，驗證失敗時回傳 null
+   */
+  async authenticateHandshake(handshake) {
+    const { auth = {}, headers = {}, address } = handshake;
+
+    const sessionToken = auth.sessionId || headers['x-session-id'] || this.getCookie(headers.cookie, AUTH_CONFIG.sessionCookie);
+    const session = await userService.getSession(sessionToken);
+    if (session) {
+      return session.user;
+    }
+
+    // 提供金鑰時一律以金鑰驗證，包括本地連線
+    const apiKey = auth.apiKey || headers['x-api-key'] || headers.authorization?.replace(/^Bearer\s+/i, '');
+    if (apiKey) {
+      const result = await apiKeyService.authenticate(apiKey, address);
+      return result && apiKeyService.consumeRateLimit(result.apiKey).allowed ? result.user : null;
+    }
+
+    if (!AUTH_CONFIG.enabled || this.isLocalIP(address)) {
+      return LOCAL_USER;
+    }
+
+    return null;
+  }
+
+  /**
+   * 確認使用者具有工作所需的權限，且可對工作的規格執行操作
+   * @param {object} access - { permission, action }（見 JOB_ACCESS）
+   * @throws {AppError} - 工作 ID 無效、規格不存在或權限不足時拋出
+   */
+  async assertJobAccess(user, jobId, { permission, action }) {
+    const specId = this.jobIdParser ? this.jobIdParser(jobId) : null;
+    if (!specId) {
+      throw new Error('Invalid job ID');
+    }
+
+    const permissions = user?.permissions || [];
+    if (!permissions.includes('*') && !permissions.includes(permission)) {
+      throw new Error('Insufficient permissions');
+    }
+
+    await specAccessService.assertAccess(user, specId, action);
+  }
+
+  /**
+   * 從 Cookie 標頭取得指定 cookie 的值
+   */
+  getCookie(header, name) {
+    const pair = String(header || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+    return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+  }
+
   /**
    * 發送工作更新
    */
@@ -415,7 +521,7 @@ class WebSocketService {
       jobData.lastUpdate = Date.now();
       
       // 如果作業完成或失敗，設置清理定時器
-      if (status === 'completed' || status === 'failed') {
+      if (status === 'completed' || status === 'failed' || status === 'cancelled') {
         setTimeout(() => {
           this.processingJobs.delete(jobId);
           logger.debug({ jobId, status }, 'Job record cleaned up after completion');
@@ -433,6 +539,21 @@ class WebSocketService {
     logger.debug({ jobId, status, data }, 'Job update emitted');
   }
 
+  /**
+   * 發送生成輸出片段
+   */
+  emitJobChunk(jobId, data) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(`job-${jobId}`).emit(WEBSOCKET_EVENTS.JOB_CHUNK, {
+      jobId,
+      timestamp: new Date().toISOString(),
+      ...data
+    });
+  }
+
   /**
    * 廣播訊息給所有連接的客戶端
    */
@@ -596,24 +717,6 @@ class WebSocketService {
            cleanIP === '127.0.0.1';
   }
 
-  /**
-   * 驗證 session（簡化版本，實際應該與 auth 模組整合）
-   */
-  validateSession(sessionId) {
-    // 這裡應該與實際的 session 存儲整合
-    return true; // 暫時總是返回 true
-  }
-
-  /**
-   * 取得 session（簡化版本）
-   */
-  getSession(sessionId) {
-    // 這裡應該與實際的 session 存儲整合
-    return {
-      user: { id: 'session-user', role: 'user', permissions: ['*'] }
-    };
-  }
-
   /**
    * 健康檢查
    */
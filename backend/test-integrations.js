@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * Integration push tests against a local mock server
+ *
+ * Starts an in-process HTTP server that mimics the GitHub and GitLab issue APIs,
+ * points the integration settings at it and pushes a fixture specification.
+ * The git target commits into a temporary repository.
+ * Run with: node test-integrations.js
+ */
+
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { execFileSync } from 'child_process';
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+const FIXTURE_SPEC = {
+  id: 42,
+  user_input: 'Build a learning management platform',
+  status: 'completed',
+  language: 'en',
+  created_at: '2025-01-01 00:00:00',
+  generated_spec: `# Learning Platform Specification
+
+## 1. Overview
+
+A platform for online courses.
+
+## 2. Functional Requirements
+
+### 2.1 Student Features
+- **Course catalog:** browse and search courses
+  - filter by category
+- **Progress tracking**: visual progress per course
+
+### 2.2 Instructor Features
+* Course management
+* Grading
+
+### 2.3 Reporting
+Administrators can export enrollment statistics.
+
+## 3. Technical Architecture
+- React frontend
+- Node.js backend
+
+## 4. Development Phases
+
+### Phase 1: Planning (2 weeks)
+- Requirements and wireframes
+
+### Phase 2: MVP (8 weeks)
+- Core course features
+`
+};
+
+/**
+ * Mock GitHub/GitLab API: records every request and answers like the real services
+ */
+function createMockServer() {
+  const mock = {
+    requests: [],
+    // respond with 401 once this many requests have succeeded (null = never)
+    failAfter: null,
+    server: null
+  };
+
+  mock.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      mock.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      if (mock.failAfter !== null && mock.requests.length > mock.failAfter) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Bad credentials' }));
+        return;
+      }
+
+      const number = mock.requests.length;
+      const payload = req.url.startsWith('/gitlab/')
+        ? { id: 1000 + number, iid: number, web_url: `http://mock/gitlab/items/${number}` }
+        : { id: 1000 + number, number, html_url: `http://mock/github/issues/${number}` };
+
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  mock.reset = () => {
+    mock.requests = [];
+    mock.failAfter = null;
+  };
+
+  return mock;
+}
+
+class IntegrationTester {
+  constructor() {
+    this.results = { passed: 0, failed: 0, total: 0 };
+  }
+
+  async test(description, testFn) {
+    this.results.total++;
+    process.stdout.write(`${colors.blue}Testing: ${description}... ${colors.reset}`);
+
+    try {
+      await testFn();
+      this.results.passed++;
+      console.log(`${colors.green}✓ PASSED${colors.reset}`);
+    } catch (error) {
+      this.results.failed++;
+      console.log(`${colors.red}✗ FAILED${colors.reset}`);
+      console.log(`${colors.red}  Error: ${error.message}${colors.reset}`);
+    }
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function main() {
+  const mock = createMockServer();
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${mock.server.address().port}`;
+
+  const repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-push-'));
+  execFileSync('git', ['init', '--quiet', repoPath]);
+
+  // settings are read when serverConfig.js is imported
+  Object.assign(process.env, {
+    GITHUB_API_URL: `${baseUrl}/github`,
+    GITHUB_TOKEN: 'github-test-token',
+    GITHUB_REPOSITORY: 'acme/specs',
+    GITLAB_API_URL: `${baseUrl}/gitlab/api/v4`,
+    GITLAB_TOKEN: 'gitlab-test-token',
+    GITLAB_PROJECT: 'acme/specs',
+    GITLAB_EPIC_GROUP: 'acme',
+    SPEC_GIT_REPO_PATH: repoPath,
+    SPEC_GIT_DIRECTORY: 'docs/specs',
+    INTEGRATION_LABELS: 'spec,generated'
+  });
+
+  const { parseSpecIssues } = await import('./utils/specIssues.js');
+  const { default: integrationService } = await import('./services/integrationService.js');
+
+  const tester = new IntegrationTester();
+  console.log(`${colors.bold}🧪 Integration push tests (mock server at ${baseUrl})${colors.reset}\n`);
+
+  try {
+    await tester.test('Parse functional requirements and development phases', async () => {
+      const { items } = parseSpecIssues(FIXTURE_SPEC.generated_spec);
+      const titles = items.map(item => `${item.kind}:${item.title}`);
+
+      assert(JSON.stringify(titles) === JSON.stringify([
+        'epic:Phase 1: Planning (2 weeks)',
+        'epic:Phase 2: MVP (8 weeks)',
+        'issue:Course catalog',
+        'issue:Progress tracking',
+        'issue:Course management',
+        'issue:Grading',
+        'issue:Reporting'
+      ]), `Unexpected items: ${titles.join(', ')}`);
+
+      const catalog = items.find(item => item.title === 'Course catalog');
+      assert(catalog.module === 'Student Features', 'Module should be the subsection heading');
+      assert(catalog.body.includes('browse and search courses') && catalog.body.includes('filter by category'),
+        'Item body should keep the description and nested list');
+    });
+
+    await tester.test('Dry run previews items without calling the API', async () => {
+      mock.reset();
+      const result = await integrationService.push(FIXTURE_SPEC, 'github', { dryRun: true });
+
+      assert(result.dryRun === true, 'Result should be marked as dry run');
+      assert(result.summary.planned === 7, `Expected 7 planned items, got ${result.summary.planned}`);
+      assert(mock.requests.length === 0, 'Dry run must not send requests');
+      assert(result.items[0].labels.includes('epic'), 'Phases should be labelled as epics');
+      assert(result.items[2].body.includes('Specification #42'), 'Issue body should reference the specification');
+    });
+
+    await tester.test('GitHub push creates one issue per item', async () => {
+      mock.reset();
+      const result = await integrationService.push(FIXTURE_SPEC, 'github');
+
+      assert(result.summary.created === 7, `Expected 7 created items, got ${result.summary.created}`);
+      assert(mock.requests.every(request => request.method === 'POST' && request.url === '/github/repos/acme/specs/issues'),
+        'Requests should target the repository issues endpoint');
+      assert(mock.requests[0].headers.authorization === 'Bearer github-test-token', 'Token should be sent as bearer');
+      assert(JSON.stringify(mock.requests[0].body.labels) === JSON.stringify(['spec', 'generated', 'epic']), 'Epic labels mismatch');
+      assert(JSON.stringify(mock.requests[2].body.labels) === JSON.stringify(['spec', 'generated']), 'Issue labels mismatch');
+      assert(result.items[2].url === 'http://mock/github/issues/3', 'Result should include the issue URL');
+    });
+
+    await tester.test('GitLab push creates group epics and project issues', async () => {
+      mock.reset();
+      const result = await integrationService.push(FIXTURE_SPEC, 'gitlab');
+
+      assert(result.summary.created === 7, `Expected 7 created items, got ${result.summary.created}`);
+      assert(mock.requests[0].url === '/gitlab/api/v4/groups/acme/epics', `Unexpected epic URL ${mock.requests[0].url}`);
+      assert(mock.requests[2].url === '/gitlab/api/v4/projects/acme%2Fspecs/issues', `Unexpected issue URL ${mock.requests[2].url}`);
+      assert(mock.requests[2].headers['private-token'] === 'gitlab-test-token', 'Token should be sent as PRIVATE-TOKEN');
+      assert(mock.requests[2].body.labels === 'spec,generated', 'Labels should be comma-separated');
+      assert(typeof mock.requests[2].body.description === 'string', 'Body should be sent as description');
+    });
+
+    await tester.test('Stops after the first failed item', async () => {
+      mock.reset();
+      mock.failAfter = 2;
+      const result = await integrationService.push(FIXTURE_SPEC, 'github');
+
+      assert(result.summary.created === 2, `Expected 2 created items, got ${result.summary.created}`);
+      assert(result.summary.failed === 1 && result.summary.skipped === 4, 'Remaining items should be skipped');
+      assert(result.items[2].error.includes('HTTP 401'), 'Failure should include the HTTP status');
+      assert(mock.requests.length === 3, 'No requests should be sent after the failure');
+    });
+
+    await tester.test('Rejects the push when nothing could be created', async () => {
+      mock.reset();
+      mock.failAfter = 0;
+
+      const error = await integrationService.push(FIXTURE_SPEC, 'gitlab').then(() => null, err => err);
+      assert(error && error.statusCode === 503, `Expected a 503 AppError, got ${error?.statusCode}`);
+    });
+
+    await tester.test('Git target commits the specification once', async () => {
+      const first = await integrationService.push(FIXTURE_SPEC, 'git');
+      const file = path.join(repoPath, 'docs/specs/42-build-a-learning-management-platform.md');
+      const content = await fs.readFile(file, 'utf8');
+      const log = execFileSync('git', ['log', '--format=%s'], { cwd: repoPath, encoding: 'utf8' }).trim();
+
+      assert(first.summary.created === 1, 'First push should create a commit');
+      assert(content.includes('## 2. Functional Requirements'), 'Committed file should contain the specification');
+      assert(log === 'Add specification #42: Build a learning management platform', `Unexpected commit log: ${log}`);
+
+      const second = await integrationService.push(FIXTURE_SPEC, 'git');
+      assert(second.summary.unchanged === 1 && second.summary.created === 0, 'Unchanged content should not be committed again');
+
+      const updated = await integrationService.push({ ...FIXTURE_SPEC, generated_spec: `${FIXTURE_SPEC.generated_spec}\n## 5. Notes\n` }, 'git');
+      const latest = execFileSync('git', ['log', '-1', '--format=%s'], { cwd: repoPath, encoding: 'utf8' }).trim();
+      assert(updated.summary.created === 1 && latest.startsWith('Update specification #42'), `Unexpected update commit: ${latest}`);
+    });
+  } finally {
+    mock.server.close();
+    await fs.rm(repoPath, { recursive: true, force: true });
+  }
+
+  const { passed, failed, total } = tester.results;
+  console.log(`\n${colors.bold}Results: ${passed}/${total} passed${colors.reset}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error(`${colors.red}💥 Integration tests crashed: ${error.message}${colors.reset}`);
+  process.exit(1);
+});
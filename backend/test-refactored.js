@@ -79,7 +79,7 @@ async function testSpecGeneration() {
     headers: {
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify({ idea: testIdea })
+    body: JSON.stringify({ idea: testIdea, language: 'en' })
   });
   
   if (!response.ok) {
@@ -6,16 +6,21 @@
  */
 
 import databaseService from './services/databaseService.js';
+import migrationService from './services/migrationService.js';
 
 console.log('🚀 开始数据库性能升级...');
 console.log('================================');
 
 try {
-  // 初始化数据库服务（包含所有优化）
+  // 初始化数据库服务（会套用所有未执行的迁移）
   console.log('📋 初始化数据库服务...');
   await databaseService.initialize();
   console.log('✅ 数据库服务初始化完成');
 
+  const migrations = await migrationService.getStatus(databaseService.db);
+  const latest = migrations.filter(migration => migration.status === 'applied').pop();
+  console.log(`✅ 数据库结构版本: ${latest ? `${latest.version}_${latest.name}` : '无'}`);
+
   // 执行维护操作
   console.log('🔧 执行数据库维护...');
   await databaseService.performMaintenance();
@@ -270,6 +270,9 @@ export const classifyError = (error, context = {}) => {
     if (status === 409) {
       return createError.conflict(context.resource || 'Resource', errorMessage);
     }
+    if (status === 413) {
+      return new AppError(ERROR_CODES.INPUT_TOO_LONG, errorMessage, error, { limit: error.limit });
+    }
     if (status === 429) {
       return createError.rateLimitExceeded(null, null, context.endpoint);
     }
@@ -0,0 +1,143 @@
+/**
+ * 全文搜尋輔助模組
+ * 將搜尋字串轉為 FTS5 查詢，並產生已跳脫、以 <mark> 標示命中字詞的摘要
+ */
+
+/**
+ * 全文搜尋配置
+ */
+export const FTS_CONFIG = {
+  // 由 migrations/007_ideas_fulltext_search.js 建立，trigram 分詞器以每三個字元為一組建立索引，不依賴空白斷詞，因此中文、日文也能搜尋
+  table: 'ideas_fts',
+  // 少於三個字元的字詞無法以 trigram 比對，改用 LIKE 搜尋
+  minTermLength: 3,
+  // bm25 欄位權重：想法的命中比規格內文更重要
+  rankWeights: [2.0, 1.0],
+  snippetTokens: 40,
+  // FTS5 snippet() 使用的命中標記，跳脫 HTML 後再轉為 <mark>
+  highlightStart: '\u0002',
+  highlightEnd: '\u0003',
+  ellipsis: '…',
+  fallbackContext: 40
+};
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = text => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * 以空白拆分搜尋字詞（去除重複）
+ * @param {string} search - 已驗證的搜尋字串
+ * @returns {string[]}
+ */
+export function splitSearchTerms(search) {
+  const terms = String(search || '').trim().split(/\s+/).filter(Boolean);
+  return [...new Set(terms)];
+}
+
+/**
+ * 判斷字詞是否都能使用 trigram 索引
+ */
+export function canUseFullTextIndex(terms) {
+  return terms.length > 0 && terms.every(term => [...term].length >= FTS_CONFIG.minTermLength);
+}
+
+/**
+ * 轉為 FTS5 MATCH 查詢：每個字詞以雙引號包成字串，彼此為 AND 關係，避免使用者輸入被解讀為 FTS5 語法
+ * @param {string[]} terms - 搜尋字詞
+ * @returns {string}
+ */
+export function buildMatchQuery(terms) {
+  return terms.map(term => `"${term.replace(/"/g, '""')}"`).join(' ');
+}
+
+/**
+ * 將 FTS5 snippet() 的結果轉為摘要
+ * @param {string} raw - 含命中標記的摘要
+ * @returns {{snippet: string, preview: string}} - snippet 為已跳脫並以 <mark> 標示的 HTML，preview 為純文字
+ */
+export function formatSnippet(raw) {
+  const text = String(raw || '');
+  const { highlightStart, highlightEnd } = FTS_CONFIG;
+  const markers = new RegExp(`[${highlightStart}${highlightEnd}]`, 'g');
+
+  return {
+    snippet: escapeHtml(text)
+      .split(highlightStart).join('<mark>')
+      .split(highlightEnd).join('</mark>'),
+    preview: text.replace(markers, '')
+  };
+}
+
+/**
+ * 不使用索引時，自行擷取第一個命中位置附近的文字並標示所有命中字詞
+ * @param {string[]} texts - 依優先順序搜尋的欄位內容
+ * @param {string[]} terms - 搜尋字詞
+ * @returns {{snippet: string, preview: string}}
+ */
+export function buildFallbackSnippet(texts, terms) {
+  const lowerTerms = terms.map(term => term.toLowerCase());
+  let source = '';
+  let index = -1;
+
+  for (const text of texts) {
+    const lower = String(text || '').toLowerCase();
+    const positions = lowerTerms.map(term => lower.indexOf(term)).filter(position => position !== -1);
+
+    if (positions.length > 0) {
+      source = String(text);
+      index = Math.min(...positions);
+      break;
+    }
+  }
+
+  if (index === -1) {
+    const text = String(texts.find(Boolean) || '');
+    const preview = text.substring(0, FTS_CONFIG.fallbackContext * 2);
+    return { snippet: escapeHtml(preview), preview };
+  }
+
+  const start = Math.max(0, index - FTS_CONFIG.fallbackContext);
+  const end = Math.min(source.length, index + FTS_CONFIG.fallbackContext * 2);
+  const excerpt = source.substring(start, end);
+  const lowerExcerpt = excerpt.toLowerCase();
+
+  // 標出片段內所有命中範圍（重疊時合併）
+  const ranges = [];
+  for (const term of lowerTerms) {
+    for (let position = lowerExcerpt.indexOf(term); position !== -1; position = lowerExcerpt.indexOf(term, position + term.length)) {
+      ranges.push([position, position + term.length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  let marked = '';
+  let cursor = 0;
+  for (const [from, to] of ranges) {
+    if (to <= cursor) continue;
+    const begin = Math.max(from, cursor);
+    marked += `${excerpt.substring(cursor, begin)}${FTS_CONFIG.highlightStart}${excerpt.substring(begin, to)}${FTS_CONFIG.highlightEnd}`;
+    cursor = to;
+  }
+  marked += excerpt.substring(cursor);
+
+  const prefix = start > 0 ? FTS_CONFIG.ellipsis : '';
+  const suffix = end < source.length ? FTS_CONFIG.ellipsis : '';
+
+  return formatSnippet(`${prefix}${marked}${suffix}`);
+}
+
+export default {
+  FTS_CONFIG,
+  splitSearchTerms,
+  canUseFullTextIndex,
+  buildMatchQuery,
+  formatSnippet,
+  buildFallbackSnippet
+};
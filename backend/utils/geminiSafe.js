@@ -9,6 +9,7 @@ import { exec } from 'child_process';
 import os from 'os';
 import path from 'path';
 import { validateAndSanitizeInput } from './validators.js';
+import { OUTPUT_LANGUAGES, DEFAULT_OUTPUT_LANGUAGE } from '../config/serverConfig.js';
 
 // 異步 exec 函數
 const execAsync = promisify(exec);
@@ -86,21 +87,208 @@ export async function generateWithGeminiSafe(userInput, options = {}) {
     retryDelay = GEMINI_CONFIG.retryDelay,
     jobId = null,
     emitJobUpdate = null,
+    signal = null,
+    onChunk = null,
+    language = DEFAULT_OUTPUT_LANGUAGE,
     isTest = false
   } = options;
 
-  // 輸入驗證和消毒（測試模式跳過完整驗證）
-  let sanitizedInput;
-  if (isTest) {
-    sanitizedInput = userInput;
-  } else {
-    sanitizedInput = validateAndSanitizeInput(userInput);
+  // 輸入驗證和消毒（測試模式跳過完整驗證）並構建安全的 prompt
+  const prompt = isTest ? userInput : buildSpecificationPrompt(userInput, language);
+
+  return runGeminiPrompt(prompt, { timeout, maxRetries, retryDelay, jobId, emitJobUpdate, signal, onChunk });
+}
+
+/**
+ * 建立取消錯誤
+ * @param {string} message - 錯誤訊息
+ * @returns {Error} - name 為 AbortError 的錯誤
+ */
+export function createAbortError(message = '生成工作已取消') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * 判斷錯誤是否由取消造成
+ * @param {Error} error - 要檢查的錯誤
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * 可被取消的等待
+ * @param {number} ms - 等待毫秒數
+ * @param {AbortSignal|null} signal - 取消訊號
+ * @returns {Promise<void>}
+ */
+export function waitWithSignal(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 取得輸出語言設定，不支援的語言退回預設語言
+ * @param {string} language - 語言代碼
+ * @returns {object} - OUTPUT_LANGUAGES 中的語言設定
+ */
+export function getOutputLanguage(language) {
+  return OUTPUT_LANGUAGES[language] || OUTPUT_LANGUAGES[DEFAULT_OUTPUT_LANGUAGE];
+}
+
+/**
+ * 構建規格生成 prompt（供所有 LLM 提供者共用）
+ * @param {string} userInput - 使用者輸入的想法
+ * @param {string} language - 輸出語言代碼
+ * @returns {string} - 經過驗證與消毒的 prompt
+ */
+export function buildSpecificationPrompt(userInput, language = DEFAULT_OUTPUT_LANGUAGE) {
+  const sanitizedInput = validateAndSanitizeInput(userInput);
+  const outputLanguage = getOutputLanguage(language);
+  const prompt = `請為「${sanitizedInput}」製作一份軟體開發規格。包含：專案概述、功能需求、技術架構、開發階段。用Markdown格式，${outputLanguage.name}回答。`;
+
+  return outputLanguage === OUTPUT_LANGUAGES[DEFAULT_OUTPUT_LANGUAGE] ? prompt : `${prompt} ${outputLanguage.instruction}`;
+}
+
+/**
+ * 構建章節改寫 prompt：只改寫指定章節，其他章節不送出也不會被修改
+ * @param {object} params - { idea, heading, content, instructions, language }
+ * @returns {string} - 經過驗證與消毒的 prompt
+ * @throws {Error} - 想法或額外指示不安全時拋出錯誤
+ */
+export function buildSectionRefinePrompt({ idea, heading, content, instructions = '', language = DEFAULT_OUTPUT_LANGUAGE }) {
+  const sanitizedIdea = validateAndSanitizeInput(idea);
+  const sanitizedInstructions = instructions ? validateAndSanitizeInput(instructions) : '';
+  const outputLanguage = getOutputLanguage(language);
+  const extra = sanitizedInstructions ? `額外要求：${sanitizedInstructions}。` : '';
+  const prompt = `以下是「${sanitizedIdea}」軟體開發規格中的「${heading}」章節。請只改寫這個章節，使內容更完整具體，保留原本的標題與標題層級，不要輸出其他章節或任何說明文字。${extra}用Markdown格式，${outputLanguage.name}回答。`;
+  const localized = outputLanguage === OUTPUT_LANGUAGES[DEFAULT_OUTPUT_LANGUAGE] ? prompt : `${prompt} ${outputLanguage.instruction}`;
+
+  return `${localized}\n\n${content}`;
+}
+
+/**
+ * 構建品質修復 prompt：列出品質檢查未通過的項目，要求模型補齊後輸出完整規格
+ * @param {object} params - { idea, prompt, specification, report, language }，prompt 為原始生成 prompt，report 為品質檢查結果
+ * @returns {string} - 經過驗證與消毒的 prompt
+ * @throws {Error} - 想法不安全時拋出錯誤
+ */
+export function buildRepairPrompt({ idea, prompt, specification, report, language = DEFAULT_OUTPUT_LANGUAGE }) {
+  const sanitizedIdea = validateAndSanitizeInput(idea);
+  const outputLanguage = getOutputLanguage(language);
+  const { sections, depth, truncation } = report.checks;
+
+  const issues = [
+    sections.missing.length > 0 ? `缺少章節「${sections.missing.join('」、「')}」` : null,
+    depth.shallow.length > 0 ? `章節「${depth.shallow.join('」、「')}」內容過於簡略` : null,
+    depth.length < depth.minLength ? '整份規格內容過短' : null,
+    truncation.passed ? null : '內容在結尾被截斷'
+  ].filter(Boolean);
+
+  const request = `以下是「${sanitizedIdea}」軟體開發規格的草稿，未通過品質檢查：${issues.join('；')}。請依原始要求修正這些問題，保留草稿中已完成的內容，輸出修正後的完整規格，不要輸出任何說明文字。用Markdown格式，${outputLanguage.name}回答。`;
+  const localized = outputLanguage === OUTPUT_LANGUAGES[DEFAULT_OUTPUT_LANGUAGE] ? request : `${request} ${outputLanguage.instruction}`;
+
+  return [
+    localized,
+    `## 原始要求\n\n${prompt}`,
+    `## 規格草稿\n\n${specification}`
+  ].join('\n\n');
+}
+
+/**
+ * 助理提出修訂規格時使用的分隔標記
+ */
+const CHAT_PROPOSAL_START = '<<<SPEC>>>';
+const CHAT_PROPOSAL_END = '<<<END SPEC>>>';
+
+/**
+ * 構建規格對話 prompt：附上目前規格與最近的對話，讓模型回答問題或提出修訂後的完整規格
+ * @param {object} params - { idea, specification, history, message, language }，history 為 [{ role, content }]
+ * @returns {string} - 經過驗證與消毒的 prompt
+ * @throws {Error} - 想法或訊息不安全時拋出錯誤
+ */
+export function buildChatPrompt({ idea, specification, history = [], message, language = DEFAULT_OUTPUT_LANGUAGE }) {
+  const sanitizedIdea = validateAndSanitizeInput(idea);
+  const sanitizedMessage = validateAndSanitizeInput(message);
+  const outputLanguage = getOutputLanguage(language);
+  const prompt = `你是協助改進「${sanitizedIdea}」軟體開發規格的助理。請根據目前規格與對話紀錄回答使用者最新的訊息。如果使用者要求修改規格，先簡短說明修改內容，再於單獨一行的「${CHAT_PROPOSAL_START}」與「${CHAT_PROPOSAL_END}」之間輸出修改後的完整規格；不需要修改時不要輸出這兩個標記。用Markdown格式，${outputLanguage.name}回答。`;
+  const localized = outputLanguage === OUTPUT_LANGUAGES[DEFAULT_OUTPUT_LANGUAGE] ? prompt : `${prompt} ${outputLanguage.instruction}`;
+
+  const transcript = history
+    .map(entry => `${entry.role === 'assistant' ? '助理' : '使用者'}：${entry.content}`)
+    .join('\n\n');
+
+  return [
+    localized,
+    `## 目前規格\n\n${specification}`,
+    transcript ? `## 對話紀錄\n\n${transcript}` : null,
+    `## 使用者最新訊息\n\n${sanitizedMessage}`
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * 解析對話回覆，分離說明文字與提出的修訂規格
+ * @param {string} output - 模型輸出
+ * @returns {{reply: string, proposedSpec: string|null}}
+ */
+export function parseChatReply(output) {
+  const text = String(output || '').trim();
+  const start = text.indexOf(CHAT_PROPOSAL_START);
+
+  if (start === -1) {
+    return { reply: text, proposedSpec: null };
   }
 
-  // 構建安全的 prompt
-  const prompt = isTest 
-    ? sanitizedInput 
-    : `請為「${sanitizedInput}」製作一份軟體開發規格。包含：專案概述、功能需求、技術架構、開發階段。用Markdown格式，繁體中文回答。`;
+  const end = text.indexOf(CHAT_PROPOSAL_END, start);
+  const proposal = text
+    .slice(start + CHAT_PROPOSAL_START.length, end === -1 ? undefined : end)
+    .trim()
+    // 模型常以 ```markdown 包覆整份規格
+    .replace(/^(```|~~~)[\w-]*\n([\s\S]*)\n\1$/, '$2')
+    .trim();
+  const reply = [text.slice(0, start), end === -1 ? '' : text.slice(end + CHAT_PROPOSAL_END.length)]
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join('\n\n');
+
+  return { reply, proposedSpec: proposal || null };
+}
+
+/**
+ * 以重試機制執行已構建好的 prompt
+ * @param {string} prompt - 要送出的 prompt
+ * @param {object} options - 選項設定
+ * @returns {Promise<string>} - Gemini 輸出結果
+ * @throws {Error} - 當所有嘗試皆失敗時拋出錯誤
+ */
+export async function runGeminiPrompt(prompt, options = {}) {
+  const {
+    timeout = GEMINI_CONFIG.timeout,
+    maxRetries = GEMINI_CONFIG.maxRetries,
+    retryDelay = GEMINI_CONFIG.retryDelay,
+    jobId = null,
+    emitJobUpdate = null,
+    signal = null,
+    onChunk = null
+  } = options;
 
   // 使用安全的 spawn 方法進行重試
   for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
@@ -110,15 +298,22 @@ export async function generateWithGeminiSafe(userInput, options = {}) {
         timeout,
         jobId,
         emitJobUpdate,
+        signal,
+        onChunk,
         attempt
       });
       
       return result;
     } catch (error) {
+      // 已取消的工作不再重試
+      if (isAbortError(error)) {
+        throw error;
+      }
+      
       console.error(`Gemini CLI 執行失敗 (嘗試 ${attempt}/${maxRetries + 1}):`, error.message);
       
       if (attempt <= maxRetries) {
-        await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
+        await waitWithSignal(retryDelay * attempt, signal);
         continue;
       }
       
@@ -142,9 +337,15 @@ async function executeGeminiSafely(prompt, options = {}) {
     timeout = GEMINI_CONFIG.timeout,
     jobId = null,
     emitJobUpdate = null,
+    signal = null,
+    onChunk = null,
     attempt = 1
   } = options;
 
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+
   return new Promise((resolve, reject) => {
     const startTime = Date.now();
     
@@ -172,37 +373,59 @@ async function executeGeminiSafely(prompt, options = {}) {
     let errorOutput = '';
     let isCompleted = false;
 
+    // 終止子進程（SIGTERM 無效時改用 SIGKILL）
+    const terminateProcess = () => {
+      geminiProcess.kill('SIGTERM');
+      setTimeout(() => {
+        if (geminiProcess.exitCode === null && geminiProcess.signalCode === null) {
+          geminiProcess.kill('SIGKILL');
+        }
+      }, 5000).unref();
+    };
+
     // 設定超時處理
     const timeoutId = setTimeout(() => {
       if (!isCompleted) {
         isCompleted = true;
-        geminiProcess.kill('SIGTERM');
-        
-        // 如果 SIGTERM 不起作用，使用 SIGKILL
-        setTimeout(() => {
-          if (!geminiProcess.killed) {
-            geminiProcess.kill('SIGKILL');
-          }
-        }, 5000);
-        
+        signal?.removeEventListener('abort', onAbort);
+        terminateProcess();
         reject(new Error(`Gemini CLI 執行超時 (${timeout}ms)`));
       }
     }, timeout);
 
+    // 取消時立即終止子進程
+    const onAbort = () => {
+      if (!isCompleted) {
+        isCompleted = true;
+        clearTimeout(timeoutId);
+        terminateProcess();
+        reject(createAbortError());
+      }
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     // 安全地寫入 prompt 到 stdin
     try {
       geminiProcess.stdin.write(prompt);
       geminiProcess.stdin.end();
     } catch (error) {
       clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
       reject(new Error(`無法寫入到 Gemini CLI: ${error.message}`));
       return;
     }
 
-    // 處理標準輸出
+    // 處理標準輸出（以 utf8 解碼，避免多位元組字元在片段邊界被截斷）
+    geminiProcess.stdout.setEncoding('utf8');
     geminiProcess.stdout.on('data', (data) => {
       if (!isCompleted) {
-        output += data.toString();
+        const chunk = data.toString();
+        output += chunk;
+        
+        // 轉發輸出片段供串流顯示
+        if (onChunk) {
+          onChunk(chunk, attempt);
+        }
         
         // 發送進度更新
         if (jobId && emitJobUpdate) {
@@ -216,6 +439,7 @@ async function executeGeminiSafely(prompt, options = {}) {
         if (output.length > GEMINI_CONFIG.maxBuffer) {
           isCompleted = true;
           clearTimeout(timeoutId);
+          signal?.removeEventListener('abort', onAbort);
           geminiProcess.kill('SIGTERM');
           reject(new Error('Gemini CLI 輸出超過大小限制'));
         }
@@ -235,6 +459,7 @@ async function executeGeminiSafely(prompt, options = {}) {
       if (!isCompleted) {
         isCompleted = true;
         clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
         const duration = Date.now() - startTime;
 
         if (code === 0) {
@@ -262,6 +487,7 @@ async function executeGeminiSafely(prompt, options = {}) {
       if (!isCompleted) {
         isCompleted = true;
         clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
         console.error('Gemini CLI 進程錯誤:', error);
         reject(new Error(`無法啟動 Gemini CLI: ${error.message}`));
       }
@@ -299,13 +525,56 @@ export async function generateWithGeminiExec(userInput, options = {}) {
   }
 }
 
+/**
+ * 判斷內容是否已包含規格文件外框（任一語言的標題）
+ * @param {string} content - 規格內容
+ * @returns {boolean}
+ */
+export function isFormattedSpecification(content) {
+  return Object.values(OUTPUT_LANGUAGES).some(({ labels }) => content.includes(`# ${labels.title}`));
+}
+
+/**
+ * 移除 formatSpecification 加上的外框（標題、生成時間、原始想法與頁尾），只留下規格本文
+ * 匯出 PDF、DOCX、HTML 時改以封面頁呈現這些資訊
+ * @param {string} content - 規格內容
+ * @returns {string} - 規格本文；不是格式化過的規格時原樣回傳
+ */
+export function stripSpecificationFrame(content) {
+  for (const { labels } of Object.values(OUTPUT_LANGUAGES)) {
+    const header = `# ${labels.title}\n`;
+    if (!content.startsWith(header)) {
+      continue;
+    }
+
+    const headerEnd = content.indexOf('\n---\n');
+    const headerBlock = content.slice(header.length, headerEnd);
+    if (headerEnd === -1 || !headerBlock.includes(`**${labels.originalIdea}**`)) {
+      continue;
+    }
+
+    const body = content.slice(headerEnd + '\n---\n'.length);
+    const footerStart = body.lastIndexOf('\n---\n');
+    const footer = footerStart === -1 ? '' : body.slice(footerStart + '\n---\n'.length).trim();
+    const hasFooter = /^\*[^\n]*\*$/.test(footer);
+
+    return (hasFooter ? body.slice(0, footerStart) : body).trim();
+  }
+
+  return content;
+}
+
 /**
  * 格式化生成的規格文檔
  * @param {string} rawOutput - Gemini 的原始輸出
  * @param {string} originalIdea - 原始用戶想法
+ * @param {object} options - 格式選項（generatedBy: 產生來源名稱，language: 外框文字的語言，generatedAt: 生成時間，預設為現在）
  * @returns {string} - 格式化後的規格文檔
  */
-export function formatSpecification(rawOutput, originalIdea) {
+export function formatSpecification(rawOutput, originalIdea, options = {}) {
+  const { generatedBy = 'Gemini CLI', language = DEFAULT_OUTPUT_LANGUAGE, generatedAt = new Date() } = options;
+  const { labels } = getOutputLanguage(language);
+
   if (!rawOutput || typeof rawOutput !== 'string') {
     console.error('無效的 Gemini 輸出類型:', typeof rawOutput);
     throw new Error('無效的 Gemini 輸出');
@@ -334,7 +603,7 @@ export function formatSpecification(rawOutput, originalIdea) {
     
     // 如果輸出很短但有意義，擴展它
     if (cleanOutput.length > 0) {
-      cleanOutput = `根據您的想法「${originalIdea}」，以下是初步的分析和建議：\n\n${cleanOutput}\n\n請提供更多詳細信息以生成完整的規格文件。`;
+      cleanOutput = `${labels.shortOutputIntro.replace('{idea}', originalIdea)}\n\n${cleanOutput}\n\n${labels.shortOutputHint}`;
     } else {
       throw new Error('Gemini 輸出為空或過短');
     }
@@ -351,15 +620,15 @@ export function formatSpecification(rawOutput, originalIdea) {
   // 第5步: 確保有適當的 Markdown 格式
   if (!cleanOutput.includes('#')) {
     // 如果沒有標題，添加一個
-    cleanOutput = `# ${originalIdea} - 產品規格文件\n\n${cleanOutput}`;
+    cleanOutput = `# ${originalIdea} - ${labels.specHeading}\n\n${cleanOutput}`;
   }
   
   // 第6步: 組裝最終格式
   const metadata = [
-    '# Product Development Specification',
+    `# ${labels.title}`,
     '',
-    `**Generated:** ${new Date().toISOString()}`,
-    `**Original Idea:** ${originalIdea}`,
+    `**${labels.generated}** ${generatedAt.toISOString()}`,
+    `**${labels.originalIdea}** ${originalIdea}`,
     '',
     '---',
     '',
@@ -367,7 +636,7 @@ export function formatSpecification(rawOutput, originalIdea) {
     '',
     '---',
     '',
-    '*Generated using Gemini CLI integration*'
+    labels.footer.replace('{provider}', generatedBy)
   ].join('\n');
 
   console.log('最終格式化輸出長度:', metadata.length);
@@ -380,9 +649,18 @@ export { GEMINI_CONFIG };
 // 預設導出
 export default {
   generateWithGeminiSafe,
+  buildSpecificationPrompt,
+  buildSectionRefinePrompt,
+  buildChatPrompt,
+  buildRepairPrompt,
+  parseChatReply,
+  getOutputLanguage,
+  runGeminiPrompt,
   generateWithGeminiExec,
   checkGeminiAvailability,
   testGeminiBasicFunction,
   formatSpecification,
+  isFormattedSpecification,
+  stripSpecificationFrame,
   GEMINI_CONFIG
 };
\ No newline at end of file
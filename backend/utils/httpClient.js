@@ -0,0 +1,74 @@
+/**
+ * HTTP 呼叫模組
+ * LLM 提供者與推送整合共用的 JSON 請求、逾時與取消處理
+ */
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * 合併多個取消訊號（Node 18 尚未提供 AbortSignal.any）
+ * @param {...(AbortSignal|null)} signals - 取消訊號，可包含 null
+ * @returns {AbortSignal} - 任一訊號中止時即中止的訊號
+ */
+export function combineSignals(...signals) {
+  const activeSignals = signals.filter(Boolean);
+  if (activeSignals.length === 1) {
+    return activeSignals[0];
+  }
+
+  const controller = new AbortController();
+  for (const signal of activeSignals) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+
+  return controller.signal;
+}
+
+/**
+ * 發送 HTTP 請求，非 2xx 回應時拋出錯誤
+ * @param {string} url - 請求網址
+ * @param {object} options - fetch 選項，另支援 body（物件，以 JSON 送出並改用 POST）、timeout（毫秒）與 signal（取消訊號）
+ * @returns {Promise<Response>}
+ */
+export async function sendRequest(url, options = {}) {
+  const { body, timeout = DEFAULT_TIMEOUT, headers = {}, signal = null, ...rest } = options;
+
+  const response = await fetch(url, {
+    method: body ? 'POST' : 'GET',
+    ...rest,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: combineSignals(AbortSignal.timeout(timeout), signal)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}: ${errorText.substring(0, 200)}`);
+  }
+
+  return response;
+}
+
+/**
+ * 發送 JSON 請求並解析回應
+ * @param {string} url - 請求網址
+ * @param {object} options - 與 sendRequest 相同的選項
+ * @returns {Promise<object>} - 解析後的 JSON
+ */
+export async function requestJson(url, options = {}) {
+  const response = await sendRequest(url, options);
+  return response.json();
+}
+
+export default {
+  combineSignals,
+  sendRequest,
+  requestJson
+};
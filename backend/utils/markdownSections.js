@@ -0,0 +1,211 @@
+/**
+ * Markdown 章節解析模組
+ * 依標題切分規格內容、產生穩定的章節錨點，並支援替換單一章節
+ */
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+/**
+ * 將文字拆成行（統一換行符號）
+ * @param {string} text - 原始文字
+ * @returns {string[]}
+ */
+export function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+
+  return String(text).replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * 產生標題錨點：轉小寫、移除標點，空白改為連字號（保留中日文字）
+ * @param {string} heading - 標題文字
+ * @returns {string}
+ */
+export function slugifyHeading(heading) {
+  const slug = String(heading)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-');
+
+  return slug || 'section';
+}
+
+/**
+ * 列出所有標題（忽略程式碼區塊內的 #），同名標題的錨點依序加上 -1、-2
+ * @param {string} text - Markdown 內容
+ * @returns {Array<{anchor: string, heading: string, level: number, line: number}>} - line 為 1 起算的行號
+ */
+export function listHeadings(text) {
+  const headings = [];
+  const used = new Map();
+  let inFence = false;
+
+  splitLines(text).forEach((line, index) => {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+
+    const match = !inFence && line.match(HEADING_PATTERN);
+    if (!match) {
+      return;
+    }
+
+    const base = slugifyHeading(match[2]);
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+
+    headings.push({
+      anchor: count === 0 ? base : `${base}-${count}`,
+      heading: match[2],
+      level: match[1].length,
+      line: index + 1
+    });
+  });
+
+  return headings;
+}
+
+/**
+ * 依標題切分章節（每個標題到下一個標題為止，不含子章節）
+ * 第一個標題之前的內容歸入 heading 為 null 的前言章節
+ * @param {string} text - Markdown 內容
+ * @returns {Array<{key: string, heading: string|null, level: number, startLine: number, text: string}>}
+ */
+export function parseSections(text) {
+  const lines = splitLines(text);
+  const headings = listHeadings(text);
+  const sections = [];
+  const occurrences = new Map();
+
+  const push = (heading, level, startIndex, endIndex) => {
+    const sectionLines = lines.slice(startIndex, endIndex);
+
+    if (heading === null && sectionLines.every(line => !line.trim())) {
+      return;
+    }
+
+    // 同名標題以出現次序區分
+    const baseKey = heading === null ? '' : `${level}:${heading.toLowerCase()}`;
+    const count = occurrences.get(baseKey) || 0;
+    occurrences.set(baseKey, count + 1);
+
+    sections.push({
+      key: `${baseKey}#${count}`,
+      heading,
+      level,
+      startLine: startIndex + 1,
+      text: sectionLines.join('\n')
+    });
+  };
+
+  push(null, 0, 0, headings.length > 0 ? headings[0].line - 1 : lines.length);
+
+  headings.forEach((heading, index) => {
+    const end = index + 1 < headings.length ? headings[index + 1].line - 1 : lines.length;
+    push(heading.heading, heading.level, heading.line - 1, end);
+  });
+
+  return sections;
+}
+
+/**
+ * 依錨點找出章節範圍（包含子章節，直到下一個同級或更高層級的標題）
+ * @param {string} text - Markdown 內容
+ * @param {string} anchor - 章節錨點
+ * @returns {{anchor: string, heading: string, level: number, startLine: number, endLine: number, content: string}|null}
+ *   startLine 為標題行號、endLine 為章節最後一行行號（皆為 1 起算）
+ */
+export function findSection(text, anchor) {
+  const lines = splitLines(text);
+  const headings = listHeadings(text);
+  const index = headings.findIndex(heading => heading.anchor === anchor);
+
+  if (index === -1) {
+    return null;
+  }
+
+  const target = headings[index];
+  const next = headings.slice(index + 1).find(heading => heading.level <= target.level);
+  const endLine = next ? next.line - 1 : lines.length;
+
+  return {
+    anchor: target.anchor,
+    heading: target.heading,
+    level: target.level,
+    startLine: target.line,
+    endLine,
+    content: lines.slice(target.line - 1, endLine).join('\n')
+  };
+}
+
+/**
+ * 以新內容取代章節本文，保留原標題行與其他章節
+ * @param {string} text - Markdown 內容
+ * @param {string} anchor - 章節錨點
+ * @param {string} body - 新的章節本文（不含標題行）
+ * @returns {string|null} - 替換後的內容，找不到章節時回傳 null
+ */
+export function replaceSection(text, anchor, body) {
+  const section = findSection(text, anchor);
+
+  if (!section) {
+    return null;
+  }
+
+  const lines = splitLines(text);
+  const before = lines.slice(0, section.startLine);
+  const after = lines.slice(section.endLine);
+  const bodyLines = splitLines(String(body).trim());
+
+  // 章節之間保留一個空行
+  return [
+    ...before,
+    '',
+    ...bodyLines,
+    ...(after.length > 0 ? ['', ...after] : [])
+  ].join('\n');
+}
+
+/**
+ * 從模型輸出取出章節本文：移除包覆的程式碼區塊與開頭的標題行，
+ * 並在出現同級或更高層級的標題時截斷，避免改動其他章節
+ * @param {string} output - 模型輸出
+ * @param {number} level - 目標章節的標題層級
+ * @returns {string} - 章節本文（不含標題行）
+ */
+export function extractSectionBody(output, level) {
+  let lines = splitLines(String(output || '').trim());
+
+  // 模型常以 ```markdown 包覆整段輸出
+  if (lines.length >= 2 && FENCE_PATTERN.test(lines[0]) && FENCE_PATTERN.test(lines[lines.length - 1])) {
+    lines = lines.slice(1, -1);
+  }
+
+  while (lines.length > 0 && !lines[0].trim()) {
+    lines.shift();
+  }
+
+  if (lines.length > 0 && HEADING_PATTERN.test(lines[0])) {
+    lines.shift();
+  }
+
+  const body = lines.join('\n');
+  const cut = listHeadings(body).find(heading => heading.level <= level);
+
+  return (cut ? lines.slice(0, cut.line - 1) : lines).join('\n').trim();
+}
+
+export default {
+  splitLines,
+  slugifyHeading,
+  listHeadings,
+  parseSections,
+  findSection,
+  replaceSection,
+  extractSectionBody
+};
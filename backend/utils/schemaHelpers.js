@@ -0,0 +1,113 @@
+/**
+ * 資料表結構輔助模組
+ * 供遷移腳本檢查與修改資料表；db 可以是 libsql client 或交易物件
+ */
+
+/**
+ * 檢查資料表是否存在
+ */
+export async function tableExists(db, table) {
+  const result = await db.execute({
+    sql: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?",
+    args: [table]
+  });
+  return result.rows.length > 0;
+}
+
+/**
+ * 取得資料表的欄位名稱
+ * @returns {Promise<Set<string>>}
+ */
+export async function getColumns(db, table) {
+  const result = await db.execute(`PRAGMA table_info(${table})`);
+  return new Set(result.rows.map(row => row.name));
+}
+
+/**
+ * 取得資料表的建立語句
+ */
+export async function getTableSql(db, table) {
+  const result = await db.execute({
+    sql: "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+    args: [table]
+  });
+  return result.rows[0]?.sql || null;
+}
+
+/**
+ * 新增尚不存在的欄位
+ * @param {object} columns - { 欄位名稱: 型別定義 }
+ * @returns {Promise<string[]>} - 實際新增的欄位
+ */
+export async function addColumns(db, table, columns) {
+  const existing = await getColumns(db, table);
+  const added = [];
+
+  for (const [column, type] of Object.entries(columns)) {
+    if (!existing.has(column)) {
+      await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      added.push(column);
+    }
+  }
+
+  return added;
+}
+
+/**
+ * 移除存在的欄位（需要 SQLite 3.35 以上）
+ * @param {string[]} columns - 欄位名稱
+ */
+export async function dropColumns(db, table, columns) {
+  const existing = await getColumns(db, table);
+
+  for (const column of columns) {
+    if (existing.has(column)) {
+      await db.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+}
+
+/**
+ * 以新的結構重建資料表
+ * SQLite 無法修改欄位定義或 CHECK 約束，因此建立新表、複製資料後改名，並重新建立原有的索引與觸發器
+ * @param {string} table - 資料表名稱
+ * @param {Function} buildCreateSql - (name) => 建立新資料表的 SQL
+ * @param {object} columnSelects - { 新表欄位: 從舊表取值的 SQL 運算式 }
+ */
+export async function rebuildTable(db, table, buildCreateSql, columnSelects) {
+  const tempTable = `${table}_new`;
+  const dependents = await db.execute({
+    sql: "SELECT sql FROM sqlite_master WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL",
+    args: [table]
+  });
+  const columns = Object.keys(columnSelects);
+
+  await db.execute(buildCreateSql(tempTable));
+  await db.execute(
+    `INSERT INTO ${tempTable} (${columns.join(', ')}) SELECT ${columns.map(column => columnSelects[column]).join(', ')} FROM ${table}`
+  );
+  await db.execute(`DROP TABLE ${table}`);
+  await db.execute(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+
+  for (const row of dependents.rows) {
+    await db.execute(row.sql);
+  }
+}
+
+/**
+ * 欄位名稱對應到同名欄位，供 rebuildTable 原樣複製資料
+ * @param {Iterable<string>} columns - 欄位名稱
+ */
+export function sameColumns(columns) {
+  return Object.fromEntries([...columns].map(column => [column, column]));
+}
+
+export default {
+  tableExists,
+  getColumns,
+  getTableSql,
+  addColumns,
+  dropColumns,
+  rebuildTable,
+  sameColumns
+};
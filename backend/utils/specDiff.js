@@ -0,0 +1,238 @@
+/**
+ * 規格差異比對模組
+ * 以 Myers 演算法比對 Markdown 行差異，並依標題彙整各章節的變更
+ */
+
+import { splitLines, parseSections } from './markdownSections.js';
+
+/**
+ * 差異比對配置
+ */
+const DIFF_CONFIG = {
+  // 編輯距離上限，超過時視為整份替換以限制記憶體用量
+  maxEditDistance: 2000
+};
+
+/**
+ * 以 Myers 演算法計算最短編輯序列
+ * @param {string[]} a - 舊版本的行
+ * @param {string[]} b - 新版本的行
+ * @returns {Array<{type: string, oldIndex: number|null, newIndex: number|null}>|null} - 超過編輯距離上限時回傳 null
+ */
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, DIFF_CONFIG.maxEditDistance);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // 只保存 [-d, d] 範圍，回溯時使用
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a.length, b.length);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 由各步驟的 V 陣列回溯出編輯序列
+ */
+function backtrack(trace, n, m) {
+  const operations = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = k => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      operations.push({ type: 'unchanged', oldIndex: x, newIndex: y });
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        operations.push({ type: 'added', oldIndex: null, newIndex: prevY });
+      } else {
+        operations.push({ type: 'removed', oldIndex: prevX, newIndex: null });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return operations.reverse();
+}
+
+/**
+ * 比對兩段文字的行差異
+ * @param {string} oldText - 舊版本內容
+ * @param {string} newText - 新版本內容
+ * @returns {Array<{type: 'added'|'removed'|'unchanged', text: string, oldLine: number|null, newLine: number|null}>}
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // 先略過相同的開頭與結尾，縮小比對範圍
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myersDiff(middleA, middleB) || [
+    ...middleA.map((line, index) => ({ type: 'removed', oldIndex: index, newIndex: null })),
+    ...middleB.map((line, index) => ({ type: 'added', oldIndex: null, newIndex: index }))
+  ];
+
+  const operations = [
+    ...a.slice(0, start).map((line, index) => ({ type: 'unchanged', oldIndex: index, newIndex: index })),
+    ...middle.map(operation => ({
+      type: operation.type,
+      oldIndex: operation.oldIndex === null ? null : operation.oldIndex + start,
+      newIndex: operation.newIndex === null ? null : operation.newIndex + start
+    })),
+    ...a.slice(endA).map((line, index) => ({ type: 'unchanged', oldIndex: endA + index, newIndex: endB + index }))
+  ];
+
+  return operations.map(operation => ({
+    type: operation.type,
+    text: operation.oldIndex !== null ? a[operation.oldIndex] : b[operation.newIndex],
+    oldLine: operation.oldIndex === null ? null : operation.oldIndex + 1,
+    newLine: operation.newIndex === null ? null : operation.newIndex + 1
+  }));
+}
+
+/**
+ * 比對各章節的變更；標題相同的章節視為同一章節，改名的標題會呈現為移除與新增
+ * @param {string} oldText - 舊版本內容
+ * @param {string} newText - 新版本內容
+ * @returns {Array<{heading: string|null, level: number, status: 'added'|'removed'|'modified'|'unchanged', added: number, removed: number, oldLine: number|null, newLine: number|null}>}
+ */
+export function diffSections(oldText, newText) {
+  const oldSections = parseSections(oldText);
+  const newSections = parseSections(newText);
+  const oldIndexByKey = new Map(oldSections.map((section, index) => [section.key, index]));
+  const emitted = new Set();
+  const results = [];
+
+  const countLines = text => splitLines(text).length;
+
+  const emitRemovedBefore = (limit) => {
+    for (let index = 0; index < limit; index++) {
+      const section = oldSections[index];
+      if (!emitted.has(index) && !newSections.some(candidate => candidate.key === section.key)) {
+        emitted.add(index);
+        results.push({
+          heading: section.heading,
+          level: section.level,
+          status: 'removed',
+          added: 0,
+          removed: countLines(section.text),
+          oldLine: section.startLine,
+          newLine: null
+        });
+      }
+    }
+  };
+
+  for (const section of newSections) {
+    const oldIndex = oldIndexByKey.get(section.key);
+
+    if (oldIndex === undefined) {
+      results.push({
+        heading: section.heading,
+        level: section.level,
+        status: 'added',
+        added: countLines(section.text),
+        removed: 0,
+        oldLine: null,
+        newLine: section.startLine
+      });
+      continue;
+    }
+
+    emitRemovedBefore(oldIndex);
+    emitted.add(oldIndex);
+
+    const oldSection = oldSections[oldIndex];
+    const changes = diffLines(oldSection.text, section.text);
+    const added = changes.filter(change => change.type === 'added').length;
+    const removed = changes.filter(change => change.type === 'removed').length;
+
+    results.push({
+      heading: section.heading,
+      level: section.level,
+      status: added || removed ? 'modified' : 'unchanged',
+      added,
+      removed,
+      oldLine: oldSection.startLine,
+      newLine: section.startLine
+    });
+  }
+
+  emitRemovedBefore(oldSections.length);
+  return results;
+}
+
+/**
+ * 比對兩個規格版本，回傳行差異、章節摘要與統計
+ * @param {string} oldText - 舊版本內容
+ * @param {string} newText - 新版本內容
+ * @returns {{stats: object, sections: Array, lines: Array}}
+ */
+export function diffSpecifications(oldText, newText) {
+  const lines = diffLines(oldText, newText);
+  const sections = diffSections(oldText, newText);
+
+  return {
+    stats: {
+      added: lines.filter(line => line.type === 'added').length,
+      removed: lines.filter(line => line.type === 'removed').length,
+      unchanged: lines.filter(line => line.type === 'unchanged').length,
+      sectionsChanged: sections.filter(section => section.status !== 'unchanged').length
+    },
+    sections,
+    lines
+  };
+}
+
+export default {
+  diffLines,
+  diffSections,
+  diffSpecifications
+};
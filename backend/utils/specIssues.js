@@ -0,0 +1,183 @@
+/**
+ * 規格議題解析模組
+ * 將規格的功能需求拆成個別議題、開發階段拆成 epic，供推送到議題追蹤系統
+ */
+
+import { marked } from 'marked';
+import { INTEGRATION_CONFIG } from '../config/serverConfig.js';
+import { listHeadings, findSection, splitLines } from './markdownSections.js';
+
+// 標題與項目開頭的編號，例如「2.1 」「1. 」「第一階段：」不在此列
+const NUMBERING_PATTERN = /^\s*(?:\d+(?:\.\d+)*\.?|[a-zA-Z]\.|[ivxIVX]+\.)\s+/;
+
+/**
+ * 移除標題編號與結尾冒號
+ * @param {string} text - 標題或項目文字
+ * @returns {string}
+ */
+export function cleanTitle(text) {
+  const title = String(text)
+    .replace(NUMBERING_PATTERN, '')
+    .replace(/[:：]\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return title.length > INTEGRATION_CONFIG.maxTitleLength
+    ? `${title.slice(0, INTEGRATION_CONFIG.maxTitleLength - 1)}…`
+    : title;
+}
+
+/**
+ * 標題是否包含任一關鍵字（不分大小寫）
+ */
+const matchesKeywords = (heading, keywords) => {
+  const normalized = heading.toLowerCase();
+  return keywords.some(keyword => normalized.includes(keyword.toLowerCase()));
+};
+
+/**
+ * 找出第一個符合關鍵字的章節（包含子章節）
+ * @param {string} markdown - 規格內容
+ * @param {string[]} keywords - 標題關鍵字
+ * @returns {{heading: string, level: number, body: string}|null} - body 不含標題行
+ */
+export function findKeywordSection(markdown, keywords) {
+  const match = listHeadings(markdown).find(heading => matchesKeywords(heading.heading, keywords));
+
+  if (!match) {
+    return null;
+  }
+
+  const section = findSection(markdown, match.anchor);
+  return {
+    heading: section.heading,
+    level: section.level,
+    body: splitLines(section.content).slice(1).join('\n')
+  };
+}
+
+/**
+ * 依下一層標題切分章節本文
+ * @param {string} body - 章節本文（不含標題行）
+ * @returns {{intro: string, subsections: Array<{heading: string, body: string}>}}
+ *   intro 為第一個子標題之前的內容
+ */
+export function splitSubsections(body) {
+  const lines = splitLines(body);
+  const headings = listHeadings(body);
+
+  if (headings.length === 0) {
+    return { intro: body, subsections: [] };
+  }
+
+  // 以最高層的子標題切分，更深的標題留在各子章節內
+  const level = Math.min(...headings.map(heading => heading.level));
+  const boundaries = headings.filter(heading => heading.level === level);
+
+  return {
+    intro: lines.slice(0, boundaries[0].line - 1).join('\n'),
+    subsections: boundaries.map((heading, index) => {
+      const end = index + 1 < boundaries.length ? boundaries[index + 1].line - 1 : lines.length;
+      return {
+        heading: heading.heading,
+        body: lines.slice(heading.line, end).join('\n').trim()
+      };
+    })
+  };
+}
+
+/**
+ * 取出最上層清單的項目：以粗體開頭文字（或第一行）為標題，其餘內容為說明
+ * @param {string} text - Markdown 內容
+ * @returns {Array<{title: string, body: string}>}
+ */
+export function extractListItems(text) {
+  const tokens = marked.lexer(text || '', { gfm: true });
+
+  return tokens
+    .filter(token => token.type === 'list')
+    .flatMap(list => list.items)
+    .map((item) => {
+      const lines = splitLines(item.text);
+      const lead = item.tokens[0]?.tokens?.[0];
+      let title = lines[0];
+      let rest = lines.slice(1);
+
+      if (lead?.type === 'strong' && lines[0].startsWith(lead.raw)) {
+        // 「**名稱**：說明」以名稱為標題、說明留在本文
+        title = lead.text;
+        const remainder = lines[0].slice(lead.raw.length).replace(/^\s*[:：\-–—]\s*/, '').trim();
+        rest = remainder ? [remainder, ...rest] : rest;
+      }
+
+      return {
+        title: cleanTitle(title.replace(/[*_`]/g, '')),
+        body: rest.join('\n').trim()
+      };
+    })
+    .filter(item => item.title);
+}
+
+/**
+ * 將章節轉為議題草稿：子章節內的每個清單項目一則，沒有清單的子章節整段一則
+ * @param {{heading: string, body: string}} section - findKeywordSection 的結果
+ * @param {'issue'|'epic'} kind - 議題類型
+ * @returns {Array<{kind: string, title: string, body: string, module: string|null}>}
+ */
+function sectionToItems(section, kind) {
+  const { intro, subsections } = splitSubsections(section.body);
+  const items = [];
+
+  const collect = (text, module) => {
+    extractListItems(text).forEach(item => items.push({ kind, module, ...item }));
+  };
+
+  if (kind === 'epic' && subsections.length > 0) {
+    // 每個階段一個 epic，階段內容作為說明
+    subsections.forEach((subsection) => {
+      items.push({ kind, module: null, title: cleanTitle(subsection.heading), body: subsection.body });
+    });
+    return items;
+  }
+
+  collect(intro, null);
+
+  subsections.forEach((subsection) => {
+    const module = cleanTitle(subsection.heading);
+    const before = items.length;
+    collect(subsection.body, module);
+
+    if (items.length === before && subsection.body) {
+      items.push({ kind, module: null, title: module, body: subsection.body });
+    }
+  });
+
+  return items;
+}
+
+/**
+ * 解析規格為議題與 epic 草稿
+ * @param {string} markdown - 規格內容
+ * @returns {{requirementsHeading: string|null, phasesHeading: string|null, items: Array<{kind: string, title: string, body: string, module: string|null}>}}
+ */
+export function parseSpecIssues(markdown) {
+  const requirements = findKeywordSection(markdown, INTEGRATION_CONFIG.sections.requirements);
+  const phases = findKeywordSection(markdown, INTEGRATION_CONFIG.sections.phases);
+
+  return {
+    requirementsHeading: requirements?.heading || null,
+    phasesHeading: phases?.heading || null,
+    items: [
+      ...(phases ? sectionToItems(phases, 'epic') : []),
+      ...(requirements ? sectionToItems(requirements, 'issue') : [])
+    ]
+  };
+}
+
+export default {
+  cleanTitle,
+  findKeywordSection,
+  splitSubsections,
+  extractListItems,
+  parseSpecIssues
+};
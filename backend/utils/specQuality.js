@@ -0,0 +1,251 @@
+/**
+ * 規格品質檢查模組
+ * 檢查生成結果是否包含 prompt 要求的章節、各章節內容是否足夠、是否在結尾被截斷，
+ * 以及是否夾雜 CLI 輸出的雜訊，並依 QUALITY_CONFIG.weights 計算 0-100 的品質分數
+ */
+
+import { QUALITY_CONFIG, DEFAULT_OUTPUT_LANGUAGE } from '../config/serverConfig.js';
+import { stripSpecificationFrame } from './geminiSafe.js';
+import { listHeadings, findSection, splitLines } from './markdownSections.js';
+import { findKeywordSection } from './specIssues.js';
+import { plainText } from './specStructure.js';
+
+// prompt 中的章節清單，例如「包含：專案概述、功能需求、技術架構、開發階段。」
+const SECTION_LIST_PATTERN = /(?:包含|包括)[:：]\s*([^。\n]+)/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+// 在句子中途結束的結尾字元
+const INCOMPLETE_ENDING_PATTERN = /[,，、:：;；(（[{<\-–—/&+=]$/;
+
+/**
+ * 找出與章節名稱對應的別名群組
+ */
+function findAliases(parts) {
+  return Object.values(QUALITY_CONFIG.sectionAliases).find(keywords =>
+    parts.some(part => keywords.some(keyword => keyword.toLowerCase() === part.toLowerCase()))
+  ) || null;
+}
+
+/**
+ * 從 prompt 取出要求的章節
+ * 「功能需求與優先順序」這類複合名稱的任一部分出現在標題中即視為符合
+ * @param {string} prompt - 送給模型的 prompt
+ * @param {string} language - 輸出語言代碼
+ * @returns {Array<{name: string, keywords: string[]}>} - prompt 沒有列出章節時為空陣列
+ */
+export function getRequiredSections(prompt, language = DEFAULT_OUTPUT_LANGUAGE) {
+  const match = String(prompt || '').match(SECTION_LIST_PATTERN);
+
+  if (!match) {
+    return [];
+  }
+
+  return match[1]
+    .split(/[、，,]/)
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map((name) => {
+      const parts = [name, ...name.split(/以及|與|和|及/).map(part => part.trim()).filter(Boolean)];
+      const aliases = findAliases(parts);
+
+      // 範本以繁體中文撰寫，其他語言的標題只能以別名比對
+      if (!aliases && language !== DEFAULT_OUTPUT_LANGUAGE) {
+        return null;
+      }
+
+      return { name, keywords: [...new Set([...parts, ...(aliases || [])])] };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 逐行處理程式碼區塊以外的內容
+ * @param {string} text - Markdown 內容
+ * @param {function} predicate - (trimmedLine) => boolean
+ * @returns {{kept: string[], matched: string[]}}
+ */
+function partitionLines(text, predicate) {
+  const kept = [];
+  const matched = [];
+  let inFence = false;
+
+  for (const line of splitLines(text)) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    }
+
+    if (!inFence && predicate(line.trim())) {
+      matched.push(line.trim());
+    } else {
+      kept.push(line);
+    }
+  }
+
+  return { kept, matched };
+}
+
+const isNoiseLine = line => QUALITY_CONFIG.noisePatterns.some(pattern => pattern.test(line));
+
+/**
+ * 找出 CLI 輸出的雜訊行
+ * @param {string} text - Markdown 內容
+ * @returns {string[]}
+ */
+export function findCliNoise(text) {
+  return partitionLines(text, isNoiseLine).matched;
+}
+
+/**
+ * 移除 CLI 輸出的雜訊行
+ * @param {string} text - 模型輸出
+ * @returns {{text: string, removed: number}}
+ */
+export function removeCliNoise(text) {
+  const { kept, matched } = partitionLines(text, isNoiseLine);
+
+  return {
+    text: matched.length > 0 ? kept.join('\n').replace(/\n{3,}/g, '\n\n').trim() : String(text || ''),
+    removed: matched.length
+  };
+}
+
+/**
+ * 判斷內容是否在結尾被截斷
+ * @param {string} text - 規格本文
+ * @returns {string|null} - 截斷原因：unclosed-code-block、empty-last-section、incomplete-ending
+ */
+export function detectTruncation(text) {
+  const lines = splitLines(text).map(line => line.trimEnd()).filter(Boolean);
+  const fences = lines.filter(line => FENCE_PATTERN.test(line)).length;
+
+  if (fences % 2 === 1) {
+    return 'unclosed-code-block';
+  }
+
+  const last = lines[lines.length - 1] || '';
+
+  if (/^#{1,6}\s/.test(last)) {
+    return 'empty-last-section';
+  }
+
+  if (INCOMPLETE_ENDING_PATTERN.test(last) && !/^\s*(?:[-*_]\s*){3,}$/.test(last)) {
+    return 'incomplete-ending';
+  }
+
+  if (/^\s*\|/.test(last) && !/\|\s*$/.test(last)) {
+    return 'incomplete-ending';
+  }
+
+  return null;
+}
+
+/**
+ * 取出要檢查內容深度的章節：已找到的必要章節，或沒有必要章節時的最上層章節
+ */
+function getDepthSections(body, foundSections) {
+  if (foundSections.length > 0) {
+    return foundSections;
+  }
+
+  const headings = listHeadings(body);
+  if (headings.length === 0) {
+    return [];
+  }
+
+  // 只有一個最上層標題時視為文件標題，改檢查下一層
+  let level = Math.min(...headings.map(heading => heading.level));
+  if (headings.filter(heading => heading.level === level).length === 1 && headings.some(heading => heading.level > level)) {
+    level = Math.min(...headings.filter(heading => heading.level > level).map(heading => heading.level));
+  }
+
+  return headings
+    .filter(heading => heading.level === level)
+    .map((heading) => {
+      const section = findSection(body, heading.anchor);
+      return { heading: section.heading, body: splitLines(section.content).slice(1).join('\n') };
+    });
+}
+
+/**
+ * 檢查規格品質
+ * @param {string} markdown - 規格內容，可包含 formatSpecification 的外框
+ * @param {object} options - { requiredSections }，為 getRequiredSections 的結果
+ * @returns {{score: number, passed: boolean, requiredSections: Array, checks: object}}
+ *   checks 包含 sections、depth、truncation、noise 四項，各有 passed 與細節
+ */
+export function evaluateSpecQuality(markdown, { requiredSections = [] } = {}) {
+  const body = stripSpecificationFrame(String(markdown || ''))
+    .trim()
+    // 模型常以 ```markdown 包覆整份規格
+    .replace(/^(```|~~~)(?:markdown|md)?\n([\s\S]*)\n\1$/, '$2');
+  const { weights, minLength, minSectionLength } = QUALITY_CONFIG;
+
+  const found = requiredSections.map(section => ({ section, match: findKeywordSection(body, section.keywords) }));
+  const missing = found.filter(({ match }) => !match).map(({ section }) => section.name);
+
+  const depthSections = getDepthSections(body, found.filter(({ match }) => match).map(({ match }) => match));
+  const shallow = depthSections
+    .filter(section => plainText(section.body).length < minSectionLength)
+    .map(section => plainText(section.heading));
+  const length = plainText(body).length;
+
+  const truncation = detectTruncation(body);
+  const noise = findCliNoise(body);
+
+  const checks = {
+    sections: {
+      passed: missing.length === 0,
+      required: requiredSections.map(section => section.name),
+      missing
+    },
+    depth: {
+      passed: shallow.length === 0 && length >= minLength,
+      length,
+      minLength,
+      shallow
+    },
+    truncation: {
+      passed: truncation === null,
+      reason: truncation
+    },
+    noise: {
+      passed: noise.length === 0,
+      lines: noise
+    }
+  };
+
+  const sectionRatio = requiredSections.length > 0 ? 1 - missing.length / requiredSections.length : 1;
+  const depthRatio = (depthSections.length > 0 ? 1 - shallow.length / depthSections.length : 0)
+    * Math.min(1, length / minLength);
+  const score = Math.round(
+    weights.sections * sectionRatio
+    + weights.depth * depthRatio
+    + (checks.truncation.passed ? weights.truncation : 0)
+    + (checks.noise.passed ? weights.noise : 0)
+  );
+
+  return {
+    score,
+    passed: Object.values(checks).every(check => check.passed),
+    requiredSections,
+    checks
+  };
+}
+
+/**
+ * 是否需要要求模型修復（雜訊直接移除，不需要重新生成）
+ * @param {object} report - evaluateSpecQuality 的結果
+ * @returns {boolean}
+ */
+export function needsRepair(report) {
+  const { sections, depth, truncation } = report.checks;
+  return !sections.passed || !depth.passed || !truncation.passed;
+}
+
+export default {
+  getRequiredSections,
+  findCliNoise,
+  removeCliNoise,
+  detectTruncation,
+  evaluateSpecQuality,
+  needsRepair
+};
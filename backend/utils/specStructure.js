@@ -0,0 +1,579 @@
+/**
+ * 結構化規格模組
+ * 從 Markdown 規格推導概述、功能（含優先順序）、技術棧、開發階段（含工期）與風險，並以公開的 JSON Schema 驗證
+ */
+
+import Ajv from 'ajv';
+import { marked } from 'marked';
+import { STRUCTURED_SPEC_CONFIG } from '../config/serverConfig.js';
+import { SPEC_JSON_SCHEMA } from '../config/specSchema.js';
+import { listHeadings, splitLines } from './markdownSections.js';
+import { cleanTitle, findKeywordSection, splitSubsections, extractListItems } from './specIssues.js';
+import { stripSpecificationFrame } from './geminiSafe.js';
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateDocument = ajv.compile(SPEC_JSON_SCHEMA);
+
+// 「2-4 週」「3 months」「10 天」；第二個數字為範圍上限
+const DURATION_PATTERN = /(\d+(?:\.\d+)?)\s*(?:[-–—~～〜至到]\s*(\d+(?:\.\d+)?)\s*)?(週|周|weeks?|wks?|個月|个月|ヶ月|か月|カ月|months?|天|日|days?)/i;
+
+// 優先順序標記，例如「(P0)」「[High]」「【高】」
+const LEVEL_TAG_PATTERN = /[[(（【]\s*(p[0-3]|high|medium|low|must|should|could|高|中|低)(?:\s*(?:priority|優先\S*|优先\S*))?\s*[\])）】]/i;
+const MOSCOW_PATTERN = /\b(must|should|could)[- ]have\b/i;
+const CJK_PRIORITY_PATTERN = /(高|中|低)\s*(?:優先|优先)/;
+
+// 項目或表格欄位的標籤
+const LABELS = {
+  priority: ['priority', '優先順序', '優先順位', '優先級', '優先度', '優先', '优先级', '优先顺序', '优先', '重要度'],
+  severity: ['severity', 'impact', 'level', 'likelihood', '影響', '影响', '嚴重程度', '严重程度', '等級', '等级', '可能性', '機率', '概率', '影響度'],
+  mitigation: ['mitigation', '緩解', '缓解', '因應', '因应', '應對', '应对', '對策', '对策', '措施', '解決方案', '解决方案', '対策'],
+  tasks: ['tasks', 'task', 'activities', 'work', '任務', '任务', '工作', '主要工作', 'タスク', '作業'],
+  deliverables: ['deliverables', 'deliverable', 'outputs', 'output', '產出', '产出', '交付', '成果'],
+  duration: ['duration', 'timeline', 'time', '時程', '时程', '期間', '期间', '工期', '時間', '时间', '預計', '预计'],
+  feature: ['feature', 'name', 'requirement', 'story', '功能', '名稱', '名称', '需求', '故事', '機能'],
+  description: ['description', 'details', 'detail', 'notes', 'reason', 'purpose', '描述', '說明', '说明', '內容', '内容', '概要', '説明', '理由', '原因', '用途'],
+  category: ['category', 'layer', 'component', 'area', '類別', '类别', '層級', '层级', '元件', '組件', '组件', '分類', '分类', 'レイヤー'],
+  technology: ['technology', 'tech', 'tool', 'framework', 'choice', '技術', '技术', '工具', '框架', '選擇', '选择', '選型', '选型'],
+  phase: ['phase', 'milestone', 'stage', 'sprint', '階段', '阶段', '里程碑', 'フェーズ'],
+  risk: ['risk', '風險', '风险', 'リスク', 'issue', '問題', '问题']
+};
+
+// 清單項目開頭，例如「- 」「1. 」
+const LIST_LINE_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+/;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 移除 Markdown 標記，只留下文字
+ */
+export function plainText(markdown) {
+  return String(markdown || '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*#{1,6}\s+/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '')
+    .replace(/[*_`~]/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * 將優先順序或嚴重程度的文字轉為 high、medium 或 low
+ * @returns {'high'|'medium'|'low'|null} - 無法辨識時為 null
+ */
+export function normalizeLevel(value) {
+  const token = plainText(value).toLowerCase();
+  if (!token) {
+    return null;
+  }
+
+  for (const [level, keywords] of Object.entries(STRUCTURED_SPEC_CONFIG.priorities)) {
+    const matches = keywords.some(keyword => token === keyword
+      // 英文須為完整單字，例如「high priority」「must-have」
+      || new RegExp(`^${escapeRegExp(keyword)}(?:[\\s\\-:：(（]|$)`).test(token)
+      // 中日文直接比對開頭，例如「高（核心）」
+      || (/^[^\x00-\x7f]/.test(keyword) && token.startsWith(keyword)));
+
+    if (matches) {
+      return level;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 以「標籤：值」的格式取出值，例如「優先順序：高」「Mitigation: add caching」
+ * 值後面緊接著「/」或「、」時視為列舉（例如「優先級：高/中/低」）而不採用
+ */
+function findLabelledValue(text, labels) {
+  const pattern = new RegExp(
+    `(?:^|[\\s*_(（|])(?:${labels.map(escapeRegExp).join('|')})[^:：\\n]{0,10}?\\s*\\**\\s*[:：]\\s*\\**\\s*([^\\n]+)`,
+    'i'
+  );
+  const match = String(text || '').match(pattern);
+
+  if (!match || /^[^\s/、,，]+\s*[/、,，]/.test(match[1])) {
+    return null;
+  }
+
+  return plainText(match[1]) || null;
+}
+
+/**
+ * 從文字中找出優先順序：標籤、(P0) 之類的標記、MoSCoW 寫法或「高優先」
+ */
+function findPriority(text) {
+  const value = String(text || '');
+  const labelled = findLabelledValue(value, LABELS.priority);
+  const tag = value.match(LEVEL_TAG_PATTERN);
+  const moscow = value.match(MOSCOW_PATTERN);
+  const cjk = value.match(CJK_PRIORITY_PATTERN);
+
+  return normalizeLevel(labelled) || normalizeLevel(tag?.[1]) || normalizeLevel(moscow?.[1]) || normalizeLevel(cjk?.[1]);
+}
+
+/**
+ * 從文字中找出風險的嚴重程度
+ */
+function findSeverity(text) {
+  const tag = String(text || '').match(LEVEL_TAG_PATTERN);
+  return normalizeLevel(findLabelledValue(text, LABELS.severity)) || normalizeLevel(tag?.[1]);
+}
+
+/**
+ * 標題是否為指定標籤，例如「任務」「主要任務」「Deliverables」
+ */
+function isLabel(title, labels) {
+  const normalized = plainText(title).toLowerCase();
+  return normalized.length <= 20 && labels.some(label => normalized.includes(label));
+}
+
+/**
+ * 依文件順序處理表格與清單
+ * @param {string} text - Markdown 內容
+ * @param {object} handlers - { table: ({headers, rows}) => 項目陣列, list: (marked 清單 token) => 項目陣列 }
+ *   表格的標題轉為小寫純文字、儲存格轉為純文字
+ * @returns {Array} - 所有項目
+ */
+function collectBlocks(text, { table, list }) {
+  return marked.lexer(text || '', { gfm: true }).flatMap((token) => {
+    if (token.type === 'table') {
+      return table({
+        headers: token.header.map(cell => plainText(cell.text).toLowerCase()),
+        rows: token.rows.map(row => row.map(cell => plainText(cell.text)))
+      });
+    }
+
+    return token.type === 'list' ? list(token) : [];
+  });
+}
+
+/**
+ * 找出標題符合任一標籤的欄位
+ * @returns {number} - 欄位索引，找不到時為 -1
+ */
+function findColumn(headers, labels, exclude = []) {
+  return headers.findIndex((header, index) => !exclude.includes(index) && labels.some(label => header.includes(label)));
+}
+
+/**
+ * 取出最上層清單項目（保留 marked 的項目 token，供讀取巢狀清單）
+ */
+function listItemTokens(text) {
+  return marked.lexer(text || '', { gfm: true })
+    .filter(token => token.type === 'list')
+    .flatMap(list => list.items);
+}
+
+/**
+ * 拆出項目的標題與說明（與議題解析的規則相同）
+ */
+function splitItem(item) {
+  return extractListItems(item.raw.trim())[0] || { title: cleanTitle(plainText(item.text)), body: '' };
+}
+
+/**
+ * 項目本身的文字（不含巢狀清單）
+ */
+function ownText(item) {
+  return plainText(item.tokens.filter(token => token.type !== 'list').map(token => token.raw).join('\n'));
+}
+
+/**
+ * 解析工期
+ * @returns {{text: string, weeks: {min: number, max: number}}|null}
+ */
+export function parseDuration(text) {
+  const match = String(text || '').match(DURATION_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const unit = match[3].toLowerCase();
+  const { weeksPerUnit } = STRUCTURED_SPEC_CONFIG;
+  const factor = /週|周|week|wk/.test(unit) ? weeksPerUnit.week : (/月|month/.test(unit) ? weeksPerUnit.month : weeksPerUnit.day);
+  const toWeeks = value => Math.round(Number(value) * factor * 10) / 10;
+  const min = toWeeks(match[1]);
+  const max = match[2] ? toWeeks(match[2]) : min;
+
+  return {
+    text: match[0].trim(),
+    weeks: { min: Math.min(min, max), max: Math.max(min, max) }
+  };
+}
+
+/**
+ * 文件標題：第一個一級標題，沒有時為第一個標題
+ */
+function findTitle(body) {
+  const headings = listHeadings(body);
+  const heading = headings.find(item => item.level === 1) || headings[0];
+  return heading ? plainText(heading.heading) : null;
+}
+
+/**
+ * 概述：第一段文字作為摘要，並保留整個章節
+ */
+function parseOverview(section) {
+  if (!section) {
+    return { summary: '', markdown: '' };
+  }
+
+  const tokens = marked.lexer(section.body, { gfm: true });
+  const paragraph = tokens.find(token => token.type === 'paragraph');
+  const item = listItemTokens(section.body)[0];
+
+  return {
+    summary: paragraph ? plainText(paragraph.text) : (item ? ownText(item) : ''),
+    markdown: section.body.trim()
+  };
+}
+
+/**
+ * 依子章節收集項目；子章節沒有清單或表格時以整段作為一個項目
+ * @param {object} section - findKeywordSection 的結果
+ * @param {Function} collect - (text, module) => 項目陣列
+ * @param {Function} fromSubsection - (heading, body) => 單一項目
+ */
+function collectBySubsection(section, collect, fromSubsection) {
+  if (!section) {
+    return [];
+  }
+
+  const { intro, subsections } = splitSubsections(section.body);
+  const items = collect(intro, null, null);
+
+  subsections.forEach((subsection) => {
+    const found = collect(subsection.body, cleanTitle(plainText(subsection.heading)), subsection.heading);
+
+    if (found.length > 0) {
+      items.push(...found);
+    } else if (subsection.body) {
+      items.push(fromSubsection(subsection.heading, subsection.body));
+    }
+  });
+
+  return items;
+}
+
+/**
+ * 功能：清單項目或表格列；優先順序取自項目本身，否則取自所在子章節的標題
+ */
+function parseFeatures(section) {
+  const collect = (text, module, heading) => {
+    const modulePriority = heading ? findPriority(heading) : null;
+
+    return collectBlocks(text, {
+      table: ({ headers, rows }) => {
+        const titleColumn = Math.max(findColumn(headers, LABELS.feature), 0);
+        const priorityColumn = findColumn(headers, LABELS.priority, [titleColumn]);
+        const descriptionColumn = findColumn(headers, LABELS.description, [titleColumn, priorityColumn]);
+
+        return rows.map((row) => {
+          const others = row.filter((_, index) => index !== titleColumn && index !== priorityColumn);
+          return {
+            title: cleanTitle(row[titleColumn] || ''),
+            description: descriptionColumn >= 0 ? row[descriptionColumn] : others.filter(Boolean).join(' | '),
+            module,
+            priority: (priorityColumn >= 0 ? normalizeLevel(row[priorityColumn]) : findPriority(row.join(' '))) || modulePriority
+          };
+        });
+      },
+      list: list => extractListItems(list.raw).map(item => ({
+        title: item.title,
+        description: item.body,
+        module,
+        priority: findPriority(`${item.title}\n${item.body}`) || modulePriority
+      }))
+    }).filter(feature => feature.title);
+  };
+
+  return collectBySubsection(section, collect, (heading, body) => ({
+    title: cleanTitle(plainText(heading)),
+    description: body,
+    module: null,
+    priority: findPriority(`${heading}\n${body}`)
+  }));
+}
+
+/**
+ * 技術棧：表格列或清單項目；巢狀清單以上層項目作為類別
+ */
+function parseTechStack(section) {
+  const collect = (text, category) => collectBlocks(text, {
+    table: ({ headers, rows }) => {
+      const categoryColumn = findColumn(headers, LABELS.category);
+      let nameColumn = findColumn(headers, LABELS.technology, [categoryColumn]);
+      if (nameColumn < 0) {
+        nameColumn = categoryColumn === 0 ? 1 : 0;
+      }
+      const detailsColumn = findColumn(headers, LABELS.description, [categoryColumn, nameColumn]);
+
+      return rows.map(row => ({
+        category: (categoryColumn >= 0 ? row[categoryColumn] : category) || category,
+        name: row[nameColumn] || '',
+        details: detailsColumn >= 0 ? row[detailsColumn] : ''
+      }));
+    },
+    list: list => list.items.flatMap((item) => {
+      const { title, body } = splitItem(item);
+      const nested = item.tokens.find(token => token.type === 'list');
+
+      if (!nested) {
+        return [{ category, name: title, details: plainText(body) }];
+      }
+
+      return nested.items.map((child) => {
+        const entry = splitItem(child);
+        return { category: title, name: entry.title, details: plainText(entry.body) };
+      });
+    })
+  }).filter(entry => entry.name);
+
+  return collectBySubsection(section, collect, (heading, body) => {
+    const [first = '', ...rest] = splitLines(plainText(body)).filter(Boolean);
+    return { category: cleanTitle(plainText(heading)), name: cleanTitle(first), details: rest.join('\n') };
+  }).filter(entry => entry.name);
+}
+
+/**
+ * 階段內容的標籤類型
+ * @returns {'deliverables'|'tasks'|'duration'|null}
+ */
+function phaseLabelOf(title) {
+  if (isLabel(title, LABELS.deliverables)) return 'deliverables';
+  if (isLabel(title, LABELS.tasks)) return 'tasks';
+  if (isLabel(title, LABELS.duration)) return 'duration';
+  return null;
+}
+
+/**
+ * 解析「**任務：** ...」格式的行
+ * @returns {{label: string, value: string}|null}
+ */
+function parsePhaseLabel(line) {
+  const match = line.match(/^\s*\**([^:：*]{1,20})\**\s*[:：]\s*\**\s*(.*)$/);
+  const label = match && phaseLabelOf(match[1]);
+  return label ? { label, value: plainText(match[2]) } : null;
+}
+
+/**
+ * 將階段內容分為任務與產出；「任務：」「產出：」等標籤下的內容歸入對應的清單
+ */
+function collectPhaseContent(body) {
+  const content = { tasks: [], deliverables: [], duration: null };
+
+  const assign = (label, text, children = []) => {
+    if (label === 'duration') {
+      content.duration = content.duration || text;
+      return;
+    }
+    const target = label === 'deliverables' ? content.deliverables : content.tasks;
+    if (text) {
+      target.push(text);
+    }
+    target.push(...children);
+  };
+
+  // 清單以外的「**任務：** ...」段落
+  splitLines(body)
+    .filter(line => line.trim() && !LIST_LINE_PATTERN.test(line) && !/^\s{2,}/.test(line))
+    .forEach((line) => {
+      const labelled = parsePhaseLabel(line);
+      if (labelled) {
+        assign(labelled.label, labelled.value);
+      }
+    });
+
+  listItemTokens(body).forEach((item) => {
+    const { title, body: rest } = splitItem(item);
+    const nested = item.tokens.find(token => token.type === 'list');
+    const children = nested ? nested.items.map(child => ownText(child)).filter(Boolean) : [];
+    const label = phaseLabelOf(title);
+
+    if (label) {
+      const [firstLine = ''] = splitLines(rest);
+      assign(label, LIST_LINE_PATTERN.test(firstLine) ? '' : plainText(firstLine), children);
+    } else {
+      assign('tasks', ownText(item), children);
+    }
+  });
+
+  return content;
+}
+
+/**
+ * 建立階段：工期取自標題，其次取自摘要或「時程：」等標籤
+ * @param {string} name - 階段名稱
+ * @param {string} body - 階段內容
+ * @param {string} summary - 清單形式的階段在名稱後的說明，例如「**MVP** (6 weeks): channels」中的「(6 weeks): channels」
+ */
+function buildPhase(name, body, summary = '') {
+  const content = collectPhaseContent(summary ? `${summary}\n${body}` : body);
+  const duration = parseDuration(name) || parseDuration(summary) || parseDuration(content.duration);
+
+  if (summary && !parsePhaseLabel(summary)) {
+    const text = plainText(duration ? summary.replace(duration.text, '') : summary)
+      .replace(/^[\s()（）:：\-–—,，]+|[\s()（）:：\-–—,，]+$/g, '');
+    if (text) {
+      content.tasks.unshift(text);
+    }
+  }
+
+  return {
+    name: cleanTitle(plainText(name)),
+    duration: duration?.text || content.duration || null,
+    durationWeeks: duration?.weeks || null,
+    tasks: content.tasks,
+    deliverables: content.deliverables
+  };
+}
+
+/**
+ * 開發階段：每個子章節一個階段；沒有子章節時使用表格列或最上層清單項目
+ */
+function parsePhases(section) {
+  if (!section) {
+    return [];
+  }
+
+  const { intro, subsections } = splitSubsections(section.body);
+  if (subsections.length > 0) {
+    return subsections.map(subsection => buildPhase(subsection.heading, subsection.body));
+  }
+
+  return collectBlocks(intro, {
+    table: ({ headers, rows }) => {
+      const nameColumn = Math.max(findColumn(headers, LABELS.phase), 0);
+      const durationColumn = findColumn(headers, LABELS.duration, [nameColumn]);
+      const tasksColumn = findColumn(headers, [...LABELS.tasks, ...LABELS.description], [nameColumn, durationColumn]);
+      const deliverablesColumn = findColumn(headers, LABELS.deliverables, [nameColumn, durationColumn, tasksColumn]);
+
+      return rows.map((row) => {
+        const duration = parseDuration(durationColumn >= 0 ? row[durationColumn] : row[nameColumn]);
+        return {
+          name: cleanTitle(row[nameColumn] || ''),
+          duration: duration?.text || (durationColumn >= 0 ? row[durationColumn] || null : null),
+          durationWeeks: duration?.weeks || null,
+          tasks: tasksColumn >= 0 && row[tasksColumn] ? [row[tasksColumn]] : [],
+          deliverables: deliverablesColumn >= 0 && row[deliverablesColumn] ? [row[deliverablesColumn]] : []
+        };
+      });
+    },
+    list: list => list.items.map((item) => {
+      const { title, body } = splitItem(item);
+      const [firstLine = '', ...rest] = splitLines(body);
+      return LIST_LINE_PATTERN.test(firstLine)
+        ? buildPhase(title, body)
+        : buildPhase(title, rest.join('\n'), firstLine);
+    })
+  }).filter(phase => phase.name);
+}
+
+/**
+ * 風險：清單項目或表格列；緩解措施與嚴重程度取自標籤或對應欄位
+ */
+function parseRisks(section) {
+  const fromText = (risk, text) => {
+    const mitigation = findLabelledValue(text, LABELS.mitigation);
+    // 緩解措施與嚴重程度另有欄位，不重複留在說明中
+    const description = splitLines(text)
+      .filter(line => !findLabelledValue(line, LABELS.mitigation) && !normalizeLevel(findLabelledValue(line, LABELS.severity)))
+      .join('\n')
+      .trim();
+
+    return {
+      risk: cleanTitle(plainText(risk)),
+      description,
+      mitigation,
+      severity: findSeverity(`${risk}\n${text}`)
+    };
+  };
+
+  const collect = text => collectBlocks(text, {
+    table: ({ headers, rows }) => {
+      const riskColumn = Math.max(findColumn(headers, LABELS.risk), 0);
+      const mitigationColumn = findColumn(headers, LABELS.mitigation, [riskColumn]);
+      const severityColumn = findColumn(headers, LABELS.severity, [riskColumn, mitigationColumn]);
+      const descriptionColumn = findColumn(headers, LABELS.description, [riskColumn, mitigationColumn, severityColumn]);
+
+      return rows.map(row => ({
+        risk: cleanTitle(row[riskColumn] || ''),
+        description: descriptionColumn >= 0 ? row[descriptionColumn] : '',
+        mitigation: mitigationColumn >= 0 ? row[mitigationColumn] || null : null,
+        severity: severityColumn >= 0 ? normalizeLevel(row[severityColumn]) : null
+      }));
+    },
+    list: list => extractListItems(list.raw).map(item => fromText(item.title, item.body))
+  }).filter(risk => risk.risk);
+
+  return collectBySubsection(section, collect, fromText);
+}
+
+/**
+ * 從 Markdown 規格推導結構化規格（不含規格編號、版本等中繼資料）
+ * @param {string} markdown - 規格內容，可包含 formatSpecification 的外框
+ * @returns {object} - 符合 SPEC_JSON_SCHEMA 的文件
+ */
+export function deriveStructuredSpec(markdown) {
+  const body = stripSpecificationFrame(String(markdown || ''));
+  const { sections } = STRUCTURED_SPEC_CONFIG;
+  const found = Object.fromEntries(
+    Object.entries(sections).map(([key, keywords]) => [key, findKeywordSection(body, keywords)])
+  );
+
+  return {
+    schemaVersion: STRUCTURED_SPEC_CONFIG.schemaVersion,
+    title: findTitle(body),
+    overview: parseOverview(found.overview),
+    features: parseFeatures(found.features),
+    techStack: parseTechStack(found.techStack),
+    phases: parsePhases(found.phases),
+    risks: parseRisks(found.risks),
+    sources: Object.fromEntries(
+      Object.entries(found).map(([key, section]) => [key, section ? plainText(section.heading) : null])
+    )
+  };
+}
+
+/**
+ * 以 JSON Schema 驗證結構化規格
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateStructuredSpec(document) {
+  const valid = validateDocument(document);
+
+  return {
+    valid,
+    errors: valid ? [] : validateDocument.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+  };
+}
+
+/**
+ * 推導並驗證結構化規格
+ * @param {string} markdown - 規格內容
+ * @returns {object} - 通過 JSON Schema 驗證的文件
+ * @throws {Error} - 未通過驗證時拋出錯誤，validationErrors 為錯誤訊息
+ */
+export function createStructuredSpec(markdown) {
+  const document = deriveStructuredSpec(markdown);
+  const { valid, errors } = validateStructuredSpec(document);
+
+  if (!valid) {
+    const error = new Error(`Structured specification does not match the schema: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return document;
+}
+
+export default {
+  plainText,
+  normalizeLevel,
+  parseDuration,
+  deriveStructuredSpec,
+  validateStructuredSpec,
+  createStructuredSpec
+};
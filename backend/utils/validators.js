@@ -30,7 +30,7 @@ export function validateAndSanitizeInput(userInput) {
   const dangerousPatterns = [
     /[`${}\\]/,                    // Shell 特殊字符
     /;\s*(rm|del|format|shutdown)/, // 危險命令
-    /(curl|wget|nc|netcat)/i,      // 網路命令
+    /\b(curl|wget|nc|netcat)\b/i,  // 網路命令（完整單字，避免誤判 once、finance 等）
     /(\||&{1,2}|;|\n|\r)/,         // 命令分隔符
     /(<script|javascript:|vbscript:|onload|onerror)/i, // XSS 模式
   ];
@@ -41,8 +41,8 @@ export function validateAndSanitizeInput(userInput) {
     }
   }
 
-  // 內容驗證 - 只允許安全字符（中文、英文、數字、常用標點）
-  const allowedPattern = /^[a-zA-Z0-9\s\u4e00-\u9fff\u3002\uff0c\uff01\uff1f\uff1a\uff1b\u201c\u201d\u2018\u2019\u3001\u300a\u300b.,!?():;'"\/\-_+=@#%&*[\]{}|~`^<>]+$/;
+  // 內容驗證 - 只允許安全字符（中文、日文假名、英文、數字、常用標點）
+  const allowedPattern = /^[a-zA-Z0-9\s\u4e00-\u9fff\u3040-\u30ff\u3002\uff0c\uff01\uff1f\uff1a\uff1b\u201c\u201d\u2018\u2019\u3001\u300a\u300b.,!?():;'"\/\-_+=@#%&*[\]{}|~`^<>]+$/;
   
   if (!allowedPattern.test(userInput)) {
     throw new Error('輸入包含不允許的特殊字符');
@@ -7,16 +7,117 @@ import Button from './components/ui/Button';
 import TextField from './components/ui/TextField';
 import Card from './components/ui/Card';
 import LanguageSwitch from './components/LanguageSwitch';
+import SpecificationEditor from './components/SpecificationEditor';
+import SectionRefinePanel from './components/SectionRefinePanel';
+import RefinableHeading from './components/RefinableHeading';
+import SpecChatPanel from './components/SpecChatPanel';
+import SpecificationDiff from './components/SpecificationDiff';
+import SpecPushPanel from './components/SpecPushPanel';
+import HistoryPanel from './components/HistoryPanel';
+import UserAdminPanel from './components/UserAdminPanel';
+import { apiService, EXPORT_FORMATS } from './services/api';
+import { outputLanguages, getOutputLanguageForLocale } from './i18n/resources';
 import './App.css';
 
+const JOB_POLL_INTERVAL = 2000;
+const JOB_POLL_TIMEOUT = 10 * 60 * 1000;
+const DEFAULT_TEMPLATE = 'software-spec';
+
+// Resolve a finished job, throw for failed/cancelled ones, return null while still running
+const settleJob = (job) => {
+  if (job.status === 'completed') {
+    return job;
+  }
+  if (job.status === 'failed') {
+    throw new Error(job.error || job.message || 'Specification generation failed');
+  }
+  if (job.status === 'cancelled') {
+    const error = new Error('Specification generation cancelled');
+    error.name = 'CancelledError';
+    throw error;
+  }
+  return null;
+};
+
+// Follow a job over Server-Sent Events; resolves null if the stream drops so the caller can poll instead
+const streamJob = (jobId, onChunk) => new Promise((resolve, reject) => {
+  const source = new EventSource(`/api/jobs/${encodeURIComponent(jobId)}/stream`);
+  let settled = false;
+
+  const finish = (callback, value) => {
+    settled = true;
+    source.close();
+    callback(value);
+  };
+
+  source.addEventListener('job-chunk', (event) => {
+    onChunk(JSON.parse(event.data));
+  });
+
+  source.addEventListener('job-update', (event) => {
+    try {
+      const job = settleJob(JSON.parse(event.data));
+      if (job) {
+        finish(resolve, job);
+      }
+    } catch (error) {
+      finish(reject, error);
+    }
+  });
+
+  source.onerror = () => {
+    if (!settled) {
+      finish(resolve, null);
+    }
+  };
+});
+
+// Wait for a queued generation job, streaming its output when possible and polling otherwise
+const waitForJob = async (jobId, onChunk) => {
+  if (typeof EventSource !== 'undefined') {
+    const job = await streamJob(jobId, onChunk);
+    if (job) {
+      return job;
+    }
+  }
+
+  const deadline = Date.now() + JOB_POLL_TIMEOUT;
+
+  while (Date.now() < deadline) {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+    if (!response.ok) {
+      throw new Error(`Server error: ${response.status}`);
+    }
+
+    const job = settleJob(await response.json());
+    if (job) {
+      return job;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+  }
+
+  throw new Error('Specification generation timed out');
+};
+
 // Simple working version
 function SimpleApp() {
   const [idea, setIdea] = useState('');
   const [spec, setSpec] = useState('');
+  const [specRecord, setSpecRecord] = useState(null); // { id, version, lastEditedBy, lastEditedAt } of the saved spec
+  const [isEditing, setIsEditing] = useState(false);
+  const [sections, setSections] = useState([]); // headings of the saved spec, for per-section refinement
+  const [refiningSection, setRefiningSection] = useState(null);
+  const [isRefining, setIsRefining] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [activeJobId, setActiveJobId] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [templateName, setTemplateName] = useState(DEFAULT_TEMPLATE);
+  const [outputLanguage, setOutputLanguage] = useState(''); // empty follows the UI locale
+  const [exportFormat, setExportFormat] = useState('markdown');
   const [apiStatus, setApiStatus] = useState('checking'); // checking, connected, disconnected
   const toast = useToast();
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
 
   // 複製到剪貼簿功能
   const handleCopyToClipboard = async () => {
@@ -35,8 +136,20 @@ function SimpleApp() {
     }
   };
 
-  // 下載為 Markdown 文件
-  const handleDownload = () => {
+  // 下載已保存的規格為所選格式，未保存的規格則下載為 Markdown 文件
+  const handleDownload = async () => {
+    if (specRecord?.id) {
+      try {
+        await apiService.downloadSpec(specRecord.id, exportFormat);
+        const filename = `specification-${specRecord.id}.${EXPORT_FORMATS[exportFormat].extension}`;
+        toast.showSuccess(t('messages.specDownloaded', { filename }));
+      } catch (error) {
+        console.error('Download failed:', error);
+        toast.showError(error.message || t('messages.downloadFailed'));
+      }
+      return;
+    }
+
     try {
       const blob = new Blob([spec], { type: 'text/markdown;charset=utf-8' });
       const url = URL.createObjectURL(blob);
@@ -97,6 +210,60 @@ function SimpleApp() {
     return () => clearInterval(healthCheckInterval);
   }, []);
 
+  // Load prompt templates once; the form falls back to the default template if this fails
+  useEffect(() => {
+    fetch('/api/templates')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (data?.templates) {
+          setTemplates(data.templates);
+        }
+      })
+      .catch(error => console.warn('Failed to load prompt templates:', error));
+  }, []);
+
+  // 載入已保存規格的章節錨點，供各標題旁的改寫按鈕使用
+  const specId = specRecord?.id ?? null;
+  useEffect(() => {
+    let cancelled = false;
+    setSections([]);
+
+    if (!specId || loading || !spec) {
+      return undefined;
+    }
+
+    fetch(`/api/spec/${encodeURIComponent(specId)}/sections`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!cancelled && data?.sections) {
+          setSections(data.sections);
+        }
+      })
+      .catch(error => console.warn('Failed to load specification sections:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [specId, spec, loading]);
+
+  // 取消進行中的生成工作
+  const handleCancel = async () => {
+    if (!activeJobId) {
+      return;
+    }
+
+    try {
+      await apiService.cancelJob(activeJobId);
+    } catch (error) {
+      // 409: the job finished before the cancel request arrived
+      if (error.status === 409) {
+        return;
+      }
+      console.error('Failed to cancel job:', error);
+      toast.showError(t('messages.cancelFailed'));
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!idea.trim()) {
@@ -115,49 +282,41 @@ function SimpleApp() {
     }
 
     setLoading(true);
+    setIsEditing(false);
+    setRefiningSection(null);
+    setSpecRecord(null);
     try {
       console.log('Sending request to /api/generate with idea:', idea.trim());
-      
-      const response = await fetch('/api/generate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ 
-          idea: idea.trim() 
-        }),
+
+      // apiService attaches the CSRF token that cookie-bound sessions require
+      let data = await apiService.generateSpec(idea.trim(), null, null, {
+        template: templateName,
+        language: outputLanguage || getOutputLanguageForLocale(i18n.language)
       });
 
-      console.log('Response status:', response.status);
-      console.log('Response headers:', Object.fromEntries(response.headers.entries()));
+      console.log('Parsed data keys:', Object.keys(data));
       
-      const responseText = await response.text();
-      console.log('Raw response text (first 200 chars):', responseText.substring(0, 200));
-
-      if (!response.ok) {
-        let errorData;
-        try {
-          errorData = JSON.parse(responseText);
-        } catch (parseError) {
-          console.error('Failed to parse error response as JSON:', parseError);
-          throw new Error(`Server error: ${response.status} - ${responseText.substring(0, 100)}`);
-        }
-        throw new Error(errorData.error || `Server error: ${response.status}`);
-      }
+      // Generation is queued: wait for the job to finish
+      if (data.jobId) {
+        setActiveJobId(data.jobId);
 
-      let data;
-      try {
-        data = JSON.parse(responseText);
-      } catch (parseError) {
-        console.error('Failed to parse success response as JSON:', parseError);
-        console.error('Response text:', responseText);
-        throw new Error(t('messages.invalidResponse'));
+        // Render partial markdown as it arrives; a retry restarts the output
+        let streamed = { attempt: 0, text: '' };
+        const handleChunk = ({ chunk, attempt }) => {
+          streamed = {
+            attempt,
+            text: attempt === streamed.attempt ? streamed.text + chunk : chunk
+          };
+          setSpec(streamed.text);
+        };
+
+        const job = await waitForJob(data.jobId, handleChunk);
+        data = { ...data, ...job.result };
       }
       
-      console.log('Parsed data keys:', Object.keys(data));
-      
       if (data.generatedSpec) {
         setSpec(data.generatedSpec);
+        setSpecRecord(data.id ? { id: data.id, version: data.version ?? null } : null);
         toast.showSuccess(t('messages.specGenerated'));
       } else if (data.specification) {
         setSpec(data.specification);
@@ -167,13 +326,20 @@ function SimpleApp() {
         throw new Error('No specification received from server');
       }
     } catch (error) {
+      if (error.name === 'CancelledError') {
+        toast.showInfo(t('messages.generationCancelled'));
+        setSpec('');
+        return;
+      }
+
       console.error('Error generating specification:', error);
       
       let errorMessage = t('messages.generateFailed');
       
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      // apiService rejects with { message, status, type }; job polling throws plain Errors
+      if (error.type === 'NETWORK_ERROR' || (error.name === 'TypeError' && error.message.includes('fetch'))) {
         errorMessage = t('messages.connectionError');
-      } else if (error.message.includes('Server error: 5')) {
+      } else if (error.type === 'SERVER_ERROR' || error.message?.includes('Server error: 5')) {
         errorMessage = t('messages.serverError');
       } else if (error.message) {
         errorMessage = error.message;
@@ -183,9 +349,73 @@ function SimpleApp() {
       setSpec(''); // Clear any previous specification
     } finally {
       setLoading(false);
+      setActiveJobId(null);
     }
   };
 
+  // 編輯儲存後更新目前顯示的規格
+  const handleEditSaved = (result) => {
+    setSpec(result.generatedSpec);
+    setSpecRecord(prev => ({
+      ...prev,
+      version: result.currentVersion,
+      lastEditedBy: result.lastEditedBy,
+      lastEditedAt: result.lastEditedAt
+    }));
+    setIsEditing(false);
+
+    if (result.changed) {
+      toast.showSuccess(t('editor.saved', { version: result.currentVersion }));
+    } else {
+      toast.showInfo(t('editor.unchanged'));
+    }
+  };
+
+  // 章節改寫完成後更新為伺服器保存的新版本
+  const handleSectionRefined = (result, section) => {
+    setSpec(result.generatedSpec);
+    setSpecRecord(prev => ({ ...prev, version: result.currentVersion }));
+    setRefiningSection(null);
+    toast.showSuccess(t('refine.done', { heading: section.heading, version: result.currentVersion }));
+  };
+
+  // 採納對話提出的修訂規格
+  const handleChatAccepted = (result) => {
+    setSpec(result.generatedSpec);
+    setSpecRecord(prev => ({
+      ...prev,
+      version: result.currentVersion,
+      lastEditedBy: result.lastEditedBy,
+      lastEditedAt: result.lastEditedAt
+    }));
+    toast.showSuccess(t('chat.acceptedToast', { version: result.currentVersion }));
+  };
+
+  // 從歷史記錄載入規格（包含還原版本後的重新整理）
+  const handleHistorySelect = (historyItem) => {
+    if (loading) {
+      return;
+    }
+
+    setIdea(historyItem.userInput || '');
+    setSpec(historyItem.specification || '');
+    setSpecRecord({
+      id: historyItem.id,
+      version: historyItem.currentVersion ?? null,
+      lastEditedBy: historyItem.lastEditedBy,
+      lastEditedAt: historyItem.lastEditedAt
+    });
+    setIsEditing(false);
+    setRefiningSection(null);
+  };
+
+  const refine = {
+    sections,
+    onRefine: specRecord?.id && !loading ? setRefiningSection : null,
+    label: t('refine.button'),
+    disabled: isRefining
+  };
+
   return (
     <div className="app">
       <header className="app__header">
@@ -226,6 +456,39 @@ function SimpleApp() {
                   disabled={loading}
                   variant="outlined"
                 />
+                <div className="app__form-options">
+                  <label className="app__form-option">
+                    <span>{t('form.templateLabel')}</span>
+                    <select
+                      value={templateName}
+                      onChange={(e) => setTemplateName(e.target.value)}
+                      disabled={loading || templates.length === 0}
+                    >
+                      {templates.length === 0 && (
+                        <option value={DEFAULT_TEMPLATE}>{DEFAULT_TEMPLATE}</option>
+                      )}
+                      {templates.map(template => (
+                        <option key={template.id} value={template.name} title={template.description}>
+                          {template.title}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="app__form-option">
+                    <span>{t('form.outputLanguageLabel')}</span>
+                    <select
+                      value={outputLanguage || getOutputLanguageForLocale(i18n.language)}
+                      onChange={(e) => setOutputLanguage(e.target.value)}
+                      disabled={loading}
+                    >
+                      {outputLanguages.map(language => (
+                        <option key={language} value={language}>
+                          {t(`form.outputLanguages.${language}`)}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
                 <div className="app__form-actions">
                   <Button
                     type="submit"
@@ -238,6 +501,15 @@ function SimpleApp() {
                   >
                     {loading ? t('form.generating') : t('form.generateButton')}
                   </Button>
+                  {loading && activeJobId && (
+                    <Button
+                      type="button"
+                      variant="outlined"
+                      onClick={handleCancel}
+                    >
+                      {t('form.cancelButton')}
+                    </Button>
+                  )}
                 </div>
               </form>
             </div>
@@ -247,7 +519,7 @@ function SimpleApp() {
             <div className="md-card__content">
               <div className="spec-header">
                 <h3 className="md-card__title">{t('specification.title')}</h3>
-                {spec && (
+                {spec && !loading && !isEditing && (
                   <div className="spec-actions">
                     <Button
                       variant="outlined"
@@ -257,6 +529,18 @@ function SimpleApp() {
                     >
                       📋 {t('specification.copyButton')}
                     </Button>
+                    {specRecord?.id && (
+                      <select
+                        className="spec-format-select"
+                        value={exportFormat}
+                        onChange={(e) => setExportFormat(e.target.value)}
+                        aria-label={t('specification.formatLabel')}
+                      >
+                        {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                          <option key={format} value={format}>{label}</option>
+                        ))}
+                      </select>
+                    )}
                     <Button
                       variant="outlined"
                       size="small" 
@@ -265,13 +549,64 @@ function SimpleApp() {
                     >
                       💾 {t('specification.downloadButton')}
                     </Button>
+                    {specRecord?.id && (
+                      <Button
+                        variant="outlined"
+                        size="small"
+                        onClick={() => setIsEditing(true)}
+                        disabled={isRefining}
+                        className="spec-action-btn"
+                      >
+                        ✏️ {t('specification.editButton')}
+                      </Button>
+                    )}
                   </div>
                 )}
               </div>
-              {spec ? (
-                <div className="specification-content markdown-content">
-                  <ReactMarkdown>{spec}</ReactMarkdown>
-                </div>
+              {specRecord?.lastEditedBy && !isEditing && (
+                <p className="spec-edited-info">
+                  {t('editor.lastEdited', {
+                    user: specRecord.lastEditedBy,
+                    time: specRecord.lastEditedAt ? new Date(specRecord.lastEditedAt).toLocaleString() : ''
+                  })}
+                </p>
+              )}
+              {isEditing && specRecord?.id ? (
+                <SpecificationEditor
+                  specId={specRecord.id}
+                  specification={spec}
+                  baseVersion={specRecord.version}
+                  onSaved={handleEditSaved}
+                  onCancel={() => setIsEditing(false)}
+                />
+              ) : spec ? (
+                <>
+                  {refiningSection && specRecord?.id && (
+                    <SectionRefinePanel
+                      key={refiningSection.anchor}
+                      specId={specRecord.id}
+                      section={refiningSection}
+                      onRefined={handleSectionRefined}
+                      onClose={() => setRefiningSection(null)}
+                      onRunningChange={setIsRefining}
+                    />
+                  )}
+                  <div
+                    className={`specification-content markdown-content${loading ? ' specification-content--streaming' : ''}`}
+                    aria-busy={loading}
+                  >
+                    <ReactMarkdown
+                      components={{
+                        h1: (props) => <RefinableHeading as="h1" {...refine} {...props} />,
+                        h2: (props) => <RefinableHeading as="h2" {...refine} {...props} />,
+                        h3: (props) => <RefinableHeading as="h3" {...refine} {...props} />,
+                        h4: (props) => <RefinableHeading as="h4" {...refine} {...props} />
+                      }}
+                    >
+                      {spec}
+                    </ReactMarkdown>
+                  </div>
+                </>
               ) : (
                 <div className="placeholder">
                   {t('specification.placeholder')}
@@ -279,6 +614,28 @@ function SimpleApp() {
               )}
             </div>
           </Card>
+
+          {specRecord?.id && spec && !loading && !isEditing && (
+            <>
+              <SpecChatPanel
+                specId={specRecord.id}
+                currentVersion={specRecord.version ?? 0}
+                onAccepted={handleChatAccepted}
+                disabled={isRefining}
+              />
+              <SpecificationDiff
+                specId={specRecord.id}
+                currentVersion={specRecord.version ?? 0}
+              />
+              <SpecPushPanel specId={specRecord.id} />
+            </>
+          )}
+
+          <HistoryPanel
+            onSelectHistory={handleHistorySelect}
+            currentSpecId={specRecord?.id ?? null}
+          />
+          <UserAdminPanel />
         </div>
       </main>
     </div>
@@ -1,15 +1,17 @@
 import { useState } from 'react';
-import { copyToClipboard } from '../services/api';
+import { copyToClipboard, EXPORT_FORMATS } from '../services/api';
 import './ActionButtons.css';
 
 const ActionButtons = ({ 
   specification, 
   specId = null, 
   onCopy = null, 
-  onDownload = null 
+  onDownload = null,
+  onEdit = null
 }) => {
   const [copySuccess, setCopySuccess] = useState(false);
   const [downloadLoading, setDownloadLoading] = useState(false);
+  const [downloadFormat, setDownloadFormat] = useState('markdown');
 
   const handleCopy = async () => {
     try {
@@ -33,7 +35,7 @@ const ActionButtons = ({
     
     try {
       setDownloadLoading(true);
-      await onDownload(specId);
+      await onDownload(specId, downloadFormat);
     } catch (error) {
       console.error('Failed to download specification:', error);
     } finally {
@@ -68,25 +70,52 @@ const ActionButtons = ({
       </button>
 
       {onDownload && (
+        <div className="action-buttons__download">
+          <select
+            className="action-buttons__format"
+            value={downloadFormat}
+            onChange={(event) => setDownloadFormat(event.target.value)}
+            disabled={!specification || downloadLoading}
+            aria-label="Download format"
+          >
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <option key={format} value={format}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleDownload}
+            className="action-button action-button--download"
+            disabled={!specification || downloadLoading}
+            title={`Download specification as ${EXPORT_FORMATS[downloadFormat].label} file`}
+          >
+            {downloadLoading ? (
+              <>
+                <div className="action-button__spinner"></div>
+                Downloading...
+              </>
+            ) : (
+              <>
+                <svg className="action-button__icon" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" />
+                </svg>
+                Download
+              </>
+            )}
+          </button>
+        </div>
+      )}
+
+      {onEdit && (
         <button
-          onClick={handleDownload}
-          className="action-button action-button--download"
-          disabled={!specification || downloadLoading}
-          title="Download specification as Markdown file"
+          onClick={onEdit}
+          className="action-button action-button--edit"
+          disabled={!specification}
+          title="Edit specification"
         >
-          {downloadLoading ? (
-            <>
-              <div className="action-button__spinner"></div>
-              Downloading...
-            </>
-          ) : (
-            <>
-              <svg className="action-button__icon" viewBox="0 0 20 20" fill="currentColor">
-                <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" />
-              </svg>
-              Download
-            </>
-          )}
+          <svg className="action-button__icon" viewBox="0 0 20 20" fill="currentColor">
+            <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+          </svg>
+          Edit
         </button>
       )}
     </div>
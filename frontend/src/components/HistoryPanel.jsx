@@ -1,8 +1,12 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, Fragment } from 'react';
+import { useTranslation } from 'react-i18next';
 import { apiService } from '../services/api';
+import SearchSnippet from './SearchSnippet';
+import SpecOrganizer from './SpecOrganizer';
 import './HistoryPanel.css';
 
 const HistoryPanel = ({ onSelectHistory, currentSpecId = null }) => {
+  const { t } = useTranslation();
   const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -12,22 +16,48 @@ const HistoryPanel = ({ onSelectHistory, currentSpecId = null }) => {
   const [totalItems, setTotalItems] = useState(0);
   const [itemsPerPage] = useState(10);
   const [deleteLoading, setDeleteLoading] = useState({});
+  const [expandedVersions, setExpandedVersions] = useState({}); // spec id -> version list
+  const [restoreLoading, setRestoreLoading] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [selectedProject, setSelectedProject] = useState(null); // null = all, 'none' = unassigned, or a project id
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [organizingId, setOrganizingId] = useState(null);
+  const [libraryBusy, setLibraryBusy] = useState(false);
+  const [notice, setNotice] = useState('');
+  const importInputRef = useRef(null);
 
-  // Load history when component mounts or when search/page changes
+  const hasFilters = selectedProject !== null || selectedTags.length > 0;
+
+  // Load history when component mounts or when search/page/filters change
   useEffect(() => {
     loadHistory();
-  }, [currentPage, searchTerm]);
+  }, [currentPage, searchTerm, selectedProject, selectedTags]);
+
+  useEffect(() => {
+    loadOrganization();
+  }, []);
 
   const loadHistory = async () => {
     setLoading(true);
     setError('');
     
     try {
-      const response = await apiService.getHistory(currentPage, itemsPerPage, searchTerm);
+      // The filtered search endpoint is only needed when a project or tag is selected
+      const response = hasFilters
+        ? await apiService.searchHistory({
+          query: searchTerm,
+          project: selectedProject,
+          tags: selectedTags,
+          page: currentPage,
+          limit: itemsPerPage
+        })
+        : await apiService.getHistory(currentPage, itemsPerPage, searchTerm);
+      const pagination = response.pagination || {};
       setHistory(response.data || []);
-      setCurrentPage(response.currentPage || 1);
-      setTotalPages(response.totalPages || 1);
-      setTotalItems(response.total || 0);
+      setCurrentPage(pagination.page || 1);
+      setTotalPages(pagination.totalPages || 1);
+      setTotalItems(pagination.total || 0);
     } catch (err) {
       setError(err.message || 'Failed to load history');
       setHistory([]);
@@ -36,6 +66,111 @@ const HistoryPanel = ({ onSelectHistory, currentSpecId = null }) => {
     }
   };
 
+  const loadOrganization = async () => {
+    try {
+      const [projectResponse, tagResponse] = await Promise.all([apiService.getProjects(), apiService.getTags()]);
+      setProjects(projectResponse.projects || []);
+      setTags(tagResponse.tags || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load projects and tags');
+    }
+  };
+
+  const handleSelectProject = (project) => {
+    setSelectedProject(project);
+    setCurrentPage(1);
+  };
+
+  const handleToggleTag = (name) => {
+    setSelectedTags(prev => (prev.includes(name) ? prev.filter(tag => tag !== name) : [...prev, name]));
+    setCurrentPage(1);
+  };
+
+  const handleCreateProject = async () => {
+    const name = window.prompt('Project name');
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    try {
+      const project = await apiService.createProject({ name: name.trim() });
+      await loadOrganization();
+      handleSelectProject(project.id);
+    } catch (err) {
+      setError(err.message || 'Failed to create project');
+    }
+  };
+
+  const handleDeleteProject = async (project) => {
+    if (!window.confirm(`Delete project "${project.name}"? Its specifications will be kept as unassigned.`)) {
+      return;
+    }
+
+    try {
+      await apiService.deleteProject(project.id);
+      if (selectedProject === project.id) {
+        handleSelectProject(null);
+      } else {
+        await loadHistory();
+      }
+      await loadOrganization();
+    } catch (err) {
+      setError(err.message || 'Failed to delete project');
+    }
+  };
+
+  const handleOrganized = async () => {
+    setOrganizingId(null);
+    await Promise.all([loadHistory(), loadOrganization()]);
+  };
+
+  const handleExportLibrary = async () => {
+    try {
+      setLibraryBusy(true);
+      setError('');
+      await apiService.exportLibrary();
+    } catch (err) {
+      setError(err.message || 'Failed to export library');
+    } finally {
+      setLibraryBusy(false);
+    }
+  };
+
+  const handleImportLibrary = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      setLibraryBusy(true);
+      setError('');
+      setNotice('');
+
+      // Preview the import first so duplicates are visible before anything is written
+      const preview = await apiService.importLibrary(file, { dryRun: true });
+      const { total, imported, duplicates, skipped, failed } = preview.summary;
+      if (imported === 0) {
+        setNotice(`Nothing to import: ${duplicates} duplicates, ${skipped} skipped, ${failed} failed of ${total}.`);
+        return;
+      }
+      if (!window.confirm(`Import ${imported} of ${total} specifications? ${duplicates} duplicates will be skipped.`)) {
+        return;
+      }
+
+      const result = await apiService.importLibrary(file);
+      setNotice(`Imported ${result.summary.imported} specifications` +
+        (result.summary.failed > 0 ? ` (${result.summary.failed} failed)` : '') + '.');
+      setCurrentPage(1);
+      await Promise.all([loadHistory(), loadOrganization()]);
+    } catch (err) {
+      setError(err.message || 'Failed to import library');
+    } finally {
+      setLibraryBusy(false);
+    }
+  };
+
   const handleSearch = (e) => {
     setSearchTerm(e.target.value);
     setCurrentPage(1); // Reset to first page when searching
@@ -52,9 +187,12 @@ const HistoryPanel = ({ onSelectHistory, currentSpecId = null }) => {
       const fullSpec = await apiService.getSpec(historyItem.id);
       onSelectHistory({
         id: fullSpec.id,
-        userInput: fullSpec.user_input,
-        specification: fullSpec.generated_spec,
-        createdAt: fullSpec.created_at
+        userInput: fullSpec.userInput,
+        specification: fullSpec.generatedSpec,
+        currentVersion: fullSpec.currentVersion,
+        lastEditedBy: fullSpec.lastEditedBy,
+        lastEditedAt: fullSpec.lastEditedAt,
+        createdAt: fullSpec.createdAt
       });
     } catch (err) {
       setError(err.message || 'Failed to load specification');
@@ -70,8 +208,8 @@ const HistoryPanel = ({ onSelectHistory, currentSpecId = null }) => {
     
     try {
       await apiService.deleteSpec(id);
-      // Reload history after deletion
-      await loadHistory();
+      // Reload history and project/tag counts after deletion
+      await Promise.all([loadHistory(), loadOrganization()]);
       
       // If the deleted item was currently selected, clear the selection
       if (currentSpecId === id) {
@@ -84,6 +222,47 @@ const HistoryPanel = ({ onSelectHistory, currentSpecId = null }) => {
     }
   };
 
+  const handleToggleVersions = async (id) => {
+    if (expandedVersions[id]) {
+      setExpandedVersions(prev => {
+        const { [id]: _removed, ...rest } = prev;
+        return rest;
+      });
+      return;
+    }
+
+    try {
+      const response = await apiService.getSpecVersions(id);
+      setExpandedVersions(prev => ({ ...prev, [id]: response.versions || [] }));
+    } catch (err) {
+      setError(err.message || t('history.loadVersionsFailed'));
+    }
+  };
+
+  const handleRestoreVersion = async (item, version) => {
+    if (!window.confirm(t('history.restoreConfirm', { version }))) {
+      return;
+    }
+
+    setRestoreLoading(`${item.id}:${version}`);
+
+    try {
+      await apiService.restoreSpecVersion(item.id, version);
+      const response = await apiService.getSpecVersions(item.id);
+      setExpandedVersions(prev => ({ ...prev, [item.id]: response.versions || [] }));
+      await loadHistory();
+
+      // Refresh the preview when the restored spec is the one being viewed
+      if (currentSpecId === item.id) {
+        await handleSelectHistory(item);
+      }
+    } catch (err) {
+      setError(err.message || t('history.restoreFailed'));
+    } finally {
+      setRestoreLoading(null);
+    }
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleString('en-US', {
@@ -103,7 +282,36 @@ const HistoryPanel = ({ onSelectHistory, currentSpecId = null }) => {
   return (
     <div className="history-panel">
       <div className="history-panel__header">
-        <h3>Previous Specifications</h3>
+        <div className="history-panel__title-row">
+          <h3>Previous Specifications</h3>
+          <div className="history-panel__library-actions">
+            <button
+              type="button"
+              className="history-panel__library-button"
+              onClick={handleExportLibrary}
+              disabled={libraryBusy}
+              title="Download all specifications as a ZIP archive"
+            >
+              Export
+            </button>
+            <button
+              type="button"
+              className="history-panel__library-button"
+              onClick={() => importInputRef.current?.click()}
+              disabled={libraryBusy}
+              title="Import specifications from a ZIP archive"
+            >
+              Import
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".zip,application/zip"
+              onChange={handleImportLibrary}
+              hidden
+            />
+          </div>
+        </div>
         <div className="history-panel__search">
           <input
             type="text"
@@ -118,106 +326,290 @@ const HistoryPanel = ({ onSelectHistory, currentSpecId = null }) => {
         </div>
       </div>
 
-      {error && (
-        <div className="history-panel__error" role="alert">
-          {error}
-          <button 
-            onClick={loadHistory} 
-            className="history-panel__retry"
-          >
-            Retry
-          </button>
-        </div>
-      )}
-
-      <div className="history-panel__content">
-        {loading ? (
-          <div className="history-panel__loading">
-            <div className="history-panel__spinner"></div>
-            <p>Loading history...</p>
+      <div className="history-panel__body">
+        <aside className="history-panel__sidebar" aria-label="Projects">
+          <div className="history-panel__sidebar-title">
+            Projects
+            <button
+              type="button"
+              className="history-panel__project-add"
+              onClick={handleCreateProject}
+              title="New project"
+            >
+              +
+            </button>
           </div>
-        ) : history.length === 0 ? (
-          <div className="history-panel__empty">
-            {searchTerm ? (
-              <>
-                <p>No specifications found matching "{searchTerm}"</p>
-                <button 
-                  onClick={() => setSearchTerm('')} 
-                  className="history-panel__clear-search"
+          <ul className="history-panel__projects">
+            <li>
+              <button
+                type="button"
+                className={`history-panel__project ${selectedProject === null ? 'history-panel__project--active' : ''}`}
+                onClick={() => handleSelectProject(null)}
+              >
+                All specifications
+              </button>
+            </li>
+            <li>
+              <button
+                type="button"
+                className={`history-panel__project ${selectedProject === 'none' ? 'history-panel__project--active' : ''}`}
+                onClick={() => handleSelectProject('none')}
+              >
+                Unassigned
+              </button>
+            </li>
+            {projects.map((project) => (
+              <li key={project.id} className="history-panel__project-row">
+                <button
+                  type="button"
+                  className={`history-panel__project ${selectedProject === project.id ? 'history-panel__project--active' : ''}`}
+                  onClick={() => handleSelectProject(project.id)}
+                  title={project.description || project.name}
                 >
-                  Clear search
+                  {project.color && (
+                    <span className="history-panel__project-color" style={{ background: project.color }} />
+                  )}
+                  <span className="history-panel__project-name">{project.name}</span>
+                  <span className="history-panel__project-count">{project.specCount}</span>
                 </button>
-              </>
-            ) : (
-              <p>No specifications generated yet. Create your first one above!</p>
-            )}
-          </div>
-        ) : (
-          <>
-            <div className="history-panel__list">
-              {history.map((item) => (
-                <div
-                  key={item.id}
-                  className={`history-panel__item ${currentSpecId === item.id ? 'history-panel__item--active' : ''}`}
-                >
-                  <div 
-                    className="history-panel__item-content"
-                    onClick={() => handleSelectHistory(item)}
-                  >
-                    <div className="history-panel__item-text">
-                      {truncateText(item.user_input)}
-                    </div>
-                    <div className="history-panel__item-date">
-                      {formatDate(item.created_at)}
-                    </div>
-                  </div>
-                  
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      handleDelete(item.id);
-                    }}
-                    className="history-panel__delete"
-                    disabled={deleteLoading[item.id]}
-                    title="Delete specification"
-                  >
-                    {deleteLoading[item.id] ? (
-                      <div className="history-panel__delete-spinner"></div>
-                    ) : (
-                      <svg viewBox="0 0 20 20" fill="currentColor">
-                        <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
-                      </svg>
-                    )}
-                  </button>
-                </div>
-              ))}
-            </div>
-
-            {totalPages > 1 && (
-              <div className="history-panel__pagination">
                 <button
-                  onClick={() => handlePageChange(currentPage - 1)}
-                  disabled={currentPage === 1}
-                  className="history-panel__page-btn"
+                  type="button"
+                  className="history-panel__project-delete"
+                  onClick={() => handleDeleteProject(project)}
+                  title="Delete project"
+                  aria-label={`Delete project ${project.name}`}
                 >
-                  Previous
+                  ×
                 </button>
-                
-                <span className="history-panel__page-info">
-                  Page {currentPage} of {totalPages} ({totalItems} total)
-                </span>
-                
+              </li>
+            ))}
+          </ul>
+        </aside>
+
+        <div className="history-panel__main">
+          {tags.length > 0 && (
+            <div className="history-panel__tag-filter" aria-label="Filter by tag">
+              {tags.map((tag) => (
                 <button
-                  onClick={() => handlePageChange(currentPage + 1)}
-                  disabled={currentPage === totalPages}
-                  className="history-panel__page-btn"
+                  key={tag.id}
+                  type="button"
+                  className={`history-panel__tag ${selectedTags.includes(tag.name) ? 'history-panel__tag--active' : ''}`}
+                  onClick={() => handleToggleTag(tag.name)}
+                  aria-pressed={selectedTags.includes(tag.name)}
                 >
-                  Next
+                  #{tag.name} <span className="history-panel__tag-count">{tag.specCount}</span>
                 </button>
+              ))}
+            </div>
+          )}
+
+          {notice && (
+            <div className="history-panel__notice" role="status">
+              {notice}
+              <button
+                type="button"
+                onClick={() => setNotice('')}
+                className="history-panel__notice-dismiss"
+                aria-label="Dismiss"
+              >
+                ×
+              </button>
+            </div>
+          )}
+
+          {error && (
+            <div className="history-panel__error" role="alert">
+              {error}
+              <button 
+                onClick={loadHistory} 
+                className="history-panel__retry"
+              >
+                Retry
+              </button>
+            </div>
+          )}
+
+          <div className="history-panel__content">
+            {loading ? (
+              <div className="history-panel__loading">
+                <div className="history-panel__spinner"></div>
+                <p>Loading history...</p>
+              </div>
+            ) : history.length === 0 ? (
+              <div className="history-panel__empty">
+                {searchTerm || hasFilters ? (
+                  <>
+                    <p>
+                      {searchTerm
+                        ? `No specifications found matching "${searchTerm}"`
+                        : 'No specifications match the selected filters'}
+                    </p>
+                    <button 
+                      onClick={() => {
+                        setSearchTerm('');
+                        setSelectedProject(null);
+                        setSelectedTags([]);
+                        setCurrentPage(1);
+                      }} 
+                      className="history-panel__clear-search"
+                    >
+                      Clear filters
+                    </button>
+                  </>
+                ) : (
+                  <p>No specifications generated yet. Create your first one above!</p>
+                )}
               </div>
+            ) : (
+              <>
+                <div className="history-panel__list">
+                  {history.map((item) => (
+                    <Fragment key={item.id}>
+                      <div
+                        className={`history-panel__item ${currentSpecId === item.id ? 'history-panel__item--active' : ''}`}
+                      >
+                        <div 
+                          className="history-panel__item-content"
+                          onClick={() => handleSelectHistory(item)}
+                        >
+                          <div className="history-panel__item-text">
+                            {truncateText(item.user_input)}
+                          </div>
+                          <SearchSnippet snippet={item.snippet} className="history-panel__item-snippet" />
+                          <div className="history-panel__item-date">
+                            {formatDate(item.created_at)}
+                            {item.version_count > 0 && (
+                              <>
+                                <span className="history-panel__version-badge">v{item.current_version}</span>
+                                <button
+                                  type="button"
+                                  className="history-panel__versions-toggle"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    handleToggleVersions(item.id);
+                                  }}
+                                  aria-expanded={Boolean(expandedVersions[item.id])}
+                                >
+                                  {t('history.versionCount', { count: item.version_count })}
+                                </button>
+                              </>
+                            )}
+                          </div>
+                          {item.tags?.length > 0 && (
+                            <div className="history-panel__item-tags">
+                              {item.tags.map((tag) => (
+                                <button
+                                  key={tag.id}
+                                  type="button"
+                                  className={`history-panel__tag history-panel__tag--small ${selectedTags.includes(tag.name) ? 'history-panel__tag--active' : ''}`}
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    handleToggleTag(tag.name);
+                                  }}
+                                >
+                                  #{tag.name}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setOrganizingId(organizingId === item.id ? null : item.id);
+                          }}
+                          className="history-panel__organize"
+                          title="Project and tags"
+                          aria-expanded={organizingId === item.id}
+                        >
+                          <svg viewBox="0 0 20 20" fill="currentColor">
+                            <path fillRule="evenodd" d="M17.707 9.293a1 1 0 010 1.414l-7 7a1 1 0 01-1.414 0l-7-7A.997.997 0 012 10V5a3 3 0 013-3h5c.256 0 .512.098.707.293l7 7zM5 6a1 1 0 100-2 1 1 0 000 2z" clipRule="evenodd" />
+                          </svg>
+                        </button>
+                      
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleDelete(item.id);
+                          }}
+                          className="history-panel__delete"
+                          disabled={deleteLoading[item.id]}
+                          title="Delete specification"
+                        >
+                          {deleteLoading[item.id] ? (
+                            <div className="history-panel__delete-spinner"></div>
+                          ) : (
+                            <svg viewBox="0 0 20 20" fill="currentColor">
+                              <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                            </svg>
+                          )}
+                        </button>
+                      </div>
+
+                      {organizingId === item.id && (
+                        <SpecOrganizer
+                          spec={item}
+                          projects={projects}
+                          onSaved={handleOrganized}
+                          onCancel={() => setOrganizingId(null)}
+                        />
+                      )}
+
+                      {expandedVersions[item.id] && (
+                        <ul className="history-panel__versions">
+                          {expandedVersions[item.id].map((version) => (
+                            <li key={version.version} className="history-panel__version">
+                              <span className="history-panel__version-label">
+                                v{version.version} · {version.source} · {formatDate(version.createdAt)}
+                              </span>
+                              {version.isCurrent ? (
+                                <span className="history-panel__version-current">{t('history.current')}</span>
+                              ) : (
+                                <button
+                                  type="button"
+                                  className="history-panel__version-restore"
+                                  onClick={() => handleRestoreVersion(item, version.version)}
+                                  disabled={restoreLoading !== null}
+                                >
+                                  {restoreLoading === `${item.id}:${version.version}` ? t('history.restoring') : t('history.restoreButton')}
+                                </button>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </Fragment>
+                  ))}
+                </div>
+
+                {totalPages > 1 && (
+                  <div className="history-panel__pagination">
+                    <button
+                      onClick={() => handlePageChange(currentPage - 1)}
+                      disabled={currentPage === 1}
+                      className="history-panel__page-btn"
+                    >
+                      Previous
+                    </button>
+                    
+                    <span className="history-panel__page-info">
+                      Page {currentPage} of {totalPages} ({totalItems} total)
+                    </span>
+                    
+                    <button
+                      onClick={() => handlePageChange(currentPage + 1)}
+                      disabled={currentPage === totalPages}
+                      className="history-panel__page-btn"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </>
             )}
-          </>
-        )}
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -2,12 +2,16 @@ import { useState, useEffect } from 'react';
 import './ProgressIndicator.css';
 
 const PROGRESS_STAGES = {
+  pending: { label: 'Waiting in queue...', progress: 5 },
   started: { label: 'Starting...', progress: 10 },
   processing: { label: 'Processing your idea...', progress: 50 },
   completed: { label: 'Completed!', progress: 100 },
-  failed: { label: 'Failed', progress: 0 }
+  failed: { label: 'Failed', progress: 0 },
+  cancelled: { label: 'Cancelled', progress: 0 }
 };
 
+const ACTIVE_STATUSES = ['pending', 'started', 'processing'];
+
 function ProgressIndicator({ 
   status = 'idle', 
   message = '', 
@@ -24,7 +28,7 @@ function ProgressIndicator({
   useEffect(() => {
     let interval = null;
     
-    if (status === 'started' || status === 'processing') {
+    if (ACTIVE_STATUSES.includes(status)) {
       if (!startTime) {
         setStartTime(Date.now());
       }
@@ -33,7 +37,7 @@ function ProgressIndicator({
         const elapsed = Math.floor((Date.now() - (startTime || Date.now())) / 1000);
         setElapsedTime(elapsed);
       }, 1000);
-    } else if (status === 'completed' || status === 'failed') {
+    } else if (status === 'completed' || status === 'failed' || status === 'cancelled') {
       if (interval) {
         clearInterval(interval);
       }
@@ -86,6 +90,7 @@ function ProgressIndicator({
 
   const getStatusIcon = () => {
     switch (status) {
+      case 'pending':
       case 'started':
       case 'processing':
         return (
@@ -117,6 +122,12 @@ function ProgressIndicator({
             <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
           </svg>
         );
+      case 'cancelled':
+        return (
+          <svg className="progress-indicator__icon progress-indicator__icon--cancelled" viewBox="0 0 20 20" fill="currentColor">
+            <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+          </svg>
+        );
       default:
         return null;
     }
@@ -136,7 +147,7 @@ function ProgressIndicator({
           </span>
         </div>
         
-        {onCancel && (status === 'started' || status === 'processing') && (
+        {onCancel && ACTIVE_STATUSES.includes(status) && (
           <button 
             onClick={onCancel}
             className="progress-indicator__cancel"
@@ -147,7 +158,7 @@ function ProgressIndicator({
         )}
       </div>
 
-      {(status === 'started' || status === 'processing') && (
+      {ACTIVE_STATUSES.includes(status) && (
         <div className="progress-indicator__progress">
           <div className="progress-indicator__progress-bar">
             <div 
@@ -0,0 +1,38 @@
+import './RefinableHeading.css';
+
+// Heading rendered by react-markdown with a "Refine" button when its source line
+// matches a section returned by GET /api/spec/:id/sections
+const RefinableHeading = ({
+  as,
+  node,
+  className = '',
+  sections = [],
+  onRefine = null,
+  label = 'Refine',
+  disabled = false,
+  children,
+  ...props
+}) => {
+  const Tag = as;
+  const line = node?.position?.start?.line;
+  const section = onRefine ? sections.find(candidate => candidate.line === line) : null;
+
+  return (
+    <Tag className={`${className}${section ? ' spec-heading--refinable' : ''}`} {...props}>
+      {children}
+      {section && (
+        <button
+          type="button"
+          className="spec-heading__refine"
+          onClick={() => onRefine(section)}
+          disabled={disabled}
+          title={`${label}: ${section.heading}`}
+        >
+          ✨ {label}
+        </button>
+      )}
+    </Tag>
+  );
+};
+
+export default RefinableHeading;
@@ -0,0 +1,32 @@
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'"
+};
+
+const unescape = (text) => text.replace(/&(amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity]);
+
+/**
+ * Renders a search snippet from the history API.
+ * The server escapes the text and only adds <mark> tags, so the snippet is split
+ * into React nodes instead of being injected as HTML.
+ */
+const SearchSnippet = ({ snippet, className = 'search-snippet' }) => {
+  if (!snippet) return null;
+
+  const parts = snippet.split(/<mark>|<\/mark>/);
+
+  return (
+    <div className={className}>
+      {parts.map((part, index) => (
+        index % 2 === 1
+          ? <mark key={index}>{unescape(part)}</mark>
+          : <span key={index}>{unescape(part)}</span>
+      ))}
+    </div>
+  );
+};
+
+export default SearchSnippet;
@@ -0,0 +1,151 @@
+import { useState, useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { apiService } from '../services/api';
+import './SectionRefinePanel.css';
+
+// Must match SPEC_EDIT_CONFIG.maxRefineInstructionsLength on the server
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+const JOB_POLL_INTERVAL = 2000;
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const SectionRefinePanel = ({ specId, section, onRefined, onClose, onRunningChange }) => {
+  const { t } = useTranslation();
+  const [instructions, setInstructions] = useState('');
+  const [jobId, setJobId] = useState(null);
+  const [error, setError] = useState('');
+  const activeRef = useRef(true);
+
+  // Stop polling once the panel is closed
+  useEffect(() => {
+    activeRef.current = true;
+    return () => {
+      activeRef.current = false;
+    };
+  }, []);
+
+  const isRunning = Boolean(jobId);
+  const isTooLong = instructions.length > MAX_INSTRUCTIONS_LENGTH;
+
+  // Lets the preview disable the other section buttons while a refinement runs
+  useEffect(() => {
+    if (!onRunningChange) return undefined;
+
+    onRunningChange(isRunning);
+    return () => onRunningChange(false);
+  }, [isRunning, onRunningChange]);
+
+  const waitForJob = async (id) => {
+    while (activeRef.current) {
+      const job = await apiService.pollJobStatus(id);
+      if (TERMINAL_STATUSES.includes(job.status)) {
+        return job;
+      }
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+    }
+    return null;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isRunning || isTooLong) return;
+
+    setError('');
+
+    try {
+      const queued = await apiService.refineSection(specId, section.anchor, instructions.trim());
+      setJobId(queued.jobId);
+
+      const job = await waitForJob(queued.jobId);
+      if (!job || !activeRef.current) return;
+
+      if (job.status === 'completed') {
+        const spec = await apiService.getSpec(specId);
+        if (onRefined) {
+          onRefined(spec, section);
+        }
+        return;
+      }
+
+      setError(job.status === 'cancelled' ? t('refine.cancelled') : (job.error || t('refine.failed')));
+    } catch (err) {
+      if (!activeRef.current) return;
+
+      if (err.status === 404) {
+        setError(t('refine.notFound'));
+      } else if (err.status === 409) {
+        setError(t('refine.conflict'));
+      } else {
+        setError(err.message || t('refine.failed'));
+      }
+    } finally {
+      if (activeRef.current) {
+        setJobId(null);
+      }
+    }
+  };
+
+  const handleCancelJob = async () => {
+    try {
+      await apiService.cancelJob(jobId);
+    } catch (err) {
+      // The job may already have finished; the poll loop reports the final status
+      console.warn('Failed to cancel section refinement:', err);
+    }
+  };
+
+  return (
+    <form className="section-refine" onSubmit={handleSubmit}>
+      <div className="section-refine__header">
+        <h4 className="section-refine__title">{t('refine.title', { heading: section.heading })}</h4>
+        <button
+          type="button"
+          className="section-refine__close"
+          onClick={onClose}
+          disabled={isRunning}
+          aria-label={t('refine.closeButton')}
+        >
+          ×
+        </button>
+      </div>
+
+      <label className="section-refine__label" htmlFor="section-refine-instructions">
+        {t('refine.instructionsLabel')}
+      </label>
+      <textarea
+        id="section-refine-instructions"
+        className="section-refine__textarea"
+        value={instructions}
+        onChange={(e) => setInstructions(e.target.value)}
+        placeholder={t('refine.instructionsPlaceholder')}
+        rows={3}
+        disabled={isRunning}
+      />
+      <p className="section-refine__hint">{t('refine.hint')}</p>
+
+      {error && (
+        <div className="section-refine__error" role="alert">{error}</div>
+      )}
+
+      <div className="section-refine__actions">
+        {isRunning && (
+          <span className="section-refine__status" role="status">{t('refine.running')}</span>
+        )}
+        {isRunning ? (
+          <button type="button" className="section-refine__button" onClick={handleCancelJob}>
+            {t('refine.cancelButton')}
+          </button>
+        ) : (
+          <button
+            type="submit"
+            className="section-refine__button section-refine__button--primary"
+            disabled={isTooLong}
+          >
+            {t('refine.submitButton')}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default SectionRefinePanel;
@@ -0,0 +1,204 @@
+import { useState, useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { SecureMarkdown } from './SecureMarkdown';
+import { apiService } from '../services/api';
+import './SpecChatPanel.css';
+
+// Must match CHAT_CONFIG.maxMessageLength on the server
+const MAX_MESSAGE_LENGTH = 2000;
+
+const SpecChatPanel = ({ specId, currentVersion = 0, onAccepted, disabled = false }) => {
+  const { t } = useTranslation();
+  const [messages, setMessages] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const [acceptingId, setAcceptingId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [error, setError] = useState('');
+  const listRef = useRef(null);
+
+  // Load the thread whenever another spec is shown
+  useEffect(() => {
+    let cancelled = false;
+
+    setMessages([]);
+    setError('');
+    setExpandedId(null);
+
+    if (!specId) {
+      return undefined;
+    }
+
+    apiService.getSpecChat(specId)
+      .then(response => {
+        if (!cancelled) {
+          setMessages(response.messages || []);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err.message || t('chat.loadFailed'));
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [specId, t]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages, sending]);
+
+  const message = draft.trim();
+  const isTooLong = draft.length > MAX_MESSAGE_LENGTH;
+  const canSend = !sending && !disabled && message.length >= 2 && !isTooLong;
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!canSend) return;
+
+    setSending(true);
+    setError('');
+
+    try {
+      const result = await apiService.sendChatMessage(specId, message);
+      setMessages(prev => [...prev, result.userMessage, result.assistantMessage]);
+      setDraft('');
+    } catch (err) {
+      setError(err.message || t('chat.sendFailed'));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      handleSend(e);
+    }
+  };
+
+  const handleAccept = async (messageId) => {
+    setAcceptingId(messageId);
+    setError('');
+
+    try {
+      const result = await apiService.acceptChatProposal(specId, messageId);
+      setMessages(prev => prev.map(item => (item.id === messageId ? result.message : item)));
+      if (onAccepted) {
+        onAccepted(result);
+      }
+    } catch (err) {
+      setError(err.status === 409 ? t('chat.acceptConflict') : (err.message || t('chat.acceptFailed')));
+    } finally {
+      setAcceptingId(null);
+    }
+  };
+
+  const renderProposal = (item) => {
+    const isExpanded = expandedId === item.id;
+    const isStale = item.acceptedVersion === null && item.baseVersion !== currentVersion;
+
+    return (
+      <div className="spec-chat__proposal">
+        <div className="spec-chat__proposal-actions">
+          <button
+            type="button"
+            className="spec-chat__button spec-chat__button--text"
+            onClick={() => setExpandedId(isExpanded ? null : item.id)}
+          >
+            {isExpanded ? t('chat.hideProposal') : t('chat.showProposal')}
+          </button>
+          {item.acceptedVersion !== null ? (
+            <span className="spec-chat__proposal-status">
+              {t('chat.accepted', { version: item.acceptedVersion })}
+            </span>
+          ) : isStale ? (
+            <span className="spec-chat__proposal-status">
+              {t('chat.stale', { version: item.baseVersion })}
+            </span>
+          ) : (
+            <button
+              type="button"
+              className="spec-chat__button spec-chat__button--primary"
+              onClick={() => handleAccept(item.id)}
+              disabled={disabled || acceptingId !== null}
+            >
+              {acceptingId === item.id ? t('chat.accepting') : t('chat.acceptButton')}
+            </button>
+          )}
+        </div>
+        {isExpanded && (
+          <SecureMarkdown className="spec-chat__proposal-preview markdown-content" content={item.proposedSpec} />
+        )}
+      </div>
+    );
+  };
+
+  if (!specId) {
+    return null;
+  }
+
+  return (
+    <div className="spec-chat">
+      <div className="spec-chat__header">
+        <h3 className="spec-chat__title">{t('chat.title')}</h3>
+      </div>
+
+      <div className="spec-chat__messages" ref={listRef} aria-live="polite">
+        {messages.length === 0 && !sending && (
+          <p className="spec-chat__empty">{t('chat.empty')}</p>
+        )}
+        {messages.map(item => (
+          <div key={item.id} className={`spec-chat__message spec-chat__message--${item.role}`}>
+            <span className="spec-chat__role">
+              {item.role === 'assistant' ? t('chat.assistant') : t('chat.you')}
+            </span>
+            {item.role === 'assistant' ? (
+              <SecureMarkdown className="spec-chat__content markdown-content" content={item.content} />
+            ) : (
+              <p className="spec-chat__content">{item.content}</p>
+            )}
+            {item.proposedSpec && renderProposal(item)}
+          </div>
+        ))}
+        {sending && (
+          <div className="spec-chat__message spec-chat__message--assistant spec-chat__message--pending" role="status">
+            {t('chat.thinking')}
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="spec-chat__error" role="alert">{error}</div>
+      )}
+
+      <form className="spec-chat__form" onSubmit={handleSend}>
+        <textarea
+          className="spec-chat__input"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={t('chat.placeholder')}
+          rows={2}
+          disabled={sending || disabled}
+        />
+        <button
+          type="submit"
+          className="spec-chat__button spec-chat__button--primary"
+          disabled={!canSend}
+        >
+          {sending ? t('chat.sending') : t('chat.sendButton')}
+        </button>
+      </form>
+      {isTooLong && (
+        <p className="spec-chat__hint spec-chat__hint--error">{t('chat.tooLong', { max: MAX_MESSAGE_LENGTH })}</p>
+      )}
+    </div>
+  );
+};
+
+export default SpecChatPanel;
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { apiService } from '../services/api';
+import './SpecOrganizer.css';
+
+// Tag input is comma separated; the server rejects commas inside tag names
+const parseTags = (value) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+const SpecOrganizer = ({ spec, projects = [], onSaved, onCancel }) => {
+  const [projectId, setProjectId] = useState(spec.project_id ? String(spec.project_id) : '');
+  const [tagInput, setTagInput] = useState((spec.tags || []).map(tag => tag.name).join(', '));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const nextProjectId = projectId ? Number(projectId) : null;
+      if (nextProjectId !== (spec.project_id ?? null)) {
+        await apiService.setSpecProject(spec.id, nextProjectId);
+      }
+      await apiService.setSpecTags(spec.id, parseTags(tagInput));
+      onSaved?.();
+    } catch (err) {
+      setError(err.message || 'Failed to save project and tags');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="spec-organizer" onSubmit={handleSubmit}>
+      <label className="spec-organizer__field">
+        <span>Project</span>
+        <select value={projectId} onChange={(e) => setProjectId(e.target.value)} disabled={saving}>
+          <option value="">Unassigned</option>
+          {projects.map(project => (
+            <option key={project.id} value={project.id}>{project.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="spec-organizer__field">
+        <span>Tags</span>
+        <input
+          type="text"
+          value={tagInput}
+          onChange={(e) => setTagInput(e.target.value)}
+          placeholder="backend, mvp"
+          disabled={saving}
+        />
+      </label>
+
+      {error && <p className="spec-organizer__error" role="alert">{error}</p>}
+
+      <div className="spec-organizer__actions">
+        <button type="button" onClick={onCancel} disabled={saving}>Cancel</button>
+        <button type="submit" className="spec-organizer__save" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SpecOrganizer;
@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import './SpecPushPanel.css';
+
+const KIND_LABELS = {
+  epic: 'Epic',
+  issue: 'Issue',
+  file: 'File'
+};
+
+const STATUS_LABELS = {
+  planned: 'Planned',
+  created: 'Created',
+  unchanged: 'Unchanged',
+  failed: 'Failed',
+  skipped: 'Skipped'
+};
+
+const SpecPushPanel = ({ specId }) => {
+  const [targets, setTargets] = useState([]);
+  const [target, setTarget] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiService.getIntegrations()
+      .then(response => {
+        if (cancelled) return;
+        const available = response.targets || [];
+        setTargets(available);
+        // Default to the first configured target
+        setTarget(current => current || (available.find(item => item.configured) || available[0])?.name || '');
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load push targets');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // A preview belongs to one spec and one target
+  useEffect(() => {
+    setResult(null);
+    setError('');
+  }, [specId, target]);
+
+  const selected = targets.find(item => item.name === target);
+
+  const runPush = async (dryRun) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      setResult(await apiService.pushSpec(specId, target, { dryRun }));
+    } catch (err) {
+      setError(err.message || 'Failed to push specification');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!specId || targets.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="spec-push">
+      <div className="spec-push__header">
+        <h3 className="spec-push__title">Push to Tracker</h3>
+        <div className="spec-push__controls">
+          <select
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            disabled={loading}
+            aria-label="Push target"
+          >
+            {targets.map(item => (
+              <option key={item.name} value={item.name}>
+                {item.displayName}{item.configured ? '' : ' (not configured)'}
+              </option>
+            ))}
+          </select>
+          <button type="button" onClick={() => runPush(true)} disabled={loading || !target}>
+            Preview
+          </button>
+          <button
+            type="button"
+            className="spec-push__submit"
+            onClick={() => runPush(false)}
+            disabled={loading || !selected?.configured || !result?.dryRun || result.summary.total === 0}
+            title={selected?.configured ? 'Create the previewed items' : `Missing settings: ${selected?.missing.join(', ')}`}
+          >
+            {loading ? 'Working...' : 'Push'}
+          </button>
+        </div>
+      </div>
+
+      {selected && !selected.configured && (
+        <p className="spec-push__hint">
+          Set {selected.missing.join(', ')} on the server to enable pushing. Preview still works.
+        </p>
+      )}
+
+      {error && <p className="spec-push__error" role="alert">{error}</p>}
+
+      {result && (
+        <div className="spec-push__result">
+          <p className="spec-push__summary">
+            {result.message}
+            {result.target.destination && <> → <code>{result.target.destination}</code></>}
+            {result.truncated && ' (item limit reached, remaining items were left out)'}
+          </p>
+          {result.items.length === 0 ? (
+            <p className="spec-push__empty">No functional requirements or development phases were found.</p>
+          ) : (
+            <ul className="spec-push__items">
+              {result.items.map((item, index) => (
+                <li key={`${item.kind}-${index}`} className={`spec-push__item spec-push__item--${item.status}`}>
+                  <span className={`spec-push__kind spec-push__kind--${item.kind}`}>{KIND_LABELS[item.kind] || item.kind}</span>
+                  <span className="spec-push__item-title">
+                    {item.url ? <a href={item.url} target="_blank" rel="noopener noreferrer">{item.title}</a> : item.title}
+                    {item.module && <span className="spec-push__module">{item.module}</span>}
+                    {item.path && <code className="spec-push__module">{item.path}</code>}
+                    {item.error && <span className="spec-push__item-error">{item.error}</span>}
+                  </span>
+                  <span className="spec-push__status">{STATUS_LABELS[item.status] || item.status}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default SpecPushPanel;
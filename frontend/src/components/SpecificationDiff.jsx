@@ -0,0 +1,246 @@
+import { useState, useEffect, useMemo } from 'react';
+import { apiService } from '../services/api';
+import './SpecificationDiff.css';
+
+// Unchanged lines kept around each change when unchanged lines are collapsed
+const CONTEXT_LINES = 3;
+
+const SECTION_STATUS_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  modified: 'Modified',
+  unchanged: 'Unchanged'
+};
+
+// Collapse long runs of unchanged lines into a single gap row
+const collapseUnchanged = (lines) => {
+  const rows = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    if (lines[index].type !== 'unchanged') {
+      rows.push(lines[index]);
+      index++;
+      continue;
+    }
+
+    let end = index;
+    while (end < lines.length && lines[end].type === 'unchanged') {
+      end++;
+    }
+
+    const keepStart = index === 0 ? 0 : CONTEXT_LINES;
+    const keepEnd = end === lines.length ? 0 : CONTEXT_LINES;
+    const run = lines.slice(index, end);
+
+    if (run.length > keepStart + keepEnd + 1) {
+      rows.push(...run.slice(0, keepStart));
+      rows.push({ type: 'gap', count: run.length - keepStart - keepEnd, key: `gap-${index}` });
+      rows.push(...run.slice(run.length - keepEnd));
+    } else {
+      rows.push(...run);
+    }
+
+    index = end;
+  }
+
+  return rows;
+};
+
+const SpecificationDiff = ({ specId, currentVersion = 0 }) => {
+  const [versions, setVersions] = useState([]);
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  // Reset the comparison to previous vs current whenever the spec or its current version changes
+  useEffect(() => {
+    let cancelled = false;
+
+    setDiff(null);
+    setError('');
+    setFromVersion(currentVersion > 1 ? currentVersion - 1 : null);
+    setToVersion(currentVersion > 1 ? currentVersion : null);
+
+    if (!specId || currentVersion < 2) {
+      setVersions([]);
+      return undefined;
+    }
+
+    apiService.getSpecVersions(specId)
+      .then(response => {
+        if (!cancelled) {
+          setVersions((response.versions || []).map(version => version.version).sort((a, b) => a - b));
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load versions');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [specId, currentVersion]);
+
+  useEffect(() => {
+    if (!specId || !fromVersion || !toVersion) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    apiService.getSpecDiff(specId, { from: fromVersion, to: toVersion })
+      .then(response => {
+        if (!cancelled) {
+          setDiff(response);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setDiff(null);
+          setError(err.message || 'Failed to load changes');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [specId, fromVersion, toVersion]);
+
+  const rows = useMemo(() => {
+    if (!diff) return [];
+    return showUnchanged ? diff.lines : collapseUnchanged(diff.lines);
+  }, [diff, showUnchanged]);
+
+  const changedSections = diff ? diff.sections.filter(section => section.status !== 'unchanged') : [];
+
+  if (!specId || currentVersion < 2) {
+    return null;
+  }
+
+  return (
+    <div className="spec-diff">
+      <div className="spec-diff__header">
+        <h3 className="spec-diff__title">Changes</h3>
+        <div className="spec-diff__controls">
+          <label className="spec-diff__control">
+            From
+            <select
+              value={fromVersion || ''}
+              onChange={(e) => setFromVersion(Number(e.target.value))}
+              disabled={loading}
+            >
+              {versions.map(version => (
+                <option key={version} value={version}>v{version}</option>
+              ))}
+            </select>
+          </label>
+          <label className="spec-diff__control">
+            To
+            <select
+              value={toVersion || ''}
+              onChange={(e) => setToVersion(Number(e.target.value))}
+              disabled={loading}
+            >
+              {versions.map(version => (
+                <option key={version} value={version}>
+                  v{version}{version === currentVersion ? ' (current)' : ''}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="spec-diff__control spec-diff__control--checkbox">
+            <input
+              type="checkbox"
+              checked={showUnchanged}
+              onChange={(e) => setShowUnchanged(e.target.checked)}
+            />
+            Show unchanged lines
+          </label>
+        </div>
+      </div>
+
+      {error && (
+        <div className="spec-diff__error">
+          <p>❌ {error}</p>
+        </div>
+      )}
+
+      {loading && !diff && (
+        <div className="spec-diff__loading">Loading changes...</div>
+      )}
+
+      {diff && (
+        <>
+          <div className="spec-diff__stats">
+            <span className="spec-diff__stat spec-diff__stat--added">+{diff.stats.added}</span>
+            <span className="spec-diff__stat spec-diff__stat--removed">−{diff.stats.removed}</span>
+            <span className="spec-diff__stat">
+              {diff.stats.sectionsChanged} {diff.stats.sectionsChanged === 1 ? 'section' : 'sections'} changed
+            </span>
+          </div>
+
+          {changedSections.length > 0 ? (
+            <ul className="spec-diff__sections">
+              {changedSections.map((section, index) => (
+                <li
+                  key={`${section.status}-${section.oldLine}-${section.newLine}-${index}`}
+                  className={`spec-diff__section spec-diff__section--${section.status}`}
+                  style={{ paddingLeft: `${Math.max(section.level - 1, 0) * 12 + 8}px` }}
+                >
+                  <span className="spec-diff__section-heading">
+                    {section.heading || '(Before first heading)'}
+                  </span>
+                  <span className="spec-diff__section-status">{SECTION_STATUS_LABELS[section.status]}</span>
+                  <span className="spec-diff__section-counts">
+                    {section.added > 0 && <span className="spec-diff__count--added">+{section.added}</span>}
+                    {section.removed > 0 && <span className="spec-diff__count--removed">−{section.removed}</span>}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="spec-diff__empty">No differences between these versions.</p>
+          )}
+
+          <div className="spec-diff__lines" role="table" aria-label="Line changes">
+            {rows.map((row, index) => (
+              row.type === 'gap' ? (
+                <div key={row.key} className="spec-diff__line spec-diff__line--gap" role="row">
+                  <span className="spec-diff__gap-label">⋯ {row.count} unchanged lines</span>
+                </div>
+              ) : (
+                <div
+                  key={`${row.oldLine ?? '-'}:${row.newLine ?? '-'}:${index}`}
+                  className={`spec-diff__line spec-diff__line--${row.type}`}
+                  role="row"
+                >
+                  <span className="spec-diff__line-number">{row.oldLine ?? ''}</span>
+                  <span className="spec-diff__line-number">{row.newLine ?? ''}</span>
+                  <span className="spec-diff__line-marker">
+                    {row.type === 'added' ? '+' : row.type === 'removed' ? '−' : ' '}
+                  </span>
+                  <span className="spec-diff__line-text">{row.text}</span>
+                </div>
+              )
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SpecificationDiff;
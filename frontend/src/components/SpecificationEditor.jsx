@@ -0,0 +1,215 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { SecureMarkdown } from './SecureMarkdown';
+import { apiService } from '../services/api';
+import './SpecificationEditor.css';
+
+// Must match SPEC_EDIT_CONFIG.maxLength on the server
+const MAX_SPEC_LENGTH = 100000;
+const DRAFT_KEY_PREFIX = 'specDraft:';
+const DRAFT_SAVE_DELAY = 1000;
+
+const draftKey = (specId) => `${DRAFT_KEY_PREFIX}${specId}`;
+
+const readDraft = (specId) => {
+  try {
+    const raw = localStorage.getItem(draftKey(specId));
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const removeDraft = (specId) => {
+  try {
+    localStorage.removeItem(draftKey(specId));
+  } catch {
+    // Storage unavailable (private mode); drafts are best effort
+  }
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+const SpecificationEditor = ({
+  specId,
+  specification,
+  baseVersion = null,
+  onSaved,
+  onCancel
+}) => {
+  const { t } = useTranslation();
+  const [content, setContent] = useState(specification || '');
+  const [draftNotice, setDraftNotice] = useState('');
+  const [hasDraft, setHasDraft] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Restore an unsaved draft for this spec, unless it is identical to what the server has
+  useEffect(() => {
+    const draft = readDraft(specId);
+
+    if (draft?.content && draft.content !== specification) {
+      setContent(draft.content);
+      setHasDraft(true);
+      setDraftNotice(t('editor.draftRestored', { time: formatTime(draft.savedAt) }));
+    } else {
+      setContent(specification || '');
+      setHasDraft(false);
+      setDraftNotice('');
+      removeDraft(specId);
+    }
+  }, [specId, specification, t]);
+
+  // Autosave the draft locally shortly after typing stops
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      if (content === specification) {
+        removeDraft(specId);
+        setHasDraft(false);
+        return;
+      }
+
+      if (readDraft(specId)?.content === content) {
+        return;
+      }
+
+      const savedAt = Date.now();
+      try {
+        localStorage.setItem(draftKey(specId), JSON.stringify({ content, baseVersion, savedAt }));
+        setHasDraft(true);
+        setDraftNotice(t('editor.draftSaved', { time: formatTime(savedAt) }));
+      } catch {
+        // Quota exceeded or storage disabled; keep editing without a draft
+      }
+    }, DRAFT_SAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [content, specId, specification, baseVersion, t]);
+
+  const isTooLong = content.length > MAX_SPEC_LENGTH;
+  const isEmpty = !content.trim();
+  const isDirty = content !== specification;
+
+  const handleSave = useCallback(async () => {
+    if (saving || isEmpty || isTooLong) return;
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const result = await apiService.updateSpec(specId, content, baseVersion);
+      removeDraft(specId);
+      setHasDraft(false);
+      setDraftNotice('');
+
+      if (onSaved) {
+        onSaved(result);
+      }
+    } catch (err) {
+      if (err.status === 409) {
+        const latest = await apiService.getSpec(specId).catch(() => null);
+        setError(t('editor.conflict', { version: latest?.currentVersion ?? '?' }));
+      } else {
+        setError(err.message || t('editor.saveFailed'));
+      }
+    } finally {
+      setSaving(false);
+    }
+  }, [saving, isEmpty, isTooLong, specId, content, baseVersion, onSaved, t]);
+
+  const handleCancel = () => {
+    if (isDirty && !window.confirm(t('editor.confirmDiscard'))) {
+      return;
+    }
+
+    removeDraft(specId);
+    if (onCancel) {
+      onCancel();
+    }
+  };
+
+  const handleDiscardDraft = () => {
+    removeDraft(specId);
+    setContent(specification || '');
+    setHasDraft(false);
+    setDraftNotice('');
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+      e.preventDefault();
+      handleSave();
+    }
+  };
+
+  return (
+    <div className="spec-editor">
+      <div className="spec-editor__header">
+        <h3 className="spec-editor__title">{t('editor.title')}</h3>
+        <div className="spec-editor__actions">
+          {hasDraft && (
+            <button
+              type="button"
+              className="spec-editor__button spec-editor__button--text"
+              onClick={handleDiscardDraft}
+              disabled={saving}
+            >
+              {t('editor.discardDraft')}
+            </button>
+          )}
+          <button
+            type="button"
+            className="spec-editor__button"
+            onClick={handleCancel}
+            disabled={saving}
+          >
+            {t('editor.cancelButton')}
+          </button>
+          <button
+            type="button"
+            className="spec-editor__button spec-editor__button--primary"
+            onClick={handleSave}
+            disabled={saving || isEmpty || isTooLong}
+          >
+            {saving ? t('editor.saving') : t('editor.saveButton')}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="spec-editor__error" role="alert">{error}</div>
+      )}
+
+      <div className="spec-editor__panes">
+        <label className="spec-editor__pane">
+          <span className="spec-editor__pane-label">{t('editor.markdownLabel')}</span>
+          <textarea
+            className="spec-editor__textarea"
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            onKeyDown={handleKeyDown}
+            spellCheck={false}
+            disabled={saving}
+          />
+        </label>
+        <div className="spec-editor__pane">
+          <span className="spec-editor__pane-label">{t('editor.previewLabel')}</span>
+          <SecureMarkdown className="spec-editor__preview markdown-content" content={content} />
+        </div>
+      </div>
+
+      <div className="spec-editor__footer">
+        <span className="spec-editor__draft-status" aria-live="polite">{draftNotice}</span>
+        <span className={`spec-editor__count${isTooLong ? ' spec-editor__count--over' : ''}`}>
+          {isTooLong
+            ? t('editor.tooLong')
+            : isEmpty
+              ? t('editor.empty')
+              : t('editor.characterCount', { count: content.length.toLocaleString(), max: MAX_SPEC_LENGTH.toLocaleString() })}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default SpecificationEditor;
@@ -1,5 +1,7 @@
+import { useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 import ActionButtons from './ActionButtons';
+import RefinableHeading from './RefinableHeading';
 import './SpecificationPreview.css';
 
 const SpecificationPreview = ({ 
@@ -8,9 +10,34 @@ const SpecificationPreview = ({
   specId = null,
   loading = false,
   onCopy,
-  onDownload 
+  onDownload,
+  onEdit,
+  lastEditedBy = null,
+  lastEditedAt = null,
+  sections = [],
+  onRefineSection,
+  refineDisabled = false
 }) => {
-  if (loading) {
+  const contentRef = useRef(null);
+  // Partial markdown received while the job is still running
+  const isStreaming = loading && Boolean(specification);
+
+  // Keep the newest streamed content in view
+  useEffect(() => {
+    if (isStreaming && contentRef.current) {
+      contentRef.current.scrollTop = contentRef.current.scrollHeight;
+    }
+  }, [isStreaming, specification]);
+
+  // Section refine buttons are only offered on the finished document
+  const refine = {
+    sections,
+    onRefine: isStreaming ? null : onRefineSection,
+    label: 'Refine',
+    disabled: refineDisabled
+  };
+
+  if (loading && !specification) {
     return (
       <div className="spec-preview spec-preview--loading">
         <div className="spec-preview__loading">
@@ -35,7 +62,7 @@ const SpecificationPreview = ({
   }
 
   return (
-    <div className="spec-preview">
+    <div className={`spec-preview${isStreaming ? ' spec-preview--streaming' : ''}`}>
       <div className="spec-preview__header">
         <div className="spec-preview__title">
           <h2>Generated Specification</h2>
@@ -44,25 +71,38 @@ const SpecificationPreview = ({
               <strong>Original idea:</strong> {userInput.length > 100 ? `${userInput.substring(0, 100)}...` : userInput}
             </p>
           )}
+          {lastEditedBy && (
+            <p className="spec-preview__edited">
+              Last edited by {lastEditedBy}{lastEditedAt ? ` · ${new Date(lastEditedAt).toLocaleString()}` : ''}
+            </p>
+          )}
         </div>
         
-        <ActionButtons
-          specification={specification}
-          specId={specId}
-          onCopy={onCopy}
-          onDownload={onDownload}
-        />
+        {isStreaming ? (
+          <div className="spec-preview__streaming-badge" role="status">
+            <span className="spec-preview__streaming-dot" aria-hidden="true"></span>
+            Generating...
+          </div>
+        ) : (
+          <ActionButtons
+            specification={specification}
+            specId={specId}
+            onCopy={onCopy}
+            onDownload={onDownload}
+            onEdit={onEdit}
+          />
+        )}
       </div>
       
-      <div className="spec-preview__content">
+      <div className="spec-preview__content" ref={contentRef} aria-busy={isStreaming}>
         <div className="spec-preview__markdown">
           <ReactMarkdown
             components={{
               // Custom rendering for better styling
-              h1: ({ children, ...props }) => <h1 className="spec-h1" {...props}>{children}</h1>,
-              h2: ({ children, ...props }) => <h2 className="spec-h2" {...props}>{children}</h2>,
-              h3: ({ children, ...props }) => <h3 className="spec-h3" {...props}>{children}</h3>,
-              h4: ({ children, ...props }) => <h4 className="spec-h4" {...props}>{children}</h4>,
+              h1: ({ children, ...props }) => <RefinableHeading as="h1" className="spec-h1" {...refine} {...props}>{children}</RefinableHeading>,
+              h2: ({ children, ...props }) => <RefinableHeading as="h2" className="spec-h2" {...refine} {...props}>{children}</RefinableHeading>,
+              h3: ({ children, ...props }) => <RefinableHeading as="h3" className="spec-h3" {...refine} {...props}>{children}</RefinableHeading>,
+              h4: ({ children, ...props }) => <RefinableHeading as="h4" className="spec-h4" {...refine} {...props}>{children}</RefinableHeading>,
               p: ({ children, ...props }) => <p className="spec-p" {...props}>{children}</p>,
               ul: ({ children, ...props }) => <ul className="spec-ul" {...props}>{children}</ul>,
               ol: ({ children, ...props }) => <ol className="spec-ol" {...props}>{children}</ol>,
@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import './UserAdminPanel.css';
+
+const UserAdminPanel = () => {
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState({});
+  const [allowed, setAllowed] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([apiService.listUsers(), apiService.listRoles()])
+      .then(([userResponse, roleResponse]) => {
+        if (cancelled) return;
+        setUsers(userResponse.users || []);
+        setRoles(roleResponse.roles || []);
+        setPermissions(roleResponse.permissions || {});
+      })
+      .catch(err => {
+        if (cancelled) return;
+        // Only admins can manage users; everyone else never sees the panel
+        if (err.status === 401 || err.status === 403) {
+          setAllowed(false);
+        } else {
+          setError(err.message || 'Failed to load users');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const changeRole = async (user, role) => {
+    setSavingId(user.id);
+    setError('');
+
+    try {
+      const updated = await apiService.updateUser(user.id, { role });
+      setUsers(current => current.map(item => (item.id === updated.id ? updated : item)));
+      setRoles(current => current.map(item => ({
+        ...item,
+        userCount: item.userCount + (item.name === role ? 1 : 0) - (item.name === user.role ? 1 : 0)
+      })));
+    } catch (err) {
+      setError(err.message || 'Failed to change role');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (!allowed) {
+    return null;
+  }
+
+  return (
+    <section className="user-admin">
+      <div className="user-admin__header">
+        <h3 className="user-admin__title">Users &amp; Roles</h3>
+      </div>
+
+      {error && <p className="user-admin__error" role="alert">{error}</p>}
+
+      {users.length === 0 ? (
+        <p className="user-admin__empty">No user accounts yet.</p>
+      ) : (
+        <ul className="user-admin__users">
+          {users.map(user => (
+            <li key={user.id} className={`user-admin__user${user.active ? '' : ' user-admin__user--inactive'}`}>
+              <span className="user-admin__name">
+                {user.displayName || user.username}
+                {!user.active && <span className="user-admin__badge">inactive</span>}
+              </span>
+              <select
+                value={user.role}
+                onChange={(e) => changeRole(user, e.target.value)}
+                disabled={savingId === user.id}
+                aria-label={`Role for ${user.username}`}
+              >
+                {roles.map(role => (
+                  <option key={role.name} value={role.name}>{role.name}</option>
+                ))}
+              </select>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <dl className="user-admin__roles">
+        {roles.map(role => (
+          <div key={role.name} className="user-admin__role">
+            <dt>
+              {role.name}
+              <span className="user-admin__count">{role.userCount} {role.userCount === 1 ? 'user' : 'users'}</span>
+            </dt>
+            <dd>
+              {role.permissions.map(permission => (
+                <span
+                  key={permission}
+                  className="user-admin__permission"
+                  title={permission === '*' ? 'Every permission' : permissions[permission]}
+                >
+                  {permission === '*' ? 'all' : permission}
+                </span>
+              ))}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </section>
+  );
+};
+
+export default UserAdminPanel;
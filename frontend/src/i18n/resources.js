@@ -11,8 +11,17 @@ export const resources = {
 };
 
 export const availableLanguages = [
-  { code: 'zh', name: '中文', flag: '🇹🇼' },
-  { code: 'en', name: 'English', flag: '🇺🇸' }
+  { code: 'zh', name: '中文', flag: '🇹🇼', outputLanguage: 'zh-TW' },
+  { code: 'en', name: 'English', flag: '🇺🇸', outputLanguage: 'en' }
 ];
 
+// Languages the backend can write specifications in
+export const outputLanguages = ['zh-TW', 'zh-CN', 'en', 'ja'];
+
+// Default specification language for a UI locale
+export const getOutputLanguageForLocale = (locale) => {
+  const language = availableLanguages.find(lang => lang.code === locale) || availableLanguages[0];
+  return language.outputLanguage;
+};
+
 export default resources;
\ No newline at end of file
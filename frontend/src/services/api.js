@@ -54,6 +54,8 @@ const formatError = (error) => {
     formatted.message = 'Network connection failed';
   } else {
     formatted.type = 'CLIENT_ERROR';
+    // Validation, conflict and rate limit responses explain themselves
+    formatted.message = error.response?.data?.error || formatted.message;
   }
   
   return formatted;
@@ -137,6 +139,14 @@ const transformers = {
   })
 };
 
+// Export formats accepted by GET /download/:id (mirrors backend EXPORT_CONFIG.formats)
+const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', contentType: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', contentType: 'text/html' },
+  pdf: { label: 'PDF', extension: 'pdf', contentType: 'application/pdf' },
+  docx: { label: 'Word', extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+};
+
 // CSRF Token 管理
 let csrfToken = null;
 let csrfTokenPromise = null;
@@ -253,6 +263,7 @@ api.interceptors.response.use(
 // WebSocket connection management
 let socket = null;
 const jobSubscriptions = new Map();
+const jobChunkSubscriptions = new Map();
 const connectionCallbacks = new Set();
 
 // Initialize WebSocket connection
@@ -263,6 +274,7 @@ const initializeWebSocket = () => {
   
   socket = io(WEBSOCKET_URL, {
     transports: ['websocket', 'polling'],
+    withCredentials: true, // 以 session cookie 驗證，訂閱與取消工作時檢查存取權限
     reconnection: true,
     reconnectionAttempts: 5,
     reconnectionDelay: 1000,
@@ -285,6 +297,19 @@ const initializeWebSocket = () => {
     connectionCallbacks.forEach(callback => callback({ connected: false, error: error.message }));
   });
   
+  socket.on('job-chunk', (payload) => {
+    const chunkCallbacks = jobChunkSubscriptions.get(payload.jobId);
+    if (chunkCallbacks) {
+      chunkCallbacks.forEach(callback => {
+        try {
+          callback(payload);
+        } catch (error) {
+          console.error('Error in job chunk callback:', error);
+        }
+      });
+    }
+  });
+  
   socket.on('job-update', (update) => {
     console.log('Job update received:', update);
     const jobCallbacks = jobSubscriptions.get(update.jobId);
@@ -336,6 +361,23 @@ const websocketService = {
     };
   },
   
+  // Cancel a queued or running job
+  cancelJob: (jobId) => {
+    const socket = initializeWebSocket();
+    
+    return new Promise((resolve, reject) => {
+      socket.timeout(SECURITY_CONFIG.REQUEST_TIMEOUT).emit('cancel-job', jobId, (timeoutError, response) => {
+        if (timeoutError) {
+          reject(new Error('Cancel request timed out'));
+        } else if (response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  },
+  
   // Add connection status listener
   onConnectionChange: (callback) => {
     connectionCallbacks.add(callback);
@@ -467,9 +509,10 @@ const createApiEndpoint = (endpoint, config = {}) => {
  * WebSocket job subscription wrapper
  * @param {string} jobId - The job ID to subscribe to
  * @param {Function} callback - Progress callback function
+ * @param {Function} [onChunk] - Streamed output callback ({ chunk, attempt, offset })
  * @returns {Function} Unsubscribe function
  */
-const createJobSubscription = (jobId, callback) => {
+const createJobSubscription = (jobId, callback, onChunk = null) => {
   const validatedJobId = validators.id(jobId, 'alphanumeric');
   const socket = initializeWebSocket();
   
@@ -478,12 +521,28 @@ const createJobSubscription = (jobId, callback) => {
   }
   
   jobSubscriptions.get(validatedJobId).add(callback);
+  
+  if (onChunk) {
+    if (!jobChunkSubscriptions.has(validatedJobId)) {
+      jobChunkSubscriptions.set(validatedJobId, new Set());
+    }
+    jobChunkSubscriptions.get(validatedJobId).add(onChunk);
+  }
+  
   socket.emit('subscribe-job', validatedJobId);
   
   console.log(`Subscribed to job ${validatedJobId}`);
   
   // Return enhanced unsubscribe function
   return () => {
+    const chunkCallbacks = jobChunkSubscriptions.get(validatedJobId);
+    if (chunkCallbacks) {
+      chunkCallbacks.delete(onChunk);
+      if (chunkCallbacks.size === 0) {
+        jobChunkSubscriptions.delete(validatedJobId);
+      }
+    }
+    
     const callbacks = jobSubscriptions.get(validatedJobId);
     if (callbacks) {
       callbacks.delete(callback);
@@ -505,12 +564,25 @@ const API_ENDPOINTS = {
   generate: {
     method: 'post',
     endpoint: '/generate',
-    validator: (data) => ({ idea: validators.text(data.idea) }),
+    // Keep the template and output language; a retried POST could queue the idea twice
+    validator: (data) => ({
+      idea: validators.text(data.idea),
+      template: data.template,
+      variables: data.variables,
+      language: data.language
+    }),
+    skipRetry: true,
     transformer: transformers.standard
   },
   jobStatus: {
     method: 'get',
-    endpoint: (jobId) => `/job/${validators.id(jobId, 'alphanumeric')}/status`,
+    endpoint: (jobId) => `/jobs/${validators.id(jobId, 'alphanumeric')}`,
+    transformer: transformers.standard
+  },
+  cancelJob: {
+    method: 'delete',
+    endpoint: (jobId) => `/jobs/${validators.id(jobId, 'alphanumeric')}`,
+    skipRetry: true,
     transformer: transformers.standard
   },
   history: {
@@ -526,11 +598,153 @@ const API_ENDPOINTS = {
     },
     transformer: transformers.standard
   },
+  searchHistory: {
+    method: 'get',
+    endpoint: '/history/search',
+    validator: (params) => {
+      const { page, limit } = validators.pagination(params.page, params.limit);
+      const query = validators.search(params.query || '');
+      return {
+        page,
+        limit,
+        ...(query && { query }),
+        ...(params.project && { project: params.project === 'none' ? 'none' : validators.id(params.project) }),
+        ...(params.tags?.length && { tag: params.tags })
+      };
+    },
+    transformer: transformers.standard
+  },
+  projects: {
+    method: 'get',
+    endpoint: '/projects',
+    transformer: transformers.standard
+  },
+  createProject: {
+    method: 'post',
+    endpoint: '/projects',
+    skipRetry: true,
+    transformer: transformers.standard
+  },
+  deleteProject: {
+    method: 'delete',
+    endpoint: (id) => `/projects/${validators.id(id)}`,
+    skipRetry: true,
+    transformer: transformers.standard
+  },
+  tags: {
+    method: 'get',
+    endpoint: '/tags',
+    transformer: transformers.standard
+  },
+  setSpecProject: {
+    method: 'put',
+    endpoint: (id) => `/spec/${validators.id(id)}/project`,
+    skipRetry: true,
+    transformer: transformers.standard
+  },
+  setSpecTags: {
+    method: 'put',
+    endpoint: (id) => `/spec/${validators.id(id)}/tags`,
+    skipRetry: true,
+    transformer: transformers.standard
+  },
   spec: {
     method: 'get',
     endpoint: (id) => `/spec/${validators.id(id)}`,
     transformer: transformers.standard
   },
+  updateSpec: {
+    method: 'put',
+    endpoint: (id) => `/spec/${validators.id(id)}`,
+    skipRetry: true,
+    transformer: transformers.standard
+  },
+  specVersions: {
+    method: 'get',
+    endpoint: (id) => `/spec/${validators.id(id)}/versions`,
+    transformer: transformers.standard
+  },
+  specVersion: {
+    method: 'get',
+    endpoint: (id, version) => `/spec/${validators.id(id)}/versions/${validators.id(version)}`,
+    transformer: transformers.standard
+  },
+  restoreSpecVersion: {
+    method: 'post',
+    endpoint: (id, version) => `/spec/${validators.id(id)}/versions/${validators.id(version)}/restore`,
+    skipRetry: true,
+    transformer: transformers.standard
+  },
+  specDiff: {
+    method: 'get',
+    endpoint: (id) => `/spec/${validators.id(id)}/diff`,
+    transformer: transformers.standard
+  },
+  regenerateSpec: {
+    method: 'post',
+    endpoint: (id) => `/spec/${validators.id(id)}/regenerate`,
+    skipRetry: true,
+    transformer: transformers.standard
+  },
+  specSections: {
+    method: 'get',
+    endpoint: (id) => `/spec/${validators.id(id)}/sections`,
+    transformer: transformers.standard
+  },
+  refineSection: {
+    method: 'post',
+    endpoint: (id, anchor) => `/spec/${validators.id(id)}/sections/${encodeURIComponent(anchor)}/refine`,
+    skipRetry: true,
+    transformer: transformers.standard
+  },
+  specChat: {
+    method: 'get',
+    endpoint: (id) => `/spec/${validators.id(id)}/chat`,
+    transformer: transformers.standard
+  },
+  sendChatMessage: {
+    method: 'post',
+    endpoint: (id) => `/spec/${validators.id(id)}/chat`,
+    skipRetry: true,
+    // The server waits for the model (up to its 3 minute LLM timeout)
+    timeout: 200000,
+    transformer: transformers.standard
+  },
+  acceptChatProposal: {
+    method: 'post',
+    endpoint: (id, messageId) => `/spec/${validators.id(id)}/chat/${validators.id(messageId)}/accept`,
+    skipRetry: true,
+    transformer: transformers.standard
+  },
+  integrations: {
+    method: 'get',
+    endpoint: '/integrations',
+    transformer: transformers.standard
+  },
+  pushSpec: {
+    method: 'post',
+    endpoint: (id) => `/spec/${validators.id(id)}/push`,
+    skipRetry: true,
+    // Items are created one by one on the tracker
+    timeout: 120000,
+    transformer: transformers.standard
+  },
+  users: {
+    method: 'get',
+    endpoint: '/admin/users',
+    transformer: transformers.standard
+  },
+  updateUser: {
+    method: 'put',
+    endpoint: (id) => `/admin/users/${validators.id(id)}`,
+    skipRetry: true,
+    transformer: transformers.standard
+  },
+  roles: {
+    method: 'get',
+    endpoint: '/admin/roles',
+    transformer: transformers.standard
+  },
   download: {
     method: 'get',
     endpoint: (id) => `/download/${validators.id(id)}`,
@@ -542,6 +756,19 @@ const API_ENDPOINTS = {
     endpoint: (id) => `/history/${validators.id(id)}`,
     transformer: transformers.standard
   },
+  exportLibrary: {
+    method: 'get',
+    endpoint: '/export',
+    transformer: transformers.blob,
+    responseType: 'blob'
+  },
+  importLibrary: {
+    method: 'post',
+    endpoint: '/import',
+    skipRetry: true,
+    timeout: 120000,
+    transformer: transformers.standard
+  },
   health: {
     method: 'get',
     endpoint: '/health',
@@ -592,10 +819,11 @@ const AUTH_ENDPOINTS = {
 
 export const apiService = {
   // Generate specification from idea with real-time updates
-  generateSpec: async (idea, onProgress = null) => {
+  // options: { template, variables, language } forwarded to /api/generate
+  generateSpec: async (idea, onProgress = null, onChunk = null, options = {}) => {
     const generateEndpoint = createApiEndpoint(API_ENDPOINTS.generate.endpoint, API_ENDPOINTS.generate);
     
-    const response = await generateEndpoint({ idea });
+    const response = await generateEndpoint({ idea, ...options });
     const { jobId } = response;
     
     // If progress callback is provided, set up WebSocket subscription
@@ -603,11 +831,11 @@ export const apiService = {
       const unsubscribe = createJobSubscription(jobId, (update) => {
         onProgress(update);
         
-        // Auto-unsubscribe when job is completed or failed
-        if (update.status === 'completed' || update.status === 'failed') {
+        // Auto-unsubscribe when job is completed, failed or cancelled
+        if (['completed', 'failed', 'cancelled'].includes(update.status)) {
           setTimeout(unsubscribe, 1000); // Small delay to ensure final update is processed
         }
-      });
+      }, onChunk);
       
       // Return enhanced response with unsubscribe function
       return {
@@ -629,9 +857,53 @@ export const apiService = {
     return await pollEndpoint();
   },
   
+  // Stream job updates and output chunks over Server-Sent Events (no Socket.IO required)
+  streamJob: (jobId, { onUpdate = null, onChunk = null, onError = null } = {}) => {
+    const validatedJobId = validators.id(jobId, 'alphanumeric');
+    const source = new EventSource(`${API_BASE_URL}/jobs/${validatedJobId}/stream`, { withCredentials: true });
+    
+    const parse = (event) => {
+      try {
+        return JSON.parse(event.data);
+      } catch (error) {
+        console.error('Invalid stream event:', error);
+        return null;
+      }
+    };
+    
+    source.addEventListener('job-update', (event) => {
+      const update = parse(event);
+      if (!update) return;
+      
+      onUpdate?.(update);
+      if (['completed', 'failed', 'cancelled'].includes(update.status)) {
+        source.close();
+      }
+    });
+    
+    source.addEventListener('job-chunk', (event) => {
+      const payload = parse(event);
+      if (payload) onChunk?.(payload);
+    });
+    
+    // The source is already closed after the final update, so errors here are unexpected
+    source.onerror = (error) => {
+      source.close();
+      onError?.(error);
+    };
+    
+    return () => source.close();
+  },
+  
+  // Cancel a queued or running generation job
+  cancelJob: async (jobId) => {
+    const cancelEndpoint = createApiEndpoint(API_ENDPOINTS.cancelJob.endpoint(jobId), API_ENDPOINTS.cancelJob);
+    return await cancelEndpoint();
+  },
+  
   // Generate spec with automatic fallback to polling if WebSocket fails
-  generateSpecWithFallback: async (idea, onProgress = null) => {
-    const result = await apiService.generateSpec(idea, onProgress);
+  generateSpecWithFallback: async (idea, onProgress = null, onChunk = null, options = {}) => {
+    const result = await apiService.generateSpec(idea, onProgress, onChunk, options);
     
     // If WebSocket is not available or fails, fall back to polling
     if (!websocketService.isConnected() && onProgress && result.jobId) {
@@ -661,8 +933,8 @@ export const apiService = {
             
             onProgress(progressUpdate);
             
-            // Stop polling when job is completed or failed
-            if (status.status === 'completed' || status.status === 'failed') {
+            // Stop polling when job is completed, failed or cancelled
+            if (['completed', 'failed', 'cancelled'].includes(status.status)) {
               isPolling = false;
               clearInterval(pollInterval);
             }
@@ -708,6 +980,47 @@ export const apiService = {
     return await historyEndpoint({ page, limit, search });
   },
 
+  // Search history with filters; project is an ID or 'none' (unassigned), all tags must match
+  searchHistory: async ({ query = '', project = null, tags = [], page = 1, limit = 10 } = {}) => {
+    const searchEndpoint = createApiEndpoint(API_ENDPOINTS.searchHistory.endpoint, API_ENDPOINTS.searchHistory);
+    return await searchEndpoint({ query, project, tags, page, limit });
+  },
+
+  // Projects (each specification belongs to at most one)
+  getProjects: async () => {
+    const projectsEndpoint = createApiEndpoint(API_ENDPOINTS.projects.endpoint, API_ENDPOINTS.projects);
+    return await projectsEndpoint();
+  },
+  
+  createProject: async ({ name, description = '', color = null }) => {
+    const createEndpoint = createApiEndpoint(API_ENDPOINTS.createProject.endpoint, API_ENDPOINTS.createProject);
+    return await createEndpoint({ name, description, color });
+  },
+  
+  // Specifications in the project become unassigned
+  deleteProject: async (id) => {
+    const deleteEndpoint = createApiEndpoint(API_ENDPOINTS.deleteProject.endpoint(id), API_ENDPOINTS.deleteProject);
+    return await deleteEndpoint();
+  },
+  
+  // Tags with the number of specifications using each
+  getTags: async () => {
+    const tagsEndpoint = createApiEndpoint(API_ENDPOINTS.tags.endpoint, API_ENDPOINTS.tags);
+    return await tagsEndpoint();
+  },
+  
+  // projectId null removes the specification from its project
+  setSpecProject: async (id, projectId) => {
+    const projectEndpoint = createApiEndpoint(API_ENDPOINTS.setSpecProject.endpoint(id), API_ENDPOINTS.setSpecProject);
+    return await projectEndpoint({ projectId });
+  },
+  
+  // Replace the tags of a specification; unknown names are created on the server
+  setSpecTags: async (id, tags) => {
+    const tagsEndpoint = createApiEndpoint(API_ENDPOINTS.setSpecTags.endpoint(id), API_ENDPOINTS.setSpecTags);
+    return await tagsEndpoint({ tags });
+  },
+
   // Get single specification by ID
   getSpec: async (id) => {
     const endpoint = typeof API_ENDPOINTS.spec.endpoint === 'function'
@@ -718,8 +1031,89 @@ export const apiService = {
     return await specEndpoint();
   },
 
-  // Download specification as Markdown
-  downloadSpec: async (id) => {
+  // List versions of a specification
+  getSpecVersions: async (id) => {
+    const versionsEndpoint = createApiEndpoint(API_ENDPOINTS.specVersions.endpoint(id), API_ENDPOINTS.specVersions);
+    return await versionsEndpoint();
+  },
+  
+  // Get the content of a single specification version
+  getSpecVersion: async (id, version) => {
+    const versionEndpoint = createApiEndpoint(API_ENDPOINTS.specVersion.endpoint(id, version), API_ENDPOINTS.specVersion);
+    return await versionEndpoint();
+  },
+  
+  // Make an older version the current specification
+  restoreSpecVersion: async (id, version) => {
+    const restoreEndpoint = createApiEndpoint(
+      API_ENDPOINTS.restoreSpecVersion.endpoint(id, version),
+      API_ENDPOINTS.restoreSpecVersion
+    );
+    return await restoreEndpoint();
+  },
+  
+  // Save an edited specification as a new version
+  // baseVersion makes the server reject the save (409) if someone else changed the spec meanwhile
+  updateSpec: async (id, generatedSpec, baseVersion = null) => {
+    const updateEndpoint = createApiEndpoint(API_ENDPOINTS.updateSpec.endpoint(id), API_ENDPOINTS.updateSpec);
+    const body = { generatedSpec };
+    if (baseVersion !== null && baseVersion !== undefined) body.baseVersion = baseVersion;
+    return await updateEndpoint(body);
+  },
+  
+  // Compare two versions; from/to default to the previous and current versions
+  getSpecDiff: async (id, { from, to } = {}) => {
+    const diffEndpoint = createApiEndpoint(API_ENDPOINTS.specDiff.endpoint(id), API_ENDPOINTS.specDiff);
+    const params = {};
+    if (from) params.from = validators.id(from);
+    if (to) params.to = validators.id(to);
+    return await diffEndpoint(params);
+  },
+  
+  // Queue regeneration of an existing specification; the result becomes a new version
+  // options: { template, variables, language }, defaults to the previous generation settings
+  regenerateSpec: async (id, options = {}) => {
+    const regenerateEndpoint = createApiEndpoint(API_ENDPOINTS.regenerateSpec.endpoint(id), API_ENDPOINTS.regenerateSpec);
+    return await regenerateEndpoint(options);
+  },
+  
+  // List the headings of the current version with the anchors used by refineSection
+  getSpecSections: async (id) => {
+    const sectionsEndpoint = createApiEndpoint(API_ENDPOINTS.specSections.endpoint(id), API_ENDPOINTS.specSections);
+    return await sectionsEndpoint();
+  },
+  
+  // Queue regeneration of a single section; the other sections are kept and the result becomes a new version
+  refineSection: async (id, anchor, instructions = '') => {
+    const refineEndpoint = createApiEndpoint(API_ENDPOINTS.refineSection.endpoint(id, anchor), API_ENDPOINTS.refineSection);
+    return await refineEndpoint(instructions ? { instructions } : {});
+  },
+  
+  // Conversation attached to a specification (oldest message first)
+  getSpecChat: async (id) => {
+    const chatEndpoint = createApiEndpoint(API_ENDPOINTS.specChat.endpoint(id), API_ENDPOINTS.specChat);
+    return await chatEndpoint();
+  },
+  
+  // Ask about the spec; resolves with { userMessage, assistantMessage } once the model has replied
+  sendChatMessage: async (id, message) => {
+    const sendEndpoint = createApiEndpoint(API_ENDPOINTS.sendChatMessage.endpoint(id), API_ENDPOINTS.sendChatMessage);
+    return await sendEndpoint({ message });
+  },
+  
+  // Save the revision proposed by an assistant message as a new version
+  acceptChatProposal: async (id, messageId) => {
+    const acceptEndpoint = createApiEndpoint(API_ENDPOINTS.acceptChatProposal.endpoint(id, messageId), API_ENDPOINTS.acceptChatProposal);
+    return await acceptEndpoint();
+  },
+  
+  // Download specification as Markdown, HTML, PDF or DOCX
+  downloadSpec: async (id, format = 'markdown') => {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
     const endpoint = typeof API_ENDPOINTS.download.endpoint === 'function'
       ? API_ENDPOINTS.download.endpoint(id)
       : API_ENDPOINTS.download.endpoint;
@@ -731,13 +1125,13 @@ export const apiService = {
         const { data, contentType } = transformers.blob(response);
         
         // Validate content type
-        if (!contentType || !contentType.includes('text/markdown')) {
+        if (!contentType || !contentType.includes(exportFormat.contentType)) {
           console.warn('Unexpected content type:', contentType);
         }
         
         // Create secure download
         const url = window.URL.createObjectURL(new Blob([data], {
-          type: 'text/markdown;charset=utf-8'
+          type: exportFormat.contentType
         }));
         
         const link = document.createElement('a');
@@ -745,7 +1139,7 @@ export const apiService = {
         
         // Generate safe filename
         const safeId = validators.id(id).replace(/[^\d]/g, '');
-        link.setAttribute('download', `specification-${safeId}.md`);
+        link.setAttribute('download', `specification-${safeId}.${exportFormat.extension}`);
         
         // Secure DOM manipulation
         document.body.appendChild(link);
@@ -761,7 +1155,62 @@ export const apiService = {
       }
     });
     
-    return await downloadEndpoint(null, { responseType: 'blob' });
+    return await downloadEndpoint({ format }, { responseType: 'blob' });
+  },
+
+  // List push targets (github, gitlab, git) and whether the server has them configured
+  getIntegrations: async () => {
+    const integrationsEndpoint = createApiEndpoint(API_ENDPOINTS.integrations.endpoint, API_ENDPOINTS.integrations);
+    return await integrationsEndpoint();
+  },
+
+  // Push requirements as issues and phases as epics, or commit the spec to the git target
+  // dryRun only returns the items that would be created
+  pushSpec: async (id, target, { dryRun = false } = {}) => {
+    const pushEndpoint = createApiEndpoint(API_ENDPOINTS.pushSpec.endpoint(id), API_ENDPOINTS.pushSpec);
+    return await pushEndpoint({ target, dryRun });
+  },
+
+  // List user accounts (admin only)
+  listUsers: async () => {
+    const usersEndpoint = createApiEndpoint(API_ENDPOINTS.users.endpoint, API_ENDPOINTS.users);
+    return await usersEndpoint();
+  },
+
+  // Update a user's role, active flag, email or display name (admin only)
+  updateUser: async (id, updates) => {
+    const updateEndpoint = createApiEndpoint(API_ENDPOINTS.updateUser.endpoint(id), API_ENDPOINTS.updateUser);
+    return await updateEndpoint(updates);
+  },
+
+  // List roles with their permissions, plus the permissions that can be assigned (admin only)
+  listRoles: async () => {
+    const rolesEndpoint = createApiEndpoint(API_ENDPOINTS.roles.endpoint, API_ENDPOINTS.roles);
+    return await rolesEndpoint();
+  },
+
+  // Download the whole specification library as a ZIP archive
+  exportLibrary: async () => {
+    const exportEndpoint = createApiEndpoint(API_ENDPOINTS.exportLibrary.endpoint, {
+      ...API_ENDPOINTS.exportLibrary,
+      transformer: (response) => {
+        const { data, filename } = transformers.blob(response);
+        const match = /filename="([^"]+)"/.exec(filename || '');
+        downloadBlob(new Blob([data], { type: 'application/zip' }), match ? match[1] : 'spec-library.zip');
+        return true;
+      }
+    });
+
+    return await exportEndpoint(null, { responseType: 'blob' });
+  },
+
+  // Import a library archive created by exportLibrary (dryRun only reports what would happen)
+  importLibrary: async (file, { dryRun = false, onDuplicate = 'skip' } = {}) => {
+    const importEndpoint = createApiEndpoint(API_ENDPOINTS.importLibrary.endpoint, API_ENDPOINTS.importLibrary);
+    return await importEndpoint(file, {
+      headers: { 'Content-Type': 'application/zip' },
+      params: { dryRun, onDuplicate }
+    });
   },
 
   // Delete specification
@@ -1098,6 +1547,7 @@ window.addEventListener('offline', () => {
 export { 
   websocketService, 
   SECURITY_CONFIG, 
+  EXPORT_FORMATS,
   validators, 
   transformers, 
   formatError,
@@ -1,13 +1,16 @@
 #!/usr/bin/env node
 
-import { createClient } from '@libsql/client';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import databaseService from '../backend/services/databaseService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const SAMPLE_IDEA = 'Sample idea for testing';
+const SAMPLE_SPEC = '# Sample Specification\n\nThis is a sample specification generated for testing purposes.\n\n## Features\n- Feature 1\n- Feature 2\n\n## Requirements\n- Requirement 1\n- Requirement 2';
+
 async function setupDatabase() {
   try {
     // Ensure database directory exists
@@ -16,39 +19,25 @@ async function setupDatabase() {
     
     console.log('Setting up database...');
     
-    // Create database client (local SQLite by default)
-    const dbPath = path.join(__dirname, '..', 'database', 'local.db');
-    const db = createClient({
-      url: `file:${dbPath}`
-    });
-    
-    // Create tables
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS ideas (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_input TEXT NOT NULL,
-        generated_spec TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    // Connects to TURSO_DATABASE_URL (local database/local.db by default) and applies all migrations
+    await databaseService.initialize();
     
     console.log('✅ Database setup completed successfully');
-    console.log('📁 Local database created at: database/local.db');
-    
-    // Insert sample data for testing
-    await db.execute(`
-      INSERT INTO ideas (user_input, generated_spec) VALUES (
-        'Sample idea for testing',
-        '# Sample Specification\n\nThis is a sample specification generated for testing purposes.\n\n## Features\n- Feature 1\n- Feature 2\n\n## Requirements\n- Requirement 1\n- Requirement 2'
-      )
-    `);
+    console.log('📁 Schema is up to date (see `npm run migrate:status`)');
     
-    console.log('📝 Sample data inserted for testing');
+    // Insert sample data for testing into an empty database only
+    const result = await databaseService.db.execute('SELECT COUNT(*) AS total FROM ideas');
+    if (Number(result.rows[0].total) === 0) {
+      const id = await databaseService.createIdea(SAMPLE_IDEA);
+      await databaseService.saveSpecVersion(id, { generatedSpec: SAMPLE_SPEC });
+      console.log('📝 Sample data inserted for testing');
+    }
     
+    process.exit(0);
   } catch (error) {
     console.error('❌ Error setting up database:', error);
     process.exit(1);
   }
 }
 
-setupDatabase();
\ No newline at end of file
+setupDatabase();